@@ -16,6 +16,32 @@ export default [
     ],
     external: []
   },
+  // Server-side rendering (Node)
+  {
+    input: 'src/ssr.js',
+    output: {
+      file: 'dist/ssr.js',
+      format: 'esm',
+      sourcemap: true
+    },
+    plugins: [
+      nodeResolve()
+    ],
+    external: []
+  },
+  // Token build artifacts exporter (Node)
+  {
+    input: 'src/build-tokens.js',
+    output: {
+      file: 'dist/build-tokens.js',
+      format: 'esm',
+      sourcemap: true
+    },
+    plugins: [
+      nodeResolve()
+    ],
+    external: [/^node:/]
+  },
   // CommonJS build
   {
     input: 'src/index.js',
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * @file build-tokens.js
+ * @summary Writes design tokens to static CSS, SCSS, JS, JSON and DTCG files
+ * @description
+ * Apps that don't use the components (server-rendered pages, email templates, native
+ * apps) can use the token values as build artifacts. The files are produced by the same
+ * code as init() and exportTokens(), so they match the custom properties on the page.
+ *
+ * The tokens config is a JSON file (a `DesignTokens` tree or a DTCG document) or a JS module
+ * whose default export (or `tokens` export) holds the tokens. A JS config may also export
+ * `themes`, in the shape of the `themes` option of init().
+ *
+ * @example
+ * // Command line
+ * // ds-tokens tokens.config.js --out dist/tokens --format css,scss
+ *
+ * // Node
+ * import { buildTokens } from 'standards-ui/build-tokens';
+ * await buildTokens({ colors: { primary: '#5a32a3' } }, { outDir: 'dist/tokens' });
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { resolve, extname, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { init, exportTokens } from './init.js';
+
+/**
+ * File extension per export format
+ * @type {Object<string, string>}
+ */
+const FILE_EXTENSIONS = {
+    css: 'css',
+    scss: 'scss',
+    js: 'js',
+    json: 'json',
+    dtcg: 'tokens.json'
+};
+
+/**
+ * Loads a tokens config file
+ * @param {string} file - Path to a `.json` file or a JS module
+ * @returns {Promise<{tokens: Object, themes: (Object|undefined)}>} The tokens and themes
+ */
+export async function loadTokens(file) {
+    const path = resolve(file);
+    if (extname(path) === '.json') {
+        return { tokens: JSON.parse(await readFile(path, 'utf8')) };
+    }
+    const module = await import(pathToFileURL(path).href);
+    return { tokens: module.default ?? module.tokens ?? {}, themes: module.themes };
+}
+
+/**
+ * Writes design tokens to files, one per format, named `<name>.<extension>`
+ * @param {Object} tokens - Design tokens, merged over the defaults as in init()
+ * @param {Object} [options] - Build options
+ * @param {string} [options.outDir='dist/tokens'] - Output directory, created if missing
+ * @param {Array<string>} [options.formats] - Formats to write (default: all of `css`, `scss`, `js`, `json`, `dtcg`)
+ * @param {string} [options.name='tokens'] - Base file name
+ * @param {Object} [options.themes] - Themes to register, as in init()
+ * @returns {Promise<Array<string>>} The paths written
+ * @throws {Error} When the tokens are invalid
+ * @throws {TypeError} For an unknown format
+ */
+export async function buildTokens(tokens, {
+    outDir = 'dist/tokens',
+    formats = Object.keys(FILE_EXTENSIONS),
+    name = 'tokens',
+    themes
+} = {}) {
+    const unknown = formats.filter(format => !FILE_EXTENSIONS[format]);
+    if (unknown.length) {
+        throw new TypeError(`Unknown token export format "${unknown[0]}"`);
+    }
+
+    const result = init(tokens, { injectCSS: false, themes });
+    if (!result.success) {
+        throw new Error(`Invalid design tokens: ${result.errors.join('; ')}`);
+    }
+
+    await mkdir(outDir, { recursive: true });
+    const files = [];
+    for (const format of formats) {
+        const file = join(outDir, `${name}.${FILE_EXTENSIONS[format]}`);
+        await writeFile(file, exportTokens(format, result.tokens));
+        files.push(file);
+    }
+    return files;
+}
+
+/**
+ * Runs the command line interface
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<Array<string>>} The paths written
+ */
+export async function main(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: 'dist/tokens' },
+            format: { type: 'string', short: 'f' },
+            name: { type: 'string', short: 'n', default: 'tokens' }
+        }
+    });
+
+    if (positionals.length !== 1) {
+        throw new Error('Usage: ds-tokens <tokens config> [--out dir] [--format css,scss,js,json,dtcg] [--name tokens]');
+    }
+
+    const { tokens, themes } = await loadTokens(positionals[0]);
+    return buildTokens(tokens, {
+        outDir: values.out,
+        formats: values.format ? values.format.split(',').map(format => format.trim()) : undefined,
+        name: values.name,
+        themes
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    main(process.argv.slice(2))
+        .then(files => files.forEach(file => console.log(`🎨 Wrote ${file}`)))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
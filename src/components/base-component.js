@@ -7,11 +7,143 @@
  *
  * @abstract
  */
+import { adoptStyles, CONTROL_STYLES } from '../style-registry.js';
+
+/**
+ * Converters between attribute strings and property values for each declared property type.
+ * @type {Object<string, {fromAttribute: Function, toAttribute: Function}>}
+ */
+const PROPERTY_TYPES = {
+    string: {
+        fromAttribute: value => value,
+        toAttribute: value => (value === null || value === undefined ? null : String(value))
+    },
+    boolean: {
+        fromAttribute: value => value !== null,
+        toAttribute: value => (value ? '' : null)
+    },
+    number: {
+        fromAttribute: value => (value === null || value.trim() === '' ? null : Number(value)),
+        toAttribute: value => (value === null || value === undefined || Number.isNaN(value) ? null : String(value))
+    },
+    json: {
+        fromAttribute: value => (value === null ? null : JSON.parse(value)),
+        toAttribute: value => (value === null || value === undefined ? null : JSON.stringify(value))
+    }
+};
+
+/**
+ * Property names used for ARIA accessors, matching the names components already expose.
+ * @type {Object<string, string>}
+ */
+const ARIA_PROPERTY_NAMES = {
+    'aria-activedescendant': 'ariaActiveDescendant',
+    'aria-autocomplete': 'ariaAutocomplete',
+    'aria-describedby': 'ariaDescribedBy',
+    'aria-haspopup': 'ariaHasPopup',
+    'aria-labelledby': 'ariaLabelledBy',
+    'aria-multiselectable': 'ariaMultiSelectable',
+    'aria-readonly': 'ariaReadOnly'
+};
+
+/**
+ * Target attributes that setError() merges the inline error into.
+ * @type {Array<string>}
+ */
+const ERROR_ARIA_ATTRIBUTES = ['aria-describedby', 'aria-invalid'];
+
+/**
+ * Constructor configuration per instance. Read here rather than through `this.options` so a
+ * component whose own API has an `options` property (ds-select) can override it.
+ * @type {WeakMap<BaseComponent, Object>}
+ */
+const componentConfigs = new WeakMap();
+
+/**
+ * Classes whose declared property accessors have been created.
+ * @type {WeakSet<Function>}
+ */
+const finalizedClasses = new WeakSet();
+
+/**
+ * Reads a possibly dotted property path such as `style.gap`.
+ * @param {Object} object - The object to read from.
+ * @param {string} path - The property path.
+ * @returns {*} The value.
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+}
+
+/**
+ * Writes a possibly dotted property path such as `style.gap`.
+ * @param {Object} object - The object to write to.
+ * @param {string} path - The property path.
+ * @param {*} value - The value.
+ */
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => (current == null ? undefined : current[key]), object);
+    if (parent != null) {
+        parent[last] = value;
+    }
+}
+
+/**
+ * Styles shared by every component's shadow root.
+ * @param {string} display - The host display value.
+ * @returns {string} The CSS.
+ */
+function baseStyles(display) {
+    return `
+        * {
+            box-sizing: border-box;
+            margin: 0;
+            padding: 0;
+        }
+        
+        :host {
+            display: ${display};
+        }
+        
+        /* The inline display set on connect would otherwise override [hidden] */
+        :host([hidden]) {
+            display: none !important;
+        }
+        
+        [part="error"] {
+            margin-top: var(--ds-spacing-xs);
+            color: var(--ds-form-error-color);
+            font-size: 0.875em;
+        }
+        
+        [part="error"][hidden] {
+            display: none;
+        }
+    `;
+}
+
+/**
+ * Splits template HTML into the contents of its `<style>` elements and the remaining markup.
+ * Works on strings so it also runs on the server.
+ * @param {string} html - The template HTML.
+ * @returns {{styles: Array<string>, markup: string}} The CSS texts and the markup.
+ */
+function splitTemplate(html) {
+    const styles = [];
+    const markup = html.replace(/<style\b[^>]*>([\s\S]*?)<\/style>/gi, (match, css) => {
+        styles.push(css);
+        return '';
+    });
+    return { styles, markup };
+}
+
 class BaseComponent extends HTMLElement {
     /**
      * Creates a new base component.
      * @param {Object} options - Configuration options
-     * @param {string} options.template - HTML template string
+     * @param {string} [options.template] - HTML template string (defaults to the static `template`)
      * @param {string} options.display - CSS display value for :host
      * @param {Array<string>} options.observedAttributes - Attributes to observe
      * @param {Object} options.attributeHandlers - Attribute change handlers
@@ -20,6 +152,10 @@ class BaseComponent extends HTMLElement {
      */
     constructor(options = {}) {
         super();
+        this.constructor.createPropertyAccessors();
+        this.propertyValues = new Map();
+        this.reflectingProperty = null;
+        
         // ARIA config defaults
         const ariaConfig = options.ariaConfig || {};
         this.ariaConfig = {
@@ -34,43 +170,563 @@ class BaseComponent extends HTMLElement {
             ...this.ariaConfig.dynamicAriaAttributes || [],
             ...this.ariaConfig.requiredAriaAttributes || []
         ];
-        this.options = {
+        componentConfigs.set(this, {
             display: options.display || 'block',
-            observedAttributes: Array.from(new Set([...(options.observedAttributes || []), ...ariaObserved])),
+            observedAttributes: Array.from(new Set([
+                ...(options.observedAttributes || []),
+                ...this.constructor.getPropertyAttributes(),
+                ...ariaObserved
+            ])),
             attributeHandlers: { ...(options.attributeHandlers || {}) },
             events: options.events || [],
             targetSelector: options.targetSelector || null,
-            template: options.template,
-        };
+            template: options.template ?? this.constructor.template,
+        });
+        
+        // Attach ElementInternals for components that declare `static formAssociated = true`
+        this.internals = null;
+        if (this.constructor.formAssociated && typeof this.attachInternals === 'function') {
+            this.internals = this.attachInternals();
+        }
+        
+        // Inline error shown by setError()
+        this.errorMessage = '';
         
+        // Batched update lifecycle (see requestUpdate())
+        this.changedProperties = new Map();
+        this.updatePending = false;
+        this.updatePromise = Promise.resolve(true);
+        this.hasUpdated = false;
+
         // Add ARIA attribute handlers
         this.addAriaAttributeHandlers();
         this.setupShadowDOM();
         this.setupARIA();
         this.setupEventListeners();
     }
+
+    /**
+     * Markup for the shadow root, including its `<style>` elements. Subclasses override
+     * this instead of passing `options.template`, so the markup can also be rendered on
+     * the server without constructing the element.
+     * @returns {string|null} The template HTML.
+     */
+    static get template() {
+        return null;
+    }
+
+    /**
+     * Gets the shadow root content for the static template without touching the DOM,
+     * as used by server-side rendering.
+     * @param {string} [display='block'] - The host display value.
+     * @returns {{styles: Array<string>, markup: string}} CSS texts in cascade order and the markup.
+     */
+    static getShadowContent(display = 'block') {
+        const { styles, markup } = splitTemplate(this.template || '<slot></slot>');
+        return { styles: [baseStyles(display), CONTROL_STYLES, ...styles], markup };
+    }
+
+    /**
+     * Declares reactive properties. Subclasses override this to get generated accessors,
+     * observed attributes and attribute/property syncing instead of hand-written
+     * `attributeChangedCallback` switches and getter/setter pairs.
+     *
+     * Each entry maps a property name to its options:
+     * - `type` - `'string'` (default), `'boolean'`, `'number'` or `'json'`
+     * - `default` - Value returned before the property or attribute is set
+     * - `attribute` - Attribute name (defaults to the kebab-cased property name), or `false` for none
+     * - `reflect` - Write property changes back to the attribute
+     * - `target` - Property path on the target element to keep in sync (e.g. `value`, `style.gap`)
+     * - `targetAttribute` - Attribute on the target element to keep in sync (e.g. `aria-label`)
+     *
+     * Target-backed properties read their value live from the target element.
+     * @returns {Object<string, Object>} Property declarations keyed by property name.
+     * @example
+     * static get properties() {
+     *     return {
+     *         placeholder: { target: 'placeholder' },
+     *         disabled: { type: 'boolean', target: 'disabled' },
+     *         rows: { type: 'number', default: 3, reflect: true },
+     *         ...BaseComponent.ariaProperties(['aria-label'])
+     *     };
+     * }
+     */
+    static get properties() {
+        return {};
+    }
+
+    /**
+     * Builds property declarations that forward ARIA attributes to the target element,
+     * e.g. `aria-describedby` becomes an `ariaDescribedBy` accessor.
+     * @param {Array<string>} attributes - ARIA attribute names.
+     * @returns {Object<string, Object>} Property declarations.
+     */
+    static ariaProperties(attributes) {
+        const declarations = {};
+        attributes.forEach(attribute => {
+            const name = ARIA_PROPERTY_NAMES[attribute]
+                || `aria${attribute.charAt(5).toUpperCase()}${attribute.slice(6)}`;
+            declarations[name] = { attribute, targetAttribute: attribute };
+        });
+        return declarations;
+    }
+
+    /**
+     * Gets the normalized property declarations, keyed by property name.
+     * @returns {Map<string, Object>} Declarations with every option filled in.
+     */
+    static getPropertyDeclarations() {
+        if (Object.prototype.hasOwnProperty.call(this, 'propertyDeclarations')) {
+            return this.propertyDeclarations;
+        }
+        const declarations = new Map();
+        Object.entries(this.properties).forEach(([name, options]) => {
+            const type = options.type || 'string';
+            if (!PROPERTY_TYPES[type]) {
+                throw new TypeError(`${this.name}: unknown type '${type}' for property '${name}'`);
+            }
+            declarations.set(name, {
+                type,
+                default: options.default,
+                attribute: options.attribute === false
+                    ? null
+                    : (options.attribute || name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)),
+                reflect: !!options.reflect,
+                target: options.target || null,
+                targetAttribute: options.targetAttribute || null
+            });
+        });
+        this.propertyDeclarations = declarations;
+        return declarations;
+    }
+
+    /**
+     * Gets the attributes of declared properties, for use in `observedAttributes`.
+     * @returns {Array<string>} Attribute names.
+     */
+    static getPropertyAttributes() {
+        return Array.from(this.getPropertyDeclarations().values())
+            .map(declaration => declaration.attribute)
+            .filter(Boolean);
+    }
+
+    /**
+     * Finds the property declared for an attribute.
+     * @param {string} attribute - The attribute name.
+     * @returns {[string, Object]|undefined} The property name and declaration.
+     */
+    static getPropertyForAttribute(attribute) {
+        return Array.from(this.getPropertyDeclarations()).find(([, declaration]) => declaration.attribute === attribute);
+    }
+
+    /**
+     * Defines accessors on the prototype for each declared property. Accessors the
+     * class already defines by hand are left alone. Runs once per class.
+     */
+    static createPropertyAccessors() {
+        if (finalizedClasses.has(this)) return;
+        finalizedClasses.add(this);
+
+        this.getPropertyDeclarations().forEach((declaration, name) => {
+            if (Object.prototype.hasOwnProperty.call(this.prototype, name)) return;
+            Object.defineProperty(this.prototype, name, {
+                get() {
+                    return this.getProperty(name);
+                },
+                set(value) {
+                    this.setProperty(name, value);
+                },
+                configurable: true,
+                enumerable: true
+            });
+        });
+    }
+
+    /**
+     * Gets the current value of a declared property.
+     * @param {string} name - The property name.
+     * @returns {*} The value.
+     */
+    getProperty(name) {
+        const declaration = this.constructor.getPropertyDeclarations().get(name);
+        if (declaration.target && this.targetElement) {
+            return getPath(this.targetElement, declaration.target);
+        }
+        if (declaration.targetAttribute && this.targetElement) {
+            return this.targetElement.getAttribute(declaration.targetAttribute);
+        }
+        return this.propertyValues.has(name) ? this.propertyValues.get(name) : declaration.default;
+    }
+
+    /**
+     * Sets a declared property, syncs it to the target element and, if declared,
+     * reflects it to its attribute.
+     * @param {string} name - The property name.
+     * @param {*} value - The new value.
+     * @param {Object} [options] - Internal options.
+     * @param {boolean} [options.fromAttribute=false] - The change came from the attribute, so don't reflect.
+     * @param {boolean} [options.updateTarget=true] - Sync the target element.
+     */
+    setProperty(name, value, { fromAttribute = false, updateTarget = true } = {}) {
+        const declaration = this.constructor.getPropertyDeclarations().get(name);
+        const oldValue = this.getProperty(name);
+        const resolved = value === null || value === undefined ? (declaration.default ?? value) : value;
+
+        this.propertyValues.set(name, resolved);
+
+        if (updateTarget && this.targetElement) {
+            if (declaration.target) {
+                const targetValue = declaration.type === 'boolean' ? !!resolved : resolved;
+                setPath(this.targetElement, declaration.target, targetValue ?? '');
+            }
+            if (declaration.targetAttribute) {
+                const attributeValue = PROPERTY_TYPES[declaration.type].toAttribute(resolved);
+                if (attributeValue === null) {
+                    this.targetElement.removeAttribute(declaration.targetAttribute);
+                } else {
+                    this.targetElement.setAttribute(declaration.targetAttribute, attributeValue);
+                }
+                // Keep a displayed inline error referenced alongside the new value
+                if (this.errorMessage && ERROR_ARIA_ATTRIBUTES.includes(declaration.targetAttribute)) {
+                    this.syncErrorAria();
+                }
+            }
+        }
+
+        if (declaration.reflect && declaration.attribute && !fromAttribute) {
+            const attributeValue = PROPERTY_TYPES[declaration.type].toAttribute(resolved);
+            this.reflectingProperty = name;
+            if (attributeValue === null) {
+                this.removeAttribute(declaration.attribute);
+            } else {
+                this.setAttribute(declaration.attribute, attributeValue);
+            }
+            this.reflectingProperty = null;
+        }
+
+        const newValue = this.getProperty(name);
+        if (oldValue !== newValue) {
+            this.propertyChangedCallback(name, oldValue, newValue);
+            this.requestUpdate(name, oldValue);
+        }
+    }
+
+    /**
+     * Called synchronously after a declared property changes, whether set directly or through
+     * its attribute. Subclasses override this for cheap side effects that don't map onto the
+     * target element; DOM work belongs in update(), which is batched.
+     * @param {string} name - The property name.
+     * @param {*} oldValue - The previous value.
+     * @param {*} newValue - The new value.
+     */
+    propertyChangedCallback(name, oldValue, newValue) {}
+
+    /**
+     * Schedules an update. Calls made in the same task are batched into a single update that
+     * runs in a microtask, so setting several attributes or properties renders once.
+     * @param {string} [name] - The attribute or property that changed.
+     * @param {*} [oldValue] - Its value before the first change in this batch.
+     * @returns {Promise<boolean>} Resolves like updateComplete.
+     */
+    requestUpdate(name, oldValue) {
+        if (name !== undefined && !this.changedProperties.has(name)) {
+            this.changedProperties.set(name, oldValue);
+        }
+        if (!this.updatePending) {
+            this.updatePending = true;
+            this.updatePromise = this.updatePromise.then(() => this.performUpdate());
+        }
+        return this.updateComplete;
+    }
+
+    /**
+     * Runs a pending update: willUpdate(), update(), then updated(). An update that throws
+     * is logged so the queue keeps running and later changes still render.
+     * @returns {boolean} True once the update has run, false if it threw.
+     */
+    performUpdate() {
+        if (!this.updatePending) return true;
+        const changedProperties = this.changedProperties;
+        this.changedProperties = new Map();
+        this.updatePending = false;
+        
+        try {
+            this.willUpdate(changedProperties);
+            this.update(changedProperties);
+            const firstUpdate = !this.hasUpdated;
+            this.hasUpdated = true;
+            this.updated(changedProperties, firstUpdate);
+        } catch (error) {
+            console.warn(`[${this.constructor.name}] Update failed: ${error.message}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Resolves once all pending updates have run, including updates requested from updated().
+     * @returns {Promise<boolean>} Resolves to true.
+     * @example
+     * input.setAttribute('placeholder', 'Email');
+     * await input.updateComplete;
+     */
+    get updateComplete() {
+        return this.updatePromise.then(() => (this.updatePending ? this.updateComplete : true));
+    }
+
+    /**
+     * The configuration passed to the constructor.
+     * @returns {Object} The component configuration.
+     */
+    get options() {
+        return componentConfigs.get(this);
+    }
+
+    set options(val) {
+        componentConfigs.set(this, val);
+    }
+
+    /**
+     * Called before update() with the batch of changes; compute derived state here.
+     * @param {Map<string, *>} changedProperties - Changed property and attribute names mapped to their old values.
+     */
+    willUpdate(changedProperties) {}
+
+    /**
+     * Applies a batch of changes to the shadow DOM. Subclasses override this instead of
+     * rendering from attributeChangedCallback.
+     * @param {Map<string, *>} changedProperties - Changed property and attribute names mapped to their old values.
+     */
+    update(changedProperties) {}
+
+    /**
+     * Called after update() has applied a batch of changes.
+     * @param {Map<string, *>} changedProperties - Changed property and attribute names mapped to their old values.
+     * @param {boolean} firstUpdate - Whether this is the component's first update.
+     */
+    updated(changedProperties, firstUpdate) {}
+
+    /**
+     * Moves values set on the instance before the element was upgraded onto the generated
+     * accessors, so they reach the target element.
+     */
+    upgradeProperties() {
+        this.constructor.getPropertyDeclarations().forEach((declaration, name) => {
+            if (Object.prototype.hasOwnProperty.call(this, name)) {
+                const value = this[name];
+                delete this[name];
+                this[name] = value;
+            }
+        });
+    }
+
+    /**
+     * Validity flags copied from a native control into ElementInternals.
+     * @type {Array<string>}
+     */
+    static get validityFlags() {
+        return [
+            'valueMissing',
+            'typeMismatch',
+            'patternMismatch',
+            'tooLong',
+            'tooShort',
+            'rangeUnderflow',
+            'rangeOverflow',
+            'stepMismatch',
+            'badInput',
+            'customError'
+        ];
+    }
+
+    /**
+     * Checks whether the form-associated custom element APIs are usable.
+     * @returns {boolean} True if ElementInternals supports form values and validity.
+     */
+    hasFormInternals() {
+        return !!this.internals && typeof this.internals.setFormValue === 'function';
+    }
+
+    /**
+     * Sets the value this component contributes to its owning form.
+     * @param {string|FormData|null} value - The submission value (null to omit).
+     * @param {string|FormData|null} [state] - The restore state passed back to formStateRestoreCallback.
+     */
+    setFormValue(value, state = value) {
+        if (!this.hasFormInternals()) return;
+        this.internals.setFormValue(value, state);
+    }
+
+    /**
+     * Mirrors the validity state of a native control onto the host element.
+     * @param {HTMLElement} control - Native input, select or textarea inside the shadow root.
+     * @param {HTMLElement} [anchor=control] - Element the browser focuses to report the error, when the control itself is hidden.
+     */
+    setValidityFrom(control, anchor = control) {
+        if (!this.hasFormInternals() || !control || !control.validity) return;
+        if (control.validity.valid) {
+            this.internals.setValidity({});
+            return;
+        }
+        const flags = {};
+        BaseComponent.validityFlags.forEach(flag => {
+            if (control.validity[flag]) flags[flag] = true;
+        });
+        this.internals.setValidity(flags, control.validationMessage || 'This field is invalid', anchor);
+    }
+
+    /**
+     * Pushes the current value and validity to the owning form.
+     * Form-associated subclasses override this.
+     */
+    updateFormValue() {}
+
+    /**
+     * Called by the browser when the disabled state of the element or an ancestor fieldset changes.
+     * @param {boolean} disabled - Whether the element is now disabled.
+     */
+    formDisabledCallback(disabled) {
+        if (this.targetElement) {
+            this.targetElement.disabled = disabled;
+        }
+    }
+
+    /**
+     * Gets the validity state of the component.
+     * @returns {ValidityState|undefined} The validity state.
+     */
+    get validity() {
+        return this.hasFormInternals() ? this.internals.validity : this.targetElement?.validity;
+    }
+
+    /**
+     * Gets the validation message of the component.
+     * @returns {string} The validation message.
+     */
+    get validationMessage() {
+        return this.hasFormInternals() ? this.internals.validationMessage : (this.targetElement?.validationMessage || '');
+    }
+
+    /**
+     * Gets whether the component is a candidate for constraint validation.
+     * @returns {boolean} True if the component will be validated.
+     */
+    get willValidate() {
+        return this.hasFormInternals() ? this.internals.willValidate : !!this.targetElement?.willValidate;
+    }
+
+    /**
+     * Gets the labels associated with the component.
+     * @returns {NodeList|Array} The associated labels.
+     */
+    get labels() {
+        return this.internals?.labels ?? [];
+    }
+
+    /**
+     * Checks whether the component satisfies its constraints.
+     * @returns {boolean} True if the component is valid.
+     */
+    checkValidity() {
+        if (this.hasFormInternals()) return this.internals.checkValidity();
+        return this.targetElement?.checkValidity ? this.targetElement.checkValidity() : true;
+    }
+
+    /**
+     * Checks validity and reports problems to the user.
+     * @returns {boolean} True if the component is valid.
+     */
+    reportValidity() {
+        if (this.hasFormInternals()) return this.internals.reportValidity();
+        return this.targetElement?.reportValidity ? this.targetElement.reportValidity() : true;
+    }
+    
+    /**
+     * Shows an inline error message below the control and points the inner
+     * control's `aria-describedby` and `aria-invalid` at it.
+     * Only components whose template has a `[part="error"]` element render the message.
+     * @param {string} message - The error message; an empty string clears the error.
+     */
+    setError(message) {
+        this.errorMessage = message || '';
+        const errorElement = this.shadowRoot?.querySelector('[part="error"]');
+        if (errorElement) {
+            errorElement.textContent = this.errorMessage;
+            errorElement.hidden = !this.errorMessage;
+        }
+        this.syncErrorAria();
+    }
+
+    /**
+     * Removes the inline error message.
+     */
+    clearError() {
+        this.setError('');
+    }
+
+    /**
+     * Gets an ARIA value as the author set it, through its property if it has one, otherwise
+     * through the host attribute.
+     * @param {string} attribute - The ARIA attribute name.
+     * @returns {string|null} The value, or null if unset.
+     */
+    getAuthoredAria(attribute) {
+        const property = this.constructor.getPropertyForAttribute(attribute);
+        if (property && this.propertyValues.has(property[0])) {
+            return PROPERTY_TYPES[property[1].type].toAttribute(this.propertyValues.get(property[0]));
+        }
+        return this.getAttribute(attribute);
+    }
+
+    /**
+     * Merges the inline error into the ARIA attributes forwarded from the host,
+     * so author-supplied `aria-describedby` and `aria-invalid` values are kept.
+     */
+    syncErrorAria() {
+        const errorElement = this.shadowRoot?.querySelector('[part="error"]');
+        if (!this.targetElement || !errorElement) return;
+
+        const describedBy = (this.getAuthoredAria('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (this.errorMessage && !describedBy.includes(errorElement.id)) describedBy.push(errorElement.id);
+        if (describedBy.length) {
+            this.targetElement.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            this.targetElement.removeAttribute('aria-describedby');
+        }
+
+        const invalid = this.errorMessage ? 'true' : this.getAuthoredAria('aria-invalid');
+        if (invalid) {
+            this.targetElement.setAttribute('aria-invalid', invalid);
+        } else {
+            this.targetElement.removeAttribute('aria-invalid');
+        }
+    }
     
     /**
-     * Sets up the shadow DOM with the provided template.
+     * Sets up the shadow DOM with the provided template. A declarative shadow root
+     * rendered on the server (see `ssr.js`) is hydrated instead: its markup is kept and
+     * only the styles are swapped for the shared sheets.
      */
     setupShadowDOM() {
-        const shadowRoot = this.attachShadow({ mode: 'open' });
+        const hydrating = !!this.shadowRoot;
+        const shadowRoot = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        const options = componentConfigs.get(this);
+        const { styles, markup } = splitTemplate(options.template || '<slot></slot>');
         
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <style>
-                :host {
-                    display: ${this.options.display};
-                }
-            </style>
-            ${this.options.template || '<slot></slot>'}
-        `;
+        if (hydrating) {
+            shadowRoot.querySelectorAll('style[data-ds-styles]').forEach(style => style.remove());
+        } else {
+            const template = document.createElement('template');
+            template.innerHTML = markup;
+            shadowRoot.appendChild(template.content.cloneNode(true));
+        }
         
-        shadowRoot.appendChild(template.content.cloneNode(true));
+        // Template styles become shared sheets instead of being re-parsed in every instance
+        adoptStyles(shadowRoot, [baseStyles(options.display), CONTROL_STYLES, ...styles]);
         
         // Store reference to target element if selector is provided
-        if (this.options.targetSelector) {
-            this.targetElement = shadowRoot.querySelector(this.options.targetSelector);
+        if (options.targetSelector) {
+            this.targetElement = shadowRoot.querySelector(options.targetSelector);
         }
     }
     
@@ -78,9 +734,10 @@ class BaseComponent extends HTMLElement {
      * Sets up event listeners to re-dispatch events from the host element.
      */
     setupEventListeners() {
-        if (!this.options.events.length || !this.targetElement) return;
+        const { events } = componentConfigs.get(this);
+        if (!events.length || !this.targetElement) return;
         
-        this.options.events.forEach(eventType => {
+        events.forEach(eventType => {
             this.targetElement.addEventListener(eventType, (event) => {
                 const newEvent = new Event(eventType, {
                     bubbles: true,
@@ -113,6 +770,12 @@ class BaseComponent extends HTMLElement {
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue === newValue) return; // No change
         
+        // Declared properties request their own update with the property's old value
+        const property = this.constructor.getPropertyForAttribute(name);
+        if (!property) {
+            this.requestUpdate(name, oldValue);
+        }
+        
         // Handle ARIA attributes first
         if ((this.ariaConfig.dynamicAriaAttributes || []).includes(name) || (this.ariaConfig.requiredAriaAttributes || []).includes(name)) {
             // Check if this is a static ARIA attribute and if so, only warn once and skip validation
@@ -128,8 +791,30 @@ class BaseComponent extends HTMLElement {
             this.validateAndWarnARIA(name, newValue);
         }
         
+        // Sync declared properties, unless the change is a property reflecting itself
+        if (property && this.reflectingProperty !== property[0]) {
+            const [propertyName, declaration] = property;
+            let value;
+            try {
+                value = PROPERTY_TYPES[declaration.type].fromAttribute(newValue);
+            } catch (error) {
+                console.warn(`[${this.constructor.name}] Invalid ${declaration.type} value for '${name}': ${newValue}`);
+                value = declaration.default;
+            }
+            // ARIA attributes from ariaConfig have already been forwarded to the target
+            const ariaHandled = (this.ariaConfig.dynamicAriaAttributes || []).includes(name)
+                || (this.ariaConfig.requiredAriaAttributes || []).includes(name);
+            this.setProperty(propertyName, value, { fromAttribute: true, updateTarget: !ariaHandled });
+        }
+        
+        // Keep a displayed inline error referenced alongside author-supplied values
+        if (this.errorMessage && (name === 'aria-describedby' || name === 'aria-invalid')) {
+            this.syncErrorAria();
+            return;
+        }
+        
         // Handle other attributes
-        const handler = this.options.attributeHandlers[name];
+        const handler = componentConfigs.get(this).attributeHandlers[name];
         if (handler) {
             handler.call(this, newValue);
         }
@@ -137,17 +822,23 @@ class BaseComponent extends HTMLElement {
     
     /**
      * Called when the element is connected to the DOM.
-     * Applies initial attributes and ensures styles are applied.
+     * Applies initial attributes and schedules the first update.
      */
     connectedCallback() {
+        const options = componentConfigs.get(this);
         // Set display style directly on the host (safe here)
-        this.style.display = this.options.display;
-        // Force a reflow to ensure styles are applied
-        this.offsetHeight;
-        // Apply initial attributes
-        this.options.observedAttributes.forEach(attr => {
-            this.attributeChangedCallback(attr, null, this.getAttribute(attr));
+        this.style.display = options.display;
+        // Attributes in static observedAttributes have already been delivered by the parser or
+        // upgrade; only replay the ones the platform doesn't observe for us
+        const nativelyObserved = new Set(this.constructor.observedAttributes);
+        options.observedAttributes.forEach(attr => {
+            if (!nativelyObserved.has(attr) && this.hasAttribute(attr)) {
+                this.attributeChangedCallback(attr, null, this.getAttribute(attr));
+            }
         });
+        // Values assigned before the element was upgraded win over attributes
+        this.upgradeProperties();
+        this.requestUpdate();
         // Delay ARIA validation to ensure text content is available
         setTimeout(() => {
             this.warnMissingARIA();
@@ -225,14 +916,15 @@ class BaseComponent extends HTMLElement {
     }
 
     addAriaAttributeHandlers() {
-        if (!this.options.attributeHandlers) this.options.attributeHandlers = {};
+        const options = componentConfigs.get(this);
+        if (!options.attributeHandlers) options.attributeHandlers = {};
         const allAria = [
             ...(this.ariaConfig.dynamicAriaAttributes || []),
             ...(this.ariaConfig.requiredAriaAttributes || [])
         ];
         allAria.forEach(attr => {
-            if (!this.options.attributeHandlers[attr]) {
-                this.options.attributeHandlers[attr] = BaseComponent.createAriaAttributeHandler(attr);
+            if (!options.attributeHandlers[attr]) {
+                options.attributeHandlers[attr] = BaseComponent.createAriaAttributeHandler(attr);
             }
         });
     }
@@ -241,7 +933,7 @@ class BaseComponent extends HTMLElement {
         return function(newValue) {
             // Ensure targetElement is available
             if (!this.targetElement) {
-                this.targetElement = this.shadowRoot?.querySelector(this.options.targetSelector);
+                this.targetElement = this.shadowRoot?.querySelector(componentConfigs.get(this).targetSelector);
             }
             
             if (this.targetElement) {
@@ -302,7 +994,7 @@ class BaseComponent extends HTMLElement {
         if (!value) return null;
         const ids = value.split(/\s+/);
         for (const id of ids) {
-            if (!document.getElementById(id)) {
+            if (!document.getElementById(id) && !this.shadowRoot?.getElementById(id)) {
                 return `Element referenced by ${attributeName} ('${id}') does not exist in the document.`;
             }
         }
@@ -348,8 +1040,9 @@ class BaseComponent extends HTMLElement {
      */
     static get observedAttributes() {
         // This will be overridden by subclasses, but provide a default
-        // that includes common ARIA attributes
-        return [
+        // that includes declared property attributes and common ARIA attributes
+        return Array.from(new Set([
+            ...this.getPropertyAttributes(),
             'aria-label',
             'aria-describedby',
             'aria-pressed',
@@ -383,7 +1076,7 @@ class BaseComponent extends HTMLElement {
             'aria-valuemin',
             'aria-valuenow',
             'aria-valuetext'
-        ];
+        ]));
     }
 
     /**
@@ -40,6 +40,20 @@
 import BaseComponent from './base-component.js';
 
 class DsButton extends BaseComponent {
+    static get template() {
+        return `
+            <style>
+                :host { display: inline-block; }
+                .wrapper { width: 100%; }
+            </style>
+            <div class="wrapper">
+                <button part="button" type="button">
+                    <slot></slot>
+                </button>
+            </div>
+        `;
+    }
+    
     constructor() {
         // ARIA config for ds-button
         const ariaConfig = {
@@ -59,21 +73,7 @@ class DsButton extends BaseComponent {
                 'aria-expanded': ['false', 'true', 'undefined']
             }
         };
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <style>
-                @import url('/src/styles/styles.css');
-                :host { display: inline-block; }
-                .wrapper { width: 100%; }
-            </style>
-            <div class="wrapper">
-                <button part="button" type="button">
-                    <slot></slot>
-                </button>
-            </div>
-        `;
         super({
-            template: template.innerHTML,
             targetSelector: 'button',
             ariaConfig,
             events: ['click', 'focus', 'blur'],
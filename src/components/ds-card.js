@@ -1,45 +1,32 @@
-class DsCard extends HTMLElement {
-  static get observedAttributes() {
-    return ['href'];
-  }
-
-  constructor() {
-    super();
-    this.attachShadow({ mode: 'open' });
-    this._onKeyDown = this._onKeyDown.bind(this);
-  }
-
-  connectedCallback() {
-    this.render();
-    if (this.hasAttribute('href')) {
-      this.shadowRoot.querySelector('.card-link').addEventListener('keydown', this._onKeyDown);
-    }
-  }
-
-  disconnectedCallback() {
-    if (this.hasAttribute('href')) {
-      this.shadowRoot.querySelector('.card-link').removeEventListener('keydown', this._onKeyDown);
-    }
-  }
-
-  attributeChangedCallback(name, oldValue, newValue) {
-    if (name === 'href' && oldValue !== newValue) {
-      this.render();
-    }
-  }
+/**
+ * @file ds-card.js
+ * @summary A card container that can act as a link.
+ * @description
+ * The `ds-card` component groups related content in a bordered card. With an `href`
+ * it renders as a link that opens in a new tab and responds to Enter and Space.
+ * Changing `href` only swaps the card's root element when the card switches between
+ * a link and a group; the styles and slotted content are never rebuilt.
+ *
+ * @element ds-card
+ * @extends BaseComponent
+ *
+ * @attr {string} href - URL the card links to. Without it the card is a plain group.
+ *
+ * @property {string} href - Gets or sets the URL the card links to.
+ *
+ * @slot - The card content.
+ *
+ * @example
+ * <ds-card href="https://example.com">
+ *   <h2>Title</h2>
+ *   <p>Description</p>
+ * </ds-card>
+ */
+import BaseComponent from './base-component.js';
 
-  _onKeyDown(e) {
-    if ((e.key === 'Enter' || e.key === ' ') && this.hasAttribute('href')) {
-      e.preventDefault();
-      this.shadowRoot.querySelector('.card-link').click();
-    }
-  }
-
-  render() {
-    const href = this.getAttribute('href');
-    const isLink = !!href;
-    console.log(href);
-    this.shadowRoot.innerHTML = `
+class DsCard extends BaseComponent {
+  static get template() {
+    return `
       <style>
         .card-root {
           display: block;
@@ -54,9 +41,12 @@ class DsCard extends HTMLElement {
           transition: box-shadow 0.2s, border 0.2s;
           outline: none;
           text-decoration: none !important;
-          cursor: ${isLink ? 'pointer' : 'default'};
+          cursor: default;
           text-align: center;
         }
+        .card-link {
+          cursor: pointer;
+        }
         .card-root:focus, .card-root:focus-visible, .card-root:active, .card-root:hover {
           border: 1px solid var(--ds-color-primary, #007bff) !important;
           box-shadow: 0 4px 16px rgba(0,123,255,0.08) !important;
@@ -71,17 +61,74 @@ class DsCard extends HTMLElement {
           text-decoration: none !important;
         }
       </style>
-      ${isLink ? `
-        <a class="card-root card-link" href="${href}" tabindex="0" role="link" target="_blank" rel="noopener">
-          <slot></slot>
-        </a>
-      ` : `
-        <div class="card-root card-content" role="group" tabindex="0" aria-label="Card">
-          <slot></slot>
-        </div>
-      `}
+      <div class="card-root card-content" role="group" tabindex="0" aria-label="Card">
+        <slot></slot>
+      </div>
     `;
   }
+
+  constructor() {
+    super({
+      targetSelector: '.card-root'
+    });
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this.shadowRoot.addEventListener('keydown', this._onKeyDown);
+  }
+
+  static get properties() {
+    return {
+      href: {}
+    };
+  }
+
+  static get observedAttributes() {
+    return this.getPropertyAttributes();
+  }
+
+  _onKeyDown(e) {
+    const link = this.shadowRoot.querySelector('.card-link');
+    if ((e.key === 'Enter' || e.key === ' ') && link && e.target === link) {
+      e.preventDefault();
+      link.click();
+    }
+  }
+
+  /**
+   * Switches the root between a link and a group when `href` changes.
+   * @param {Map<string, *>} changedProperties - Changed properties mapped to their old values.
+   */
+  update(changedProperties) {
+    if (!changedProperties.has('href')) return;
+
+    const href = this.href;
+    const root = this.targetElement;
+    const isLink = root.tagName === 'A';
+
+    if (!!href === isLink) {
+      if (href) root.setAttribute('href', href);
+      return;
+    }
+
+    const next = document.createElement(href ? 'a' : 'div');
+    if (href) {
+      next.className = 'card-root card-link';
+      next.setAttribute('href', href);
+      next.setAttribute('role', 'link');
+      next.setAttribute('target', '_blank');
+      next.setAttribute('rel', 'noopener');
+    } else {
+      next.className = 'card-root card-content';
+      next.setAttribute('role', 'group');
+      next.setAttribute('aria-label', 'Card');
+    }
+    next.setAttribute('tabindex', '0');
+    next.append(...root.childNodes);
+    root.replaceWith(next);
+    this.targetElement = next;
+  }
 }
 
-customElements.define('ds-card', DsCard); 
\ No newline at end of file
+customElements.define('ds-card', DsCard);
+
+export default DsCard;
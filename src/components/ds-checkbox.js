@@ -22,6 +22,8 @@
  * @property {boolean} disabled - Gets or sets the disabled state of the checkbox.
  * @property {boolean} readonly - Gets or sets the readonly state of the checkbox.
  * @property {boolean} required - Gets or sets the required state of the checkbox.
+ * @property {HTMLFormElement|null} form - The form that owns the checkbox (read-only).
+ * @property {string} errorMessage - The inline error message shown below the control (set through setError()).
  *
  * @fires change - Fired when the checkbox selection changes.
  * @fires focus - Fired when the checkbox receives focus.
@@ -44,6 +46,26 @@
 import BaseComponent from './base-component.js';
 
 class DsCheckbox extends BaseComponent {
+    static get template() {
+        return `
+            <style>
+                :host {
+                    display: inline-block;
+                }
+                
+                .wrapper {
+                    display: flex;
+                    align-items: center;
+                }
+            </style>
+            <div class="wrapper">
+                <input type="checkbox" id="checkbox" part="checkbox">
+                <slot></slot>
+            </div>
+            <div id="error-message" part="error" hidden></div>
+        `;
+    }
+    
     constructor() {
         // ARIA config for ds-checkbox
         const ariaConfig = {
@@ -63,28 +85,7 @@ class DsCheckbox extends BaseComponent {
             }
         };
         
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <style>
-                @import url('/src/styles/styles.css');
-                
-                :host {
-                    display: inline-block;
-                }
-                
-                .wrapper {
-                    display: flex;
-                    align-items: center;
-                }
-            </style>
-            <div class="wrapper">
-                <input type="checkbox" id="checkbox" part="checkbox">
-                <slot></slot>
-            </div>
-        `;
-        
         super({
-            template: template.innerHTML,
             targetSelector: 'input[type="checkbox"]',
             ariaConfig,
             events: ['change', 'focus', 'blur'],
@@ -92,6 +93,18 @@ class DsCheckbox extends BaseComponent {
         });
         
         this.checkbox = this.shadowRoot.querySelector('input[type="checkbox"]');
+        
+        // Keep the submitted value and validity in sync with the native checkbox
+        this.checkbox.addEventListener('change', () => this.updateFormValue());
+        this.updateFormValue();
+    }
+    
+    /**
+     * Lets the checkbox take part in native form submission and validation.
+     * @returns {boolean} Always true.
+     */
+    static get formAssociated() {
+        return true;
     }
     
     /**
@@ -159,6 +172,46 @@ class DsCheckbox extends BaseComponent {
                 this.checkbox.id = newValue || '';
                 break;
         }
+        
+        this.updateFormValue();
+    }
+    
+    /**
+     * Pushes the current value and validity to the owning form.
+     * An unchecked checkbox contributes nothing to the submission.
+     */
+    updateFormValue() {
+        if (this.checkbox.checked) {
+            this.setFormValue(this.checkbox.value || 'on', 'checked');
+        } else {
+            this.setFormValue(null, 'unchecked');
+        }
+        this.setValidityFrom(this.checkbox);
+    }
+    
+    /**
+     * Restores the checked state from the `checked` attribute when the owning form is reset.
+     */
+    formResetCallback() {
+        this.checkbox.checked = this.hasAttribute('checked');
+        this.updateFormValue();
+    }
+    
+    /**
+     * Restores the checked state after navigation or browser autofill.
+     * @param {string} state - The previously saved form state.
+     */
+    formStateRestoreCallback(state) {
+        this.checkbox.checked = state === 'checked';
+        this.updateFormValue();
+    }
+    
+    /**
+     * Gets the form that owns the checkbox.
+     * @returns {HTMLFormElement|null} The owning form, if any.
+     */
+    get form() {
+        return this.internals?.form ?? null;
     }
     
     /**
@@ -175,6 +228,7 @@ class DsCheckbox extends BaseComponent {
      */
     set checked(val) {
         this.checkbox.checked = val;
+        this.updateFormValue();
     }
     
     /**
@@ -191,6 +245,7 @@ class DsCheckbox extends BaseComponent {
      */
     set value(val) {
         this.checkbox.value = val;
+        this.updateFormValue();
     }
     
     /**
@@ -206,7 +261,8 @@ class DsCheckbox extends BaseComponent {
      * @param {string} val - The new name to set.
      */
     set name(val) {
-        this.checkbox.name = val;
+        // Reflect to the host so the owning form submits under this name
+        this.setAttribute('name', val);
     }
     
     /**
@@ -255,6 +311,7 @@ class DsCheckbox extends BaseComponent {
      */
     set required(val) {
         this.checkbox.required = val;
+        this.updateFormValue();
     }
 
     // ARIA property accessors
@@ -51,22 +51,9 @@
 import BaseComponent from './base-component.js';
 
 class DsCol extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-col (none required, but allow aria-label/aria-describedby)
-        const ariaConfig = {
-            staticAriaAttributes: {},
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby'],
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
                 :host {
                     display: block; /* Custom elements are inline by default */
                 }
@@ -79,9 +66,21 @@ class DsCol extends BaseComponent {
                 <slot></slot>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-col (none required, but allow aria-label/aria-describedby)
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: '.col-container',
             ariaConfig,
             events: [],
@@ -42,23 +42,9 @@
 import BaseComponent from './base-component.js';
 
 class DsFieldset extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-fieldset
-        const ariaConfig = {
-            staticAriaAttributes: {},
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby'],
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
-                
                 :host {
                     display: block;
                 }
@@ -73,9 +59,21 @@ class DsFieldset extends BaseComponent {
                 </fieldset>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-fieldset
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: 'fieldset',
             ariaConfig,
             events: [],
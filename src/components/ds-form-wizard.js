@@ -0,0 +1,368 @@
+/**
+ * @file ds-form-wizard.js
+ * @summary A multi-step form that shows one `ds-fieldset` at a time.
+ * @description
+ * The `ds-form-wizard` component is a `ds-form` whose direct `ds-fieldset` children are
+ * steps. Only the current step is shown, and it is validated before the user can move
+ * forward. Every step stays in the form, so the final submission contains all values and
+ * supports everything `ds-form` does (validation rules, `mode="fetch"`, dirty tracking).
+ * A progress list marks the current step with `aria-current="step"`.
+ *
+ * @element ds-form-wizard
+ * @extends DsForm
+ *
+ * @slot - `ds-fieldset` steps, in order. Each step is labelled by its `label` attribute or its `ds-legend`.
+ *
+ * @attr {string} [back-label="Back"] - Text of the back button.
+ * @attr {string} [next-label="Next"] - Text of the next button.
+ * @attr {string} [submit-label="Submit"] - Text of the next button on the last step, where it submits the form.
+ *
+ * @property {Array<HTMLElement>} steps - The step fieldsets (read-only).
+ * @property {number} currentStep - Index of the visible step (read-only; use goTo()).
+ *
+ * @fires ds-step-change - Cancelable; fired with `{from, to}` before the visible step changes.
+ *
+ * @example
+ * <ds-form-wizard action="/api/onboarding" method="post" mode="fetch" aria-label="Onboarding">
+ *   <ds-fieldset>
+ *     <ds-legend>Account</ds-legend>
+ *     <ds-text-input name="email" type="email" required aria-label="Email"></ds-text-input>
+ *   </ds-fieldset>
+ *   <ds-fieldset label="Address">
+ *     <ds-legend>Where do you live?</ds-legend>
+ *     <ds-text-input name="address.city" required aria-label="City"></ds-text-input>
+ *   </ds-fieldset>
+ * </ds-form-wizard>
+ */
+import DsForm from './ds-form.js';
+import { adoptStyles } from '../style-registry.js';
+
+class DsFormWizard extends DsForm {
+    constructor() {
+        super();
+
+        adoptStyles(this.shadowRoot, [`
+            .progress[part="progress"] {
+                display: flex;
+                gap: var(--ds-spacing-md);
+                margin: 0 0 var(--ds-spacing-md);
+                padding: 0;
+                list-style: none;
+                counter-reset: step;
+            }
+
+            .progress [part~="step"] {
+                display: flex;
+                align-items: center;
+                gap: var(--ds-spacing-xs);
+                color: var(--ds-form-text-color);
+                opacity: 0.7;
+            }
+
+            .progress [part~="step"]::before {
+                counter-increment: step;
+                content: counter(step);
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                width: 1.75em;
+                height: 1.75em;
+                border: 1px solid currentColor;
+                border-radius: 50%;
+            }
+
+            .progress [part~="step"][data-state="complete"] {
+                color: var(--ds-color-primary);
+                opacity: 1;
+            }
+
+            .progress [part~="step"][aria-current="step"] {
+                font-weight: bold;
+                opacity: 1;
+            }
+
+            .wizard-nav[part="nav"] {
+                display: flex;
+                justify-content: space-between;
+                gap: var(--ds-spacing-sm);
+                margin-top: var(--ds-spacing-md);
+            }
+
+            .wizard-nav [part="next-button"] {
+                margin-left: auto;
+            }
+        `]);
+
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <ol part="progress" class="progress" aria-label="Progress"></ol>
+        `;
+
+        const nav = document.createElement('template');
+        nav.innerHTML = `
+            <div part="nav" class="wizard-nav">
+                <button part="back-button" type="button"></button>
+                <button part="next-button" type="button"></button>
+            </div>
+        `;
+
+        const wrapper = this.shadowRoot.querySelector('.form-wrapper');
+        wrapper.insertBefore(template.content.cloneNode(true), wrapper.firstChild);
+        this.form.appendChild(nav.content.cloneNode(true));
+
+        this.progressList = this.shadowRoot.querySelector('[part="progress"]');
+        this.backButton = this.shadowRoot.querySelector('[part="back-button"]');
+        this.nextButton = this.shadowRoot.querySelector('[part="next-button"]');
+        this.currentIndex = 0;
+
+        this.backButton.addEventListener('click', () => this.back());
+        this.nextButton.addEventListener('click', (event) => {
+            // On the last step the button is a submit button and the form handles it
+            if (!this.isLastStep) {
+                event.preventDefault();
+                this.next();
+            }
+        });
+
+        this.shadowRoot.querySelector('slot').addEventListener('slotchange', () => this.renderSteps());
+    }
+
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'back-label', 'next-label', 'submit-label'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        super.attributeChangedCallback(name, oldValue, newValue);
+        if (oldValue === newValue) return;
+        if (name === 'back-label' || name === 'next-label' || name === 'submit-label') {
+            this.renderNav();
+        }
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        this.renderSteps();
+    }
+
+    /**
+     * Gets the step fieldsets
+     * @returns {Array<HTMLElement>} Direct `ds-fieldset` children, in order
+     */
+    get steps() {
+        return Array.from(this.children).filter(child => child.tagName.toLowerCase() === 'ds-fieldset');
+    }
+
+    /**
+     * Gets the index of the visible step
+     * @returns {number} The current step index
+     */
+    get currentStep() {
+        return this.currentIndex;
+    }
+
+    /**
+     * Whether the visible step is the last one
+     * @returns {boolean} True on the last step
+     */
+    get isLastStep() {
+        return this.currentIndex >= this.steps.length - 1;
+    }
+
+    /**
+     * Gets the label shown for a step in the progress list
+     * @param {HTMLElement} step - The step fieldset
+     * @param {number} index - The step index
+     * @returns {string} The step label
+     */
+    getStepLabel(step, index) {
+        const legend = step.querySelector('ds-legend, legend');
+        return step.getAttribute('label') || (legend && legend.textContent.trim()) || `Step ${index + 1}`;
+    }
+
+    /**
+     * Shows the current step, hides the others and rebuilds the progress list
+     */
+    renderSteps() {
+        const steps = this.steps;
+        this.currentIndex = Math.max(0, Math.min(this.currentIndex, steps.length - 1));
+
+        steps.forEach((step, index) => {
+            step.hidden = index !== this.currentIndex;
+        });
+
+        this.progressList.textContent = '';
+        steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.setAttribute('part', index === this.currentIndex ? 'step current-step' : 'step');
+            item.textContent = this.getStepLabel(step, index);
+            if (index < this.currentIndex) {
+                item.setAttribute('data-state', 'complete');
+            } else if (index === this.currentIndex) {
+                item.setAttribute('data-state', 'current');
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.setAttribute('data-state', 'upcoming');
+            }
+            this.progressList.appendChild(item);
+        });
+
+        this.renderNav();
+    }
+
+    /**
+     * Updates the back and next buttons for the current step
+     */
+    renderNav() {
+        this.backButton.textContent = this.getAttribute('back-label') || 'Back';
+        this.backButton.hidden = this.currentIndex === 0;
+
+        if (this.isLastStep) {
+            this.nextButton.type = 'submit';
+            this.nextButton.textContent = this.getAttribute('submit-label') || 'Submit';
+        } else {
+            this.nextButton.type = 'button';
+            this.nextButton.textContent = this.getAttribute('next-label') || 'Next';
+        }
+    }
+
+    /**
+     * Validates the controls of one step
+     * @param {number} index - The step index
+     * @returns {Promise<boolean>} True if the step is valid
+     */
+    async validateStep(index) {
+        const step = this.steps[index];
+        if (!step) return true;
+
+        const result = this.hasAsyncRules(step) ? await this.validateAsync(step) : this.validate(step);
+        if (!result.valid) {
+            // Show errors eagerly from now on, as after a failed submit
+            this.formState.submitted = true;
+            this.handleValidationErrors();
+        }
+        return result.valid;
+    }
+
+    /**
+     * Validates the current step and moves to the next one
+     * @returns {Promise<boolean>} True if the step changed
+     */
+    async next() {
+        if (this.isLastStep) return false;
+        if (!(await this.validateStep(this.currentIndex))) return false;
+        return this.showStep(this.currentIndex + 1);
+    }
+
+    /**
+     * Moves to the previous step without validating
+     * @returns {boolean} True if the step changed
+     */
+    back() {
+        if (this.currentIndex === 0) return false;
+        return this.showStep(this.currentIndex - 1);
+    }
+
+    /**
+     * Moves to a step. Moving forward validates every step on the way and stops at the
+     * first invalid one; moving back does not validate.
+     * @param {number} index - The step index
+     * @returns {Promise<boolean>} True if the requested step is now visible
+     */
+    async goTo(index) {
+        if (index < 0 || index >= this.steps.length || index === this.currentIndex) return false;
+
+        if (index < this.currentIndex) {
+            return this.showStep(index);
+        }
+
+        for (let step = this.currentIndex; step < index; step++) {
+            if (!(await this.validateStep(step))) {
+                if (step !== this.currentIndex) this.showStep(step, { focus: false });
+                return false;
+            }
+        }
+        return this.showStep(index);
+    }
+
+    /**
+     * Makes a step visible, announces it and moves focus to its first control
+     * @param {number} index - The step index
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.focus=true] - Move focus into the step
+     * @returns {boolean} False if a `ds-step-change` listener cancelled the change
+     */
+    showStep(index, { focus = true } = {}) {
+        const from = this.currentIndex;
+        const event = new CustomEvent('ds-step-change', {
+            bubbles: true,
+            composed: true,
+            cancelable: true,
+            detail: { from, to: index }
+        });
+        if (!this.dispatchEvent(event)) return false;
+
+        this.currentIndex = index;
+        this.renderSteps();
+
+        const step = this.steps[index];
+        this.announceToScreenReader(`Step ${index + 1} of ${this.steps.length}: ${this.getStepLabel(step, index)}`);
+
+        if (focus) {
+            const [firstControl] = this.getFormControls(step);
+            if (firstControl) super.focusControl(firstControl);
+        }
+        return true;
+    }
+
+    /**
+     * Handles Enter in a field before the last step as "next" instead of submitting
+     * @param {Event} event - The submit event
+     */
+    handleFormSubmit(event) {
+        if (!this.submitAfterValidation && !this.isLastStep) {
+            event.preventDefault();
+            this.next();
+            return;
+        }
+        super.handleFormSubmit(event);
+    }
+
+    /**
+     * Shows the step with the first error before reporting validation errors
+     */
+    handleValidationErrors() {
+        const [firstInvalid] = this.formState.errors.keys();
+        const index = firstInvalid ? this.steps.findIndex(step => step.contains(firstInvalid)) : -1;
+        if (index !== -1 && index !== this.currentIndex) {
+            this.showStep(index, { focus: false });
+        }
+        super.handleValidationErrors();
+    }
+
+    /**
+     * Shows the step containing a control before focusing it
+     * @param {HTMLElement} control - The control to focus
+     */
+    focusControl(control) {
+        const index = this.steps.findIndex(step => step.contains(control));
+        if (index !== -1 && index !== this.currentIndex) {
+            this.showStep(index, { focus: false });
+        }
+        super.focusControl(control);
+    }
+
+    /**
+     * Returns to the first step when the form is reset
+     * @param {Event} event - The reset event
+     */
+    handleFormReset(event) {
+        super.handleFormReset(event);
+        this.currentIndex = 0;
+        this.renderSteps();
+    }
+}
+
+// Register the component
+customElements.define('ds-form-wizard', DsFormWizard);
+
+export default DsFormWizard;
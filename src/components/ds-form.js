@@ -12,6 +12,22 @@
  *
  * @slot - Renders form controls and other content within the form.
  *
+ * @attr {string} [mode="native"] - `fetch` submits in the background with `fetch()` instead of navigating.
+ * @attr {string} [enctype] - Body encoding in fetch mode: `application/x-www-form-urlencoded`, `multipart/form-data` or `application/json`.
+ * @attr {number} [validation-debounce=300] - Delay in milliseconds before asynchronous rules run while typing.
+ * @attr {boolean} [warn-unsaved] - If present, asks for confirmation before leaving the page while the form is dirty.
+ * @attr {string} [persist] - `local` or `session` saves a draft of the values to localStorage or sessionStorage and restores it on load.
+ * @attr {string} [persist-key] - Storage key for the draft; defaults to one derived from the form's id or the page path.
+ * @attr {boolean} dirty - Reflected; present while any field differs from its initial value.
+ * @attr {boolean} pristine - Reflected; present while no field has changed.
+ * @attr {boolean} touched - Reflected; present once any field has lost focus.
+ *
+ * @fires ds-submit-start - Cancelable; fired before a fetch submission with `{url, init, formData}`.
+ * @fires ds-submit-success - Cancelable; fired with `{response, data}` when the server accepts the submission.
+ * @fires ds-submit-error - Cancelable; fired with `{response, data, error}` when the request fails or the server rejects it.
+ * @fires ds-dirty-change - Fired with `{dirty}` when the form becomes dirty or pristine.
+ * @fires ds-draft-restored - Fired with `{key, values, savedAt}` after a saved draft is restored.
+ *
  * @example
  * <!-- Basic form -->
  * <ds-form action="/api/login" method="post">
@@ -42,6 +58,44 @@
  * </ds-form>
  *
  * @example
+ * <!-- Declarative validation rules with per-rule messages -->
+ * <ds-form aria-label="Sign up">
+ *   <ds-text-input name="username" required minlength="3"
+ *     data-error-minlength="Usernames need at least 3 characters"></ds-text-input>
+ *   <ds-text-input name="password" type="password" required pattern="(?=.*\d).{8,}"></ds-text-input>
+ *   <ds-text-input name="confirm" type="password" data-validate="match:password"
+ *     data-error-match="Passwords do not match"></ds-text-input>
+ *   <ds-button type="submit">Create account</ds-button>
+ * </ds-form>
+ *
+ * @example
+ * <!-- Asynchronous rule, debounced while typing; the form holds submission until it settles -->
+ * <script type="module">
+ *   import { registerValidator } from 'standards-ui';
+ *   registerValidator('available', async (value, param, { signal }) => {
+ *     const response = await fetch(`/api/usernames/${encodeURIComponent(value)}`, { signal });
+ *     return response.status === 404;
+ *   }, { async: true, message: 'That username is taken' });
+ * </script>
+ * <ds-form validation-debounce="400">
+ *   <ds-text-input name="username" required data-validate="available"></ds-text-input>
+ * </ds-form>
+ *
+ * @example
+ * <!-- Background submission; a 422 body of {"errors": {"email": "Already registered"}} marks the email field -->
+ * <ds-form action="/api/signup" method="post" enctype="application/json" mode="fetch" aria-label="Sign up">
+ *   <ds-text-input name="email" type="email" required></ds-text-input>
+ *   <ds-button type="submit">Sign up</ds-button>
+ * </ds-form>
+ *
+ * @example
+ * <!-- Draft autosave; fields with persist-exclude and password fields are never stored -->
+ * <ds-form persist="local" persist-key="checkout" aria-label="Checkout">
+ *   <ds-text-input name="address.street" aria-label="Street"></ds-text-input>
+ *   <ds-text-input name="card" persist-exclude aria-label="Card number"></ds-text-input>
+ * </ds-form>
+ *
+ * @example
  * <!-- Form with custom validation -->
  * <ds-form 
  *   action="/api/contact" 
@@ -57,28 +111,37 @@
  * </ds-form>
  */
 import BaseComponent from './base-component.js';
+import { getValidator, formatValidationMessage } from '../validators.js';
+import { buildNestedObject, getValueAtPath } from '../form-data.js';
+
+/**
+ * Selector matching every native and design system control a ds-form manages.
+ * @type {string}
+ */
+const FORM_CONTROL_SELECTOR = 'input, select, textarea, ds-text-input, ds-select, ds-textarea, ds-checkbox, ds-radio';
+
+/**
+ * Constraint attributes that map directly onto registered validators, in the order they run.
+ * @type {Array<string>}
+ */
+const ATTRIBUTE_RULES = ['required', 'minlength', 'maxlength', 'pattern', 'min', 'max'];
+
+/**
+ * Selector matching the submit buttons disabled while a fetch submission runs.
+ * @type {string}
+ */
+const SUBMIT_BUTTON_SELECTOR = 'button[type="submit"], input[type="submit"], ds-button[type="submit"]';
+
+/**
+ * Delay in milliseconds between the last input and saving a draft.
+ * @type {number}
+ */
+const DRAFT_SAVE_DELAY = 500;
 
 class DsForm extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-form
-        const ariaConfig = {
-            staticAriaAttributes: {
-                'role': 'form'
-            },
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby',
-                'aria-labelledby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby', 'aria-labelledby']
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
-                
                 :host {
                     display: block;
                 }
@@ -91,6 +154,33 @@ class DsForm extends BaseComponent {
                     width: 100%;
                 }
                 
+                .error-summary[part="error-summary"] {
+                    margin-bottom: var(--ds-spacing-md);
+                    padding: var(--ds-spacing-md);
+                    border: 2px solid var(--ds-form-error-border);
+                    border-radius: var(--ds-form-border-radius);
+                    background-color: var(--ds-form-error-background);
+                    color: var(--ds-form-error-color);
+                }
+                
+                .error-summary[part="error-summary"][hidden] {
+                    display: none;
+                }
+                
+                .error-summary-title {
+                    margin: 0 0 var(--ds-spacing-sm);
+                    font-weight: bold;
+                }
+                
+                .error-summary-list {
+                    margin: 0;
+                    padding-left: var(--ds-spacing-lg);
+                }
+                
+                .error-summary-list a {
+                    color: inherit;
+                }
+                
                 .live-region[part="live-region"] {
                     position: absolute;
                     left: -10000px;
@@ -128,6 +218,16 @@ class DsForm extends BaseComponent {
                 }
             </style>
             <div class="form-wrapper">
+                <div 
+                    part="error-summary" 
+                    class="error-summary"
+                    role="group"
+                    aria-labelledby="error-summary-title"
+                    tabindex="-1" 
+                    hidden>
+                    <p id="error-summary-title" class="error-summary-title"></p>
+                    <ul class="error-summary-list"></ul>
+                </div>
                 <form part="form" novalidate>
                     <slot></slot>
                 </form>
@@ -140,25 +240,76 @@ class DsForm extends BaseComponent {
                 </div>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-form
+        const ariaConfig = {
+            staticAriaAttributes: {
+                'role': 'form'
+            },
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby',
+                'aria-labelledby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby', 'aria-labelledby']
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: 'form',
             ariaConfig,
-            events: ['submit', 'reset', 'input', 'change', 'invalid']
+            events: ['submit', 'reset', 'input', 'change', 'invalid'],
+            attributeHandlers: {
+                'action': BaseComponent.createSetAttributeHandler('action'),
+                'method': BaseComponent.createSetAttributeHandler('method'),
+                'enctype': BaseComponent.createSetAttributeHandler('enctype'),
+                'target': BaseComponent.createSetAttributeHandler('target'),
+                'autocomplete': BaseComponent.createSetAttributeHandler('autocomplete'),
+                'warn-unsaved': function() {
+                    this.updateUnloadGuard();
+                }
+            }
         });
         
         this.form = this.shadowRoot.querySelector('form');
         this.liveRegion = this.shadowRoot.querySelector('[part="live-region"]');
+        this.errorSummary = this.shadowRoot.querySelector('[part="error-summary"]');
         
         // Form state tracking
         this.formState = {
             submitted: false,
             valid: true,
             errors: new Map(),
-            hasValidationErrors: false
+            hasValidationErrors: false,
+            dirty: false,
+            touched: false,
+            pristine: true
         };
         
+        // Initial values and touched controls for dirty tracking
+        this.initialValues = new WeakMap();
+        this.touchedControls = new WeakSet();
+        this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+        
+        // Draft autosave state
+        this.draftSaveTimer = null;
+        this.draftRestorePending = false;
+        
+        // Rules added with addRule(), keyed by field name
+        this.rules = new Map();
+        this.warnedRules = new Set();
+        
+        // In-flight and completed asynchronous checks, keyed by control
+        this.asyncValidations = new Map();
+        this.asyncResults = new Map();
+        this.submitAfterValidation = false;
+        
+        // Fetch submission state
+        this.activeSubmission = null;
+        this.disabledSubmitters = [];
+        
         // Setup form event handlers
         this.setupFormHandlers();
     }
@@ -171,6 +322,10 @@ class DsForm extends BaseComponent {
             'target',
             'novalidate',
             'autocomplete',
+            'mode',
+            'warn-unsaved',
+            'persist',
+            'persist-key',
             'aria-label',
             'aria-describedby',
             'aria-labelledby'
@@ -205,6 +360,20 @@ class DsForm extends BaseComponent {
         this.form.addEventListener('change', (event) => {
             this.handleFormChange(event);
         });
+        
+        // Track touched fields
+        this.form.addEventListener('focusout', (event) => {
+            this.handleFocusOut(event);
+        });
+        
+        // Record initial values of controls added after connect
+        this.shadowRoot.querySelector('slot').addEventListener('slotchange', () => {
+            this.captureInitialValues();
+            this.updateDirtyState();
+            if (this.draftRestorePending) {
+                this.restoreDraft();
+            }
+        });
     }
     
     /**
@@ -212,31 +381,46 @@ class DsForm extends BaseComponent {
      * @param {Event} event - The submit event
      */
     handleFormSubmit(event) {
-        this.formState.submitted = true;
+        // Re-submission after asynchronous checks passed
+        if (this.submitAfterValidation) {
+            this.completeSubmit(event);
+            return;
+        }
         
-        // Check if form is valid using our custom validation
-        const formControls = this.querySelectorAll('input, select, textarea, ds-text-input, ds-select, ds-textarea, ds-checkbox, ds-radio');
-        let hasErrors = false;
+        this.formState.submitted = true;
         
-        formControls.forEach(control => {
-            if (control.hasAttribute('required')) {
-                const value = control.value || '';
-                if (!value.trim()) {
-                    hasErrors = true;
-                    this.validateInput(control);
-                }
-            }
-        });
+        const result = this.validate();
         
-        if (hasErrors) {
+        if (!result.valid) {
             event.preventDefault();
             this.handleValidationErrors();
             return;
         }
         
+        // Hold the submission until asynchronous checks have settled
+        if (this.hasAsyncRules()) {
+            event.preventDefault();
+            this.validateAsync().then(asyncResult => {
+                if (!asyncResult.valid) {
+                    this.handleValidationErrors();
+                    return;
+                }
+                if (this.mode === 'fetch') {
+                    this.submitWithFetch();
+                } else {
+                    this.resubmit();
+                }
+            }).catch(error => {
+                // A check that throws fails the submission instead of leaving it pending
+                console.warn(`[${this.constructor.name}] Async validation failed: ${error.message}`);
+                Array.from(this.asyncValidations.keys()).forEach(control => this.cancelAsyncValidation(control));
+                this.handleValidationErrors();
+            });
+            return;
+        }
+        
         // Form is valid, allow submission
-        this.clearLiveRegion();
-        this.announceToScreenReader('Form submitted successfully');
+        this.completeSubmit(event);
     }
     
     /**
@@ -244,17 +428,50 @@ class DsForm extends BaseComponent {
      * @param {Event} event - The reset event
      */
     handleFormReset(event) {
+        Array.from(this.asyncValidations.keys()).forEach(control => this.cancelAsyncValidation(control));
+        this.asyncResults.clear();
+        this.clearDraft();
+        
         this.formState = {
+            ...this.formState,
             submitted: false,
             valid: true,
             errors: new Map(),
             hasValidationErrors: false
         };
         
+        // Slotted controls are in the light DOM, so the shadow form doesn't reset them
+        this.touchedControls = new WeakSet();
+        this.getFormControls().forEach(control => {
+            this.resetControl(control);
+            control.removeAttribute('touched');
+        });
+        this.updateDirtyState();
+        
+        this.updateFieldErrors();
+        this.updateErrorSummary();
         this.clearLiveRegion();
         this.announceToScreenReader('Form has been reset');
     }
     
+    /**
+     * Restores a control's default value, as a native form reset would
+     * @param {HTMLElement} control - The control
+     */
+    resetControl(control) {
+        if (typeof control.formResetCallback === 'function') {
+            control.formResetCallback();
+        } else if (control.type === 'checkbox' || control.type === 'radio') {
+            control.checked = control.defaultChecked;
+        } else if (control.tagName === 'SELECT') {
+            Array.from(control.options).forEach(option => {
+                option.selected = option.defaultSelected;
+            });
+        } else {
+            control.value = control.defaultValue;
+        }
+    }
+    
     /**
      * Handles input changes for real-time validation
      * @param {Event} event - The input event
@@ -265,13 +482,19 @@ class DsForm extends BaseComponent {
         // Clear previous error for this input
         if (this.formState.errors.has(input)) {
             this.formState.errors.delete(input);
-            this.updateLiveRegion();
+            this.updateErrorDisplay();
         }
         
         // If form was previously submitted, validate on input change
         if (this.formState.submitted) {
-            this.validateInput(input);
+            this.revalidateField(input);
         }
+        
+        // Asynchronous checks (e.g. "username available") run while the user types
+        this.queueAsyncValidation(input);
+        
+        this.updateDirtyState();
+        this.scheduleDraftSave();
     }
     
     /**
@@ -288,200 +511,1320 @@ class DsForm extends BaseComponent {
      * @param {Event} event - The change event
      */
     handleFormChange(event) {
+        // Checkboxes, radios and selects only fire change, so revalidate here too
+        if (this.formState.submitted) {
+            this.revalidateField(event.target);
+        }
+        
         // Track form state changes
         this.updateFormValidity();
+        this.updateDirtyState();
+        this.scheduleDraftSave();
     }
     
     /**
-     * Validates a single input element
-     * @param {HTMLElement} input - The input element to validate
+     * Called when the form is connected; records the initial field values and restores a saved draft
      */
-    validateInput(input) {
-        let isValid = true;
-        let errorMessage = '';
-        
-        // Handle different types of inputs
-        if (input.checkValidity) {
-            // Native form elements
-            isValid = input.checkValidity();
-            errorMessage = input.validationMessage || 'This field is invalid';
-        } else if (input.tagName && input.tagName.toLowerCase().includes('ds-')) {
-            // Design system components
-            const required = input.hasAttribute('required');
-            const value = input.value || '';
-            
-            if (required && !value.trim()) {
-                isValid = false;
-                errorMessage = 'This field is required';
-            } else if (input.type === 'email' && value) {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    isValid = false;
-                    errorMessage = 'Please enter a valid email address';
-                }
-            }
-        }
-        
-        if (!isValid) {
-            this.formState.errors.set(input, errorMessage);
-            this.formState.hasValidationErrors = true;
-        } else {
-            this.formState.errors.delete(input);
-        }
-        
-        this.updateFormValidity();
-        this.updateLiveRegion();
+    connectedCallback() {
+        super.connectedCallback();
+        this.captureInitialValues();
+        this.updateDirtyState();
+        this.restoreDraft();
     }
     
     /**
-     * Updates the overall form validity state
+     * Called when the form is disconnected; drops the unsaved-changes guard
      */
-    updateFormValidity() {
-        this.formState.valid = this.form.checkValidity();
-        
-        // Update ARIA attributes based on form state
-        if (this.formState.hasValidationErrors) {
-            this.form.setAttribute('aria-invalid', 'true');
-        } else {
-            this.form.removeAttribute('aria-invalid');
-        }
+    disconnectedCallback() {
+        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        clearTimeout(this.draftSaveTimer);
     }
     
     /**
-     * Handles validation errors and announces them to screen readers
+     * Gets the storage used for drafts from the `persist` attribute
+     * @returns {Storage|null} localStorage, sessionStorage, or null if drafts are off or storage is unavailable
      */
-    handleValidationErrors() {
-        this.formState.hasValidationErrors = true;
-        this.formState.valid = false;
-        
-        // Collect all error messages
-        const errorMessages = Array.from(this.formState.errors.values());
-        
-        if (errorMessages.length > 0) {
-            const errorText = `Form has ${errorMessages.length} validation error${errorMessages.length > 1 ? 's' : ''}: ${errorMessages.join('. ')}`;
-            this.announceToScreenReader(errorText, 'error');
+    getDraftStorage() {
+        const persist = this.getAttribute('persist');
+        try {
+            if (persist === 'local') return window.localStorage;
+            if (persist === 'session') return window.sessionStorage;
+        } catch (error) {
+            // Storage access throws when blocked (e.g. sandboxed iframes)
         }
-        
-        this.updateLiveRegion();
+        return null;
     }
     
     /**
-     * Updates the live region with current form state
+     * Gets the key the draft is stored under: the `persist-key` attribute, falling back
+     * to the form's id or the page path
+     * @returns {string} The storage key
      */
-    updateLiveRegion() {
-        if (this.formState.errors.size === 0) {
-            this.clearLiveRegion();
-            return;
-        }
-        
-        const errorMessages = Array.from(this.formState.errors.values());
-        const errorText = errorMessages.join('. ');
-        
-        this.liveRegion.textContent = errorText;
-        this.liveRegion.setAttribute('data-type', 'error');
-        this.liveRegion.hidden = false;
+    get draftKey() {
+        return this.getAttribute('persist-key') || `ds-form-draft:${this.id || window.location.pathname}`;
     }
     
     /**
-     * Clears the live region
+     * Checks whether a control must never be written to a draft: it or an ancestor
+     * has `persist-exclude`, or it is a password field.
+     * @param {HTMLElement} control - The control
+     * @returns {boolean} True if the control is excluded
      */
-    clearLiveRegion() {
-        this.liveRegion.textContent = '';
-        this.liveRegion.hidden = true;
-        this.liveRegion.removeAttribute('data-type');
+    isPersistExcluded(control) {
+        return control.type === 'password' || !!control.closest('[persist-exclude]');
     }
     
     /**
-     * Announces a message to screen readers
-     * @param {string} message - The message to announce
-     * @param {string} type - The type of message (error, success, info)
+     * Saves the draft after input settles
      */
-    announceToScreenReader(message, type = 'info') {
-        this.liveRegion.textContent = message;
-        this.liveRegion.setAttribute('data-type', type);
-        this.liveRegion.hidden = false;
+    scheduleDraftSave() {
+        if (!this.getDraftStorage()) return;
         
-        // Hide the message after a delay
-        setTimeout(() => {
-            this.clearLiveRegion();
-        }, 5000);
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => {
+            this.draftSaveTimer = null;
+            this.saveDraft();
+        }, DRAFT_SAVE_DELAY);
     }
     
-    // Form attribute accessors
-    get action() { return this.form.action; }
-    set action(val) { this.form.action = val; }
-    
-    get method() { return this.form.method; }
-    set method(val) { this.form.method = val; }
-    
-    get enctype() { return this.form.enctype; }
-    set enctype(val) { this.form.enctype = val; }
-    
-    get target() { return this.form.target; }
-    set target(val) { this.form.target = val; }
-    
-    get novalidate() { return this.form.hasAttribute('novalidate'); }
-    set novalidate(val) { 
-        if (val) {
-            this.form.setAttribute('novalidate', '');
-        } else {
-            this.form.removeAttribute('novalidate');
+    /**
+     * Writes the current values, minus excluded fields, to storage
+     * @returns {boolean} True if the draft was saved
+     */
+    saveDraft() {
+        const storage = this.getDraftStorage();
+        if (!storage) return false;
+        
+        const entries = this.getFieldEntries().filter(entry => !this.isPersistExcluded(entry.control));
+        const draft = {
+            values: buildNestedObject(entries),
+            savedAt: Date.now()
+        };
+        
+        try {
+            storage.setItem(this.draftKey, JSON.stringify(draft));
+            return true;
+        } catch (error) {
+            console.warn(`[${this.constructor.name}] Could not save form draft: ${error.message}`);
+            return false;
         }
     }
     
-    get autocomplete() { return this.form.autocomplete; }
-    set autocomplete(val) { this.form.autocomplete = val; }
-    
-    // ARIA property accessors
-    get ariaLabel() { 
-        const value = this.form.getAttribute('aria-label');
-        return value === null ? null : value;
-    }
-    set ariaLabel(val) { 
-        if (val === null || val === undefined) {
-            this.form.removeAttribute('aria-label');
-        } else {
-            this.form.setAttribute('aria-label', val);
+    /**
+     * Populates the controls from a saved draft and fires `ds-draft-restored`.
+     * If no controls are slotted yet, the draft is restored when they arrive.
+     * @returns {boolean} True if a draft was restored
+     */
+    restoreDraft() {
+        const storage = this.getDraftStorage();
+        if (!storage) return false;
+        
+        if (this.getFormControls().length === 0) {
+            this.draftRestorePending = true;
+            return false;
         }
+        this.draftRestorePending = false;
+        
+        let draft = null;
+        try {
+            draft = JSON.parse(storage.getItem(this.draftKey));
+        } catch (error) {
+            // A corrupt draft is treated as no draft
+        }
+        if (!draft || typeof draft.values !== 'object' || draft.values === null) return false;
+        
+        this.setValues(draft.values);
+        this.dispatchEvent(new CustomEvent('ds-draft-restored', {
+            bubbles: true,
+            composed: true,
+            detail: {
+                key: this.draftKey,
+                values: draft.values,
+                savedAt: draft.savedAt ? new Date(draft.savedAt) : null
+            }
+        }));
+        return true;
     }
     
-    get ariaDescribedBy() { 
-        const value = this.form.getAttribute('aria-describedby');
-        return value === null ? null : value;
-    }
-    set ariaDescribedBy(val) { 
-        if (val === null || val === undefined) {
-            this.form.removeAttribute('aria-describedby');
-        } else {
-            this.form.setAttribute('aria-describedby', val);
+    /**
+     * Removes the saved draft and cancels a pending save
+     */
+    clearDraft() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = null;
+        
+        const storage = this.getDraftStorage();
+        if (!storage) return;
+        
+        try {
+            storage.removeItem(this.draftKey);
+        } catch (error) {
+            // Nothing to clear if storage is unavailable
         }
     }
     
-    get ariaLabelledBy() { 
-        const value = this.form.getAttribute('aria-labelledby');
-        return value === null ? null : value;
-    }
-    set ariaLabelledBy(val) { 
-        if (val === null || val === undefined) {
-            this.form.removeAttribute('aria-labelledby');
-        } else {
-            this.form.setAttribute('aria-labelledby', val);
+    /**
+     * Gets a comparable snapshot of a control's current value
+     * @param {HTMLElement} control - The control
+     * @returns {string|boolean} Checked state for checkboxes and radios, otherwise the value
+     */
+    getValueSnapshot(control) {
+        if (this.isCheckable(control)) {
+            return control.checked === true;
         }
+        
+        const select = this.getSelectElement(control);
+        if (select && select.multiple) {
+            return Array.from(select.selectedOptions, option => option.value).join('\n');
+        }
+        
+        return String(control.value ?? '');
     }
     
     /**
-     * Submits the form programmatically
+     * Records the current value of controls that have no initial value yet,
+     * e.g. controls slotted in after the form connected
      */
-    submit() {
-        this.form.submit();
+    captureInitialValues() {
+        this.getFormControls().forEach(control => {
+            if (!this.initialValues.has(control)) {
+                this.initialValues.set(control, this.getValueSnapshot(control));
+            }
+        });
     }
     
     /**
-     * Resets the form programmatically
+     * Treats the current values as the new initial values and clears touched state,
+     * e.g. after the data has been saved
      */
-    reset() {
+    markPristine() {
+        this.initialValues = new WeakMap();
+        this.touchedControls = new WeakSet();
+        this.getFormControls().forEach(control => control.removeAttribute('touched'));
+        this.captureInitialValues();
+        this.updateDirtyState();
+    }
+    
+    /**
+     * Resolves a field name or control to the controls it refers to
+     * @param {string|HTMLElement} field - A field name or control
+     * @returns {Array<HTMLElement>} The matching controls
+     */
+    resolveFieldControls(field) {
+        if (typeof field !== 'string') return field ? [field] : [];
+        return this.getFormControls().filter(control => this.getControlName(control) === field);
+    }
+    
+    /**
+     * Checks whether a field's value differs from its initial value
+     * @param {string|HTMLElement} field - A field name or control
+     * @returns {boolean} True if any matching control changed
+     */
+    isFieldDirty(field) {
+        return this.resolveFieldControls(field).some(control =>
+            this.initialValues.has(control) && this.initialValues.get(control) !== this.getValueSnapshot(control));
+    }
+    
+    /**
+     * Checks whether a field has lost focus at least once
+     * @param {string|HTMLElement} field - A field name or control
+     * @returns {boolean} True if any matching control was touched
+     */
+    isFieldTouched(field) {
+        return this.resolveFieldControls(field).some(control => this.touchedControls.has(control));
+    }
+    
+    /**
+     * Whether any field differs from its initial value
+     * @returns {boolean} True if the form has unsaved changes
+     */
+    get dirty() {
+        return this.formState.dirty;
+    }
+    
+    /**
+     * Whether no field differs from its initial value
+     * @returns {boolean} True if the form is unchanged
+     */
+    get pristine() {
+        return !this.formState.dirty;
+    }
+    
+    /**
+     * Whether any field has lost focus at least once
+     * @returns {boolean} True if the form was touched
+     */
+    get touched() {
+        return this.formState.touched;
+    }
+    
+    /**
+     * Marks a control as touched when focus leaves it
+     * @param {FocusEvent} event - The focusout event
+     */
+    handleFocusOut(event) {
+        const control = event.target;
+        if (!control || !control.matches || !control.matches(FORM_CONTROL_SELECTOR)) return;
+        
+        this.touchedControls.add(control);
+        control.setAttribute('touched', '');
+        this.updateDirtyState();
+    }
+    
+    /**
+     * Recomputes dirty, touched and pristine, reflects them as attributes on the form
+     * and its controls, and fires `ds-dirty-change` when the form's dirty state flips
+     */
+    updateDirtyState() {
+        const wasDirty = this.formState.dirty;
+        let dirty = false;
+        let touched = false;
+        
+        this.captureInitialValues();
+        this.getFormControls().forEach(control => {
+            const fieldDirty = this.isFieldDirty(control);
+            control.toggleAttribute('dirty', fieldDirty);
+            dirty = dirty || fieldDirty;
+            touched = touched || this.touchedControls.has(control);
+        });
+        
+        this.formState.dirty = dirty;
+        this.formState.touched = touched;
+        this.formState.pristine = !dirty;
+        
+        this.toggleAttribute('dirty', dirty);
+        this.toggleAttribute('pristine', !dirty);
+        this.toggleAttribute('touched', touched);
+        this.updateUnloadGuard();
+        
+        if (dirty !== wasDirty) {
+            this.dispatchEvent(new CustomEvent('ds-dirty-change', {
+                bubbles: true,
+                composed: true,
+                detail: { dirty }
+            }));
+        }
+    }
+    
+    /**
+     * Listens for `beforeunload` only while `warn-unsaved` is set and the form is dirty,
+     * so clean pages stay eligible for the back/forward cache
+     */
+    updateUnloadGuard() {
+        if (this.isConnected && this.hasAttribute('warn-unsaved') && this.formState.dirty) {
+            window.addEventListener('beforeunload', this.handleBeforeUnload);
+        } else {
+            window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        }
+    }
+    
+    /**
+     * Asks the browser to confirm leaving the page while there are unsaved changes
+     * @param {BeforeUnloadEvent} event - The beforeunload event
+     */
+    handleBeforeUnload(event) {
+        if (!this.hasAttribute('warn-unsaved') || !this.formState.dirty) return;
+        event.preventDefault();
+        // Older browsers only show the prompt when returnValue is set
+        event.returnValue = '';
+    }
+    
+    /**
+     * Revalidates a field and every field whose cross-field rules depend on it
+     * @param {HTMLElement} control - The control that changed
+     */
+    revalidateField(control) {
+        if (!control || !control.matches || !control.matches(FORM_CONTROL_SELECTOR)) return;
+        
+        const values = this.getFieldValues();
+        this.validateInput(control, values);
+        this.getDependentControls(control).forEach(dependent => {
+            this.validateInput(dependent, values);
+        });
+    }
+    
+    /**
+     * Gets every form control inside the form
+     * @param {Element} [scope] - Only return controls inside this element (e.g. a fieldset)
+     * @returns {Array<HTMLElement>} Native and design system controls
+     */
+    getFormControls(scope = this) {
+        return Array.from(scope.querySelectorAll(FORM_CONTROL_SELECTOR));
+    }
+    
+    /**
+     * Gets the field name of a control
+     * @param {HTMLElement} control - The control
+     * @returns {string} The control's name, or an empty string
+     */
+    getControlName(control) {
+        return control.name || control.getAttribute('name') || '';
+    }
+    
+    /**
+     * Checks whether a control is a checkbox or radio
+     * @param {HTMLElement} control - The control
+     * @returns {boolean} True for native and design system checkboxes and radios
+     */
+    isCheckable(control) {
+        const tag = control.tagName.toLowerCase();
+        return control.type === 'checkbox' || control.type === 'radio' || tag === 'ds-checkbox' || tag === 'ds-radio';
+    }
+    
+    /**
+     * Gets the value a control is validated against. Unchecked checkboxes and
+     * radio groups without a selection are treated as empty.
+     * @param {HTMLElement} control - The control
+     * @returns {string} The control's value
+     */
+    getControlValue(control) {
+        if (!this.isCheckable(control)) {
+            return control.value === undefined || control.value === null ? '' : String(control.value);
+        }
+        
+        const tag = control.tagName.toLowerCase();
+        const name = this.getControlName(control);
+        const isRadio = control.type === 'radio' || tag === 'ds-radio';
+        const group = isRadio && name
+            ? this.getFormControls().filter(other => this.isCheckable(other) && this.getControlName(other) === name)
+            : [control];
+        const checked = group.find(item => item.checked === true);
+        return checked ? String(checked.value || 'on') : '';
+    }
+    
+    /**
+     * Adds a validation rule for a field, in addition to the rules declared by its attributes
+     * @param {string} fieldName - The name of the field
+     * @param {Object} rule - `{ name, param, message }` for a registered rule, or `{ validate, message }` for an inline one
+     */
+    addRule(fieldName, rule) {
+        if (!this.rules.has(fieldName)) {
+            this.rules.set(fieldName, []);
+        }
+        this.rules.get(fieldName).push(rule);
+    }
+    
+    /**
+     * Removes every rule added with addRule() for a field
+     * @param {string} fieldName - The name of the field
+     */
+    removeRules(fieldName) {
+        this.rules.delete(fieldName);
+    }
+    
+    /**
+     * Collects the rules that apply to a control: constraint attributes, `type="email"`,
+     * names listed in `data-validate` (as `rule` or `rule:param`) and rules from addRule()
+     * @param {HTMLElement} control - The control
+     * @returns {Array<Object>} Resolved rules with validate function and message
+     */
+    getRulesFor(control) {
+        const rules = [];
+        
+        ATTRIBUTE_RULES.forEach(name => {
+            if (control.hasAttribute(name)) {
+                rules.push({ name, param: control.getAttribute(name) });
+            }
+        });
+        
+        if ((control.getAttribute('type') || control.type) === 'email') {
+            rules.push({ name: 'email' });
+        }
+        
+        (control.getAttribute('data-validate') || '').split(/\s+/).filter(Boolean).forEach(token => {
+            const [name, ...param] = token.split(':');
+            rules.push({ name, param: param.length ? param.join(':') : null });
+        });
+        
+        rules.push(...(this.rules.get(this.getControlName(control)) || []));
+        
+        return rules.map(rule => this.resolveRule(control, rule)).filter(Boolean);
+    }
+    
+    /**
+     * Resolves a rule declaration against the validator registry
+     * @param {HTMLElement} control - The control the rule applies to
+     * @param {Object} rule - The rule declaration
+     * @returns {Object|null} The resolved rule, or null if the rule is unknown
+     */
+    resolveRule(control, rule) {
+        if (typeof rule.validate === 'function') {
+            return {
+                name: rule.name || 'custom',
+                param: rule.param ?? null,
+                validate: rule.validate,
+                message: rule.message || 'This field is invalid',
+                crossField: !!rule.crossField,
+                async: !!rule.async,
+                debounce: rule.debounce
+            };
+        }
+        
+        const validator = getValidator(rule.name);
+        if (!validator) {
+            if (!this.warnedRules.has(rule.name)) {
+                this.warnedRules.add(rule.name);
+                console.warn(`[${this.constructor.name}] Unknown validation rule '${rule.name}'`);
+            }
+            return null;
+        }
+        
+        return {
+            name: rule.name,
+            param: rule.param ?? null,
+            validate: validator.validate,
+            message: control.getAttribute(`data-error-${rule.name}`) || rule.message || validator.message,
+            crossField: validator.crossField || !!rule.crossField,
+            async: validator.async || !!rule.async,
+            debounce: rule.debounce ?? validator.debounce
+        };
+    }
+    
+    /**
+     * Gets controls whose cross-field rules reference the given control
+     * @param {HTMLElement} control - The control that changed
+     * @returns {Array<HTMLElement>} Dependent controls
+     */
+    getDependentControls(control) {
+        const name = this.getControlName(control);
+        if (!name) return [];
+        
+        return this.getFormControls().filter(other => other !== control &&
+            this.getRulesFor(other).some(rule => rule.crossField && rule.param === name));
+    }
+    
+    /**
+     * Runs a control's rules and returns the first failure
+     * @param {HTMLElement} control - The control to check
+     * @param {Object} values - All form values keyed by field name
+     * @returns {{rule: string, message: string}|null} The failed rule, or null if the control is valid
+     */
+    runRules(control, values) {
+        const value = this.getControlValue(control);
+        const context = { control, values, form: this };
+        
+        for (const rule of this.getRulesFor(control)) {
+            // Asynchronous rules run separately through scheduleAsyncValidation()
+            if (rule.async) continue;
+            
+            // Empty optional fields only have to satisfy required and cross-field rules
+            if (value === '' && rule.name !== 'required' && !rule.crossField) continue;
+            
+            if (!rule.validate(value, rule.param, context)) {
+                return {
+                    rule: rule.name,
+                    message: formatValidationMessage(rule.message, rule.param, context)
+                };
+            }
+        }
+        
+        // Native controls may still fail constraints the registry does not model (e.g. type="url")
+        const isNative = !control.tagName.toLowerCase().startsWith('ds-');
+        if (isNative && control.checkValidity && !control.checkValidity()) {
+            return { rule: 'native', message: control.validationMessage || 'This field is invalid' };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Validates every control in the form and updates the error state
+     * @param {Element} [scope] - Only validate controls inside this element; errors elsewhere are kept
+     * @returns {{valid: boolean, errors: Array<{name: string, control: HTMLElement, rule: string, message: string}>}} The validation result
+     */
+    validate(scope) {
+        const values = this.getFieldValues();
+        const controls = this.getFormControls(scope);
+        const errors = [];
+        const radioGroups = new Set();
+        
+        if (scope) {
+            controls.forEach(control => this.formState.errors.delete(control));
+        } else {
+            this.formState.errors.clear();
+        }
+        
+        controls.forEach(control => {
+            const name = this.getControlName(control);
+            
+            // Validate each radio group once
+            if (name && (control.type === 'radio' || control.tagName.toLowerCase() === 'ds-radio')) {
+                if (radioGroups.has(name)) return;
+                radioGroups.add(name);
+            }
+            
+            const failure = this.runRules(control, values);
+            if (failure) {
+                this.formState.errors.set(control, failure.message);
+                errors.push({ name, control, ...failure });
+            }
+        });
+        
+        this.formState.hasValidationErrors = this.formState.errors.size > 0;
+        this.updateFormValidity();
+        this.updateErrorDisplay();
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Validates a single input element
+     * @param {HTMLElement} input - The input element to validate
+     * @param {Object} [values] - All form values keyed by field name
+     * @returns {boolean} True if the input is valid
+     */
+    validateInput(input, values = this.getFieldValues()) {
+        const failure = this.runRules(input, values);
+        this.applyValidationResult(input, failure);
+        return !failure;
+    }
+    
+    /**
+     * Records the outcome of validating a control and refreshes the error display
+     * @param {HTMLElement} control - The validated control
+     * @param {{rule: string, message: string}|null} failure - The failed rule, or null if valid
+     */
+    applyValidationResult(control, failure) {
+        if (failure) {
+            this.formState.errors.set(control, failure.message);
+        } else {
+            this.formState.errors.delete(control);
+        }
+        
+        this.formState.hasValidationErrors = this.formState.errors.size > 0;
+        this.updateFormValidity();
+        this.updateErrorDisplay();
+    }
+    
+    /**
+     * Gets the default debounce delay for asynchronous rules from the
+     * `validation-debounce` attribute (milliseconds, defaults to 300)
+     * @returns {number} The debounce delay
+     */
+    get validationDebounce() {
+        const value = parseInt(this.getAttribute('validation-debounce'), 10);
+        return Number.isNaN(value) ? 300 : value;
+    }
+    
+    /**
+     * Whether any asynchronous check is still running
+     * @returns {boolean} True while at least one field is pending
+     */
+    get pending() {
+        return this.asyncValidations.size > 0;
+    }
+    
+    /**
+     * Checks whether a control has an asynchronous check in flight
+     * @param {HTMLElement} control - The control
+     * @returns {boolean} True if the control is pending
+     */
+    isFieldPending(control) {
+        return this.asyncValidations.has(control);
+    }
+    
+    /**
+     * Gets the asynchronous rules that apply to a control
+     * @param {HTMLElement} control - The control
+     * @returns {Array<Object>} Resolved asynchronous rules
+     */
+    getAsyncRulesFor(control) {
+        return this.getRulesFor(control).filter(rule => rule.async);
+    }
+    
+    /**
+     * Checks whether any control in the form has asynchronous rules
+     * @param {Element} [scope] - Only check controls inside this element
+     * @returns {boolean} True if at least one asynchronous rule applies
+     */
+    hasAsyncRules(scope) {
+        return this.getFormControls(scope).some(control => this.getAsyncRulesFor(control).length > 0);
+    }
+    
+    /**
+     * Schedules a control's asynchronous rules if its synchronous rules pass
+     * @param {HTMLElement} control - The control that changed
+     */
+    queueAsyncValidation(control) {
+        if (!control || !control.matches || !control.matches(FORM_CONTROL_SELECTOR)) return;
+        if (!this.getAsyncRulesFor(control).length) return;
+        
+        // No point asking the server about a value that already fails locally
+        if (this.runRules(control, this.getFieldValues())) {
+            this.cancelAsyncValidation(control);
+            return;
+        }
+        
+        this.scheduleAsyncValidation(control).catch(error => {
+            console.warn(`[${this.constructor.name}] Async validation failed: ${error.message}`);
+        });
+    }
+    
+    /**
+     * Runs a control's asynchronous rules after the debounce delay. A newer call for
+     * the same control aborts this one, and its result is ignored.
+     * @param {HTMLElement} control - The control to check
+     * @param {Object} [options] - Scheduling options
+     * @param {boolean} [options.immediate=false] - Skip the debounce delay
+     * @returns {Promise<{rule: string, message: string}|null>} The failed rule, or null if valid or superseded.
+     * Rejects, and clears the pending state, if the check itself throws.
+     */
+    scheduleAsyncValidation(control, { immediate = false } = {}) {
+        this.cancelAsyncValidation(control);
+        
+        const rules = this.getAsyncRulesFor(control);
+        if (!rules.length) return Promise.resolve(null);
+        
+        const delay = immediate ? 0 : Math.max(...rules.map(rule => rule.debounce ?? this.validationDebounce));
+        const controller = new AbortController();
+        const entry = { controller, timer: null, resolve: null, promise: null };
+        
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.timer = setTimeout(async () => {
+                const value = this.getControlValue(control);
+                let failure;
+                try {
+                    failure = await this.runAsyncRules(control, this.getFieldValues(), controller.signal);
+                } catch (error) {
+                    if (controller.signal.aborted) return;
+                    this.asyncValidations.delete(control);
+                    this.setFieldPending(control, false);
+                    reject(error);
+                    return;
+                }
+                
+                // A newer check for this control has taken over
+                if (controller.signal.aborted) return;
+                
+                this.asyncValidations.delete(control);
+                this.asyncResults.set(control, { value, failure });
+                this.setFieldPending(control, false);
+                this.applyValidationResult(control, failure);
+                resolve(failure);
+            }, delay);
+        });
+        
+        this.asyncValidations.set(control, entry);
+        this.setFieldPending(control, true);
+        
+        return entry.promise;
+    }
+    
+    /**
+     * Cancels a control's pending asynchronous check
+     * @param {HTMLElement} control - The control
+     */
+    cancelAsyncValidation(control) {
+        const entry = this.asyncValidations.get(control);
+        if (!entry) return;
+        
+        clearTimeout(entry.timer);
+        entry.controller.abort();
+        entry.resolve(null);
+        this.asyncValidations.delete(control);
+        this.setFieldPending(control, false);
+    }
+    
+    /**
+     * Runs a control's asynchronous rules in order and returns the first failure
+     * @param {HTMLElement} control - The control to check
+     * @param {Object} values - All form values keyed by field name
+     * @param {AbortSignal} signal - Aborted when the check is superseded
+     * @returns {Promise<{rule: string, message: string}|null>} The failed rule, or null if valid
+     */
+    async runAsyncRules(control, values, signal) {
+        const value = this.getControlValue(control);
+        const context = { control, values, form: this, signal };
+        
+        for (const rule of this.getAsyncRulesFor(control)) {
+            if (value === '' && !rule.crossField) continue;
+            
+            let valid;
+            try {
+                valid = await rule.validate(value, rule.param, context);
+            } catch (error) {
+                // A failed round trip should not block the user; the server validates again
+                if (!signal.aborted) {
+                    console.warn(`[${this.constructor.name}] Async validation rule '${rule.name}' failed: ${error.message}`);
+                }
+                valid = true;
+            }
+            
+            if (signal.aborted) return null;
+            
+            if (!valid) {
+                return {
+                    rule: rule.name,
+                    message: formatValidationMessage(rule.message, rule.param, context)
+                };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Reflects a control's pending state as `aria-busy` and a `pending` attribute,
+     * and the form-wide state as a `pending` attribute on the form
+     * @param {HTMLElement} control - The control
+     * @param {boolean} pending - Whether a check is in flight
+     */
+    setFieldPending(control, pending) {
+        if (pending) {
+            control.setAttribute('aria-busy', 'true');
+            control.setAttribute('pending', '');
+        } else {
+            control.removeAttribute('aria-busy');
+            control.removeAttribute('pending');
+        }
+        this.toggleAttribute('pending', this.pending);
+    }
+    
+    /**
+     * Resolves once no asynchronous checks are in flight, including checks
+     * started while waiting
+     * @returns {Promise<void>}
+     */
+    async waitForPendingValidations() {
+        while (this.asyncValidations.size > 0) {
+            await Promise.all(Array.from(this.asyncValidations.values(), entry => entry.promise));
+        }
+    }
+    
+    /**
+     * Validates every control, including asynchronous rules. Checks already in flight
+     * are awaited and results for unchanged values are reused.
+     * @param {Element} [scope] - Only validate controls inside this element
+     * @returns {Promise<{valid: boolean, errors: Array<{name: string, control: HTMLElement, rule: string, message: string}>}>} The validation result
+     */
+    async validateAsync(scope) {
+        const result = this.validate(scope);
+        const failed = new Set(result.errors.map(error => error.control));
+        const asyncControls = this.getFormControls(scope).filter(control =>
+            !failed.has(control) && this.getAsyncRulesFor(control).length > 0);
+        
+        asyncControls.forEach(control => {
+            const cached = this.asyncResults.get(control);
+            const isCurrent = cached && cached.value === this.getControlValue(control);
+            if (!this.isFieldPending(control) && !isCurrent) {
+                this.scheduleAsyncValidation(control, { immediate: true });
+            }
+        });
+        
+        await this.waitForPendingValidations();
+        
+        const errors = [...result.errors];
+        asyncControls.forEach(control => {
+            const cached = this.asyncResults.get(control);
+            if (cached && cached.failure) {
+                this.applyValidationResult(control, cached.failure);
+                errors.push({ name: this.getControlName(control), control, ...cached.failure });
+            }
+        });
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Gets the submission mode from the `mode` attribute
+     * @returns {string} `fetch` to submit in the background, otherwise `native`
+     */
+    get mode() {
+        return this.getAttribute('mode') === 'fetch' ? 'fetch' : 'native';
+    }
+    set mode(val) {
+        this.setAttribute('mode', val);
+    }
+    
+    /**
+     * Whether a fetch submission is in flight
+     * @returns {boolean} True while the request runs
+     */
+    get submitting() {
+        return this.activeSubmission !== null;
+    }
+    
+    /**
+     * Completes a submission that passed validation, either natively or with fetch
+     * @param {Event} [event] - The submit event to cancel in fetch mode
+     */
+    completeSubmit(event) {
+        if (this.mode === 'fetch') {
+            if (event) event.preventDefault();
+            this.submitWithFetch();
+            return;
+        }
+        
+        // The browser is navigating away with the data, so don't warn about unsaved changes
+        this.markPristine();
+        this.clearDraft();
+        this.clearLiveRegion();
+        this.announceToScreenReader('Form submitted successfully');
+    }
+    
+    /**
+     * Builds the fetch request for the current field values. `enctype` selects the body
+     * encoding: `application/x-www-form-urlencoded` (default), `multipart/form-data` or
+     * `application/json`. GET requests put the fields in the query string.
+     * @returns {{url: string, init: RequestInit}} The request URL and options
+     */
+    buildSubmitRequest() {
+        const formData = this.getFormData();
+        const method = (this.form.getAttribute('method') || 'get').toUpperCase();
+        const enctype = (this.form.getAttribute('enctype') || 'application/x-www-form-urlencoded').toLowerCase();
+        const url = new URL(this.form.action || window.location.href, document.baseURI);
+        const init = {
+            method,
+            headers: { 'Accept': 'application/json' }
+        };
+        
+        if (method === 'GET' || method === 'HEAD') {
+            new URLSearchParams(formData).forEach((value, key) => url.searchParams.append(key, value));
+        } else if (enctype === 'application/json') {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(this.getFormDataAsObject());
+        } else if (enctype === 'multipart/form-data') {
+            // Let fetch set the multipart boundary
+            init.body = formData;
+        } else {
+            init.body = new URLSearchParams(formData);
+        }
+        
+        return { url: url.toString(), init };
+    }
+    
+    /**
+     * Sends the form with fetch. Fires a cancelable `ds-submit-start` event (listeners may
+     * adjust `detail.init`), then `ds-submit-success` or `ds-submit-error`. Cancelling
+     * either of those skips the built-in announcement and server error mapping.
+     * @returns {Promise<{ok: boolean, response: (Response|null), data: *, error: (Error|null)}|null>} The outcome, or null if the submission did not start
+     */
+    async submitWithFetch() {
+        if (this.submitting) return null;
+        
+        const { url, init } = this.buildSubmitRequest();
+        const start = this.dispatchSubmitEvent('ds-submit-start', { url, init, formData: this.getFormData() });
+        if (start.defaultPrevented) return null;
+        
+        const controller = new AbortController();
+        this.activeSubmission = controller;
+        this.setSubmitting(true);
+        
+        let outcome;
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            const data = await this.parseResponse(response);
+            outcome = { ok: response.ok, response, data, error: null };
+        } catch (error) {
+            outcome = { ok: false, response: null, data: null, error };
+        } finally {
+            this.activeSubmission = null;
+            this.setSubmitting(false);
+        }
+        
+        if (outcome.ok) {
+            // The server has the data, so the current values are the saved state
+            this.markPristine();
+            this.clearDraft();
+            const success = this.dispatchSubmitEvent('ds-submit-success', outcome);
+            if (!success.defaultPrevented) {
+                this.clearLiveRegion();
+                this.announceToScreenReader('Form submitted successfully', 'success');
+            }
+        } else {
+            const failure = this.dispatchSubmitEvent('ds-submit-error', outcome);
+            if (!failure.defaultPrevented) {
+                this.handleSubmitError(outcome);
+            }
+        }
+        
+        return outcome;
+    }
+    
+    /**
+     * Aborts an in-flight fetch submission
+     */
+    abortSubmit() {
+        if (this.activeSubmission) {
+            this.activeSubmission.abort();
+        }
+    }
+    
+    /**
+     * Reads a response body as JSON when the server says it is JSON, otherwise as text
+     * @param {Response} response - The fetch response
+     * @returns {Promise<*>} The parsed body
+     */
+    async parseResponse(response) {
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('json')) {
+            try {
+                return await response.json();
+            } catch (error) {
+                return null;
+            }
+        }
+        return response.text();
+    }
+    
+    /**
+     * Dispatches a cancelable submission lifecycle event from the host
+     * @param {string} type - The event name
+     * @param {Object} detail - The event detail
+     * @returns {CustomEvent} The dispatched event
+     */
+    dispatchSubmitEvent(type, detail) {
+        const event = new CustomEvent(type, {
+            bubbles: true,
+            composed: true,
+            cancelable: true,
+            detail
+        });
+        this.dispatchEvent(event);
+        return event;
+    }
+    
+    /**
+     * Marks the form busy and disables its submit buttons while a request runs.
+     * Only buttons this form disabled are re-enabled afterwards.
+     * @param {boolean} submitting - Whether a request is running
+     */
+    setSubmitting(submitting) {
+        if (submitting) {
+            this.setAttribute('aria-busy', 'true');
+            this.form.setAttribute('aria-busy', 'true');
+            this.disabledSubmitters = Array.from(this.querySelectorAll(SUBMIT_BUTTON_SELECTOR))
+                .filter(button => !button.hasAttribute('disabled'));
+            this.disabledSubmitters.forEach(button => button.setAttribute('disabled', ''));
+        } else {
+            this.removeAttribute('aria-busy');
+            this.form.removeAttribute('aria-busy');
+            this.disabledSubmitters.forEach(button => button.removeAttribute('disabled'));
+            this.disabledSubmitters = [];
+        }
+    }
+    
+    /**
+     * Shows a failed submission. Field errors in the response body are mapped onto
+     * their controls; anything else is announced as a general error.
+     * @param {{response: (Response|null), data: *, error: (Error|null)}} outcome - The failed submission
+     */
+    handleSubmitError({ data, error }) {
+        if (error) {
+            if (error.name !== 'AbortError') {
+                this.announceToScreenReader('The form could not be sent. Check your connection and try again.', 'error');
+            }
+            return;
+        }
+        
+        const unmatched = this.setServerErrors(data && data.errors);
+        const message = unmatched.join('. ') || (data && typeof data.message === 'string' ? data.message : '');
+        
+        if (this.formState.errors.size === 0) {
+            this.announceToScreenReader(message || 'The form could not be submitted', 'error');
+        } else if (message) {
+            this.announceToScreenReader(message, 'error');
+        }
+    }
+    
+    /**
+     * Shows server-side validation errors on the matching controls. Accepts either
+     * `{ fieldName: message | [messages] }` or `[{ name, message }]` (`field` is
+     * accepted for `name`).
+     * @param {Object|Array<{name: string, message: string}>} errors - Errors keyed by field name
+     * @returns {Array<string>} Messages that did not match a control
+     */
+    setServerErrors(errors) {
+        if (!errors || typeof errors !== 'object') return [];
+        
+        const entries = Array.isArray(errors)
+            ? errors.map(error => [error.name ?? error.field, error.message])
+            : Object.entries(errors);
+        const unmatched = [];
+        
+        entries.forEach(([name, message]) => {
+            const text = Array.isArray(message) ? message.join(' ') : String(message ?? '');
+            if (!text) return;
+            
+            const control = name && this.getFormControls().find(candidate => this.getControlName(candidate) === name);
+            if (control) {
+                this.formState.errors.set(control, text);
+            } else {
+                unmatched.push(text);
+            }
+        });
+        
+        if (this.formState.errors.size > 0) {
+            this.formState.submitted = true;
+            this.handleValidationErrors();
+            this.updateFormValidity();
+        }
+        
+        return unmatched;
+    }
+    
+    /**
+     * Submits the native form again once asynchronous checks have passed
+     */
+    resubmit() {
+        this.submitAfterValidation = true;
+        try {
+            if (typeof this.form.requestSubmit === 'function') {
+                this.form.requestSubmit();
+            } else {
+                this.form.submit();
+            }
+        } finally {
+            this.submitAfterValidation = false;
+        }
+    }
+    
+    /**
+     * Updates the overall form validity state
+     */
+    updateFormValidity() {
+        this.formState.valid = this.form.checkValidity() && !this.formState.hasValidationErrors;
+        
+        // Update ARIA attributes based on form state
+        if (this.formState.hasValidationErrors) {
+            this.form.setAttribute('aria-invalid', 'true');
+        } else {
+            this.form.removeAttribute('aria-invalid');
+        }
+    }
+    
+    /**
+     * Handles validation errors and announces them to screen readers
+     */
+    handleValidationErrors() {
+        this.formState.hasValidationErrors = true;
+        this.formState.valid = false;
+        
+        // Collect all error messages
+        const errorMessages = Array.from(this.formState.errors.values());
+        
+        if (errorMessages.length > 0) {
+            const errorText = `Form has ${errorMessages.length} validation error${errorMessages.length > 1 ? 's' : ''}: ${errorMessages.join('. ')}`;
+            this.announceToScreenReader(errorText, 'error');
+        }
+        
+        this.updateErrorDisplay();
+        
+        // Move focus to the summary so keyboard and screen reader users land on the list of problems
+        if (!this.errorSummary.hidden) {
+            this.errorSummary.focus();
+        }
+    }
+    
+    /**
+     * Refreshes every place errors are shown: the live region, the inline
+     * message of each control and the error summary
+     */
+    updateErrorDisplay() {
+        this.updateLiveRegion();
+        this.updateFieldErrors();
+        this.updateErrorSummary();
+    }
+    
+    /**
+     * Shows each control's error inline. ds-* controls render the message and link it
+     * with aria-describedby; native controls only get aria-invalid.
+     */
+    updateFieldErrors() {
+        this.getFormControls().forEach(control => {
+            const message = this.formState.errors.get(control) || '';
+            
+            if (typeof control.setError === 'function') {
+                if (message !== control.errorMessage) {
+                    control.setError(message);
+                }
+            } else if (message) {
+                control.setAttribute('aria-invalid', 'true');
+            } else {
+                control.removeAttribute('aria-invalid');
+            }
+        });
+    }
+    
+    /**
+     * Lists the current errors at the top of the form once it has been submitted.
+     * Each entry links to its field.
+     */
+    updateErrorSummary() {
+        const list = this.errorSummary.querySelector('.error-summary-list');
+        const title = this.errorSummary.querySelector('.error-summary-title');
+        const errors = Array.from(this.formState.errors.entries());
+        
+        list.textContent = '';
+        
+        if (!this.formState.submitted || errors.length === 0) {
+            title.textContent = '';
+            this.errorSummary.hidden = true;
+            return;
+        }
+        
+        title.textContent = errors.length === 1
+            ? 'There is 1 problem with this form'
+            : `There are ${errors.length} problems with this form`;
+        
+        errors.forEach(([control, message]) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = control.id ? `#${control.id}` : '#';
+            link.setAttribute('part', 'error-summary-link');
+            link.textContent = message;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.focusControl(control);
+            });
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        this.errorSummary.hidden = false;
+    }
+    
+    /**
+     * Moves focus to a control, reaching into the shadow root of ds-* controls
+     * @param {HTMLElement} control - The control to focus
+     */
+    focusControl(control) {
+        const target = control.targetElement || control;
+        if (typeof control.scrollIntoView === 'function') {
+            control.scrollIntoView({ block: 'center' });
+        }
+        target.focus();
+    }
+    
+    /**
+     * Updates the live region with current form state
+     */
+    updateLiveRegion() {
+        if (this.formState.errors.size === 0) {
+            this.clearLiveRegion();
+            return;
+        }
+        
+        const errorMessages = Array.from(this.formState.errors.values());
+        const errorText = errorMessages.join('. ');
+        
+        this.liveRegion.textContent = errorText;
+        this.liveRegion.setAttribute('data-type', 'error');
+        this.liveRegion.hidden = false;
+    }
+    
+    /**
+     * Clears the live region
+     */
+    clearLiveRegion() {
+        this.liveRegion.textContent = '';
+        this.liveRegion.hidden = true;
+        this.liveRegion.removeAttribute('data-type');
+    }
+    
+    /**
+     * Announces a message to screen readers
+     * @param {string} message - The message to announce
+     * @param {string} type - The type of message (error, success, info)
+     */
+    announceToScreenReader(message, type = 'info') {
+        this.liveRegion.textContent = message;
+        this.liveRegion.setAttribute('data-type', type);
+        this.liveRegion.hidden = false;
+        
+        // Hide the message after a delay
+        setTimeout(() => {
+            this.clearLiveRegion();
+        }, 5000);
+    }
+    
+    // Form attribute accessors
+    get action() { return this.form.action; }
+    set action(val) { this.form.action = val; }
+    
+    get method() { return this.form.method; }
+    set method(val) { this.form.method = val; }
+    
+    get enctype() { return this.form.enctype; }
+    set enctype(val) { this.form.enctype = val; }
+    
+    get target() { return this.form.target; }
+    set target(val) { this.form.target = val; }
+    
+    get novalidate() { return this.form.hasAttribute('novalidate'); }
+    set novalidate(val) { 
+        if (val) {
+            this.form.setAttribute('novalidate', '');
+        } else {
+            this.form.removeAttribute('novalidate');
+        }
+    }
+    
+    get autocomplete() { return this.form.autocomplete; }
+    set autocomplete(val) { this.form.autocomplete = val; }
+    
+    // ARIA property accessors
+    get ariaLabel() { 
+        const value = this.form.getAttribute('aria-label');
+        return value === null ? null : value;
+    }
+    set ariaLabel(val) { 
+        if (val === null || val === undefined) {
+            this.form.removeAttribute('aria-label');
+        } else {
+            this.form.setAttribute('aria-label', val);
+        }
+    }
+    
+    get ariaDescribedBy() { 
+        const value = this.form.getAttribute('aria-describedby');
+        return value === null ? null : value;
+    }
+    set ariaDescribedBy(val) { 
+        if (val === null || val === undefined) {
+            this.form.removeAttribute('aria-describedby');
+        } else {
+            this.form.setAttribute('aria-describedby', val);
+        }
+    }
+    
+    get ariaLabelledBy() { 
+        const value = this.form.getAttribute('aria-labelledby');
+        return value === null ? null : value;
+    }
+    set ariaLabelledBy(val) { 
+        if (val === null || val === undefined) {
+            this.form.removeAttribute('aria-labelledby');
+        } else {
+            this.form.setAttribute('aria-labelledby', val);
+        }
+    }
+    
+    /**
+     * Submits the form programmatically. Unlike the native `form.submit()`, this runs
+     * validation and, in fetch mode, sends the request in the background.
+     */
+    submit() {
+        if (typeof this.form.requestSubmit === 'function') {
+            this.form.requestSubmit();
+        } else {
+            this.form.submit();
+        }
+    }
+    
+    /**
+     * Resets the form programmatically
+     */
+    reset() {
+        // The native reset event runs handleFormReset()
         this.form.reset();
-        this.handleFormReset(new Event('reset'));
     }
     
     /**
@@ -501,48 +1844,96 @@ class DsForm extends BaseComponent {
     }
     
     /**
-     * Gets form data as FormData object
-     * @returns {FormData} The form data
+     * Checks whether a control is a checkbox
+     * @param {HTMLElement} control - The control
+     * @returns {boolean} True for native and design system checkboxes
      */
-    getFormData() {
-        const formData = new FormData();
+    isCheckbox(control) {
+        return control.type === 'checkbox' || control.tagName.toLowerCase() === 'ds-checkbox';
+    }
+    
+    /**
+     * Gets the native select behind a native or design system select
+     * @param {HTMLElement} control - The control
+     * @returns {HTMLSelectElement|null} The select, or null for other controls
+     */
+    getSelectElement(control) {
+        const tag = control.tagName.toLowerCase();
+        if (tag === 'select') return control;
+        if (tag === 'ds-select') return control.targetElement || null;
+        return null;
+    }
+    
+    /**
+     * Collects the submitted value of every named control in document order.
+     * Checkbox groups (several checkboxes sharing a name), `select multiple` and
+     * names ending in `[]` are marked as multi-valued.
+     * @param {Object} [options] - Collection options
+     * @param {boolean} [options.coerce=false] - Convert `number`/`range` values to numbers and
+     * lone checkboxes without a `value` attribute to booleans
+     * @returns {Array<{name: string, value: *, multiple: boolean, control: HTMLElement}>} Field entries; `value` is undefined for empty multi-valued fields
+     */
+    getFieldEntries({ coerce = false } = {}) {
+        const controls = this.getFormControls().filter(control => this.getControlName(control));
+        const checkboxCounts = new Map();
+        const entries = [];
         
-        // Get all form controls (native and custom)
-        const formControls = this.querySelectorAll('input, select, textarea, ds-text-input, ds-select, ds-textarea, ds-checkbox, ds-radio');
+        controls.filter(control => this.isCheckbox(control)).forEach(control => {
+            const name = this.getControlName(control);
+            checkboxCounts.set(name, (checkboxCounts.get(name) || 0) + 1);
+        });
         
-        formControls.forEach(control => {
-            const name = control.name || control.getAttribute('name');
-            if (!name) return;
-            
-            let value = '';
-            let isCheckbox = false;
-            let isRadio = false;
-            let isChecked = false;
+        controls.forEach(control => {
+            const name = this.getControlName(control);
             const tag = control.tagName.toLowerCase();
             
-            // Native and custom checkboxes/radios
-            if (control.type === 'checkbox' || tag === 'ds-checkbox') {
-                isCheckbox = true;
-                isChecked = control.checked === true || control.hasAttribute('checked');
-            } else if (control.type === 'radio' || tag === 'ds-radio') {
-                isRadio = true;
-                isChecked = control.checked === true || control.hasAttribute('checked');
+            if (this.isCheckable(control)) {
+                const isCheckbox = this.isCheckbox(control);
+                const multiple = isCheckbox && (name.endsWith('[]') || checkboxCounts.get(name) > 1);
+                // Fall back to the attribute for custom elements that are not yet upgraded
+                const checked = typeof control.checked === 'boolean' ? control.checked : control.hasAttribute('checked');
+                // For custom elements, prefer getAttribute('value')
+                const value = tag.startsWith('ds-')
+                    ? (control.getAttribute('value') ?? control.value ?? 'on')
+                    : (control.value || 'on');
+                
+                if (coerce && isCheckbox && !multiple && !control.hasAttribute('value')) {
+                    entries.push({ name, value: checked, multiple, control });
+                } else if (checked || multiple) {
+                    entries.push({ name, value: checked ? value : undefined, multiple, control });
+                }
+                return;
             }
             
-            if (isCheckbox || isRadio) {
-                if (isChecked) {
-                    // For custom elements, prefer getAttribute('value')
-                    if (tag.startsWith('ds-')) {
-                        value = control.getAttribute('value') ?? control.value ?? 'on';
-                    } else {
-                        value = control.value || 'on';
-                    }
-                    formData.append(name, value);
+            const select = this.getSelectElement(control);
+            if (select && select.multiple) {
+                const selected = Array.from(select.selectedOptions);
+                if (!selected.length) {
+                    entries.push({ name, value: undefined, multiple: true, control });
                 }
-                // If not checked, do not include in form data
-            } else {
-                // For text inputs, selects, textareas, and other custom components
-                value = control.value || '';
+                selected.forEach(option => entries.push({ name, value: option.value, multiple: true, control }));
+                return;
+            }
+            
+            let value = control.value ?? '';
+            if (coerce && (control.type === 'number' || control.type === 'range')) {
+                value = value === '' ? null : Number(value);
+            }
+            entries.push({ name, value, multiple: name.endsWith('[]'), control });
+        });
+        
+        return entries;
+    }
+    
+    /**
+     * Gets form data as FormData object
+     * @returns {FormData} The form data
+     */
+    getFormData() {
+        const formData = new FormData();
+        
+        this.getFieldEntries().forEach(({ name, value }) => {
+            if (value !== undefined) {
                 formData.append(name, value);
             }
         });
@@ -551,18 +1942,87 @@ class DsForm extends BaseComponent {
     }
     
     /**
-     * Gets form data as a plain object
-     * @returns {Object} The form data as key-value pairs
+     * Gets form data as a nested object. Dot and bracket names (`address.city`,
+     * `items[0].qty`, `tags[]`) build nested objects and arrays, and multi-valued
+     * fields become arrays.
+     * @param {Object} [options] - Serialization options
+     * @param {boolean} [options.coerce=false] - Convert number inputs to numbers and lone checkboxes to booleans
+     * @returns {Object} The form data
+     * @example
+     * // <ds-text-input name="address.city" value="Oslo">, two checked <ds-checkbox name="tags">
+     * form.getFormDataAsObject(); // { address: { city: 'Oslo' }, tags: ['news', 'offers'] }
      */
-    getFormDataAsObject() {
-        const formData = this.getFormData();
-        const data = {};
+    getFormDataAsObject(options = {}) {
+        return buildNestedObject(this.getFieldEntries(options));
+    }
+    
+    /**
+     * Gets the current value of every field keyed by its full name, as validation rules see them
+     * @returns {Object<string, string>} Values keyed by field name
+     */
+    getFieldValues() {
+        const values = {};
         
-        for (const [key, value] of formData.entries()) {
-            data[key] = value;
-        }
+        this.getFieldEntries().forEach(({ name, value }) => {
+            if (value !== undefined) {
+                values[name] = String(value);
+            }
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Populates the form's controls from an object shaped like getFormDataAsObject() output.
+     * Fields missing from the object are left untouched.
+     * @param {Object} values - The values to apply
+     */
+    setValues(values) {
+        const occurrences = new Map();
+        
+        this.getFormControls().forEach(control => {
+            const name = this.getControlName(control);
+            if (!name) return;
+            
+            const value = getValueAtPath(values, name);
+            if (value === undefined) return;
+            
+            if (this.isCheckable(control)) {
+                const own = control.getAttribute('value') ?? (control.value || 'on');
+                if (Array.isArray(value)) {
+                    control.checked = value.map(String).includes(own);
+                } else if (typeof value === 'boolean') {
+                    control.checked = value;
+                } else {
+                    control.checked = value !== null && String(value) === own;
+                }
+                return;
+            }
+            
+            const select = this.getSelectElement(control);
+            if (select && select.multiple) {
+                const selected = (Array.isArray(value) ? value : [value]).map(String);
+                Array.from(select.options).forEach(option => {
+                    option.selected = selected.includes(option.value);
+                });
+                if (typeof control.updateFormValue === 'function') {
+                    control.updateFormValue();
+                }
+                return;
+            }
+            
+            // Repeated names take successive array items
+            let fieldValue = value;
+            if (Array.isArray(value)) {
+                const index = occurrences.get(name) || 0;
+                occurrences.set(name, index + 1);
+                fieldValue = value[index];
+            }
+            control.value = fieldValue === null || fieldValue === undefined ? '' : String(fieldValue);
+        });
         
-        return data;
+        this.updateFormValidity();
+        this.updateDirtyState();
     }
     
     // Override validateARIA for form-specific checks
@@ -579,7 +2039,7 @@ class DsForm extends BaseComponent {
         }
         
         // Check for proper form structure
-        const hasFormControls = this.querySelector('input, select, textarea, ds-text-input, ds-select, ds-textarea, ds-checkbox, ds-radio, button[type="submit"]');
+        const hasFormControls = this.querySelector(`${FORM_CONTROL_SELECTOR}, button[type="submit"]`);
         if (!hasFormControls) {
             errors.push('Form should contain form controls');
         }
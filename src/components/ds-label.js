@@ -39,23 +39,9 @@
 import BaseComponent from './base-component.js';
 
 class DsLabel extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-label
-        const ariaConfig = {
-            staticAriaAttributes: {},
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby'],
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
-                
                 :host {
                     display: block;
                 }
@@ -70,61 +56,40 @@ class DsLabel extends BaseComponent {
                 </label>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-label
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: 'label',
             ariaConfig,
-            events: ['click'],
-            observedAttributes: ['for']
+            events: ['click']
         });
         
         this.label = this.shadowRoot.querySelector('label');
     }
     
-    static get observedAttributes() {
-        return ['for', 'aria-label', 'aria-describedby'];
+    static get properties() {
+        return {
+            htmlFor: { attribute: 'for', target: 'htmlFor' },
+            ...BaseComponent.ariaProperties(['aria-label', 'aria-describedby'])
+        };
     }
     
-    attributeChangedCallback(name, oldValue, newValue) {
-        super.attributeChangedCallback(name, oldValue, newValue);
-        if (oldValue === newValue) return;
-        switch (name) {
-            case 'for':
-                this.label.setAttribute('for', newValue || '');
-                break;
-        }
+    static get observedAttributes() {
+        return this.getPropertyAttributes();
     }
     
-    get htmlFor() {
-        return this.label.htmlFor;
-    }
-    set htmlFor(val) {
-        this.label.htmlFor = val;
-    }
-    // ARIA property accessors
-    get ariaLabel() { 
-        const value = this.label.getAttribute('aria-label');
-        return value === null ? null : value;
-    }
-    set ariaLabel(val) { 
-        if (val === null || val === undefined) {
-            this.label.removeAttribute('aria-label');
-        } else {
-            this.label.setAttribute('aria-label', val);
-        }
-    }
-    get ariaDescribedBy() { 
-        const value = this.label.getAttribute('aria-describedby');
-        return value === null ? null : value;
-    }
-    set ariaDescribedBy(val) { 
-        if (val === null || val === undefined) {
-            this.label.removeAttribute('aria-describedby');
-        } else {
-            this.label.setAttribute('aria-describedby', val);
-        }
-    }
     // Override validateARIA for label-specific checks
     validateARIA() {
         const errors = super.validateARIA ? super.validateARIA() : [];
@@ -43,23 +43,9 @@
 import BaseComponent from './base-component.js';
 
 class DsLegend extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-legend
-        const ariaConfig = {
-            staticAriaAttributes: {},
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby'],
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
-                
                 :host {
                     display: block;
                 }
@@ -74,9 +60,21 @@ class DsLegend extends BaseComponent {
                 </legend>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-legend
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: 'legend',
             ariaConfig,
             events: [],
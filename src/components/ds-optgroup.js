@@ -0,0 +1,110 @@
+/**
+ * @file ds-optgroup.js
+ * @summary A custom Web Component that groups `<ds-option>` elements inside a `<ds-select>`.
+ * @description
+ * The `ds-optgroup` component is the design system counterpart of the native `<optgroup>`.
+ * `ds-select` renders it as a native `<optgroup>` (and as a labelled group in searchable
+ * mode), and keeps it in sync when its label, disabled state or options change.
+ *
+ * @element ds-optgroup
+ * @extends BaseComponent
+ *
+ * @attr {string} label - The name of the group, shown above its options.
+ * @attr {boolean} disabled - If present, none of the options in the group can be selected.
+ *
+ * @property {string} label - Gets or sets the name of the group.
+ * @property {boolean} disabled - Gets or sets the disabled state of the group.
+ *
+ * @slot - The `<ds-option>` or `<option>` elements in the group.
+ *
+ * @example
+ * <ds-select name="city">
+ *   <ds-optgroup label="Norway">
+ *     <ds-option value="osl">Oslo</ds-option>
+ *     <ds-option value="bgo">Bergen</ds-option>
+ *   </ds-optgroup>
+ *   <ds-optgroup label="Sweden" disabled>
+ *     <ds-option value="sto">Stockholm</ds-option>
+ *   </ds-optgroup>
+ * </ds-select>
+ */
+import BaseComponent from './base-component.js';
+
+class DsOptgroup extends BaseComponent {
+    static get template() {
+        return `
+            <style>
+                :host {
+                    display: none; /* Rendered by the parent ds-select */
+                }
+            </style>
+            <div>
+                <optgroup part="optgroup">
+                    <slot></slot>
+                </optgroup>
+            </div>
+        `;
+    }
+
+    constructor() {
+        super({
+            targetSelector: 'optgroup',
+            ariaConfig: {
+                staticAriaAttributes: {},
+                dynamicAriaAttributes: [],
+                requiredAriaAttributes: [],
+                referenceAttributes: []
+            },
+            events: [],
+            observedAttributes: ['label', 'disabled']
+        });
+
+        this.optgroup = this.shadowRoot.querySelector('optgroup');
+    }
+
+    static get observedAttributes() {
+        return ['label', 'disabled'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        super.attributeChangedCallback(name, oldValue, newValue);
+        if (oldValue === newValue) return;
+        switch (name) {
+            case 'label':
+                this.optgroup.label = newValue || '';
+                break;
+            case 'disabled':
+                this.optgroup.disabled = this.hasAttribute('disabled');
+                break;
+        }
+    }
+
+    // Reflected so the parent ds-select sees the change
+    get label() {
+        return this.getAttribute('label') || '';
+    }
+    set label(val) {
+        this.setAttribute('label', val);
+    }
+    get disabled() {
+        return this.hasAttribute('disabled');
+    }
+    set disabled(val) {
+        this.toggleAttribute('disabled', !!val);
+    }
+
+    // Override validateARIA for group-specific checks
+    validateARIA() {
+        const errors = super.validateARIA ? super.validateARIA() : [];
+        if (!this.label.trim()) {
+            errors.push('Option group has no label (label attribute required)');
+        }
+        return errors;
+    }
+}
+
+// Register the custom element
+customElements.define('ds-optgroup', DsOptgroup);
+
+// Export for use in other modules
+export default DsOptgroup;
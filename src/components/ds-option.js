@@ -12,10 +12,14 @@
  * @attr {string} value - The value of the option when selected.
  * @attr {boolean} disabled - If present, the option cannot be selected.
  * @attr {boolean} selected - If present, the option is pre-selected.
+ * @attr {string} label - Text shown for the option when the select is closed, and for matching
+ * and typeahead. Defaults to the text content; useful when the option holds richer markup.
  *
- * @property {string} value - Gets or sets the value of the option.
- * @property {boolean} selected - Gets or sets the selected state of the option.
- * @property {boolean} disabled - Gets or sets the disabled state of the option.
+ * @property {string} value - Gets or sets the value of the option (reflected to the attribute).
+ * @property {boolean} selected - Gets or sets the selected state of the option. Inside a
+ * `ds-select` this is the option's current selection in that select.
+ * @property {boolean} disabled - Gets or sets the disabled state of the option (reflected to the attribute).
+ * @property {string} label - Gets or sets the label, falling back to the text content.
  *
  * @fires change - Fired when the option selection changes.
  *
@@ -33,6 +37,9 @@
  * <!-- Disabled option -->
  * <ds-option value="disabled" disabled>Disabled Option</ds-option>
  *
+ * Inside a `ds-select`, changes to the option's attributes and text are picked up by the
+ * select as they happen.
+ *
  * @example
  * <!-- Usage within ds-select -->
  * <ds-select name="category">
@@ -44,22 +51,9 @@
 import BaseComponent from './base-component.js';
 
 class DsOption extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-option
-        const ariaConfig = {
-            staticAriaAttributes: {},
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby'],
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
                 :host {
                     display: none; /* Hidden by default, shown when slotted into select */
                 }
@@ -70,20 +64,32 @@ class DsOption extends BaseComponent {
                 </option>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-option
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: 'option',
             ariaConfig,
             events: [],
-            observedAttributes: ['value', 'disabled', 'selected']
+            observedAttributes: ['value', 'disabled', 'selected', 'label']
         });
         
         this.option = this.shadowRoot.querySelector('option');
     }
     
     static get observedAttributes() {
-        return ['value', 'disabled', 'selected', 'aria-label', 'aria-describedby'];
+        return ['value', 'disabled', 'selected', 'label', 'aria-label', 'aria-describedby'];
     }
     
     attributeChangedCallback(name, oldValue, newValue) {
@@ -99,25 +105,51 @@ class DsOption extends BaseComponent {
             case 'selected':
                 this.option.selected = this.hasAttribute('selected');
                 break;
+            case 'label':
+                if (newValue === null) {
+                    this.option.removeAttribute('label');
+                } else {
+                    this.option.label = newValue;
+                }
+                break;
         }
     }
+    // The native option rendered for this one by the parent ds-select, if any
+    get nativeOption() {
+        const select = this.closest('ds-select');
+        return select && typeof select.getNativeOption === 'function' ? select.getNativeOption(this) : null;
+    }
+    // Reflected so the parent ds-select sees the change
     get value() {
         return this.option.value;
     }
     set value(val) {
-        this.option.value = val;
+        this.setAttribute('value', val);
     }
     get selected() {
-        return this.option.selected;
+        const native = this.nativeOption;
+        return native ? native.selected : this.option.selected;
     }
     set selected(val) {
-        this.option.selected = val;
+        const native = this.nativeOption;
+        if (native) {
+            native.selected = !!val;
+            this.closest('ds-select').updateFormValue();
+        } else {
+            this.option.selected = val;
+        }
     }
     get disabled() {
         return this.option.disabled;
     }
     set disabled(val) {
-        this.option.disabled = val;
+        this.toggleAttribute('disabled', !!val);
+    }
+    get label() {
+        return this.getAttribute('label') ?? this.textContent.replace(/\s+/g, ' ').trim();
+    }
+    set label(val) {
+        this.setAttribute('label', val);
     }
     // ARIA property accessors
     get ariaLabel() { 
@@ -148,8 +180,8 @@ class DsOption extends BaseComponent {
         // Accessible name check: must have text or aria-label
         const optionText = this.textContent.trim();
         const ariaLabel = this.option.getAttribute('aria-label');
-        if (!optionText && !ariaLabel) {
-            errors.push('Option has no accessible name (text or aria-label required)');
+        if (!optionText && !ariaLabel && !this.getAttribute('label')) {
+            errors.push('Option has no accessible name (text, label or aria-label required)');
         }
         return errors;
     }
@@ -39,15 +39,9 @@
 import BaseComponent from './base-component.js';
 
 class DsPage extends BaseComponent {
-    constructor() {
-        super();
-        
-        // Define the template with internal markup and styles
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
-                
                 :host {
                     display: block; /* Custom elements are inline by default */
                     width: 100%;
@@ -68,9 +62,10 @@ class DsPage extends BaseComponent {
                 <slot></slot>
             </main>
         `;
-        
-        // Set up the component with template and no observed attributes
-        this.setupComponent(template, []);
+    }
+    
+    constructor() {
+        super();
         
         // Store reference to the internal container
         this.pageContainer = this.shadowRoot.querySelector('.page-container');
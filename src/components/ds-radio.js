@@ -22,6 +22,8 @@
  * @property {boolean} disabled - Gets or sets the disabled state of the radio button.
  * @property {boolean} readonly - Gets or sets the readonly state of the radio button.
  * @property {boolean} required - Gets or sets the required state of the radio button.
+ * @property {HTMLFormElement|null} form - The form that owns the radio button (read-only).
+ * @property {string} errorMessage - The inline error message shown below the control (set through setError()).
  *
  * @fires change - Fired when the radio button selection changes.
  * @fires focus - Fired when the radio button receives focus.
@@ -45,6 +47,26 @@
 import BaseComponent from './base-component.js';
 
 class DsRadio extends BaseComponent {
+    static get template() {
+        return `
+            <style>
+                :host {
+                    display: inline-block;
+                }
+                
+                .wrapper {
+                    display: flex;
+                    align-items: center;
+                }
+            </style>
+            <div class="wrapper">
+                <input type="radio" id="radio" part="radio">
+                <slot></slot>
+            </div>
+            <div id="error-message" part="error" hidden></div>
+        `;
+    }
+    
     constructor() {
         // ARIA config for ds-radio
         const ariaConfig = {
@@ -64,28 +86,7 @@ class DsRadio extends BaseComponent {
             }
         };
         
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <style>
-                @import url('/src/styles/styles.css');
-                
-                :host {
-                    display: inline-block;
-                }
-                
-                .wrapper {
-                    display: flex;
-                    align-items: center;
-                }
-            </style>
-            <div class="wrapper">
-                <input type="radio" id="radio" part="radio">
-                <slot></slot>
-            </div>
-        `;
-        
         super({
-            template: template.innerHTML,
             targetSelector: 'input[type="radio"]',
             ariaConfig,
             events: ['change', 'focus', 'blur'],
@@ -93,6 +94,19 @@ class DsRadio extends BaseComponent {
         });
         
         this.radio = this.shadowRoot.querySelector('input[type="radio"]');
+        
+        // Keep the submitted value and validity in sync with the native radio button
+        this.radio.addEventListener('change', () => this.updateFormValue());
+        this.radio.addEventListener('change', () => this.uncheckGroupPeers());
+        this.updateFormValue();
+    }
+    
+    /**
+     * Lets the radio button take part in native form submission and validation.
+     * @returns {boolean} Always true.
+     */
+    static get formAssociated() {
+        return true;
     }
     
     /**
@@ -160,6 +174,64 @@ class DsRadio extends BaseComponent {
                 this.radio.id = newValue || '';
                 break;
         }
+        
+        this.updateFormValue();
+    }
+    
+    /**
+     * Pushes the current value and validity to the owning form.
+     * An unchecked radio button contributes nothing to the submission.
+     */
+    updateFormValue() {
+        if (this.radio.checked) {
+            this.setFormValue(this.radio.value || 'on', 'checked');
+        } else {
+            this.setFormValue(null, 'unchecked');
+        }
+        this.setValidityFrom(this.radio);
+    }
+    
+    /**
+     * Restores the checked state from the `checked` attribute when the owning form is reset.
+     */
+    formResetCallback() {
+        this.radio.checked = this.hasAttribute('checked');
+        this.updateFormValue();
+    }
+    
+    /**
+     * Restores the checked state after navigation or browser autofill.
+     * @param {string} state - The previously saved form state.
+     */
+    formStateRestoreCallback(state) {
+        this.radio.checked = state === 'checked';
+        this.updateFormValue();
+    }
+    
+    /**
+     * Unchecks other `ds-radio` elements with the same name. Each native radio lives
+     * in its own shadow root, so the browser cannot group them on its own.
+     */
+    uncheckGroupPeers() {
+        const name = this.getAttribute('name');
+        if (!name || !this.radio.checked) return;
+        
+        const scope = this.internals?.form || this.getRootNode();
+        if (!scope || !scope.querySelectorAll) return;
+        
+        scope.querySelectorAll('ds-radio').forEach(peer => {
+            if (peer !== this && peer.getAttribute('name') === name && peer.checked) {
+                peer.checked = false;
+            }
+        });
+    }
+    
+    /**
+     * Gets the form that owns the radio button.
+     * @returns {HTMLFormElement|null} The owning form, if any.
+     */
+    get form() {
+        return this.internals?.form ?? null;
     }
     
     /**
@@ -176,6 +248,8 @@ class DsRadio extends BaseComponent {
      */
     set checked(val) {
         this.radio.checked = val;
+        this.uncheckGroupPeers();
+        this.updateFormValue();
     }
     
     /**
@@ -192,6 +266,7 @@ class DsRadio extends BaseComponent {
      */
     set value(val) {
         this.radio.value = val;
+        this.updateFormValue();
     }
     
     /**
@@ -207,7 +282,8 @@ class DsRadio extends BaseComponent {
      * @param {string} val - The new name to set.
      */
     set name(val) {
-        this.radio.name = val;
+        // Reflect to the host so the owning form submits under this name
+        this.setAttribute('name', val);
     }
     
     /**
@@ -256,6 +332,7 @@ class DsRadio extends BaseComponent {
      */
     set required(val) {
         this.radio.required = val;
+        this.updateFormValue();
     }
 
     // ARIA property accessors
@@ -41,22 +41,9 @@
 import BaseComponent from './base-component.js';
 
 class DsRow extends BaseComponent {
-    constructor() {
-        // ARIA config for ds-row (none required, but allow aria-label/aria-describedby)
-        const ariaConfig = {
-            staticAriaAttributes: {},
-            dynamicAriaAttributes: [
-                'aria-label',
-                'aria-describedby'
-            ],
-            requiredAriaAttributes: [],
-            referenceAttributes: ['aria-describedby'],
-        };
-        
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
                 :host {
                     display: block; /* Custom elements are inline by default */
                 }
@@ -69,67 +56,49 @@ class DsRow extends BaseComponent {
                 <slot></slot>
             </div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-row (none required, but allow aria-label/aria-describedby)
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+        };
         
         super({
-            template: template.innerHTML,
             targetSelector: '.row-container',
             ariaConfig,
-            events: [],
-            observedAttributes: ['justify-content', 'align-items', 'gap', 'wrap']
+            events: []
         });
         
         this.rowContainer = this.shadowRoot.querySelector('.row-container');
     }
     
-    static get observedAttributes() {
-        return ['justify-content', 'align-items', 'gap', 'wrap', 'aria-label', 'aria-describedby'];
+    static get properties() {
+        return {
+            justifyContent: { target: 'style.justifyContent' },
+            alignItems: { target: 'style.alignItems' },
+            gap: { target: 'style.gap' },
+            wrap: { type: 'boolean', reflect: true },
+            ...BaseComponent.ariaProperties(['aria-label', 'aria-describedby'])
+        };
     }
     
-    attributeChangedCallback(name, oldValue, newValue) {
-        super.attributeChangedCallback(name, oldValue, newValue);
-        if (oldValue === newValue) return;
-        switch (name) {
-            case 'justify-content':
-                this.rowContainer.style.justifyContent = newValue || '';
-                break;
-            case 'align-items':
-                this.rowContainer.style.alignItems = newValue || '';
-                break;
-            case 'gap':
-                this.rowContainer.style.gap = newValue || '';
-                break;
-            case 'wrap':
-                if (this.hasAttribute('wrap')) {
-                    this.rowContainer.style.flexWrap = 'wrap';
-                } else {
-                    this.rowContainer.style.flexWrap = 'nowrap';
-                }
-                break;
-        }
-    }
-    // ARIA property accessors
-    get ariaLabel() { 
-        const value = this.rowContainer.getAttribute('aria-label');
-        return value === null ? null : value;
-    }
-    set ariaLabel(val) { 
-        if (val === null || val === undefined) {
-            this.rowContainer.removeAttribute('aria-label');
-        } else {
-            this.rowContainer.setAttribute('aria-label', val);
-        }
-    }
-    get ariaDescribedBy() { 
-        const value = this.rowContainer.getAttribute('aria-describedby');
-        return value === null ? null : value;
+    static get observedAttributes() {
+        return this.getPropertyAttributes();
     }
-    set ariaDescribedBy(val) { 
-        if (val === null || val === undefined) {
-            this.rowContainer.removeAttribute('aria-describedby');
-        } else {
-            this.rowContainer.setAttribute('aria-describedby', val);
+    
+    propertyChangedCallback(name, oldValue, newValue) {
+        if (name === 'wrap') {
+            this.targetElement.style.flexWrap = newValue ? 'wrap' : 'nowrap';
         }
     }
+
     // Optionally override validateARIA if needed
 }
 
@@ -4,7 +4,13 @@
  * @description
  * The `ds-select` component provides a styled and functional select dropdown.
  * It supports both single and multiple selection, and can work with both native
- * `<option>` elements and custom `<ds-option>` components.
+ * `<option>` elements and custom `<ds-option>` components, optionally grouped in
+ * `<optgroup>` or `<ds-optgroup>`. Options are watched with a MutationObserver, so
+ * adding, removing or editing them updates the select in place.
+ *
+ * For very large lists, options can instead be given as a data array through the `options`
+ * property. The select then renders a custom listbox that only keeps the rows in view in the
+ * DOM, and the native select holds just the selected options for form submission.
  *
  * @element ds-select
  * @extends BaseComponent
@@ -15,19 +21,53 @@
  * @attr {string} name - The name of the select, used when submitting form data.
  * @attr {boolean} multiple - If present, allows multiple options to be selected.
  * @attr {string} size - The number of visible options in the dropdown (for multiple selection).
+ * @attr {boolean} searchable - If present, renders a combobox that filters the options as the user types.
+ * @attr {boolean} rich - If present, renders a custom listbox that keeps the markup of each `ds-option`
+ * (icons, avatars, secondary text) instead of the native dropdown.
+ * @attr {string} placeholder - Placeholder text for the search field in searchable mode, or for the
+ * button in rich mode while nothing is selected.
+ * @attr {number} max-selections - With `multiple`, the most options that can be selected at once.
  *
  * @property {string} value - Gets or sets the currently selected option's value.
  * @property {boolean} disabled - Gets or sets the disabled state of the select.
  * @property {boolean} required - Gets or sets the required state of the select.
  * @property {string} name - Gets or sets the name of the select.
  * @property {boolean} multiple - Gets or sets the multiple selection state.
+ * @property {Array<string>} values - Gets or sets the values of all selected options.
+ * @property {number|null} maxSelections - Gets or sets the selection limit; null means no limit.
  * @property {number} size - Gets or sets the number of visible options.
+ * @property {boolean} searchable - Gets or sets searchable (combobox) mode.
+ * @property {boolean} rich - Gets or sets rich (custom listbox) mode.
+ * @property {Function|null} loadOptions - In searchable mode, an async `(query) => options` hook that
+ * fetches matching options as the user types. Each option is a string or `{value, label, disabled}`.
+ * @property {boolean} expanded - Whether the listbox of searchable or rich mode is open (read-only).
+ * @property {Array<HTMLElement|Object>} options - The option elements (`ds-option` or `option`) in order.
+ * Options from `loadOptions` have no element of their own and are listed as native options. Set it to an
+ * array of strings or `{value, label, disabled, group}` objects to use data options instead of option
+ * elements, or to null to go back to the option elements. Entries without a value are skipped.
+ * @property {Array<HTMLElement|Object>} selectedOptions - The selected option elements, or data options (read-only).
+ * @property {HTMLFormElement|null} form - The form that owns the select (read-only).
+ * @property {string} errorMessage - The inline error message shown below the control (set through setError()).
  *
  * @fires change - Fired when the selection changes.
  * @fires focus - Fired when the select receives focus.
  * @fires blur - Fired when the select loses focus.
  *
- * @slot - Renders `<option>` or `<ds-option>` elements as select options.
+ * @slot - Renders `<option>` or `<ds-option>` elements as select options, optionally grouped in `<optgroup>` or `<ds-optgroup>`.
+ * @slot empty - Shown in searchable mode when no option matches the search (defaults to "No results").
+ *
+ * @csspart select - The native select.
+ * @csspart input - The search field in searchable mode.
+ * @csspart trigger - The button that opens the listbox in rich mode, showing the selected option's label.
+ * @csspart listbox - The popup list of options in searchable and rich mode, and with data options. In rich mode each option
+ * holds a copy of the `ds-option` markup; elements in it with a `part` can be styled with `::part()`.
+ * @csspart option - An option in the listbox; the active option also has the `active` part.
+ * @csspart group - A group of options in the listbox; its heading has the `group-label` part.
+ * @csspart match - The highlighted part of an option label that matches the search.
+ * @csspart empty - The empty state shown when no option matches.
+ * @csspart chips - With `multiple`, the list of selected options shown as chips.
+ * @csspart chip - A selected option; its `chip-remove` button deselects it.
+ * @csspart actions - With `multiple`, the "Select all" (`select-all`) and "Clear" (`clear`) buttons.
  *
  * @example
  * <!-- Basic select with native options -->
@@ -47,51 +87,443 @@
  *
  * @example
  * <!-- Multiple selection select -->
- * <ds-select name="interests" multiple size="4">
+ * <ds-select name="interests" multiple size="4" max-selections="2">
  *   <ds-option value="sports">Sports</ds-option>
  *   <ds-option value="music">Music</ds-option>
  *   <ds-option value="reading">Reading</ds-option>
  *   <ds-option value="travel">Travel</ds-option>
  * </ds-select>
+ *
+ * @example
+ * <!-- Rich options; the label attribute is shown once an option is selected -->
+ * <ds-select name="assignee" rich placeholder="Assign to" aria-label="Assignee">
+ *   <ds-option value="ada" label="Ada Lovelace">
+ *     <img part="avatar" src="ada.png" alt=""> Ada Lovelace <small part="detail">Engineering</small>
+ *   </ds-option>
+ *   <ds-option value="grace" label="Grace Hopper">
+ *     <img part="avatar" src="grace.png" alt=""> Grace Hopper <small part="detail">Research</small>
+ *   </ds-option>
+ * </ds-select>
+ *
+ * @example
+ * <!-- Grouped options -->
+ * <ds-select name="city">
+ *   <ds-optgroup label="Norway">
+ *     <ds-option value="osl">Oslo</ds-option>
+ *     <ds-option value="bgo">Bergen</ds-option>
+ *   </ds-optgroup>
+ *   <ds-optgroup label="Sweden">
+ *     <ds-option value="sto">Stockholm</ds-option>
+ *   </ds-optgroup>
+ * </ds-select>
+ *
+ * @example
+ * <!-- Searchable select with options loaded from a server -->
+ * <ds-select name="user" searchable placeholder="Search users" aria-label="User">
+ *   <span slot="empty">No users found</span>
+ * </ds-select>
+ * <script>
+ *   document.querySelector('ds-select[name="user"]').loadOptions = async query => {
+ *     const response = await fetch(`/api/users?q=${encodeURIComponent(query)}`);
+ *     return (await response.json()).map(user => ({ value: user.id, label: user.name }));
+ *   };
+ * </script>
+ *
+ * @example
+ * <!-- Data options; only the rows in view are rendered -->
+ * <ds-select name="sku" placeholder="Choose a product" aria-label="Product"></ds-select>
+ * <script>
+ *   document.querySelector('ds-select[name="sku"]').options = products.map(product => ({
+ *     value: product.sku,
+ *     label: product.name,
+ *     group: product.category
+ *   }));
+ * </script>
  */
 import BaseComponent from './base-component.js';
 
+/**
+ * Delay before `loadOptions` is called after the user stops typing, in milliseconds
+ * @type {number}
+ */
+const LOAD_OPTIONS_DELAY = 200;
+
+/**
+ * Time after the last key press when typeahead starts a new search, in milliseconds
+ * @type {number}
+ */
+const TYPEAHEAD_DELAY = 500;
+
+/**
+ * Number of options PageUp and PageDown move by in rich mode
+ * @type {number}
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Height of a listbox row with data options, in pixels. Rows have a fixed height so the rows
+ * in view can be worked out from the scroll position.
+ * @type {number}
+ */
+const ROW_HEIGHT = 32;
+
+/**
+ * Listbox height used before it has been laid out, in pixels (its 16rem max-height)
+ * @type {number}
+ */
+const LISTBOX_HEIGHT = 256;
+
+/**
+ * Rows rendered above and below the ones in view with data options
+ * @type {number}
+ */
+const OVERSCAN = 5;
+
+/**
+ * Lower-cases text and strips accents for matching, keeping a map from each folded
+ * character back to its index in the original text
+ * @param {string} text - The text to fold
+ * @returns {{text: string, map: Array<number>}} The folded text and index map
+ */
+function foldText(text) {
+    let folded = '';
+    const map = [];
+    Array.from(text).forEach((char, index) => {
+        const simple = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        folded += simple;
+        for (let i = 0; i < simple.length; i++) map.push(index);
+    });
+    return { text: folded, map };
+}
+
+/**
+ * Checks whether a native option can't be selected, either itself or through its optgroup
+ * @param {HTMLOptionElement} option - The option
+ * @returns {boolean} True when the option or its group is disabled
+ */
+function isOptionDisabled(option) {
+    return option.disabled || (option.parentElement?.tagName === 'OPTGROUP' && option.parentElement.disabled);
+}
+
+/**
+ * Attributes of options and groups that are mirrored to the native select
+ * @type {Array<string>}
+ */
+const OPTION_ATTRIBUTES = ['value', 'label', 'disabled', 'selected'];
+
+/**
+ * Puts nodes in a parent in the given order and removes any others. Nodes already in place
+ * aren't moved, so options keep their selection.
+ * @param {HTMLElement} parent - The parent
+ * @param {Array<HTMLElement>} nodes - The children, in order
+ */
+function placeChildren(parent, nodes) {
+    nodes.forEach((node, index) => {
+        const reference = parent.children[index] || null;
+        if (reference !== node) parent.insertBefore(node, reference);
+    });
+    Array.from(parent.children).slice(nodes.length).forEach(stale => stale.remove());
+}
+
 class DsSelect extends BaseComponent {
-    constructor() {
-        super();
-        
-        // Define the template with internal markup and styles
-        const template = document.createElement('template');
-        template.innerHTML = `
+    static get template() {
+        return `
             <style>
-                @import url('/src/styles/styles.css');
-                
                 :host {
                     display: block;
                 }
                 
                 .wrapper {
                     width: 100%;
+                    position: relative;
+                }
+                
+                [part="input"] {
+                    box-sizing: border-box;
+                    width: 100%;
+                    font: inherit;
+                }
+                
+                [part="trigger"] {
+                    box-sizing: border-box;
+                    width: 100%;
+                    min-height: 2.25em;
+                    padding: var(--ds-spacing-xs, 4px) 2em var(--ds-spacing-xs, 4px) var(--ds-spacing-sm, 8px);
+                    border: 1px solid var(--ds-form-borderColor, #ced4da);
+                    border-radius: var(--ds-form-borderRadius, 4px);
+                    background: var(--ds-color-background, #fff);
+                    position: relative;
+                    cursor: pointer;
+                }
+                
+                [part="trigger"]::after {
+                    content: '';
+                    position: absolute;
+                    right: 0.75em;
+                    top: 50%;
+                    border: 0.3em solid transparent;
+                    border-top-color: currentColor;
+                    transform: translateY(-25%);
+                }
+                
+                [part="trigger"][hidden] {
+                    display: none;
+                }
+                
+                [part="trigger"][data-placeholder] {
+                    color: var(--ds-color-secondary, #6c757d);
+                }
+                
+                [part="trigger"][aria-disabled="true"] {
+                    opacity: 0.65;
+                    cursor: default;
+                }
+                
+                [part="listbox"],
+                [part="empty"] {
+                    position: absolute;
+                    z-index: 10;
+                    left: 0;
+                    right: 0;
+                    margin: 2px 0 0;
+                    padding: var(--ds-spacing-xs, 4px) 0;
+                    background: var(--ds-color-background, #fff);
+                    border: 1px solid var(--ds-form-borderColor, #ced4da);
+                    border-radius: var(--ds-form-borderRadius, 4px);
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+                }
+                
+                [part="listbox"] {
+                    max-height: 16rem;
+                    overflow-y: auto;
+                    list-style: none;
+                }
+                
+                [part~="option"] {
+                    padding: var(--ds-spacing-xs, 4px) var(--ds-spacing-sm, 8px);
+                    cursor: pointer;
+                }
+                
+                .virtual [part~="option"],
+                .virtual [part="group-label"] {
+                    box-sizing: border-box;
+                    height: 32px;
+                    overflow: hidden;
+                    white-space: nowrap;
+                    text-overflow: ellipsis;
+                }
+                
+                [part~="option"] img {
+                    vertical-align: middle;
+                    max-height: 1.5em;
+                }
+                
+                [part~="option"][aria-selected="true"] {
+                    font-weight: bold;
+                }
+                
+                [part~="option"][aria-disabled="true"] {
+                    opacity: 0.5;
+                    cursor: default;
+                }
+                
+                [part~="active"] {
+                    background: var(--ds-color-primary, #007bff);
+                    color: var(--ds-color-background, #fff);
+                }
+                
+                [part="group"] {
+                    padding: 0;
+                    list-style: none;
+                }
+                
+                [part="group-label"] {
+                    padding: var(--ds-spacing-xs, 4px) var(--ds-spacing-sm, 8px);
+                    font-weight: bold;
+                    font-size: 0.875em;
+                }
+                
+                [part="group"] [part~="option"] {
+                    padding-left: var(--ds-spacing-md, 16px);
+                }
+                
+                [part="match"] {
+                    background: none;
+                    color: inherit;
+                    text-decoration: underline;
+                    font-weight: bold;
+                }
+                
+                [part="empty"] {
+                    padding: var(--ds-spacing-sm, 8px);
+                }
+                
+                [part="chips"] {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: var(--ds-spacing-xs, 4px);
+                    margin-bottom: var(--ds-spacing-xs, 4px);
+                }
+                
+                [part="chips"][hidden] {
+                    display: none;
+                }
+                
+                .chip-list {
+                    display: contents;
+                    list-style: none;
+                }
+                
+                [part="chip"] {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: var(--ds-spacing-xs, 4px);
+                    padding: 2px var(--ds-spacing-xs, 4px) 2px var(--ds-spacing-sm, 8px);
+                    border: 1px solid var(--ds-form-borderColor, #ced4da);
+                    border-radius: 999px;
+                    background: var(--ds-color-light, #f8f9fa);
+                }
+                
+                [part="chip-remove"] {
+                    padding: 0 4px;
+                    border: none;
+                    background: none;
+                    font: inherit;
+                    line-height: 1;
+                    cursor: pointer;
+                }
+                
+                [part="actions"] {
+                    display: inline-flex;
+                    gap: var(--ds-spacing-xs, 4px);
+                    margin-left: auto;
+                }
+                
+                .visually-hidden {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    overflow: hidden;
+                    clip: rect(0 0 0 0);
+                    white-space: nowrap;
                 }
             </style>
             <div class="wrapper">
-                <select id="select" part="select">
+                <div part="chips" hidden>
+                    <ul class="chip-list" aria-label="Selected options"></ul>
+                    <div part="actions">
+                        <button type="button" part="select-all">Select all</button>
+                        <button type="button" part="clear">Clear</button>
+                    </div>
+                </div>
+                <select id="select" part="select"></select>
+                <div class="combobox" hidden>
+                    <input id="input" part="input" type="text" role="combobox" autocomplete="off"
+                        aria-autocomplete="list" aria-expanded="false" aria-controls="listbox">
+                </div>
+                <div id="trigger" part="trigger" role="combobox" tabindex="0" aria-haspopup="listbox"
+                    aria-expanded="false" aria-controls="listbox" hidden></div>
+                <ul id="listbox" part="listbox" role="listbox" hidden></ul>
+                <div part="empty" hidden><slot name="empty">No results</slot></div>
+                <div class="visually-hidden" role="status" aria-live="polite"></div>
+                <div class="options" hidden>
                     <slot></slot>
-                </select>
+                </div>
             </div>
+            <div id="error-message" part="error" hidden></div>
         `;
+    }
+    
+    constructor() {
+        // ARIA config for ds-select
+        const ariaConfig = {
+            staticAriaAttributes: {},
+            dynamicAriaAttributes: [
+                'aria-label',
+                'aria-describedby',
+                'aria-required',
+                'aria-invalid'
+            ],
+            requiredAriaAttributes: [],
+            referenceAttributes: ['aria-describedby'],
+            tokenValidation: {
+                'aria-invalid': ['grammar', 'false', 'spelling', 'true']
+            }
+        };
         
-        // Set up the component with template and observed attributes
-        this.setupComponent(template, ['value', 'disabled', 'required', 'name', 'multiple', 'size']);
+        super({
+            targetSelector: 'select',
+            ariaConfig,
+            events: ['change', 'focus', 'blur'],
+            observedAttributes: ['value', 'disabled', 'required', 'name', 'multiple', 'size', 'searchable', 'rich', 'placeholder', 'max-selections']
+        });
         
         // Store reference to the internal select for attribute changes
         this.select = this.shadowRoot.querySelector('select');
         
-        // Set up event listeners
-        this.setupEventListeners();
+        // Searchable mode: the native select keeps the options and selection, the combobox drives it
+        this.combobox = this.shadowRoot.querySelector('.combobox');
+        this.searchInput = this.shadowRoot.querySelector('[part="input"]');
+        this.listbox = this.shadowRoot.querySelector('[part="listbox"]');
+        this.emptyState = this.shadowRoot.querySelector('[part="empty"]');
+        this.status = this.shadowRoot.querySelector('[role="status"]');
+        this.activeIndex = -1;
+        this.loadRequest = 0;
+        this.loadTimer = null;
+        
+        // Rich mode: a button that opens the listbox, with options rendered from their markup
+        this.trigger = this.shadowRoot.querySelector('[part="trigger"]');
+        this.typeaheadBuffer = '';
+        this.typeaheadTimer = null;
+        
+        // Multiple mode: chips for the selected options and the select all / clear actions
+        this.chips = this.shadowRoot.querySelector('[part="chips"]');
+        this.chipList = this.shadowRoot.querySelector('.chip-list');
+        this.selectAllButton = this.shadowRoot.querySelector('[part="select-all"]');
+        this.clearButton = this.shadowRoot.querySelector('[part="clear"]');
+        this.lastSelection = [];
+        
+        // Native options and groups rendered for each light DOM option element, reused as they change
+        this.nativeOptions = new Map();
+        this.optionSources = new WeakMap();
+        this.optionObserver = new MutationObserver(records => this.handleOptionMutations(records));
+        
+        // Data options: entries set through the options property, and the rows of the windowed listbox
+        this.optionData = null;
+        this.optionValues = new Map();
+        this.dataOptions = new WeakMap();
+        this.virtualList = null;
+        this.virtualStart = 0;
+        
+        // Undo picks beyond max-selections before the change reaches the host
+        this.select.addEventListener('change', event => this.enforceMaxSelections(event), { capture: true });
+        
+        // Keep the submitted value and validity in sync with the native select
+        this.select.addEventListener('change', () => this.updateFormValue());
         
         // Set up slot change listener to handle option projection
         this.setupSlotListener();
+        this.setupCombobox();
+        this.setupTrigger();
+        this.setupChips();
+        this.updateFormValue();
+    }
+    
+    /**
+     * Lets the select take part in native form submission and validation.
+     * @returns {boolean} Always true.
+     */
+    static get formAssociated() {
+        return true;
+    }
+    
+    /**
+     * Defines which attributes the component observes for changes.
+     * @returns {Array<string>} An array of attribute names to observe.
+     */
+    static get observedAttributes() {
+        return ['value', 'disabled', 'required', 'name', 'multiple', 'size', 'searchable', 'rich', 'placeholder', 'max-selections', 'aria-label', 'aria-describedby', 'aria-required', 'aria-invalid'];
     }
     
     /**
@@ -101,19 +533,30 @@ class DsSelect extends BaseComponent {
      * @param {string|null} newValue - The attribute's new value.
      */
     attributeChangedCallback(name, oldValue, newValue) {
+        // Call parent method first
+        super.attributeChangedCallback(name, oldValue, newValue);
+        
         if (oldValue === newValue) return; // No change
         
         switch (name) {
             case 'value':
-                this.select.value = newValue || '';
+                if (this.optionData) {
+                    this.applySelection([newValue || '']);
+                } else {
+                    this.select.value = newValue || '';
+                }
                 break;
                 
             case 'disabled':
                 if (this.hasAttribute('disabled')) {
                     this.select.disabled = true;
+                    this.closeListbox();
                 } else {
                     this.select.disabled = false;
                 }
+                this.searchInput.disabled = this.select.disabled;
+                this.trigger.setAttribute('aria-disabled', String(this.select.disabled));
+                this.trigger.tabIndex = this.select.disabled ? -1 : 0;
                 break;
                 
             case 'required':
@@ -136,182 +579,1474 @@ class DsSelect extends BaseComponent {
                 }
                 break;
                 
+            case 'max-selections':
+                if (this.maxSelections !== null) {
+                    this.applySelection(this.values);
+                }
+                break;
+                
             case 'size':
                 this.select.size = newValue || '';
                 break;
+                
+            case 'searchable':
+            case 'rich':
+                this.updateMode();
+                break;
+                
+            case 'placeholder':
+                if (newValue === null) {
+                    this.searchInput.removeAttribute('placeholder');
+                } else {
+                    this.searchInput.placeholder = newValue;
+                }
+                break;
+                
+            case 'aria-label':
+            case 'aria-describedby':
+                // The search field or button is the focusable control in searchable and rich mode
+                [this.searchInput, this.trigger].forEach(control => {
+                    if (newValue === null) {
+                        control.removeAttribute(name);
+                    } else {
+                        control.setAttribute(name, newValue);
+                    }
+                });
+                break;
         }
+        
+        this.updateFormValue();
+    }
+    
+    /**
+     * Shows the control for the current mode. Searchable mode takes precedence for the control;
+     * rich mode still renders option markup. Data options use the rich mode button, as the native
+     * select only holds the selected ones.
+     */
+    updateMode() {
+        const custom = this.rich || !!this.optionData;
+        this.combobox.hidden = !this.searchable;
+        this.trigger.hidden = this.searchable || !custom;
+        this.select.hidden = this.searchable || custom;
+        this.closeListbox();
     }
     
     /**
-     * Sets up event listeners to re-dispatch events from the host element.
+     * Pushes the current selection and validity to the owning form.
+     * A multiple select submits one entry per selected option.
      */
-    setupEventListeners() {
-        const events = ['change', 'focus', 'blur'];
+    updateFormValue() {
+        this.removeDeselectedDataOptions();
         
-        events.forEach(eventType => {
-            this.select.addEventListener(eventType, (event) => {
-                // Create a new event to dispatch from the host
-                const newEvent = new Event(eventType, {
-                    bubbles: true,
-                    composed: true,
-                    cancelable: true
+        if (this.select.multiple) {
+            const name = this.getAttribute('name');
+            const data = new FormData();
+            if (name) {
+                this.getSelectedOptions().forEach(option => {
+                    data.append(name, option.value);
                 });
-                
-                // Copy relevant properties
-                if (eventType === 'change') {
-                    newEvent.target = this;
-                    newEvent.currentTarget = this;
-                }
-                
-                this.dispatchEvent(newEvent);
+            }
+            this.setFormValue(data);
+        } else {
+            this.setFormValue(this.select.value);
+        }
+        this.setValidityFrom(this.select, this.getControl());
+        this.syncSearchInput();
+        this.syncTrigger();
+        this.lastSelection = this.values;
+        this.renderChips();
+    }
+    
+    /**
+     * Gets the selected native options.
+     * @returns {Array<HTMLOptionElement>} The selected options in document order.
+     */
+    getSelectedOptions() {
+        return Array.from(this.select.options).filter(option => option.selected);
+    }
+    
+    /**
+     * Selects the options with the given values, up to `maxSelections`, without firing `change`.
+     * @param {Array<string>} values - Values to select.
+     */
+    applySelection(values) {
+        const wanted = values.map(String);
+        if (this.optionData) {
+            const entries = [...new Set(wanted)].map(value => this.optionValues.get(value)).filter(Boolean);
+            if (this.select.multiple) entries.sort((a, b) => a.index - b.index);
+            const max = this.select.multiple ? (this.maxSelections ?? Infinity) : 1;
+            this.select.replaceChildren();
+            entries.slice(0, max).forEach(entry => {
+                this.addDataOption(entry).selected = true;
             });
-        });
+            this.updateFormValue();
+            return;
+        }
+        
+        const options = Array.from(this.select.options);
+        if (this.select.multiple) {
+            const max = this.maxSelections ?? Infinity;
+            let count = 0;
+            options.forEach(option => {
+                option.selected = wanted.includes(option.value) && count++ < max;
+            });
+        } else {
+            this.select.value = wanted.find(value => options.some(option => option.value === value)) ?? '';
+        }
+        this.updateFormValue();
     }
     
     /**
-     * Sets up slot listener to handle option projection.
+     * Reverts a change from the native select that selects more than `maxSelections` options,
+     * so the host never sees the extra selection.
+     * @param {Event} event - The change event from the native select.
      */
-    setupSlotListener() {
-        const slot = this.shadowRoot.querySelector('slot');
-        slot.addEventListener('slotchange', () => {
-            this.handleSlotChange();
+    enforceMaxSelections(event) {
+        const max = this.maxSelections;
+        if (!this.select.multiple || max === null || this.getSelectedOptions().length <= max) return;
+        
+        event.stopImmediatePropagation();
+        Array.from(this.select.options).forEach(option => {
+            option.selected = this.lastSelection.includes(option.value);
         });
+        this.announce(`You can select up to ${max} ${max === 1 ? 'option' : 'options'}`);
     }
     
     /**
-     * Handles slot changes to project ds-option components into the select.
+     * Reads a message to screen reader users through the status region.
+     * @param {string} message - The message.
      */
-    handleSlotChange() {
-        const slot = this.shadowRoot.querySelector('slot');
-        const assignedNodes = slot.assignedNodes();
-        
-        // Clear existing options
-        this.select.innerHTML = '';
-        
-        // Process each assigned node
-        assignedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-                if (node.tagName === 'DS-OPTION') {
-                    // Create a native option element
-                    const option = document.createElement('option');
-                    
-                    // Copy attributes from ds-option
-                    if (node.hasAttribute('value')) {
-                        option.value = node.getAttribute('value');
-                    }
-                    if (node.hasAttribute('disabled')) {
-                        option.disabled = true;
-                    }
-                    if (node.hasAttribute('selected')) {
-                        option.selected = true;
-                    }
-                    
-                    // Copy text content
-                    option.textContent = node.textContent || node.innerText || '';
-                    
-                    this.select.appendChild(option);
-                } else if (node.tagName === 'OPTION') {
-                    // Direct option element, clone it
-                    this.select.appendChild(node.cloneNode(true));
-                }
+    announce(message) {
+        this.status.textContent = message;
+    }
+    
+    /**
+     * Wires up chip removal and the select all / clear actions used in multiple mode.
+     */
+    setupChips() {
+        this.chipList.addEventListener('click', event => {
+            const button = event.target.closest('[part="chip-remove"]');
+            if (button) this.removeChip(button);
+        });
+        this.chipList.addEventListener('keydown', event => {
+            const button = event.target.closest('[part="chip-remove"]');
+            if (button && (event.key === 'Backspace' || event.key === 'Delete')) {
+                event.preventDefault();
+                this.removeChip(button);
             }
         });
+        this.selectAllButton.addEventListener('click', () => this.selectAll());
+        this.clearButton.addEventListener('click', () => this.clearSelection());
     }
     
     /**
-     * Gets the currently selected option's value.
-     * @returns {string} The selected option's value.
+     * Renders a removable chip for each selected option and updates the action buttons.
      */
-    get value() {
-        return this.select.value;
+    renderChips() {
+        const multiple = this.select.multiple;
+        this.chips.hidden = !multiple;
+        if (!multiple) {
+            this.chipList.replaceChildren();
+            return;
+        }
+        
+        const selected = this.getSelectedOptions();
+        const selectable = this.getListItems().filter(item => !item.selected && !item.disabled);
+        const atLimit = this.maxSelections !== null && selected.length >= this.maxSelections;
+        
+        this.chipList.replaceChildren(...selected.map(option => {
+            const chip = document.createElement('li');
+            chip.setAttribute('part', 'chip');
+            const label = document.createElement('span');
+            label.textContent = option.label;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.setAttribute('part', 'chip-remove');
+            remove.setAttribute('aria-label', `Remove ${option.label}`);
+            remove.dataset.index = option.index;
+            remove.disabled = this.select.disabled || isOptionDisabled(option);
+            remove.textContent = '×';
+            chip.append(label, remove);
+            return chip;
+        }));
+        
+        this.selectAllButton.disabled = this.select.disabled || !selectable.length || atLimit;
+        this.clearButton.disabled = this.select.disabled || !selected.some(option => !isOptionDisabled(option));
     }
     
     /**
-     * Sets the currently selected option's value.
-     * @param {string} val - The value to select.
+     * Deselects the option of a chip and moves focus to a neighbouring chip, or to the control.
+     * @param {HTMLButtonElement} button - The chip's remove button.
      */
-    set value(val) {
-        this.select.value = val;
+    removeChip(button) {
+        const buttons = Array.from(this.chipList.querySelectorAll('[part="chip-remove"]'));
+        const position = buttons.indexOf(button);
+        this.deselectOption(Number(button.dataset.index));
+        
+        const remaining = Array.from(this.chipList.querySelectorAll('[part="chip-remove"]'));
+        const next = remaining[Math.min(position, remaining.length - 1)];
+        (next || this.getControl()).focus();
     }
     
     /**
-     * Gets the disabled state of the select.
-     * @returns {boolean} Whether the select is disabled.
+     * Deselects an option in multiple mode and fires `change`.
+     * @param {number} index - Index of the native option.
      */
-    get disabled() {
-        return this.select.disabled;
+    deselectOption(index) {
+        const option = this.select.options[index];
+        if (!option || !option.selected || isOptionDisabled(option) || this.select.disabled) return;
+        
+        option.selected = false;
+        this.removeDeselectedDataOptions();
+        this.select.dispatchEvent(new Event('change', { bubbles: true }));
+        if (this.expanded) this.renderListbox();
+        this.announce(`${option.label} removed`);
     }
     
     /**
-     * Sets the disabled state of the select.
-     * @param {boolean} val - Whether to disable the select.
+     * Selects every enabled option, up to `maxSelections`, and fires `change`.
      */
-    set disabled(val) {
-        this.select.disabled = val;
+    selectAll() {
+        if (!this.select.multiple || this.select.disabled) return;
+        
+        let count = this.getSelectedOptions().length;
+        const max = this.maxSelections ?? Infinity;
+        let changed = false;
+        this.getListItems().forEach(item => {
+            if (item.selected || item.disabled || count >= max) return;
+            (item.option || this.addDataOption(this.optionData[item.index])).selected = true;
+            count++;
+            changed = true;
+        });
+        
+        if (changed) {
+            this.select.dispatchEvent(new Event('change', { bubbles: true }));
+            if (this.expanded) this.renderListbox();
+            this.announce(`${count} ${count === 1 ? 'option' : 'options'} selected`);
+        }
     }
     
     /**
-     * Gets the required state of the select.
-     * @returns {boolean} Whether the select is required.
+     * Deselects every enabled option and fires `change`.
      */
-    get required() {
-        return this.select.required;
+    clearSelection() {
+        if (this.select.disabled) return;
+        
+        const selected = this.getSelectedOptions().filter(option => !isOptionDisabled(option));
+        if (!selected.length) return;
+        
+        selected.forEach(option => {
+            option.selected = false;
+        });
+        this.select.dispatchEvent(new Event('change', { bubbles: true }));
+        if (this.expanded) this.renderListbox();
+        this.announce('Selection cleared');
     }
     
     /**
-     * Sets the required state of the select.
-     * @param {boolean} val - Whether to make the select required.
+     * Restores the default selection when the owning form is reset.
      */
-    set required(val) {
-        this.select.required = val;
+    formResetCallback() {
+        if (this.optionData) {
+            this.applySelection(this.hasAttribute('value') ? [this.getAttribute('value')] : []);
+            return;
+        }
+        
+        const options = Array.from(this.select.options);
+        options.forEach(option => {
+            option.selected = option.defaultSelected;
+        });
+        if (!this.select.multiple && options.length && !options.some(option => option.defaultSelected)) {
+            this.select.selectedIndex = 0;
+        }
+        this.updateFormValue();
     }
     
     /**
-     * Gets the name of the select.
-     * @returns {string} The select's name.
+     * Restores the selection after navigation or browser autofill.
+     * @param {string|FormData} state - The previously saved form state.
      */
-    get name() {
-        return this.select.name;
+    formStateRestoreCallback(state) {
+        const values = state instanceof FormData
+            ? state.getAll(this.getAttribute('name')).map(String)
+            : [String(state ?? '')];
+        if (this.optionData) {
+            this.applySelection(values);
+            return;
+        }
+        
+        Array.from(this.select.options).forEach(option => {
+            option.selected = values.includes(option.value);
+        });
+        this.updateFormValue();
     }
     
     /**
-     * Sets the name of the select.
-     * @param {string} val - The new name to set.
+     * Starts watching the options when the select is connected.
      */
-    set name(val) {
-        this.select.name = val;
+    connectedCallback() {
+        super.connectedCallback();
+        // Data options set before the element was defined hide the options setter
+        if (Object.prototype.hasOwnProperty.call(this, 'options')) {
+            const data = this.options;
+            delete this.options;
+            this.options = data;
+        }
+        this.optionObserver.observe(this, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: OPTION_ATTRIBUTES
+        });
+        this.syncOptions();
     }
     
     /**
-     * Gets the multiple selection state.
-     * @returns {boolean} Whether multiple selection is enabled.
+     * Stops watching the options when the select is disconnected.
      */
-    get multiple() {
-        return this.select.multiple;
+    disconnectedCallback() {
+        this.optionObserver.disconnect();
     }
     
     /**
-     * Sets the multiple selection state.
-     * @param {boolean} val - Whether to enable multiple selection.
+     * Sets up slot listener to handle option projection.
      */
-    set multiple(val) {
-        this.select.multiple = val;
+    setupSlotListener() {
+        const slot = this.shadowRoot.querySelector('slot:not([name])');
+        slot.addEventListener('slotchange', () => {
+            this.handleSlotChange();
+        });
     }
     
     /**
-     * Gets the number of visible options.
-     * @returns {number} The number of visible options.
+     * Handles slot changes to project ds-option components into the select.
      */
-    get size() {
-        return this.select.size;
+    handleSlotChange() {
+        this.syncOptions();
     }
     
     /**
-     * Sets the number of visible options.
-     * @param {number} val - The number of visible options to set.
+     * Applies changes to the light DOM options. The structure is synced first; a changed
+     * `selected` attribute then selects or deselects its option, as the attribute is the
+     * default selection of a native option.
+     * @param {Array<MutationRecord>} records - The observed mutations.
      */
-    set size(val) {
-        this.select.size = val;
+    handleOptionMutations(records) {
+        this.syncOptions();
+        
+        const toggled = records
+            .filter(record => record.type === 'attributes' && record.attributeName === 'selected')
+            .map(record => record.target);
+        if (!toggled.length) return;
+        
+        toggled.forEach(source => {
+            const native = this.getNativeOption(source);
+            if (native) native.selected = source.hasAttribute('selected');
+        });
+        this.updateFormValue();
+        if (this.expanded) this.renderListbox();
+    }
+    
+    /**
+     * Gets the option and group elements of the light DOM, in order. Elements assigned to a
+     * named slot, such as `empty`, are skipped.
+     * @returns {Array<{source: HTMLElement, children: (Array<HTMLElement>|undefined)}>} Options, and groups with their options.
+     */
+    getOptionSources() {
+        const isOption = element => element.tagName === 'DS-OPTION' || element.tagName === 'OPTION';
+        const isGroup = element => element.tagName === 'DS-OPTGROUP' || element.tagName === 'OPTGROUP';
+        
+        return Array.from(this.children)
+            .filter(element => !element.hasAttribute('slot') && (isOption(element) || isGroup(element)))
+            .map(element => (isGroup(element)
+                ? { source: element, children: Array.from(element.children).filter(isOption) }
+                : { source: element }));
+    }
+    
+    /**
+     * Updates the native select from the light DOM options. Native options are created once
+     * per option element and then updated in place, so editing, adding or removing one option
+     * keeps the selection of the others. Options from `loadOptions` stay after the rest.
+     * With data options the option elements are ignored.
+     */
+    syncOptions() {
+        if (this.optionData) return;
+        
+        const previous = this.nativeOptions;
+        const loadedOptions = Array.from(this.select.querySelectorAll('option[data-loaded]'));
+        const selected = this.getSelectedOptions();
+        const created = [];
+        this.nativeOptions = new Map();
+        
+        const render = source => {
+            const isGroup = source.tagName.endsWith('OPTGROUP');
+            let native = previous.get(source);
+            if (!native) {
+                native = document.createElement(isGroup ? 'optgroup' : 'option');
+                // New options start out with their default selection
+                native.defaultSelected = !isGroup && source.hasAttribute('selected');
+                if (!isGroup) created.push(native);
+            }
+            this.nativeOptions.set(source, native);
+            this.optionSources.set(native, source);
+            
+            ['value', 'label'].forEach(name => {
+                if (source.hasAttribute(name)) {
+                    native.setAttribute(name, source.getAttribute(name));
+                } else {
+                    native.removeAttribute(name);
+                }
+            });
+            native.disabled = source.hasAttribute('disabled');
+            if (!isGroup && native.textContent !== source.textContent) {
+                native.textContent = source.textContent;
+            }
+            return native;
+        };
+        
+        const natives = this.getOptionSources().map(({ source, children }) => {
+            const native = render(source);
+            if (children) placeChildren(native, children.map(render));
+            return native;
+        });
+        placeChildren(this.select, [...natives, ...loadedOptions]);
+        
+        // Moving or removing the selected option resets a single select, so restore the
+        // selection, then apply the default selection of new options as inserting them would
+        selected.filter(option => this.select.contains(option)).forEach(option => {
+            option.selected = true;
+        });
+        created.filter(option => option.defaultSelected).forEach(option => {
+            option.selected = true;
+        });
+        
+        // Options did not exist when the value attribute was first applied
+        const value = this.getAttribute('value');
+        if (value !== null && created.some(option => option.value === value)) {
+            this.select.value = value;
+        }
+        this.updateFormValue();
+        if (this.expanded) this.renderListbox();
+    }
+    
+    /**
+     * Gets the native option rendered for an option element.
+     * @param {HTMLElement} source - A `ds-option` or `option` in the light DOM.
+     * @returns {HTMLOptionElement|null} The native option, or null if the element isn't an option of this select.
+     */
+    getNativeOption(source) {
+        const native = this.nativeOptions.get(source);
+        return native && native.tagName === 'OPTION' ? native : null;
+    }
+    
+    /**
+     * Gets the option element a native option was rendered for.
+     * @param {HTMLOptionElement} native - A native option of the select.
+     * @returns {HTMLElement} The `ds-option` or `option` element, or the native option itself for loaded options.
+     */
+    getOptionSource(native) {
+        const source = this.optionSources.get(native);
+        return source && this.nativeOptions.get(source) === native ? source : native;
+    }
+    
+    /**
+     * Creates the native option for a data option, in data order among the selected ones.
+     * Callers select it and then call removeDeselectedDataOptions() for the ones it replaced.
+     * @param {Object} entry - The data option.
+     * @returns {HTMLOptionElement} The native option.
+     */
+    addDataOption(entry) {
+        const option = new Option(entry.label, entry.value);
+        option.disabled = entry.disabled;
+        this.dataOptions.set(option, entry);
+        const next = Array.from(this.select.options).find(native => this.dataOptions.get(native)?.index > entry.index);
+        this.select.insertBefore(option, next || null);
+        return option;
+    }
+    
+    /**
+     * With data options, removes the native options that are no longer selected, so the native
+     * select only keeps the selected ones.
+     */
+    removeDeselectedDataOptions() {
+        if (!this.optionData) return;
+        Array.from(this.select.options)
+            .filter(option => !option.selected)
+            .forEach(option => option.remove());
+    }
+    
+    /**
+     * Wires up the search field and listbox used in searchable mode.
+     */
+    setupCombobox() {
+        this.searchInput.addEventListener('input', () => this.handleSearchInput());
+        this.searchInput.addEventListener('keydown', event => this.handleComboboxKeydown(event));
+        this.searchInput.addEventListener('click', () => {
+            if (!this.expanded) this.openListbox();
+        });
+        this.searchInput.addEventListener('blur', () => {
+            this.closeListbox();
+            this.syncSearchInput();
+        });
+        // Keep focus in the search field while an option is clicked
+        this.listbox.addEventListener('mousedown', event => event.preventDefault());
+        this.listbox.addEventListener('click', event => {
+            const item = event.target.closest('[role="option"]');
+            if (item) this.selectOption(Number(item.dataset.index));
+        });
+        // With data options, render the rows scrolled into view
+        this.listbox.addEventListener('scroll', () => {
+            if (!this.virtualList) return;
+            this.virtualStart = Math.floor(this.listbox.scrollTop / ROW_HEIGHT);
+            this.renderVirtualWindow();
+            this.updateActiveDescendant();
+        });
+    }
+    
+    /**
+     * Wires up the button that opens the listbox in rich mode.
+     */
+    setupTrigger() {
+        this.trigger.addEventListener('keydown', event => this.handleTriggerKeydown(event));
+        this.trigger.addEventListener('click', () => {
+            if (this.expanded) {
+                this.closeListbox();
+            } else {
+                this.openListbox();
+                this.setActiveOption(this.getInitialActiveIndex());
+            }
+        });
+        this.trigger.addEventListener('blur', () => this.closeListbox());
+    }
+    
+    /**
+     * Gets the element that has focus in the current mode: the search field, the button of
+     * rich mode and data options, or the native select.
+     * @returns {HTMLElement} The focusable control.
+     */
+    getControl() {
+        if (this.searchable) return this.searchInput;
+        if (this.rich || this.optionData) return this.trigger;
+        return this.select;
+    }
+    
+    /**
+     * Filters the options, or loads them through `loadOptions`, when the search text changes.
+     */
+    handleSearchInput() {
+        this.activeIndex = -1;
+        this.virtualStart = 0;
+        this.listbox.scrollTop = 0;
+        if (typeof this.loadOptions === 'function') {
+            this.scheduleLoadOptions(this.searchInput.value);
+        }
+        this.openListbox();
+    }
+    
+    /**
+     * Implements the WAI-ARIA combobox keyboard interaction.
+     * @param {KeyboardEvent} event - The keydown event from the search field.
+     */
+    handleComboboxKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!this.expanded) {
+                    this.openListbox();
+                    // Alt+Down only opens the listbox
+                    if (event.altKey) return;
+                }
+                this.moveActiveOption(event.key === 'ArrowDown' ? 1 : -1);
+                break;
+                
+            case 'Enter':
+                if (this.expanded && this.activeIndex >= 0) {
+                    event.preventDefault();
+                    this.selectOption(this.activeIndex);
+                }
+                break;
+                
+            case 'Escape':
+                if (this.expanded) {
+                    event.preventDefault();
+                    this.closeListbox();
+                    this.syncSearchInput();
+                } else if (this.searchInput.value) {
+                    event.preventDefault();
+                    this.searchInput.value = '';
+                }
+                break;
+                
+            case 'Tab':
+                this.closeListbox();
+                break;
+                
+            case 'Backspace': {
+                // With nothing typed, Backspace removes the last chip
+                const last = this.getSelectedOptions().filter(option => !isOptionDisabled(option)).pop();
+                if (this.select.multiple && !this.searchInput.value && last) {
+                    event.preventDefault();
+                    this.deselectOption(last.index);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Implements the WAI-ARIA select-only combobox keyboard interaction of rich mode.
+     * @param {KeyboardEvent} event - The keydown event from the button.
+     */
+    handleTriggerKeydown(event) {
+        const { key } = event;
+        const typing = key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey;
+        
+        if (!this.expanded) {
+            if (['ArrowDown', 'ArrowUp', 'Enter', ' ', 'Home', 'End'].includes(key) || typing) {
+                event.preventDefault();
+                this.openListbox();
+                if (key === 'Home' || key === 'End') {
+                    this.moveActiveOptionToEnd(key === 'Home' ? -1 : 1);
+                } else if (typing && key !== ' ') {
+                    this.typeahead(key);
+                } else {
+                    this.setActiveOption(this.getInitialActiveIndex());
+                }
+            }
+            return;
+        }
+        
+        switch (key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (key === 'ArrowUp' && event.altKey) {
+                    // Alt+Up picks the active option and closes
+                    if (this.activeIndex >= 0 && !this.select.multiple) this.selectOption(this.activeIndex);
+                    this.closeListbox();
+                    return;
+                }
+                this.moveActiveOption(key === 'ArrowDown' ? 1 : -1);
+                break;
+                
+            case 'Home':
+            case 'End':
+                event.preventDefault();
+                this.moveActiveOptionToEnd(key === 'Home' ? -1 : 1);
+                break;
+                
+            case 'PageDown':
+            case 'PageUp':
+                event.preventDefault();
+                this.moveActiveOption(key === 'PageDown' ? PAGE_SIZE : -PAGE_SIZE, { wrap: false });
+                break;
+                
+            case 'Enter':
+                event.preventDefault();
+                if (this.activeIndex >= 0) this.selectOption(this.activeIndex);
+                break;
+                
+            case 'Escape':
+                event.preventDefault();
+                this.closeListbox();
+                break;
+                
+            case 'Tab':
+                this.closeListbox();
+                break;
+                
+            default:
+                // Space selects, unless it is part of a typeahead search such as "new york"
+                if (key === ' ' && !this.typeaheadBuffer) {
+                    event.preventDefault();
+                    if (this.activeIndex >= 0) this.selectOption(this.activeIndex);
+                } else if (typing) {
+                    event.preventDefault();
+                    this.typeahead(key);
+                }
+        }
+    }
+    
+    /**
+     * Moves the active option to the next one whose label starts with the typed characters.
+     * Typing the same letter repeatedly cycles through the options starting with it.
+     * @param {string} char - The typed character.
+     */
+    typeahead(char) {
+        clearTimeout(this.typeaheadTimer);
+        this.typeaheadTimer = setTimeout(() => {
+            this.typeaheadBuffer = '';
+        }, TYPEAHEAD_DELAY);
+        this.typeaheadBuffer += foldText(char).text;
+        
+        const buffer = this.typeaheadBuffer;
+        const search = Array.from(buffer).every(letter => letter === buffer[0]) ? buffer[0] : buffer;
+        const items = this.getMatchingItems().filter(item => !item.disabled);
+        // A new search starts after the active option; a longer one may keep it
+        const start = items.findIndex(item => item.index === this.activeIndex) + (search.length === 1 ? 1 : 0);
+        const match = [...items.slice(start), ...items.slice(0, start)]
+            .find(item => (item.folded ?? foldText(item.label.trim()).text).startsWith(search));
+        if (match) this.setActiveOption(match.index);
+    }
+    
+    /**
+     * Gets the option to make active when the listbox opens: the selected option, or the first one.
+     * @returns {number} Index of the option, or -1 when there are none.
+     */
+    getInitialActiveIndex() {
+        const items = this.getMatchingItems().filter(item => !item.disabled);
+        return (items.find(item => item.selected) ?? items[0])?.index ?? -1;
+    }
+    
+    /**
+     * Whether the listbox of searchable or rich mode is open.
+     * @returns {boolean} True while the listbox is shown.
+     */
+    get expanded() {
+        return this.getControl().getAttribute('aria-expanded') === 'true';
+    }
+    
+    /**
+     * Opens the listbox in searchable or rich mode, or with data options, and renders the matching options.
+     */
+    openListbox() {
+        if (!(this.searchable || this.rich || this.optionData) || this.select.disabled) return;
+        this.getControl().setAttribute('aria-expanded', 'true');
+        this.renderListbox();
+    }
+    
+    /**
+     * Closes the listbox and clears the active option.
+     */
+    closeListbox() {
+        [this.searchInput, this.trigger].forEach(control => {
+            control.setAttribute('aria-expanded', 'false');
+            control.removeAttribute('aria-activedescendant');
+        });
+        this.listbox.hidden = true;
+        this.emptyState.hidden = true;
+        this.status.textContent = '';
+        this.activeIndex = -1;
+        this.virtualStart = 0;
+    }
+    
+    /**
+     * Gets the options the listbox can show: the native options, or the data options with the
+     * native option of each selected one.
+     * @returns {Array<Object>} Items with the `index`, `value`, `label`, `disabled`, `selected`,
+     * `loaded` and `group` of each option, and its native `option` if it has one.
+     */
+    getListItems() {
+        if (this.optionData) {
+            const natives = new Map(Array.from(this.select.options, option => [this.dataOptions.get(option), option]));
+            return this.optionData.map(entry => {
+                const option = natives.get(entry);
+                return { ...entry, option, selected: !!option?.selected, loaded: false };
+            });
+        }
+        
+        return Array.from(this.select.options, option => ({
+            index: option.index,
+            value: option.value,
+            label: option.label,
+            disabled: isOptionDisabled(option),
+            selected: option.selected,
+            loaded: option.hasAttribute('data-loaded'),
+            group: option.parentElement.tagName === 'OPTGROUP' ? option.parentElement : null,
+            option
+        }));
+    }
+    
+    /**
+     * Gets the options to show for the current search. Local options are filtered by label;
+     * options returned by `loadOptions` are shown as they are.
+     * @returns {Array<Object>} The matching items, as returned by getListItems().
+     */
+    getMatchingItems() {
+        const query = foldText(this.searchInput.value.trim()).text;
+        return this.getListItems().filter(item => (
+            item.loaded || !query || (item.folded ?? foldText(item.label).text).includes(query)
+        ));
+    }
+    
+    /**
+     * Renders the matching options into the listbox, with the matched text highlighted.
+     */
+    renderListbox() {
+        const items = this.getMatchingItems();
+        const query = foldText(this.searchInput.value.trim()).text;
+        const loading = this.listbox.getAttribute('aria-busy') === 'true';
+        const atLimit = this.select.multiple && this.maxSelections !== null
+            && this.getSelectedOptions().length >= this.maxSelections;
+        
+        if (this.select.multiple) {
+            this.listbox.setAttribute('aria-multiselectable', 'true');
+        } else {
+            this.listbox.removeAttribute('aria-multiselectable');
+        }
+        
+        this.listbox.classList.toggle('virtual', !!this.optionData);
+        if (this.optionData) {
+            this.renderVirtualList(items, query, atLimit);
+        } else {
+            this.virtualList = null;
+            // Options of the same optgroup go in a labelled group
+            const elements = [];
+            let group = null;
+            items.forEach(item => {
+                const element = this.createListboxOption(item, query, atLimit);
+                if (!item.group) {
+                    group = null;
+                    elements.push(element);
+                    return;
+                }
+                if (group?.optgroup !== item.group) {
+                    group = { optgroup: item.group, list: this.createListboxGroup(item.group, elements.length) };
+                    const wrapper = document.createElement('li');
+                    wrapper.setAttribute('role', 'none');
+                    wrapper.append(group.list);
+                    elements.push(wrapper);
+                }
+                group.list.append(element);
+            });
+            this.listbox.replaceChildren(...elements);
+        }
+        
+        if (!items.some(item => item.index === this.activeIndex)) {
+            this.activeIndex = -1;
+        }
+        this.listbox.hidden = !this.expanded || !items.length;
+        this.emptyState.hidden = !this.expanded || items.length > 0 || loading;
+        this.status.textContent = this.expanded && this.searchable && !loading
+            ? `${items.length} ${items.length === 1 ? 'result' : 'results'} available`
+            : '';
+        this.updateActiveDescendant();
+    }
+    
+    /**
+     * Creates the listbox element for an option.
+     * @param {Object} item - The option, as returned by getListItems().
+     * @param {string} query - The folded search text.
+     * @param {boolean} atLimit - Whether `maxSelections` options are selected.
+     * @returns {HTMLLIElement} The option element.
+     */
+    createListboxOption(item, query, atLimit) {
+        const element = document.createElement('li');
+        element.id = `option-${item.index}`;
+        element.dataset.index = item.index;
+        element.setAttribute('role', 'option');
+        element.setAttribute('part', item.index === this.activeIndex ? 'option active' : 'option');
+        element.setAttribute('aria-selected', String(item.selected));
+        if (item.disabled || (atLimit && !item.selected)) element.setAttribute('aria-disabled', 'true');
+        const source = this.rich && item.option ? this.getOptionSource(item.option) : item.option;
+        element.append(...(source !== item.option ? this.cloneOptionContent(source) : this.highlightMatch(item.label, query)));
+        return element;
+    }
+    
+    /**
+     * Lays out the matching data options as fixed-height rows, with a heading row where the
+     * group changes, and renders the rows in view.
+     * @param {Array<Object>} items - The matching options.
+     * @param {string} query - The folded search text.
+     * @param {boolean} atLimit - Whether `maxSelections` options are selected.
+     */
+    renderVirtualList(items, query, atLimit) {
+        const rows = [];
+        let group = null;
+        items.forEach((item, position) => {
+            if (item.group && item.group !== group) rows.push({ heading: item.group });
+            group = item.group;
+            rows.push({ item, position: position + 1 });
+        });
+        this.virtualList = { rows, query, atLimit, size: items.length };
+        this.renderVirtualWindow();
+    }
+    
+    /**
+     * Gets the number of data option rows that fit in the listbox.
+     * @returns {number} The number of rows.
+     */
+    getVisibleRowCount() {
+        return Math.ceil((this.listbox.clientHeight || LISTBOX_HEIGHT) / ROW_HEIGHT);
+    }
+    
+    /**
+     * Keeps the first data option row in view within the list, so the rows in view fill the
+     * listbox even after scrolling past the end.
+     * @returns {number} The first row in view.
+     */
+    clampVirtualStart() {
+        const last = Math.max(0, this.virtualList.rows.length - this.getVisibleRowCount());
+        this.virtualStart = Math.max(0, Math.min(this.virtualStart, last));
+        return this.virtualStart;
+    }
+    
+    /**
+     * Renders the data option rows in view, plus a few either side, between spacers that keep
+     * the scroll height of the full list. Each option gets its position in the full list through
+     * `aria-posinset` and `aria-setsize`, and the options of a group are wrapped in a group
+     * labelled with its name, as its heading may be out of view.
+     */
+    renderVirtualWindow() {
+        const { rows, query, atLimit, size } = this.virtualList;
+        const visible = this.getVisibleRowCount();
+        const start = this.clampVirtualStart();
+        const first = Math.max(0, start - OVERSCAN);
+        const last = Math.min(rows.length, start + visible + OVERSCAN);
+        
+        const spacer = count => {
+            const element = document.createElement('li');
+            element.setAttribute('role', 'none');
+            element.style.height = `${count * ROW_HEIGHT}px`;
+            return element;
+        };
+        
+        const elements = [spacer(first)];
+        let group = null;
+        rows.slice(first, last).forEach(row => {
+            const name = row.heading ?? row.item.group;
+            if (!name) {
+                group = null;
+            } else if (group?.name !== name) {
+                const list = document.createElement('ul');
+                list.setAttribute('role', 'group');
+                list.setAttribute('part', 'group');
+                list.setAttribute('aria-label', name);
+                const wrapper = document.createElement('li');
+                wrapper.setAttribute('role', 'none');
+                wrapper.append(list);
+                elements.push(wrapper);
+                group = { name, list };
+            }
+            
+            let element;
+            if (row.heading) {
+                element = document.createElement('li');
+                element.setAttribute('role', 'presentation');
+                element.setAttribute('part', 'group-label');
+                element.textContent = row.heading;
+            } else {
+                element = this.createListboxOption(row.item, query, atLimit);
+                element.setAttribute('aria-setsize', String(size));
+                element.setAttribute('aria-posinset', String(row.position));
+            }
+            if (group) {
+                group.list.append(element);
+            } else {
+                elements.push(element);
+            }
+        });
+        elements.push(spacer(rows.length - last));
+        this.listbox.replaceChildren(...elements);
+    }
+    
+    /**
+     * Scrolls the data option rows so an option is in view, with its group heading if it is
+     * the first of its group.
+     * @param {number} index - Index of the data option.
+     */
+    scrollToVirtualOption(index) {
+        const { rows } = this.virtualList;
+        const row = rows.findIndex(candidate => candidate.item?.index === index);
+        if (row < 0) return;
+        
+        const visible = this.getVisibleRowCount();
+        const top = rows[row - 1]?.heading ? row - 1 : row;
+        const start = this.clampVirtualStart();
+        if (top < start) {
+            this.virtualStart = top;
+        } else if (row >= start + visible) {
+            this.virtualStart = row - visible + 1;
+        }
+        this.clampVirtualStart();
+        this.listbox.scrollTop = this.virtualStart * ROW_HEIGHT;
+        this.renderVirtualWindow();
+    }
+    
+    /**
+     * Copies the markup of an option element for the rich mode listbox. Ids are dropped so
+     * they stay unique.
+     * @param {HTMLElement} source - The `ds-option` or `option` element.
+     * @returns {Array<Node>} Nodes to render.
+     */
+    cloneOptionContent(source) {
+        return Array.from(source.childNodes, node => {
+            const clone = node.cloneNode(true);
+            if (clone.nodeType === Node.ELEMENT_NODE) {
+                [clone, ...clone.querySelectorAll('[id]')].forEach(element => element.removeAttribute('id'));
+            }
+            return clone;
+        });
+    }
+    
+    /**
+     * Creates a labelled group for the options of an optgroup in the listbox.
+     * @param {HTMLOptGroupElement} optgroup - The native optgroup.
+     * @param {number} position - Position of the group in the listbox, used for its id.
+     * @returns {HTMLUListElement} The group, with its heading.
+     */
+    createListboxGroup(optgroup, position) {
+        const list = document.createElement('ul');
+        list.setAttribute('role', 'group');
+        list.setAttribute('part', 'group');
+        list.setAttribute('aria-labelledby', `group-${position}`);
+        const label = document.createElement('li');
+        label.id = `group-${position}`;
+        label.setAttribute('role', 'presentation');
+        label.setAttribute('part', 'group-label');
+        label.textContent = optgroup.label;
+        list.append(label);
+        return list;
+    }
+    
+    /**
+     * Splits a label into text and a `<mark part="match">` around the first match of the query.
+     * Matching ignores case and accents.
+     * @param {string} label - The option label.
+     * @param {string} query - The folded search text.
+     * @returns {Array<Node>} Nodes to render.
+     */
+    highlightMatch(label, query) {
+        const folded = foldText(label);
+        const start = query ? folded.text.indexOf(query) : -1;
+        if (start < 0) return [document.createTextNode(label)];
+        
+        const chars = Array.from(label);
+        const from = folded.map[start];
+        const to = folded.map[start + query.length - 1] + 1;
+        const mark = document.createElement('mark');
+        mark.setAttribute('part', 'match');
+        mark.textContent = chars.slice(from, to).join('');
+        return [
+            document.createTextNode(chars.slice(0, from).join('')),
+            mark,
+            document.createTextNode(chars.slice(to).join(''))
+        ];
+    }
+    
+    /**
+     * Gets the indexes of the enabled matching options.
+     * @returns {Array<number>} Indexes of native or data options, in order.
+     */
+    getEnabledIndexes() {
+        return this.getMatchingItems()
+            .filter(item => !item.disabled)
+            .map(item => item.index);
+    }
+    
+    /**
+     * Moves the active option through the enabled matching options.
+     * @param {number} step - Number of options to move by; negative moves up.
+     * @param {Object} [options] - Move options.
+     * @param {boolean} [options.wrap=true] - Wrap around at either end instead of stopping there.
+     */
+    moveActiveOption(step, { wrap = true } = {}) {
+        const indexes = this.getEnabledIndexes();
+        if (!indexes.length) return;
+        
+        const position = indexes.indexOf(this.activeIndex);
+        let next;
+        if (position < 0) {
+            next = step > 0 ? 0 : indexes.length - 1;
+        } else if (wrap) {
+            next = (((position + step) % indexes.length) + indexes.length) % indexes.length;
+        } else {
+            next = Math.max(0, Math.min(indexes.length - 1, position + step));
+        }
+        this.setActiveOption(indexes[next]);
+    }
+    
+    /**
+     * Makes the first or last enabled option active.
+     * @param {number} direction - -1 for the first option, 1 for the last.
+     */
+    moveActiveOptionToEnd(direction) {
+        const indexes = this.getEnabledIndexes();
+        if (indexes.length) this.setActiveOption(direction < 0 ? indexes[0] : indexes[indexes.length - 1]);
+    }
+    
+    /**
+     * Marks an option as active, i.e. focused for assistive technology through `aria-activedescendant`.
+     * With data options the rows scroll so it is rendered.
+     * @param {number} index - Index of the native or data option, or -1 for none.
+     */
+    setActiveOption(index) {
+        this.activeIndex = index;
+        if (this.virtualList) {
+            this.scrollToVirtualOption(index);
+        }
+        this.listbox.querySelectorAll('[role="option"]').forEach(item => {
+            item.setAttribute('part', Number(item.dataset.index) === index ? 'option active' : 'option');
+        });
+        this.updateActiveDescendant();
+    }
+    
+    /**
+     * Points `aria-activedescendant` at the active option and scrolls it into view. Data option
+     * rows are scrolled by setActiveOption(), so the user can scroll the active one out of view.
+     */
+    updateActiveDescendant() {
+        const item = this.activeIndex >= 0 ? this.listbox.querySelector(`#option-${this.activeIndex}`) : null;
+        if (item) {
+            this.getControl().setAttribute('aria-activedescendant', item.id);
+            if (!this.virtualList) item.scrollIntoView?.({ block: 'nearest' });
+        } else {
+            this.getControl().removeAttribute('aria-activedescendant');
+        }
+    }
+    
+    /**
+     * Selects an option from the listbox and fires `change`, as picking from the native select does.
+     * In multiple mode the option is toggled and the listbox stays open.
+     * @param {number} index - Index of the native or data option.
+     */
+    selectOption(index) {
+        const item = this.getListItems()[index];
+        if (!item || item.disabled) return;
+        
+        const max = this.maxSelections;
+        if (this.select.multiple && !item.selected && max !== null && this.getSelectedOptions().length >= max) {
+            this.announce(`You can select up to ${max} ${max === 1 ? 'option' : 'options'}`);
+            return;
+        }
+        
+        const changed = this.select.multiple || !item.selected;
+        const option = item.option || this.addDataOption(this.optionData[index]);
+        option.selected = this.select.multiple ? !item.selected : true;
+        this.removeDeselectedDataOptions();
+        
+        if (this.select.multiple) {
+            this.setActiveOption(index);
+            this.renderListbox();
+        } else {
+            this.closeListbox();
+        }
+        if (changed) {
+            this.select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        this.syncSearchInput();
+    }
+    
+    /**
+     * Shows the selected option's label in the search field while the listbox is closed.
+     */
+    syncSearchInput() {
+        if (!this.searchable || this.expanded) return;
+        this.searchInput.value = this.select.multiple ? '' : (this.select.options[this.select.selectedIndex]?.label ?? '');
+    }
+    
+    /**
+     * Shows the selected option's label on the rich mode button, or the placeholder when
+     * nothing is selected.
+     */
+    syncTrigger() {
+        const labels = this.getSelectedOptions().map(option => option.label.trim()).filter(Boolean);
+        let text = labels[0] || '';
+        if (this.select.multiple) {
+            text = labels.length ? `${labels.length} selected` : '';
+        }
+        this.trigger.textContent = text || this.getAttribute('placeholder') || '';
+        this.trigger.toggleAttribute('data-placeholder', !text);
+    }
+    
+    /**
+     * Calls `loadOptions` once the user pauses typing. Responses for older queries are ignored.
+     * @param {string} query - The search text.
+     */
+    scheduleLoadOptions(query) {
+        clearTimeout(this.loadTimer);
+        const request = ++this.loadRequest;
+        this.listbox.setAttribute('aria-busy', 'true');
+        
+        this.loadTimer = setTimeout(async () => {
+            let results = [];
+            try {
+                results = (await this.loadOptions(query)) || [];
+            } catch (error) {
+                console.warn(`[${this.constructor.name}] loadOptions failed: ${error.message}`);
+            }
+            if (request !== this.loadRequest) return;
+            
+            this.setLoadedOptions(results);
+            this.listbox.removeAttribute('aria-busy');
+            if (this.expanded) this.renderListbox();
+        }, LOAD_OPTIONS_DELAY);
+    }
+    
+    /**
+     * Replaces the options from the previous `loadOptions` call. A selected option is kept,
+     * so the value doesn't change while the user searches.
+     * @param {Array<string|{value: string, label: string, disabled: boolean}>} results - The loaded options.
+     */
+    setLoadedOptions(results) {
+        Array.from(this.select.querySelectorAll('option[data-loaded]')).forEach(option => {
+            if (option.selected) {
+                option.removeAttribute('data-loaded');
+            } else {
+                option.remove();
+            }
+        });
+        
+        results.forEach(result => {
+            const { value, label = value, disabled = false } = typeof result === 'object' ? result : { value: result };
+            const existing = Array.from(this.select.options).find(option => option.value === String(value));
+            const option = existing || new Option(String(label), String(value));
+            option.disabled = !!disabled;
+            option.setAttribute('data-loaded', '');
+            if (!existing) this.select.append(option);
+        });
+    }
+    
+    /**
+     * Gets the form that owns the select.
+     * @returns {HTMLFormElement|null} The owning form, if any.
+     */
+    get form() {
+        return this.internals?.form ?? null;
+    }
+    
+    /**
+     * Gets the currently selected option's value.
+     * @returns {string} The selected option's value.
+     */
+    get value() {
+        return this.select.value;
+    }
+    
+    /**
+     * Sets the currently selected option's value.
+     * @param {string} val - The value to select.
+     */
+    set value(val) {
+        if (this.optionData) {
+            this.applySelection([val ?? '']);
+            return;
+        }
+        this.select.value = val;
+        this.updateFormValue();
+    }
+    
+    /**
+     * Gets the disabled state of the select.
+     * @returns {boolean} Whether the select is disabled.
+     */
+    get disabled() {
+        return this.select.disabled;
+    }
+    
+    /**
+     * Sets the disabled state of the select.
+     * @param {boolean} val - Whether to disable the select.
+     */
+    set disabled(val) {
+        this.select.disabled = val;
+    }
+    
+    /**
+     * Gets the required state of the select.
+     * @returns {boolean} Whether the select is required.
+     */
+    get required() {
+        return this.select.required;
+    }
+    
+    /**
+     * Sets the required state of the select.
+     * @param {boolean} val - Whether to make the select required.
+     */
+    set required(val) {
+        this.select.required = val;
+        this.updateFormValue();
+    }
+    
+    /**
+     * Gets the name of the select.
+     * @returns {string} The select's name.
+     */
+    get name() {
+        return this.select.name;
+    }
+    
+    /**
+     * Sets the name of the select.
+     * @param {string} val - The new name to set.
+     */
+    set name(val) {
+        // Reflect to the host so the owning form submits under this name
+        this.setAttribute('name', val);
+    }
+    
+    /**
+     * Gets the multiple selection state.
+     * @returns {boolean} Whether multiple selection is enabled.
+     */
+    get multiple() {
+        return this.select.multiple;
+    }
+    
+    /**
+     * Sets the multiple selection state.
+     * @param {boolean} val - Whether to enable multiple selection.
+     */
+    set multiple(val) {
+        this.select.multiple = val;
+        this.updateFormValue();
+    }
+    
+    /**
+     * Gets the options of the select. This replaces BaseComponent's `options` (the constructor
+     * configuration), which the base class reads internally instead.
+     * @returns {Array<HTMLElement|Object>} The `ds-option` and `option` elements, or the data options, in order.
+     */
+    get options() {
+        if (this.optionData) return this.optionData.map(entry => entry.source);
+        return Array.from(this.select.options, option => this.getOptionSource(option));
+    }
+    
+    /**
+     * Replaces the option elements with data options, which only render the listbox rows in view.
+     * Selected values that exist in the new data stay selected; otherwise the `value` attribute is applied.
+     * Entries without a value are skipped.
+     * @param {Array<string|{value: string, label: string, disabled: boolean, group: string}>|null} val - The
+     * data options, or null to use the option elements again.
+     */
+    set options(val) {
+        if (!Array.isArray(val)) {
+            if (!this.optionData) return;
+            const values = this.values;
+            this.optionData = null;
+            this.optionValues = new Map();
+            this.select.replaceChildren();
+            this.updateMode();
+            this.syncOptions();
+            const kept = values.filter(value => Array.from(this.select.options).some(option => option.value === value));
+            if (kept.length) this.applySelection(kept);
+            return;
+        }
+        
+        const previous = this.optionData || this.select.options.length ? this.values : [];
+        // Entries without a value have nothing to submit and are skipped
+        const sources = val.filter(source => (typeof source === 'object' && source !== null ? source.value : source) != null);
+        this.optionData = sources.map((source, index) => {
+            const { value, label = value, disabled = false, group = null } = typeof source === 'object' && source !== null
+                ? source
+                : { value: source };
+            const text = String(label ?? '');
+            return {
+                index,
+                value: String(value),
+                label: text,
+                disabled: !!disabled,
+                group: group === null || group === '' ? null : String(group),
+                folded: foldText(text.trim()).text,
+                source
+            };
+        });
+        this.optionValues = new Map();
+        this.optionData.forEach(entry => {
+            if (!this.optionValues.has(entry.value)) this.optionValues.set(entry.value, entry);
+        });
+        
+        this.updateMode();
+        const kept = previous.filter(value => this.optionValues.has(value));
+        const attribute = this.getAttribute('value');
+        this.applySelection(kept.length || attribute === null ? kept : [attribute]);
+    }
+    
+    /**
+     * Gets the selected options.
+     * @returns {Array<HTMLElement|Object>} The selected `ds-option` and `option` elements, or data options, in order.
+     */
+    get selectedOptions() {
+        if (this.optionData) return this.getSelectedOptions().map(option => this.dataOptions.get(option).source);
+        return this.getSelectedOptions().map(option => this.getOptionSource(option));
+    }
+    
+    /**
+     * Gets the values of all selected options.
+     * @returns {Array<string>} The selected values, in option order.
+     */
+    get values() {
+        return this.getSelectedOptions().map(option => option.value);
+    }
+    
+    /**
+     * Selects the options with the given values. Without `multiple` only the first value that matches an option is selected.
+     * @param {Array<string>} val - The values to select.
+     */
+    set values(val) {
+        this.applySelection(Array.isArray(val) ? val : []);
+    }
+    
+    /**
+     * Gets the selection limit for multiple mode.
+     * @returns {number|null} The most options that can be selected, or null for no limit.
+     */
+    get maxSelections() {
+        const max = parseInt(this.getAttribute('max-selections'), 10);
+        return max > 0 ? max : null;
+    }
+    
+    /**
+     * Sets the selection limit for multiple mode.
+     * @param {number|null} val - The most options that can be selected, or null for no limit.
+     */
+    set maxSelections(val) {
+        if (val === null || val === undefined) {
+            this.removeAttribute('max-selections');
+        } else {
+            this.setAttribute('max-selections', String(val));
+        }
+    }
+    
+    /**
+     * Gets the number of visible options.
+     * @returns {number} The number of visible options.
+     */
+    get size() {
+        return this.select.size;
+    }
+    
+    /**
+     * Sets the number of visible options.
+     * @param {number} val - The number of visible options to set.
+     */
+    set size(val) {
+        this.select.size = val;
+    }
+    
+    /**
+     * Gets whether searchable (combobox) mode is on.
+     * @returns {boolean} Whether the select is searchable.
+     */
+    get searchable() {
+        return this.hasAttribute('searchable');
+    }
+    
+    /**
+     * Turns searchable (combobox) mode on or off.
+     * @param {boolean} val - Whether the select is searchable.
+     */
+    set searchable(val) {
+        this.toggleAttribute('searchable', !!val);
+    }
+    
+    /**
+     * Gets whether rich (custom listbox) mode is on.
+     * @returns {boolean} Whether options are rendered from their markup.
+     */
+    get rich() {
+        return this.hasAttribute('rich');
+    }
+    
+    /**
+     * Turns rich (custom listbox) mode on or off.
+     * @param {boolean} val - Whether options are rendered from their markup.
+     */
+    set rich(val) {
+        this.toggleAttribute('rich', !!val);
     }
 }
 
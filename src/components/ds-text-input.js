@@ -24,6 +24,10 @@
  * @property {boolean} disabled - Gets or sets the disabled state of the input.
  * @property {boolean} readonly - Gets or sets the readonly state of the input.
  * @property {boolean} required - Gets or sets the required state of the input.
+ * @property {string} placeholder - Gets or sets the placeholder of the input.
+ * @property {string} name - Gets or sets the name of the input.
+ * @property {HTMLFormElement|null} form - The form that owns the input (read-only).
+ * @property {string} errorMessage - The inline error message shown below the control (set through setError()).
  *
  * @fires input - Fired when the value of the input changes.
  * @fires change - Fired when the value of the input is committed.
@@ -46,6 +50,25 @@
 import BaseComponent from './base-component.js';
 
 class DsTextInput extends BaseComponent {
+    static get template() {
+        return `
+            <style>
+                :host {
+                    display: block;
+                }
+                
+                .wrapper {
+                    width: 100%;
+                }
+            </style>
+            <div class="wrapper">
+                <input id="input" part="input" type="text">
+                <slot></slot>
+            </div>
+            <div id="error-message" part="error" hidden></div>
+        `;
+    }
+    
     constructor() {
         // ARIA config for ds-text-input
         const ariaConfig = {
@@ -67,178 +90,93 @@ class DsTextInput extends BaseComponent {
             }
         };
         
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <style>
-                @import url('/src/styles/styles.css');
-                
-                :host {
-                    display: block;
-                }
-                
-                .wrapper {
-                    width: 100%;
-                }
-            </style>
-            <div class="wrapper">
-                <input id="input" part="input" type="text">
-                <slot></slot>
-            </div>
-        `;
-        
         super({
-            template: template.innerHTML,
             targetSelector: 'input',
             ariaConfig,
             events: ['input', 'change', 'focus', 'blur'],
-            observedAttributes: ['type', 'value', 'placeholder', 'disabled', 'readonly', 'required', 'name', 'id']
+            observedAttributes: ['id'],
+            attributeHandlers: {
+                id: (newValue) => {
+                    this.input.id = newValue || '';
+                }
+            }
         });
         
         this.input = this.shadowRoot.querySelector('input');
+        
+        // Keep the submitted value and validity in sync with the native input
+        this.input.addEventListener('input', () => this.updateFormValue());
+        this.input.addEventListener('change', () => this.updateFormValue());
+        this.updateFormValue();
     }
     
-    static get observedAttributes() {
-        return ['type', 'value', 'placeholder', 'disabled', 'readonly', 'required', 'name', 'id', 'aria-label', 'aria-describedby', 'aria-required', 'aria-invalid', 'aria-autocomplete', 'aria-controls', 'aria-activedescendant'];
+    /**
+     * Lets the input take part in native form submission and validation.
+     * @returns {boolean} Always true.
+     */
+    static get formAssociated() {
+        return true;
     }
     
-    attributeChangedCallback(name, oldValue, newValue) {
-        super.attributeChangedCallback(name, oldValue, newValue);
-        if (oldValue === newValue) return;
-        switch (name) {
-            case 'type':
-                this.input.type = newValue || 'text';
-                break;
-            case 'value':
-                this.input.value = newValue || '';
-                break;
-            case 'placeholder':
-                this.input.placeholder = newValue || '';
-                break;
-            case 'disabled':
-                this.input.disabled = this.hasAttribute('disabled');
-                break;
-            case 'readonly':
-                this.input.readOnly = this.hasAttribute('readonly');
-                break;
-            case 'required':
-                this.input.required = this.hasAttribute('required');
-                break;
-            case 'name':
-                this.input.name = newValue || '';
-                break;
-            case 'id':
-                this.input.id = newValue || '';
-                break;
-        }
+    static get properties() {
+        return {
+            type: { default: 'text', target: 'type' },
+            value: { target: 'value' },
+            placeholder: { target: 'placeholder' },
+            disabled: { type: 'boolean', target: 'disabled' },
+            readonly: { type: 'boolean', target: 'readOnly' },
+            required: { type: 'boolean', target: 'required' },
+            name: { target: 'name' },
+            ...BaseComponent.ariaProperties([
+                'aria-label',
+                'aria-describedby',
+                'aria-required',
+                'aria-invalid',
+                'aria-autocomplete',
+                'aria-controls',
+                'aria-activedescendant'
+            ])
+        };
     }
     
-    get value() {
-        return this.input.value;
-    }
-    set value(val) {
-        this.input.value = val;
-    }
-    get type() {
-        return this.input.type;
-    }
-    set type(val) {
-        this.input.type = val;
-    }
-    get disabled() {
-        return this.input.disabled;
-    }
-    set disabled(val) {
-        this.input.disabled = val;
-    }
-    get readonly() {
-        return this.input.readOnly;
-    }
-    set readonly(val) {
-        this.input.readOnly = val;
-    }
-    get required() {
-        return this.input.required;
-    }
-    set required(val) {
-        this.input.required = val;
-    }
-    // ARIA property accessors
-    get ariaLabel() { 
-        const value = this.input.getAttribute('aria-label');
-        return value === null ? null : value;
-    }
-    set ariaLabel(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-label');
-        } else {
-            this.input.setAttribute('aria-label', val);
-        }
-    }
-    get ariaDescribedBy() { 
-        const value = this.input.getAttribute('aria-describedby');
-        return value === null ? null : value;
-    }
-    set ariaDescribedBy(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-describedby');
-        } else {
-            this.input.setAttribute('aria-describedby', val);
-        }
-    }
-    get ariaRequired() { 
-        const value = this.input.getAttribute('aria-required');
-        return value === null ? null : value;
-    }
-    set ariaRequired(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-required');
-        } else {
-            this.input.setAttribute('aria-required', val);
-        }
-    }
-    get ariaInvalid() { 
-        const value = this.input.getAttribute('aria-invalid');
-        return value === null ? null : value;
-    }
-    set ariaInvalid(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-invalid');
-        } else {
-            this.input.setAttribute('aria-invalid', val);
-        }
-    }
-    get ariaAutocomplete() { 
-        const value = this.input.getAttribute('aria-autocomplete');
-        return value === null ? null : value;
+    static get observedAttributes() {
+        return [...this.getPropertyAttributes(), 'id'];
     }
-    set ariaAutocomplete(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-autocomplete');
-        } else {
-            this.input.setAttribute('aria-autocomplete', val);
-        }
+    
+    /**
+     * Keeps the submitted value and validity current when a property changes.
+     */
+    propertyChangedCallback() {
+        this.updateFormValue();
     }
-    get ariaControls() { 
-        const value = this.input.getAttribute('aria-controls');
-        return value === null ? null : value;
+    
+    /**
+     * Pushes the current value and validity to the owning form.
+     */
+    updateFormValue() {
+        this.setFormValue(this.input.value);
+        this.setValidityFrom(this.input);
     }
-    set ariaControls(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-controls');
-        } else {
-            this.input.setAttribute('aria-controls', val);
-        }
+    
+    /**
+     * Restores the value from the `value` attribute when the owning form is reset.
+     */
+    formResetCallback() {
+        this.input.value = this.getAttribute('value') || '';
+        this.updateFormValue();
     }
-    get ariaActiveDescendant() { 
-        const value = this.input.getAttribute('aria-activedescendant');
-        return value === null ? null : value;
+    
+    /**
+     * Restores the value after navigation or browser autofill.
+     * @param {string} state - The previously saved form state.
+     */
+    formStateRestoreCallback(state) {
+        this.input.value = typeof state === 'string' ? state : '';
+        this.updateFormValue();
     }
-    set ariaActiveDescendant(val) { 
-        if (val === null || val === undefined) {
-            this.input.removeAttribute('aria-activedescendant');
-        } else {
-            this.input.setAttribute('aria-activedescendant', val);
-        }
+    
+    get form() {
+        return this.internals?.form ?? null;
     }
     // Override validateARIA for text input–specific checks
     validateARIA() {
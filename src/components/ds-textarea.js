@@ -27,6 +27,8 @@
  * @property {boolean} readonly - Gets or sets the readonly state of the textarea.
  * @property {boolean} required - Gets or sets the required state of the textarea.
  * @property {string} name - Gets or sets the name of the textarea.
+ * @property {HTMLFormElement|null} form - The form that owns the textarea (read-only).
+ * @property {string} errorMessage - The inline error message shown below the control (set through setError()).
  *
  * @fires input - Fired when the value of the textarea changes.
  * @fires change - Fired when the value of the textarea is committed.
@@ -48,6 +50,24 @@
 import BaseComponent from './base-component.js';
 
 class DsTextarea extends BaseComponent {
+    static get template() {
+        return `
+            <style>
+                :host {
+                    display: block;
+                }
+                
+                .wrapper {
+                    width: 100%;
+                }
+            </style>
+            <div class="wrapper">
+                <textarea id="textarea" part="textarea"></textarea>
+            </div>
+            <div id="error-message" part="error" hidden></div>
+        `;
+    }
+    
     constructor() {
         // ARIA config for ds-textarea
         const ariaConfig = {
@@ -65,28 +85,7 @@ class DsTextarea extends BaseComponent {
             }
         };
         
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <style>
-                @import url('/src/styles/styles.css');
-                
-                :host {
-                    display: block;
-                }
-                
-                .wrapper {
-                    width: 100%;
-                }
-            </style>
-            <div class="wrapper">
-                <textarea id="textarea" part="textarea">
-                    <slot></slot>
-                </textarea>
-            </div>
-        `;
-        
         super({
-            template: template.innerHTML,
             targetSelector: 'textarea',
             ariaConfig,
             events: ['input', 'change', 'focus', 'blur'],
@@ -94,6 +93,19 @@ class DsTextarea extends BaseComponent {
         });
         
         this.textarea = this.shadowRoot.querySelector('textarea');
+        
+        // Keep the submitted value and validity in sync with the native textarea
+        this.textarea.addEventListener('input', () => this.updateFormValue());
+        this.textarea.addEventListener('change', () => this.updateFormValue());
+        this.updateFormValue();
+    }
+    
+    /**
+     * Lets the textarea take part in native form submission and validation.
+     * @returns {boolean} Always true.
+     */
+    static get formAssociated() {
+        return true;
     }
     
     static get observedAttributes() {
@@ -132,13 +144,43 @@ class DsTextarea extends BaseComponent {
                 this.textarea.id = newValue || '';
                 break;
         }
+        this.updateFormValue();
     }
     
+    /**
+     * Pushes the current value and validity to the owning form.
+     */
+    updateFormValue() {
+        this.setFormValue(this.textarea.value);
+        this.setValidityFrom(this.textarea);
+    }
+    
+    /**
+     * Restores the value from the `value` attribute when the owning form is reset.
+     */
+    formResetCallback() {
+        this.textarea.value = this.getAttribute('value') || '';
+        this.updateFormValue();
+    }
+    
+    /**
+     * Restores the value after navigation or browser autofill.
+     * @param {string} state - The previously saved form state.
+     */
+    formStateRestoreCallback(state) {
+        this.textarea.value = typeof state === 'string' ? state : '';
+        this.updateFormValue();
+    }
+    
+    get form() {
+        return this.internals?.form ?? null;
+    }
     get value() {
         return this.textarea.value;
     }
     set value(val) {
         this.textarea.value = val;
+        this.updateFormValue();
     }
     get placeholder() {
         return this.textarea.placeholder;
@@ -175,12 +217,14 @@ class DsTextarea extends BaseComponent {
     }
     set required(val) {
         this.textarea.required = val;
+        this.updateFormValue();
     }
     get name() {
         return this.textarea.name;
     }
     set name(val) {
-        this.textarea.name = val;
+        // Reflect to the host so the owning form submits under this name
+        this.setAttribute('name', val);
     }
     // ARIA property accessors
     get ariaLabel() { 
@@ -0,0 +1,211 @@
+/**
+ * @file contrast.js
+ * @summary WCAG 2.x contrast ratios for the token colour pairs components render
+ * @description
+ * Used by auditContrast() and by validateTokens() with the `contrast` option. Ratios follow
+ * the WCAG 2.x relative luminance formula. Colours are read from hex, `rgb()` and `hsl()`
+ * values; a translucent foreground is blended over its background first.
+ *
+ * @see https://www.w3.org/TR/WCAG21/#contrast-minimum
+ */
+
+/**
+ * Foreground/background token pairs used together by the components. `large` marks pairs
+ * only used for large or bold text, which need a lower ratio.
+ * @type {Array<{foreground: string, background: string, usage: string, large: (boolean|undefined)}>}
+ */
+export const CONTRAST_PAIRS = [
+    { foreground: 'colors.text', background: 'colors.background', usage: 'Body text' },
+    { foreground: 'forms.textColor', background: 'colors.background', usage: 'Form control text' },
+    { foreground: 'colors.primary', background: 'colors.background', usage: 'Card headings and wizard steps', large: true },
+    { foreground: 'forms.errorColor', background: 'colors.background', usage: 'Field error messages' },
+    { foreground: 'forms.errorColor', background: 'forms.errorBackground', usage: 'Form error summary' },
+    { foreground: 'forms.successColor', background: 'forms.successBackground', usage: 'Form success messages' },
+    { foreground: 'forms.infoColor', background: 'forms.infoBackground', usage: 'Form info messages' }
+];
+
+/**
+ * Minimum ratios per WCAG level, for normal and large text
+ * @type {Object<string, {normal: number, large: number}>}
+ */
+const REQUIRED_RATIOS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+const KEYWORD_COLORS = {
+    black: [0, 0, 0, 1],
+    white: [255, 255, 255, 1],
+    transparent: [0, 0, 0, 0]
+};
+
+/**
+ * Parses a CSS colour
+ * @param {string} value - Hex, `rgb()`, `hsl()`, `black`, `white` or `transparent`
+ * @returns {Array<number>|null} `[r, g, b, alpha]` with channels 0–255, or null when the colour can't be read
+ */
+export function parseColor(value) {
+    const css = String(value).trim().toLowerCase();
+    if (KEYWORD_COLORS[css]) return [...KEYWORD_COLORS[css]];
+
+    const hex = css.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+        const [r, g, b, a = 255] = digits.map(pair => parseInt(pair, 16));
+        return [r, g, b, a / 255];
+    }
+
+    const fn = css.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!fn) return null;
+    const args = fn[2].split(/[\s,/]+/).filter(Boolean);
+    if (args.length < 3 || args.length > 4) return null;
+
+    const number = arg => parseFloat(arg);
+    const alpha = args[3] === undefined ? 1 : (args[3].endsWith('%') ? number(args[3]) / 100 : number(args[3]));
+    let channels;
+
+    if (fn[1].startsWith('rgb')) {
+        channels = args.slice(0, 3).map(arg => (arg.endsWith('%') ? number(arg) * 2.55 : number(arg)));
+    } else {
+        const h = ((number(args[0]) % 360) + 360) % 360;
+        const s = number(args[1]) / 100;
+        const l = number(args[2]) / 100;
+        const k = n => (n + h / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        channels = [0, 8, 4].map(n => 255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+    }
+
+    const color = [...channels, alpha];
+    return color.every(Number.isFinite) ? color : null;
+}
+
+/**
+ * Blends a translucent colour over an opaque one
+ * @param {Array<number>} color - `[r, g, b, alpha]`
+ * @param {Array<number>} base - Opaque `[r, g, b, alpha]`
+ * @returns {Array<number>} The opaque result
+ */
+function blend(color, base) {
+    const alpha = color[3];
+    return [0, 1, 2].map(i => color[i] * alpha + base[i] * (1 - alpha)).concat(1);
+}
+
+/**
+ * Computes WCAG relative luminance
+ * @param {Array<number>} color - Opaque `[r, g, b, alpha]`
+ * @returns {number} Luminance from 0 to 1
+ */
+function luminance(color) {
+    const [r, g, b] = color.slice(0, 3).map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Computes the WCAG contrast ratio of two colours. A translucent background is treated as
+ * sitting on white.
+ * @param {string} foreground - Foreground colour
+ * @param {string} background - Background colour
+ * @returns {number|null} Ratio from 1 to 21, or null when a colour can't be read
+ */
+export function contrastRatio(foreground, background) {
+    const fg = parseColor(foreground);
+    let bg = parseColor(background);
+    if (!fg || !bg) return null;
+
+    bg = blend(bg, KEYWORD_COLORS.white);
+    const lighter = Math.max(luminance(blend(fg, bg)), luminance(bg));
+    const darker = Math.min(luminance(blend(fg, bg)), luminance(bg));
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Formats an opaque colour as hex
+ * @param {Array<number>} color - `[r, g, b, alpha]`
+ * @returns {string} `#rrggbb`
+ */
+function toHex(color) {
+    return `#${color.slice(0, 3).map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Finds the passing shade closest to a foreground colour, by mixing it with black or white
+ * in 1% steps and taking whichever needs less change
+ * @param {string} foreground - Foreground colour
+ * @param {string} background - Background colour
+ * @param {number} ratio - Required contrast ratio
+ * @returns {string|null} The shade as hex, or null when the colours can't be read
+ */
+export function suggestShade(foreground, background, ratio) {
+    const fg = parseColor(foreground);
+    const bg = parseColor(background);
+    if (!fg || !bg) return null;
+
+    const base = blend(fg, blend(bg, KEYWORD_COLORS.white));
+    const candidates = [KEYWORD_COLORS.black, KEYWORD_COLORS.white].map(target => {
+        for (let step = 1; step <= 100; step++) {
+            const amount = step / 100;
+            const shade = toHex(base.map((channel, i) => (i < 3 ? channel + (target[i] - channel) * amount : 1)));
+            if (contrastRatio(shade, background) >= ratio) return { shade, step };
+        }
+        return null;
+    }).filter(Boolean);
+
+    if (!candidates.length) return null;
+    return candidates.sort((a, b) => a.step - b.step)[0].shade;
+}
+
+/**
+ * Reads a dotted path from a token tree
+ * @param {Object} tokens - Token tree
+ * @param {string} path - Dotted path
+ * @returns {*} The value, if any
+ */
+function getToken(tokens, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), tokens);
+}
+
+/**
+ * Audits the contrast of each pair in a complete token tree
+ * @param {Object} tokens - Complete design tokens
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.level='AA'] - Level that decides `passed`: `AA` or `AAA`
+ * @param {boolean} [options.suggest=false] - Add the nearest passing `suggestion` to failing pairs
+ * @param {Array<Object>} [options.pairs] - Pairs to check instead of CONTRAST_PAIRS
+ * @returns {{passed: boolean, level: string, results: Array<Object>}} The audit
+ */
+export function auditColorPairs(tokens, { level = 'AA', suggest = false, pairs = CONTRAST_PAIRS } = {}) {
+    if (!REQUIRED_RATIOS[level]) {
+        throw new TypeError(`Unknown WCAG level "${level}", expected AA or AAA`);
+    }
+
+    const results = pairs.map(({ foreground, background, usage, large = false }) => {
+        const colors = { foreground: getToken(tokens, foreground), background: getToken(tokens, background) };
+        const ratio = colors.foreground && colors.background ? contrastRatio(colors.foreground, colors.background) : null;
+        const size = large ? 'large' : 'normal';
+        const result = {
+            foreground,
+            background,
+            usage,
+            large,
+            colors,
+            ratio: ratio === null ? null : Math.round(ratio * 100) / 100,
+            required: REQUIRED_RATIOS[level][size],
+            AA: ratio === null ? null : ratio >= REQUIRED_RATIOS.AA[size],
+            AAA: ratio === null ? null : ratio >= REQUIRED_RATIOS.AAA[size]
+        };
+        result.passed = result[level] !== false;
+        if (suggest && !result.passed) {
+            result.suggestion = suggestShade(colors.foreground, colors.background, result.required);
+        }
+        return result;
+    });
+
+    return {
+        passed: results.every(result => result.passed),
+        level,
+        results
+    };
+}
@@ -0,0 +1,29 @@
+/**
+ * @file dom-shim.js
+ * @summary Minimal globals for loading component modules outside the browser
+ * @description
+ * Component modules define classes that extend `HTMLElement` and register them with
+ * `customElements`. On the server neither exists, so this module installs just enough
+ * for the modules to load and for `ssr.js` to look up component classes and read their
+ * static templates. Components are never constructed here. Existing globals (a browser
+ * or jsdom) are left untouched.
+ */
+
+if (typeof globalThis.HTMLElement === 'undefined') {
+    globalThis.HTMLElement = class HTMLElement {};
+}
+
+if (typeof globalThis.customElements === 'undefined') {
+    const definitions = new Map();
+    globalThis.customElements = {
+        define(name, constructor) {
+            if (definitions.has(name)) {
+                throw new Error(`The name "${name}" has already been used with this registry`);
+            }
+            definitions.set(name, constructor);
+        },
+        get(name) {
+            return definitions.get(name);
+        }
+    };
+}
@@ -0,0 +1,305 @@
+/**
+ * @file dtcg.js
+ * @summary Reads and writes W3C Design Tokens Community Group (DTCG) JSON
+ * @description
+ * DTCG documents describe each token as an object with a `$value` and an optional `$type`,
+ * which may also be set on a group for all tokens inside it. Values can be aliases of other
+ * tokens, written as `{group.token}`. `parseDTCG()` resolves aliases, checks each value
+ * against its type and converts it to the CSS value used by the `DesignTokens` tree;
+ * `toDTCG()` goes the other way for `exportTokens()`.
+ *
+ * @see https://tr.designtokens.org/format/
+ * @example
+ * const { tokens } = parseDTCG({
+ *     color: {
+ *         $type: 'color',
+ *         brand: { $value: '#5a32a3' },
+ *         primary: { $value: '{color.brand}' }
+ *     }
+ * });
+ * // tokens.colors.primary === '#5a32a3'
+ */
+
+/**
+ * DTCG group names that correspond to a differently named `DesignTokens` group
+ * @type {Object<string, string>}
+ */
+const GROUP_NAMES = {
+    color: 'colors',
+    font: 'typography',
+    form: 'forms',
+    component: 'components'
+};
+
+/**
+ * `DesignTokens` groups written under their DTCG name by toDTCG()
+ * @type {Object<string, string>}
+ */
+const TREE_GROUP_NAMES = Object.fromEntries(Object.entries(GROUP_NAMES).map(([group, name]) => [name, group]));
+
+const ALIAS_PATTERN = /^\{([^{}]+)\}$/;
+const NUMBER_PATTERN = '-?(?:\\d+\\.?\\d*|\\.\\d+)';
+const DIMENSION_PATTERN = new RegExp(`^(?:${NUMBER_PATTERN}(?:px|rem|em|%|vh|vw|vmin|vmax|ch|ex)|0)$`);
+const DURATION_PATTERN = new RegExp(`^${NUMBER_PATTERN}(?:ms|s)$`);
+const COLOR_PATTERN = /^(?:#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.*\)|[a-z]+)$/i;
+const FONT_WEIGHTS = ['thin', 'hairline', 'extra-light', 'ultra-light', 'light', 'normal', 'regular', 'book',
+    'medium', 'semi-bold', 'demi-bold', 'bold', 'extra-bold', 'ultra-bold', 'black', 'heavy', 'extra-black', 'ultra-black'];
+const STROKE_STYLES = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset'];
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Converts a dimension or duration given as a string or as `{value, unit}`
+ * @param {*} value - The token value
+ * @param {RegExp} pattern - Pattern the CSS value must match
+ * @returns {string|null} The CSS value, or null if invalid
+ */
+function toUnitValue(value, pattern) {
+    const css = isObject(value) ? `${value.value}${value.unit}` : value;
+    return typeof css === 'string' && pattern.test(css) ? css : null;
+}
+
+/**
+ * Quotes a font family name when CSS requires it
+ * @param {string} name - Font family name
+ * @returns {string} The CSS font family
+ */
+function quoteFontFamily(name) {
+    return /^[\w-]+$/.test(name) || /^["']/.test(name) ? name : `"${name}"`;
+}
+
+/**
+ * Converters from a DTCG value to a CSS value, one per supported `$type`. Each returns
+ * null when the value isn't valid for the type. Composite types receive sub-values that
+ * have already been resolved and converted.
+ * @type {Object<string, Function>}
+ */
+const TYPE_CONVERTERS = {
+    color: value => (typeof value === 'string' && COLOR_PATTERN.test(value.trim()) ? value.trim() : null),
+    dimension: value => toUnitValue(value, DIMENSION_PATTERN),
+    duration: value => toUnitValue(value, DURATION_PATTERN),
+    number: value => (typeof value === 'number' && Number.isFinite(value) ? value : null),
+    fontFamily: value => {
+        const names = Array.isArray(value) ? value : [value];
+        if (!names.length || !names.every(name => typeof name === 'string' && name.trim())) return null;
+        return Array.isArray(value) ? names.map(quoteFontFamily).join(', ') : value;
+    },
+    fontWeight: value => {
+        if (typeof value === 'number') return value >= 1 && value <= 1000 ? value : null;
+        return FONT_WEIGHTS.includes(value) ? value : null;
+    },
+    cubicBezier: value => (Array.isArray(value) && value.length === 4 && value.every(n => typeof n === 'number')
+        ? `cubic-bezier(${value.join(', ')})`
+        : null),
+    strokeStyle: value => (STROKE_STYLES.includes(value) ? value : null),
+    shadow: value => {
+        const layers = Array.isArray(value) ? value : [value];
+        const css = layers.map(layer => {
+            if (!isObject(layer)) return null;
+            const color = TYPE_CONVERTERS.color(layer.color);
+            const lengths = [layer.offsetX, layer.offsetY, layer.blur, layer.spread ?? '0px']
+                .map(length => TYPE_CONVERTERS.dimension(length));
+            if (!color || lengths.includes(null)) return null;
+            return [layer.inset ? 'inset' : '', ...lengths, color].filter(Boolean).join(' ');
+        });
+        return css.length && !css.includes(null) ? css.join(', ') : null;
+    },
+    border: value => {
+        if (!isObject(value)) return null;
+        const parts = [
+            TYPE_CONVERTERS.dimension(value.width),
+            TYPE_CONVERTERS.strokeStyle(value.style),
+            TYPE_CONVERTERS.color(value.color)
+        ];
+        return parts.includes(null) ? null : parts.join(' ');
+    },
+    transition: value => {
+        if (!isObject(value)) return null;
+        const parts = [
+            TYPE_CONVERTERS.duration(value.duration),
+            TYPE_CONVERTERS.cubicBezier(value.timingFunction),
+            TYPE_CONVERTERS.duration(value.delay ?? '0ms')
+        ];
+        return parts.includes(null) ? null : parts.join(' ');
+    }
+};
+
+/**
+ * Checks whether a token tree is a DTCG document, i.e. contains at least one `$value`
+ * @param {Object} tokens - Token tree
+ * @returns {boolean} True for DTCG documents
+ */
+export function isDTCGDocument(tokens) {
+    if (!isObject(tokens)) return false;
+    if ('$value' in tokens) return true;
+    return Object.entries(tokens).some(([key, value]) => !key.startsWith('$') && isDTCGDocument(value));
+}
+
+/**
+ * Collects the tokens of a DTCG document with their inherited types
+ * @param {Object} document - DTCG document
+ * @returns {Map<string, {path: Array<string>, value: *, type: (string|undefined)}>} Tokens keyed by dotted path
+ */
+function collectTokens(document) {
+    const tokens = new Map();
+
+    const visit = (node, path, inheritedType) => {
+        const type = node.$type ?? inheritedType;
+        if ('$value' in node) {
+            tokens.set(path.join('.'), { path, value: node.$value, type });
+            return;
+        }
+        Object.entries(node).forEach(([key, child]) => {
+            if (!key.startsWith('$') && isObject(child)) visit(child, [...path, key], type);
+        });
+    };
+
+    visit(document, [], undefined);
+    return tokens;
+}
+
+/**
+ * Parses a DTCG document into the `DesignTokens` structure. Top-level DTCG groups named
+ * `color`, `font`, `form` and `component` map to `colors`, `typography`, `forms` and
+ * `components`; all other names are kept.
+ * @param {Object} document - DTCG document
+ * @returns {{tokens: Object, errors: Array<string>}} The converted tokens and any alias or type errors.
+ * Tokens with errors are left out.
+ */
+export function parseDTCG(document) {
+    const entries = collectTokens(document);
+    const resolved = new Map();
+    const errors = [];
+
+    /**
+     * Resolves a token's aliases and converts its value to CSS
+     * @param {string} name - Dotted token path
+     * @param {Array<string>} chain - Tokens being resolved, to detect cycles
+     * @returns {{value: *, type: (string|undefined)}|null} The resolved token, or null on error
+     */
+    const resolve = (name, chain) => {
+        if (resolved.has(name)) return resolved.get(name);
+
+        const entry = entries.get(name);
+        if (chain.includes(name)) {
+            errors.push(`Circular alias at ${chain[0]}: ${[...chain, name].join(' -> ')}`);
+            return null;
+        }
+
+        let { value, type } = entry;
+        let failed = false;
+
+        // Aliases are replaced by the referenced token, which also supplies the type when none is set
+        const resolveAlias = raw => {
+            const match = typeof raw === 'string' && raw.match(ALIAS_PATTERN);
+            if (!match) return raw;
+            const target = match[1];
+            if (!entries.has(target)) {
+                errors.push(`Unknown alias {${target}} at ${name}`);
+                failed = true;
+                return raw;
+            }
+            const result = resolve(target, [...chain, name]);
+            if (!result) {
+                failed = true;
+                return raw;
+            }
+            type = type ?? result.type;
+            return result.value;
+        };
+
+        value = resolveAlias(value);
+        if (Array.isArray(value)) {
+            value = value.map(resolveAlias);
+        } else if (isObject(value)) {
+            value = Object.fromEntries(Object.entries(value).map(([key, part]) => [key, resolveAlias(part)]));
+        }
+
+        let result = null;
+        if (!failed) {
+            if (type === undefined) {
+                result = { value, type };
+            } else if (!TYPE_CONVERTERS[type]) {
+                errors.push(`Unsupported $type "${type}" at ${name}`);
+            } else {
+                const css = TYPE_CONVERTERS[type](value);
+                if (css === null) {
+                    errors.push(`Invalid ${type} value at ${name}: ${JSON.stringify(value)}`);
+                } else {
+                    result = { value: css, type };
+                }
+            }
+        }
+
+        resolved.set(name, result);
+        return result;
+    };
+
+    const tokens = {};
+    for (const [name, { path }] of entries) {
+        const result = resolve(name, []);
+        if (!result || !path.length) continue;
+
+        const [group, ...rest] = path;
+        const treePath = [GROUP_NAMES[group] ?? group, ...rest];
+        let node = tokens;
+        treePath.slice(0, -1).forEach(key => {
+            if (!isObject(node[key])) node[key] = {};
+            node = node[key];
+        });
+        node[treePath[treePath.length - 1]] = result.value;
+    }
+
+    return { tokens, errors };
+}
+
+/**
+ * Guesses the DTCG type of a CSS value for export
+ * @param {Array<string>} path - Token path in the `DesignTokens` tree
+ * @param {*} value - The value
+ * @returns {string|undefined} The `$type`, or undefined when no type fits
+ */
+function inferType(path, value) {
+    const key = path[path.length - 1];
+    if (typeof value === 'number') return path[0] === 'typography' && /weight/i.test(key) ? 'fontWeight' : 'number';
+    if (typeof value !== 'string') return undefined;
+    if (path[0] === 'typography' && key === 'fontFamily') return 'fontFamily';
+    if (DIMENSION_PATTERN.test(value)) return 'dimension';
+    if (DURATION_PATTERN.test(value)) return 'duration';
+    if (new RegExp(`^${NUMBER_PATTERN}$`).test(value)) return 'number';
+    if (/^(?:#|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\()/i.test(value)) return 'color';
+    return undefined;
+}
+
+/**
+ * Converts a `DesignTokens` tree to a DTCG document. Groups get their DTCG names, e.g. `colors`
+ * becomes `color`, so the document matches the `{color.*}` aliases parseDTCG() reads. Values are
+ * written as they are used in CSS; `$type` is set where the value clearly has one, e.g. `#fff`
+ * (color) or `16px` (dimension).
+ * @param {Object} tokens - Token tree
+ * @returns {Object} The DTCG document
+ */
+export function toDTCG(tokens) {
+    const visit = (node, path) => {
+        if (!isObject(node)) {
+            const type = inferType(path, node);
+            const value = type === 'number' || type === 'fontWeight' ? Number(node) : node;
+            return type ? { $type: type, $value: value } : { $value: value };
+        }
+        return Object.fromEntries(Object.entries(node)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => [
+                path.length ? key : (TREE_GROUP_NAMES[key] ?? key),
+                visit(value, [...path, key])
+            ]));
+    };
+
+    return visit(tokens, []);
+}
@@ -0,0 +1,139 @@
+/**
+ * @file form-data.js
+ * @summary Converts between flat form fields and nested objects
+ * @description
+ * Field names use dot and bracket notation to describe where a value lives in
+ * a nested object: `address.city`, `address[city]`, `items[0].qty` and
+ * `tags[]` (append to an array). `ds-form` uses these helpers to serialize its
+ * controls in `getFormDataAsObject()` and to populate them in `setValues()`.
+ */
+
+/**
+ * @typedef {Object} FieldEntry
+ * @property {string} name - The control's field name
+ * @property {*} value - The value to store; `undefined` only reserves the path (e.g. an empty checkbox group)
+ * @property {boolean} [multiple] - Whether the field always serializes to an array
+ */
+
+/**
+ * Splits a field name into path segments
+ * @param {string} name - Field name such as `items[0].qty`
+ * @returns {Array<string>} Path segments; `[]` marks an append
+ * @example
+ * parseFieldPath('items[0].qty'); // ['items', '0', 'qty']
+ * parseFieldPath('tags[]');       // ['tags', '[]']
+ */
+export function parseFieldPath(name) {
+    return String(name).match(/\[\]|[^.[\]]+/g) || [];
+}
+
+/**
+ * Segments that would reach `Object.prototype` instead of a plain property
+ * @type {Array<string>}
+ */
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Checks whether a path segment addresses an array
+ * @param {string} segment - Path segment
+ * @returns {boolean} True for numeric indices and `[]`
+ */
+function isArraySegment(segment) {
+    return segment === '[]' || /^\d+$/.test(segment);
+}
+
+/**
+ * Stores a value at a path, creating objects and arrays along the way. A value whose
+ * name appends (`[]`) to something an earlier name made an object is skipped.
+ * @param {Object} target - The object to write into
+ * @param {Array<string>} segments - Path segments from parseFieldPath()
+ * @param {*} value - The value to store
+ * @param {boolean} multiple - Whether the final value is always an array
+ */
+function assignPath(target, segments, value, multiple) {
+    let container = target;
+
+    for (let index = 0; index < segments.length - 1; index++) {
+        const segment = segments[index];
+        const next = segments[index + 1];
+        if (segment === '[]') {
+            if (!Array.isArray(container)) return;
+            // `items[].qty` starts a new element for each value
+            const child = isArraySegment(next) ? [] : {};
+            container.push(child);
+            container = child;
+            continue;
+        }
+        if (container[segment] === undefined || typeof container[segment] !== 'object' || container[segment] === null) {
+            container[segment] = isArraySegment(next) ? [] : {};
+        }
+        container = container[segment];
+    }
+
+    const last = segments[segments.length - 1];
+
+    if (last === '[]') {
+        if (value !== undefined && Array.isArray(container)) container.push(value);
+        return;
+    }
+
+    const existing = container[last];
+    if (multiple) {
+        container[last] = Array.isArray(existing) ? existing : (existing === undefined ? [] : [existing]);
+        if (value !== undefined) container[last].push(value);
+    } else if (value === undefined) {
+        return;
+    } else if (existing !== undefined) {
+        // A repeated name collects every value
+        container[last] = Array.isArray(existing) ? [...existing, value] : [existing, value];
+    } else {
+        container[last] = value;
+    }
+}
+
+/**
+ * Builds a nested object from field entries
+ * @param {Array<FieldEntry>} entries - Field entries in document order
+ * @returns {Object} The nested object
+ * @example
+ * buildNestedObject([
+ *   { name: 'address.city', value: 'Oslo' },
+ *   { name: 'tags', value: 'a', multiple: true }
+ * ]); // { address: { city: 'Oslo' }, tags: ['a'] }
+ */
+export function buildNestedObject(entries) {
+    const result = {};
+
+    entries.forEach(({ name, value, multiple = false }) => {
+        const segments = parseFieldPath(name);
+        if (!segments.length) return;
+
+        // A leading `[]` has nothing to append to
+        if (segments[0] === '[]') return;
+
+        // Never let a field name write to an object's prototype
+        if (segments.some(segment => UNSAFE_SEGMENTS.includes(segment))) return;
+
+        assignPath(result, segments, value, multiple || segments[segments.length - 1] === '[]');
+    });
+
+    return result;
+}
+
+/**
+ * Reads the value stored at a field name's path
+ * @param {Object} object - The nested object
+ * @param {string} name - Field name such as `address.city`
+ * @returns {*} The value, or undefined if the path does not exist. For names ending in `[]` the array itself is returned.
+ */
+export function getValueAtPath(object, name) {
+    let current = object;
+
+    for (const segment of parseFieldPath(name)) {
+        if (segment === '[]') break;
+        if (current === null || typeof current !== 'object' || UNSAFE_SEGMENTS.includes(segment)) return undefined;
+        current = current[segment];
+    }
+
+    return current;
+}
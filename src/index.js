@@ -15,10 +15,12 @@ import './components/ds-checkbox.js';
 import './components/ds-textarea.js';
 import './components/ds-select.js';
 import './components/ds-option.js';
+import './components/ds-optgroup.js';
 import './components/ds-label.js';
 import './components/ds-fieldset.js';
 import './components/ds-legend.js';
 import './components/ds-form.js';
+import './components/ds-form-wizard.js';
 import './components/ds-card.js';
 
 // Export component classes for advanced usage
@@ -32,17 +34,43 @@ export { default as DsCheckbox } from './components/ds-checkbox.js';
 export { default as DsTextarea } from './components/ds-textarea.js';
 export { default as DsSelect } from './components/ds-select.js';
 export { default as DsOption } from './components/ds-option.js';
+export { default as DsOptgroup } from './components/ds-optgroup.js';
 export { default as DsLabel } from './components/ds-label.js';
 export { default as DsFieldset } from './components/ds-fieldset.js';
 export { default as DsLegend } from './components/ds-legend.js';
 export { default as DsForm } from './components/ds-form.js';
+export { default as DsFormWizard } from './components/ds-form-wizard.js';
 export { default as DsCard } from './components/ds-card.js';
 
 // Export the base component for custom component development
 export { default as BaseComponent } from './components/base-component.js';
 
 // Export initialization functions
-export { init, updateTokens, getCurrentTokens, resetTokens, DEFAULT_TOKENS } from './init.js';
+export {
+    init,
+    updateTokens,
+    getCurrentTokens,
+    exportTokens,
+    resetTokens,
+    validateTokens,
+    TokenValidationError,
+    auditContrast,
+    DEFAULT_TOKENS,
+    registerTheme,
+    unregisterTheme,
+    getThemes,
+    getTheme,
+    setTheme
+} from './init.js';
+
+// Export token tree helpers
+export { flattenTokens, unflattenTokens, registerTokenGroup } from './tokens.js';
+
+// Export form validation registry
+export { registerValidator, unregisterValidator, getValidator } from './validators.js';
+
+// Export shared stylesheet registry
+export { registerGlobalStyleSheet, unregisterGlobalStyleSheet } from './style-registry.js';
 
 // Version info
 export const VERSION = '1.0.0'; 
\ No newline at end of file
@@ -7,6 +7,11 @@
  * the appearance and behavior of all components without modifying the core code.
  */
 
+import { flattenTokens, unflattenTokens, cloneTokens, isTokenGroup } from './tokens.js';
+import { isDTCGDocument, parseDTCG, toDTCG } from './dtcg.js';
+import { TokenValidationError, checkTokenValue, suggestName } from './token-validation.js';
+import { auditColorPairs } from './contrast.js';
+
 /**
  * @typedef {Object} DesignTokens
  * @property {Object} colors - Color palette configuration
@@ -115,13 +120,118 @@ const DEFAULT_TOKENS = {
 };
 
 /**
- * Merges user tokens with defaults, handling nested objects
+ * Token overrides for the built-in dark theme
+ * @type {DesignTokens}
+ */
+const DARK_THEME_TOKENS = {
+    colors: {
+        primary: '#4dabf7',
+        primaryDark: '#339af0',
+        secondary: '#adb5bd',
+        text: '#f1f3f5',
+        background: '#121212',
+        success: '#51cf66',
+        error: '#ff6b6b',
+        warning: '#ffd43b',
+        info: '#3bc9db'
+    },
+    forms: {
+        borderColor: '#495057',
+        textColor: '#dee2e6',
+        errorColor: '#ff6b6b',
+        errorBackground: '#2c1215',
+        errorBorder: '#5c1f24',
+        successColor: '#8ce99a',
+        successBackground: '#132b17',
+        successBorder: '#2b5a33',
+        infoColor: '#99e9f2',
+        infoBackground: '#0b2a30',
+        infoBorder: '#1b4f57'
+    }
+};
+
+/**
+ * Token overrides for the built-in high-contrast theme
+ * @type {DesignTokens}
+ */
+const HIGH_CONTRAST_THEME_TOKENS = {
+    colors: {
+        primary: '#0000ee',
+        primaryDark: '#00008b',
+        secondary: '#333333',
+        text: '#000000',
+        background: '#ffffff',
+        success: '#006400',
+        error: '#b00020',
+        warning: '#7a4d00',
+        info: '#005a70'
+    },
+    forms: {
+        borderColor: '#000000',
+        textColor: '#000000',
+        errorColor: '#b00020'
+    }
+};
+
+/**
+ * localStorage key holding the theme chosen with setTheme()
+ * @type {string}
+ */
+const THEME_STORAGE_KEY = 'ds-theme';
+
+/**
+ * Theme names go into `[data-ds-theme="name"]` selectors unescaped, so they are limited
+ * to letters, digits, `_` and `-`
+ * @type {RegExp}
+ */
+const THEME_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * Registered themes keyed by name, in registration order
+ * @type {Map<string, {tokens: DesignTokens, colorScheme: (string|undefined), contrast: (string|undefined)}>}
+ */
+const themes = new Map();
+
+/**
+ * The `:root` custom properties last injected, so registering a theme can re-inject the stylesheet
+ * @type {string|null}
+ */
+let injectedCSS = null;
+
+/**
+ * Token scopes created with the `target` option, keyed by target
+ * @type {Map<(Element|ShadowRoot|string), {tokens: DesignTokens, selector: string, styleElement: HTMLStyleElement, element: (Element|null)}>}
+ */
+const scopes = new Map();
+
+/**
+ * Counter for generated `data-ds-scope` ids
+ * @type {number}
+ */
+let scopeCount = 0;
+
+/**
+ * The full token tree last written to `:root`, so getCurrentTokens() knows which custom
+ * properties to read back, including custom groups
+ * @type {DesignTokens|null}
+ */
+let appliedTokens = null;
+
+/**
+ * Media query listeners active while the `auto` theme is selected
+ * @type {Array<Function>}
+ */
+let autoThemeListeners = [];
+
+/**
+ * Merges user tokens with defaults, handling nested objects. Neither argument is modified.
  * @param {Object} defaults - Default tokens
  * @param {Object} userTokens - User-provided tokens
  * @returns {Object} Merged tokens
  */
 function deepMerge(defaults, userTokens) {
-    const result = { ...defaults };
+    // Copy deeply so the result never shares nested objects with the defaults
+    const result = cloneTokens(defaults);
     
     // Handle invalid userTokens
     if (!userTokens || typeof userTokens !== 'object' || Array.isArray(userTokens)) {
@@ -145,76 +255,66 @@ function deepMerge(defaults, userTokens) {
 }
 
 /**
- * Converts design tokens to CSS custom properties
+ * Converts design tokens to CSS custom properties. Every group is converted, including
+ * custom ones such as `shadows` or `zIndex`; see flattenTokens() for the naming rules.
  * @param {DesignTokens} tokens - Design tokens object
  * @returns {string} CSS custom properties string
  */
 function tokensToCSS(tokens) {
-    const cssProperties = [];
-    
-    // Convert colors
-    if (tokens.colors && typeof tokens.colors === 'object') {
-        for (const [key, value] of Object.entries(tokens.colors)) {
-            if (value !== null && value !== undefined) {
-                cssProperties.push(`--ds-color-${key}: ${value};`);
-            }
-        }
-    }
-    
-    // Convert spacing
-    if (tokens.spacing && typeof tokens.spacing === 'object') {
-        for (const [key, value] of Object.entries(tokens.spacing)) {
-            if (value !== null && value !== undefined) {
-                cssProperties.push(`--ds-spacing-${key}: ${value};`);
-            }
-        }
-    }
-    
-    // Convert typography
-    if (tokens.typography && typeof tokens.typography === 'object') {
-        for (const [key, value] of Object.entries(tokens.typography)) {
-            if (value !== null && value !== undefined) {
-                // Convert camelCase to kebab-case for CSS properties
-                const cssKey = key.replace(/([A-Z])/g, '-$1').toLowerCase();
-                // Remove duplicate "font-" prefix
-                const finalKey = cssKey.replace(/^font-/, '');
-                cssProperties.push(`--ds-font-${finalKey}: ${value};`);
-            }
-        }
-    }
-    
-    // Convert forms
-    if (tokens.forms && typeof tokens.forms === 'object') {
-        for (const [key, value] of Object.entries(tokens.forms)) {
-            if (value !== null && value !== undefined) {
-                cssProperties.push(`--ds-form-${key}: ${value};`);
-            }
-        }
-    }
-    
-    // Convert layout
-    if (tokens.layout && typeof tokens.layout === 'object') {
-        for (const [key, value] of Object.entries(tokens.layout)) {
-            if (value !== null && value !== undefined) {
-                cssProperties.push(`--ds-${key}: ${value};`);
-            }
-        }
+    return Object.entries(flattenTokens(tokens))
+        .map(([name, value]) => `${name}: ${value};`)
+        .join('\n  ');
+}
+
+/**
+ * Builds the CSS block for one theme
+ * @param {string} selector - Selector the block applies to
+ * @param {Object} theme - Registered theme
+ * @returns {string} The CSS rule
+ */
+function themeToCSS(selector, theme) {
+    const declarations = [
+        theme.colorScheme ? `color-scheme: ${theme.colorScheme};` : '',
+        tokensToCSS(theme.tokens)
+    ].filter(Boolean).join('\n  ');
+    return `${selector} {\n  ${declarations}\n}`;
+}
+
+/**
+ * Finds the theme the `auto` theme uses for a user preference. The most recently
+ * registered matching theme wins, so a brand dark theme replaces the built-in one.
+ * @param {string} option - `colorScheme` or `contrast`
+ * @param {string} value - `dark` or `more`
+ * @returns {string|null} The theme name
+ */
+function findAutoTheme(option, value) {
+    const names = Array.from(themes.keys()).filter(name => themes.get(name)[option] === value);
+    return names.length ? names[names.length - 1] : null;
+}
+
+/**
+ * Builds the full token stylesheet: `:root` defaults, one `[data-ds-theme]` block per
+ * theme, and media queries that drive `data-ds-theme="auto"`
+ * @param {string} css - CSS custom properties for `:root`
+ * @returns {string} The stylesheet
+ */
+function buildStylesheet(css) {
+    const rules = [`:root {\n  ${css}\n}`];
+
+    themes.forEach((theme, name) => {
+        rules.push(themeToCSS(`[data-ds-theme="${name}"]`, theme));
+    });
+
+    const darkTheme = findAutoTheme('colorScheme', 'dark');
+    if (darkTheme) {
+        rules.push(`@media (prefers-color-scheme: dark) {\n${themeToCSS('[data-ds-theme="auto"]', themes.get(darkTheme))}\n}`);
     }
-    
-    // Convert component-specific tokens
-    if (tokens.components && typeof tokens.components === 'object') {
-        for (const [component, config] of Object.entries(tokens.components)) {
-            if (config && typeof config === 'object') {
-                for (const [key, value] of Object.entries(config)) {
-                    if (value !== null && value !== undefined) {
-                        cssProperties.push(`--ds-${component}-${key}: ${value};`);
-                    }
-                }
-            }
-        }
+    const contrastTheme = findAutoTheme('contrast', 'more');
+    if (contrastTheme) {
+        rules.push(`@media (prefers-contrast: more) {\n${themeToCSS('[data-ds-theme="auto"]', themes.get(contrastTheme))}\n}`);
     }
-    
-    return cssProperties.join('\n  ');
+
+    return rules.join('\n\n');
 }
 
 /**
@@ -231,46 +331,188 @@ function injectCSS(css) {
         document.head.appendChild(styleElement);
     }
     
-    styleElement.textContent = `:root {\n  ${css}\n}`;
+    injectedCSS = css;
+    styleElement.textContent = buildStylesheet(css);
 }
 
 /**
- * Validates design tokens for required properties and correct types
+ * Gets or creates the scope for a target
+ * @param {Element|ShadowRoot|string} target - Element, shadow root or CSS selector
+ * @returns {Object} The scope
+ */
+function getScope(target) {
+    if (scopes.has(target)) {
+        return scopes.get(target);
+    }
+
+    let container = document.head;
+    let selector;
+    let element = null;
+
+    if (typeof target === 'string') {
+        selector = target;
+    } else if (typeof ShadowRoot !== 'undefined' && target instanceof ShadowRoot) {
+        // Properties on the host are inherited by the whole shadow tree
+        container = target;
+        selector = ':host';
+    } else if (target && target.nodeType === Node.ELEMENT_NODE) {
+        element = target;
+        element.setAttribute('data-ds-scope', `${++scopeCount}`);
+        selector = `[data-ds-scope="${scopeCount}"]`;
+        // An element inside a shadow root can't be reached from document styles
+        const root = element.getRootNode();
+        if (typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot) {
+            container = root;
+        }
+    } else {
+        throw new TypeError('Token target must be an element, a shadow root or a CSS selector');
+    }
+
+    const styleElement = document.createElement('style');
+    styleElement.setAttribute('data-ds-scope-tokens', '');
+    container.appendChild(styleElement);
+
+    const scope = { tokens: {}, selector, styleElement, element };
+    scopes.set(target, scope);
+    return scope;
+}
+
+/**
+ * Writes a scope's token overrides to its style element
+ * @param {Object} scope - The scope
+ * @param {DesignTokens} tokens - Token overrides for the scope
+ * @returns {string} CSS custom properties string
+ */
+function injectScopedCSS(scope, tokens) {
+    const css = tokensToCSS(tokens);
+    scope.tokens = tokens;
+    scope.styleElement.textContent = `${scope.selector} {\n  ${css}\n}`;
+    return css;
+}
+
+/**
+ * Creates the handle returned by init() and updateTokens()
+ * @param {Element|ShadowRoot|string|null} target - The scope target, or null for `:root`
+ * @returns {{target: (Element|ShadowRoot|string|null), update: Function, remove: Function}} The handle
+ */
+function createTokenHandle(target) {
+    return {
+        target,
+        /**
+         * Merges more tokens into this scope
+         * @param {DesignTokens} tokens - Token overrides
+         * @returns {Object} The updateTokens() result
+         */
+        update(tokens) {
+            return updateTokens(tokens, target ? { target } : {});
+        },
+        /**
+         * Removes the tokens this handle applied
+         */
+        remove() {
+            if (!target) {
+                const styleElement = typeof document !== 'undefined' && document.getElementById('ds-design-tokens');
+                if (styleElement) styleElement.remove();
+                injectedCSS = null;
+                appliedTokens = null;
+                return;
+            }
+            const scope = scopes.get(target);
+            if (!scope) return;
+            scope.styleElement.remove();
+            if (scope.element) scope.element.removeAttribute('data-ds-scope');
+            scopes.delete(target);
+        }
+    };
+}
+
+/**
+ * Validates design tokens. Checks that required tokens are present, that each value suits
+ * its token (colours, CSS lengths with units, font stacks, line heights) and that names
+ * are known. Unknown names are reported, with a suggestion when one is close; custom
+ * top-level groups are known once registered with registerTokenGroup().
  * @param {DesignTokens} userTokens - Design tokens to validate
- * @returns {Object} Validation result with isValid boolean and errors array
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.strict=false] - Throw a `TokenValidationError` instead of returning errors
+ * @param {boolean|string} [options.contrast=false] - Also audit colour contrast (see auditContrast()) at `AA`
+ * (or `true`) or `AAA`, with the tokens merged over the defaults
+ * @returns {{isValid: boolean, errors: Array<{path: string, code: string, message: string}>}} Validation result.
+ * Error codes: `invalid-type`, `invalid-group`, `missing-required`, `unknown-key`, `invalid-color`,
+ * `missing-unit`, `invalid-length`, `invalid-font-family`, `invalid-line-height`, `insufficient-contrast`.
+ * @throws {TokenValidationError} In strict mode, when there are errors
+ * @example
+ * validateTokens({ colors: { primay: 'blue-ish' } }).errors;
+ * // [{ path: 'colors.primay', code: 'unknown-key', message: 'Unknown token colors.primay. Did you mean colors.primary?' }, ...]
  */
-function validateTokens(userTokens) {
+export function validateTokens(userTokens, { strict = false, contrast = false } = {}) {
     const errors = [];
-    // Validate colors
-    if (userTokens.colors && typeof userTokens.colors === 'object') {
-        const requiredColors = ['primary', 'text', 'background'];
-        for (const color of requiredColors) {
-            if (!userTokens.colors.hasOwnProperty(color) || !userTokens.colors[color]) {
-                errors.push(`Missing required color: ${color}`);
+    const addError = (path, code, message) => errors.push({ path, code, message });
+    const isGroup = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isGroup(userTokens)) {
+        addError('', 'invalid-type', 'Design tokens must be an object');
+    } else {
+        // Required tokens
+        const required = {
+            colors: ['primary', 'text', 'background'],
+            spacing: ['xs', 'sm', 'md', 'lg'],
+            typography: ['fontFamily']
+        };
+        for (const [group, keys] of Object.entries(required)) {
+            if (isGroup(userTokens[group])) {
+                for (const key of keys) {
+                    if (!userTokens[group].hasOwnProperty(key) || !userTokens[group][key]) {
+                        addError(`${group}.${key}`, 'missing-required', group === 'typography'
+                            ? `Missing required ${group}.${key}`
+                            : `Missing required ${group === 'colors' ? 'color' : group}: ${key}`);
+                    }
+                }
+            } else if (userTokens[group] !== undefined) {
+                addError(group, 'invalid-group', `Missing ${group} configuration`);
             }
         }
-    } else if (userTokens.colors !== undefined) {
-        errors.push('Missing colors configuration');
-    }
-    // Validate spacing
-    if (userTokens.spacing && typeof userTokens.spacing === 'object') {
-        const requiredSpacing = ['xs', 'sm', 'md', 'lg'];
-        for (const space of requiredSpacing) {
-            if (!userTokens.spacing.hasOwnProperty(space) || !userTokens.spacing[space]) {
-                errors.push(`Missing required spacing: ${space}`);
+
+        // Names and values
+        const visit = (node, path, reference) => {
+            for (const [key, value] of Object.entries(node)) {
+                const tokenPath = [...path, key];
+                // Custom groups are fine once registered with registerTokenGroup()
+                if (reference && !(key in reference) && !(path.length === 0 && isTokenGroup(key))) {
+                    const name = tokenPath.join('.');
+                    const suggestion = suggestName(key, Object.keys(reference));
+                    addError(name, 'unknown-key', suggestion
+                        ? `Unknown token ${name}. Did you mean ${[...path, suggestion].join('.')}?`
+                        : `Unknown token ${name}`);
+                    continue;
+                }
+                if (isGroup(value)) {
+                    visit(value, tokenPath, reference && isGroup(reference[key]) ? reference[key] : null);
+                } else if (path.length) {
+                    const error = checkTokenValue(tokenPath, value);
+                    if (error) errors.push(error);
+                }
+            }
+        };
+        visit(userTokens, [], DEFAULT_TOKENS);
+
+        if (contrast) {
+            const audit = auditColorPairs(deepMerge(DEFAULT_TOKENS, userTokens), {
+                level: contrast === true ? 'AA' : contrast,
+                suggest: true
+            });
+            for (const result of audit.results.filter(pair => !pair.passed)) {
+                const suggestion = result.suggestion ? ` Try ${result.suggestion}.` : '';
+                addError(result.foreground, 'insufficient-contrast',
+                    `${result.foreground} on ${result.background} has a contrast ratio of ${result.ratio}:1; ` +
+                    `WCAG ${audit.level} requires ${result.required}:1 (${result.usage.toLowerCase()}).${suggestion}`);
             }
         }
-    } else if (userTokens.spacing !== undefined) {
-        errors.push('Missing spacing configuration');
     }
-    // Validate typography
-    if (userTokens.typography && typeof userTokens.typography === 'object') {
-        if (!userTokens.typography.hasOwnProperty('fontFamily') || !userTokens.typography.fontFamily) {
-            errors.push('Missing required typography.fontFamily');
-        }
-    } else if (userTokens.typography !== undefined) {
-        errors.push('Missing typography configuration');
+
+    if (strict && errors.length) {
+        throw new TokenValidationError(errors);
     }
+
     return {
         isValid: errors.length === 0,
         errors
@@ -279,12 +521,24 @@ function validateTokens(userTokens) {
 
 /**
  * Initializes the design system with custom tokens
- * @param {DesignTokens} userTokens - User-provided design tokens
+ * @param {DesignTokens|Object} userTokens - User-provided design tokens, either as a `DesignTokens` tree or
+ * as a W3C Design Tokens (DTCG) document with `$value`/`$type` tokens and `{group.token}` aliases
  * @param {Object} options - Initialization options
- * @param {boolean} options.validate - Whether to validate tokens (default: true)
+ * @param {boolean} options.validate - Whether to validate tokens with validateTokens() (default: false). Invalid tokens
+ * fail with the messages in `errors` and the `{path, code, message}` entries in `validationErrors`.
+ * @param {boolean} [options.strict] - Validate and throw a `TokenValidationError` for invalid tokens
+ * @param {boolean|string} [options.contrast] - With `validate` or `strict`, also fail on colour pairs below WCAG `AA` (or `true`) or `AAA`
  * @param {boolean} options.injectCSS - Whether to inject CSS into document (default: true)
  * @param {boolean} options.console - Whether to log initialization info (default: true)
- * @returns {Object} Initialization result
+ * @param {Object<string, {tokens: DesignTokens, colorScheme: string, contrast: string}>} [options.themes] - Themes to register, see registerTheme()
+ * @param {string} [options.theme] - Theme to apply when the user hasn't chosen one with setTheme(); `auto` follows the OS preferences
+ * @param {Element|ShadowRoot|string} [options.target] - Apply the tokens to this element, shadow root or selector only, instead of `:root`.
+ * Only the given tokens are written, so everything else is inherited from the page.
+ * @returns {Object} Initialization result, including a `handle` whose `remove()` takes the tokens off the page
+ * @example
+ * // Give one embedded widget its own brand colour
+ * const { handle } = init({ colors: { primary: '#5a32a3' } }, { target: document.querySelector('#partner-widget') });
+ * handle.remove();
  */
 export function init(userTokens = {}, options = {}) {
     const opts = {
@@ -295,26 +549,68 @@ export function init(userTokens = {}, options = {}) {
     };
 
     try {
+        // W3C Design Tokens (DTCG) documents are converted to the DesignTokens structure first
+        if (isDTCGDocument(userTokens)) {
+            const { tokens, errors } = parseDTCG(userTokens);
+            if (errors.length) {
+                if (opts.console) {
+                    console.error('❌ Design token document is invalid:', errors);
+                }
+                return { success: false, errors, tokens: null };
+            }
+            userTokens = tokens;
+        }
+
         // If validation is requested, validate user tokens BEFORE merging
-        if (opts.validate) {
-            const validation = validateTokens(userTokens);
+        if (opts.validate || opts.strict) {
+            const validation = validateTokens(userTokens, { strict: opts.strict, contrast: opts.contrast });
             if (!validation.isValid) {
                 if (opts.console && typeof window !== 'undefined' && window.console) {
                     console.error('❌ Design system token validation failed:', validation.errors);
                 }
-                return { success: false, errors: validation.errors };
+                return {
+                    success: false,
+                    errors: validation.errors.map(error => error.message),
+                    validationErrors: validation.errors
+                };
+            }
+        }
+
+        if (opts.themes) {
+            for (const [name, theme] of Object.entries(opts.themes)) {
+                registerTheme(name, theme.tokens, theme, { inject: false });
             }
         }
 
         // Merge user tokens with defaults
         const mergedTokens = deepMerge(DEFAULT_TOKENS, userTokens);
 
+        if (opts.target) {
+            const css = opts.injectCSS && typeof document !== 'undefined'
+                ? injectScopedCSS(getScope(opts.target), deepMerge({}, userTokens))
+                : tokensToCSS(deepMerge({}, userTokens));
+            return {
+                success: true,
+                errors: [],
+                tokens: mergedTokens,
+                css,
+                handle: createTokenHandle(opts.target)
+            };
+        }
+
         // Convert tokens to CSS
         const css = tokensToCSS(mergedTokens);
 
         // Inject CSS if requested and in browser environment
         if (opts.injectCSS && typeof document !== 'undefined') {
             injectCSS(css);
+            appliedTokens = mergedTokens;
+
+            // A choice saved by setTheme() wins over the configured default
+            const theme = getStoredTheme() || opts.theme;
+            if (theme) {
+                setTheme(theme, { persist: false });
+            }
         }
 
         // Log success if requested
@@ -327,9 +623,14 @@ export function init(userTokens = {}, options = {}) {
             success: true,
             errors: [],
             tokens: mergedTokens,
-            css
+            css,
+            stylesheet: buildStylesheet(css),
+            handle: createTokenHandle(null)
         };
     } catch (error) {
+        if (error instanceof TokenValidationError) {
+            throw error;
+        }
         const errorMessage = `Design system initialization failed: ${error.message}`;
         if (opts.console) {
             console.error(errorMessage);
@@ -338,23 +639,48 @@ export function init(userTokens = {}, options = {}) {
             success: false,
             errors: [errorMessage],
             tokens: null,
-            css: ''
+            css: '',
+            stylesheet: ''
         };
     }
 }
 
 /**
  * Updates design tokens after initialization
- * @param {DesignTokens} newTokens - New design tokens
+ * @param {DesignTokens|Object} newTokens - New design tokens, as a `DesignTokens` tree or a DTCG document (see init())
  * @param {Object} options - Update options
  * @param {boolean} options.injectCSS - Whether to inject updated CSS (default: true)
+ * @param {Element|ShadowRoot|string} [options.target] - Update the tokens of this scope instead of `:root` (see init())
  * @returns {Object} Update result
  */
 export function updateTokens(newTokens, options = {}) {
-    const { injectCSS: shouldInjectCSS = true } = options;
+    const { injectCSS: shouldInjectCSS = true, target } = options;
     
     try {
-        // Merge with current tokens (stored in CSS custom properties)
+        if (isDTCGDocument(newTokens)) {
+            const { tokens, errors } = parseDTCG(newTokens);
+            if (errors.length) {
+                throw new Error(`Invalid design token document: ${errors.join('; ')}`);
+            }
+            newTokens = tokens;
+        }
+
+        if (target) {
+            const current = scopes.has(target) ? scopes.get(target).tokens : {};
+            const tokens = deepMerge(current, newTokens);
+            const css = shouldInjectCSS && typeof document !== 'undefined'
+                ? injectScopedCSS(getScope(target), tokens)
+                : tokensToCSS(tokens);
+            return {
+                success: true,
+                tokens,
+                css,
+                handle: createTokenHandle(target)
+            };
+        }
+        
+
+        // Merge with the tokens last applied to :root, never the themed computed values
         const currentTokens = getCurrentTokens();
         const tokens = deepMerge(currentTokens, newTokens);
         
@@ -362,6 +688,7 @@ export function updateTokens(newTokens, options = {}) {
         const css = tokensToCSS(tokens);
         if (shouldInjectCSS && typeof document !== 'undefined') {
             injectCSS(css);
+            appliedTokens = tokens;
         }
         
         console.log('🎨 Design tokens updated successfully');
@@ -369,7 +696,8 @@ export function updateTokens(newTokens, options = {}) {
         return {
             success: true,
             tokens,
-            css
+            css,
+            handle: createTokenHandle(null)
         };
         
     } catch (error) {
@@ -382,50 +710,101 @@ export function updateTokens(newTokens, options = {}) {
 }
 
 /**
- * Gets current design tokens from CSS custom properties
- * @returns {Object} Current design tokens
+ * Gets current design tokens. While the stylesheet injected by init() is in the page, they
+ * come from the tree it applied to `:root`, since the computed style of the document element
+ * includes the active theme. Otherwise every token is read back from its CSS custom property,
+ * falling back to the default when it has no computed value.
+ * @returns {Object} Current design tokens, always a fresh copy
  */
 export function getCurrentTokens() {
     if (typeof document === 'undefined') {
-        return DEFAULT_TOKENS;
+        return cloneTokens(DEFAULT_TOKENS);
     }
     
-    const style = getComputedStyle(document.documentElement);
-    const tokens = { ...DEFAULT_TOKENS };
-    
-    // Extract colors
-    for (const key of Object.keys(DEFAULT_TOKENS.colors)) {
-        const value = style.getPropertyValue(`--ds-color-${key}`).trim();
-        if (value) {
-            tokens.colors[key] = value;
-        }
+    const reference = deepMerge(DEFAULT_TOKENS, appliedTokens);
+    if (appliedTokens && document.getElementById('ds-design-tokens')) {
+        return unflattenTokens(flattenTokens(reference), reference);
     }
     
-    // Extract spacing
-    for (const key of Object.keys(DEFAULT_TOKENS.spacing)) {
-        const value = style.getPropertyValue(`--ds-spacing-${key}`).trim();
-        if (value) {
-            tokens.spacing[key] = value;
-        }
-    }
+    const style = getComputedStyle(document.documentElement);
+    const defaults = flattenTokens(DEFAULT_TOKENS);
+    const properties = {};
     
-    // Extract typography
-    for (const key of Object.keys(DEFAULT_TOKENS.typography)) {
-        const value = style.getPropertyValue(`--ds-font-${key}`).trim();
+    for (const name of Object.keys(flattenTokens(reference))) {
+        const value = style.getPropertyValue(name).trim() || defaults[name];
         if (value) {
-            tokens.typography[key] = value;
+            properties[name] = value;
         }
     }
     
-    // Extract forms
-    for (const key of Object.keys(DEFAULT_TOKENS.forms)) {
-        const value = style.getPropertyValue(`--ds-form-${key}`).trim();
-        if (value) {
-            tokens.forms[key] = value;
-        }
+    return unflattenTokens(properties, reference);
+}
+
+/**
+ * Audits WCAG 2.x contrast of the foreground/background token pairs the components use, such as
+ * `colors.text` on `colors.background` and `forms.errorColor` on `forms.errorBackground`
+ * @param {DesignTokens} [tokens] - Tokens to audit, merged over the defaults (defaults to the current tokens)
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.level='AA'] - Level each pair must meet to pass: `AA` or `AAA`
+ * @param {boolean} [options.suggest=false] - Add the nearest passing shade of the foreground to failing pairs
+ * @returns {{passed: boolean, level: string, results: Array<Object>}} One result per pair with the token paths,
+ * `usage`, `colors`, `ratio`, `required`, `AA` and `AAA` flags, `passed` and any `suggestion`. Pairs whose colours
+ * can't be read (named colours, `var()`) have a `ratio` of null and pass.
+ * @throws {TypeError} For an unknown level
+ * @example
+ * const { results } = auditContrast({ colors: { primary: '#7fb3ff' } }, { suggest: true });
+ * // { foreground: 'colors.primary', background: 'colors.background', ratio: 2.14, AA: false, suggestion: '#6b96d6', ... }
+ */
+export function auditContrast(tokens = getCurrentTokens(), options = {}) {
+    return auditColorPairs(deepMerge(DEFAULT_TOKENS, tokens), options);
+}
+
+/**
+ * Converts a custom property name to a JavaScript constant name, e.g. `--ds-form-borderRadius` to `dsFormBorderRadius`
+ * @param {string} name - Custom property name
+ * @returns {string} The constant name
+ */
+function toConstantName(name) {
+    return name.slice(2).replace(/-+(.)/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Exports design tokens in a build format. `build-tokens.js` writes them to files.
+ * @param {string} [format='dtcg'] - One of:
+ * - `dtcg`: a W3C Design Tokens (DTCG) document
+ * - `json`: a flat map of custom property names to values
+ * - `css`: the stylesheet init() injects, with `:root` and theme rules
+ * - `scss`: SCSS variables named like the custom properties, e.g. `$ds-color-primary`
+ * - `js`: an ES module with one constant per token (`dsColorPrimary`) and the token tree as default export
+ * @param {DesignTokens} [tokens] - Tokens to export (defaults to the current tokens)
+ * @returns {string} The file contents
+ * @throws {TypeError} For an unknown format
+ * @example
+ * const json = exportTokens('dtcg');
+ * // { "color": { "primary": { "$type": "color", "$value": "#007bff" }, ... } }
+ */
+export function exportTokens(format = 'dtcg', tokens = getCurrentTokens()) {
+    const properties = flattenTokens(tokens);
+
+    switch (format) {
+        case 'dtcg':
+            return JSON.stringify(toDTCG(tokens), null, 2);
+        case 'json':
+            return JSON.stringify(properties, null, 2);
+        case 'css':
+            return `${buildStylesheet(tokensToCSS(tokens))}\n`;
+        case 'scss':
+            return Object.entries(properties)
+                .map(([name, value]) => `$${name.slice(2)}: ${value};\n`)
+                .join('');
+        case 'js':
+            return Object.entries(properties)
+                .filter(([name]) => /^[A-Za-z_$][\w$]*$/.test(toConstantName(name)))
+                .map(([name, value]) => `export const ${toConstantName(name)} = ${JSON.stringify(value)};\n`)
+                .join('') + `\nexport default ${JSON.stringify(tokens, null, 2)};\n`;
+        default:
+            throw new TypeError(`Unknown token export format "${format}"`);
     }
-    
-    return tokens;
 }
 
 /**
@@ -436,5 +815,169 @@ export function resetTokens() {
     return init({}, { validate: false, console: false });
 }
 
+/**
+ * Registers a named theme. Its tokens are emitted under `[data-ds-theme="name"]`, so a
+ * theme can be applied to the whole page with setTheme() or to any subtree by setting
+ * the attribute. Only tokens that differ from the defaults need to be given.
+ * @param {string} name - Theme name: letters, digits, `_` and `-`, and not `auto`
+ * @param {DesignTokens} tokens - Token overrides
+ * @param {Object} [options] - Theme options
+ * @param {string} [options.colorScheme] - `light` or `dark`; sets CSS `color-scheme`, and a `dark` theme is used by `auto` when the OS prefers dark
+ * @param {string} [options.contrast] - `more` to use this theme in `auto` mode when the OS prefers more contrast
+ * @param {Object} [internal] - Internal options
+ * @param {boolean} [internal.inject=true] - Re-inject the stylesheet if tokens are already injected
+ * @example
+ * registerTheme('brand-dark', { colors: { primary: '#b197fc' } }, { colorScheme: 'dark' });
+ */
+export function registerTheme(name, tokens = {}, { colorScheme, contrast } = {}, { inject = true } = {}) {
+    if (typeof name !== 'string' || !THEME_NAME_PATTERN.test(name) || name === 'auto') {
+        throw new TypeError(`Invalid theme name: ${name}`);
+    }
+    themes.delete(name);
+    themes.set(name, { tokens, colorScheme, contrast });
+
+    if (inject && injectedCSS !== null && typeof document !== 'undefined') {
+        injectCSS(injectedCSS);
+    }
+}
+
+/**
+ * Removes a registered theme
+ * @param {string} name - Theme name
+ * @returns {boolean} True if a theme was removed
+ */
+export function unregisterTheme(name) {
+    const removed = themes.delete(name);
+    if (removed && injectedCSS !== null && typeof document !== 'undefined') {
+        injectCSS(injectedCSS);
+    }
+    return removed;
+}
+
+/**
+ * Gets the names of the registered themes
+ * @returns {Array<string>} Theme names, in registration order
+ */
+export function getThemes() {
+    return Array.from(themes.keys());
+}
+
+/**
+ * Gets the theme set on the document
+ * @returns {string|null} The theme name, `auto`, or null when none is set
+ */
+export function getTheme() {
+    if (typeof document === 'undefined') return null;
+    return document.documentElement.getAttribute('data-ds-theme');
+}
+
+/**
+ * Reads the theme saved by setTheme()
+ * @returns {string|null} The saved theme, if it is still available
+ */
+function getStoredTheme() {
+    try {
+        const theme = window.localStorage.getItem(THEME_STORAGE_KEY);
+        return theme && (theme === 'auto' || themes.has(theme)) ? theme : null;
+    } catch (error) {
+        // Storage can be unavailable (privacy mode, sandboxed iframes)
+        return null;
+    }
+}
+
+/**
+ * Checks a media query, treating environments without matchMedia as not matching
+ * @param {string} query - The media query
+ * @returns {boolean} True if the query matches
+ */
+function matchesMedia(query) {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+}
+
+/**
+ * Resolves a theme name to the theme actually shown
+ * @param {string} theme - Theme name or `auto`
+ * @returns {string} The theme in effect; `auto` resolves from the OS preferences
+ */
+function resolveTheme(theme) {
+    if (theme !== 'auto') return theme;
+    const contrastTheme = findAutoTheme('contrast', 'more');
+    if (contrastTheme && matchesMedia('(prefers-contrast: more)')) return contrastTheme;
+    const darkTheme = findAutoTheme('colorScheme', 'dark');
+    if (darkTheme && matchesMedia('(prefers-color-scheme: dark)')) return darkTheme;
+    return 'light';
+}
+
+/**
+ * Fires `ds-theme-change` on the document element
+ * @param {string} theme - The selected theme
+ * @param {string|null} previousTheme - The theme selected before
+ */
+function dispatchThemeChange(theme, previousTheme) {
+    document.documentElement.dispatchEvent(new CustomEvent('ds-theme-change', {
+        bubbles: true,
+        composed: true,
+        detail: { theme, previousTheme, resolvedTheme: resolveTheme(theme) }
+    }));
+}
+
+/**
+ * Follows OS preference changes while the `auto` theme is selected
+ * @param {boolean} enabled - Whether to listen
+ */
+function watchAutoTheme(enabled) {
+    autoThemeListeners.forEach(remove => remove());
+    autoThemeListeners = [];
+    if (!enabled || typeof window === 'undefined' || typeof window.matchMedia !== 'function') return;
+
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+        const mediaQuery = window.matchMedia(query);
+        const listener = () => dispatchThemeChange('auto', 'auto');
+        mediaQuery.addEventListener('change', listener);
+        autoThemeListeners.push(() => mediaQuery.removeEventListener('change', listener));
+    });
+}
+
+/**
+ * Applies a theme to the page by setting `data-ds-theme` on the document element
+ * @param {string} name - A registered theme, or `auto` to follow `prefers-color-scheme` and `prefers-contrast`
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.persist=true] - Save the choice in localStorage so init() restores it
+ * @returns {boolean} False if the theme is not registered
+ * @fires ds-theme-change - With `{theme, previousTheme, resolvedTheme}`, on the document element
+ * @example
+ * setTheme('dark');
+ * document.addEventListener('ds-theme-change', (event) => console.log(event.detail.resolvedTheme));
+ */
+export function setTheme(name, { persist = true } = {}) {
+    if (name !== 'auto' && (!THEME_NAME_PATTERN.test(name) || !themes.has(name))) {
+        console.warn(`[standards-ui] Unknown theme: ${name}`);
+        return false;
+    }
+    if (typeof document === 'undefined') return false;
+
+    const previousTheme = getTheme();
+    document.documentElement.setAttribute('data-ds-theme', name);
+    watchAutoTheme(name === 'auto');
+
+    if (persist) {
+        try {
+            window.localStorage.setItem(THEME_STORAGE_KEY, name);
+        } catch (error) {
+            // The theme still applies for this page view
+        }
+    }
+
+    if (previousTheme !== name) {
+        dispatchThemeChange(name, previousTheme);
+    }
+    return true;
+}
+
+// Built-in themes
+registerTheme('light', {}, { colorScheme: 'light' });
+registerTheme('dark', DARK_THEME_TOKENS, { colorScheme: 'dark' });
+registerTheme('high-contrast', HIGH_CONTRAST_THEME_TOKENS, { colorScheme: 'light', contrast: 'more' });
+
 // Export default tokens for reference
-export { DEFAULT_TOKENS }; 
\ No newline at end of file
+export { DEFAULT_TOKENS, TokenValidationError }; 
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * @file ssr.js
+ * @summary Server-side rendering of ds-* components to Declarative Shadow DOM
+ * @description
+ * `renderToString()` takes page HTML and expands every ds-* element into its shadow root
+ * as a `<template shadowrootmode="open">`, so the browser paints styled components before
+ * any JavaScript runs. When the component scripts load, `BaseComponent` hydrates the
+ * existing shadow root instead of attaching a new one. Host attributes such as `value`
+ * or `placeholder` are applied to the inner elements on hydration.
+ *
+ * Runs in Node without a DOM; `dom-shim.js` supplies the globals the component modules
+ * need to load.
+ *
+ * @example
+ * import { renderToString } from 'standards-ui/ssr';
+ *
+ * const html = renderToString(
+ *     '<ds-button variant="primary">Save</ds-button>',
+ *     { tokens: { colors: { primary: '#5a32a3' } } }
+ * );
+ */
+import './dom-shim.js';
+import './index.js';
+import { init } from './init.js';
+
+/**
+ * Matches, in order: comments, raw-text elements whose content must not be touched,
+ * and ds-* start tags (attribute values may contain `>`).
+ */
+const SSR_PATTERN = /<!--[\s\S]*?-->|<(script|style|textarea|title)\b[\s\S]*?<\/\1\s*>|<(ds-[a-z0-9-]+)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*>/gi;
+
+/**
+ * Renders the declarative shadow root for a component
+ * @param {Function} component - The component class
+ * @returns {string} A `<template shadowrootmode="open">` element
+ */
+function renderShadowRoot(component) {
+    const { styles, markup } = component.getShadowContent();
+    return `<template shadowrootmode="open"><style data-ds-styles>${styles.join('\n')}</style>${markup}</template>`;
+}
+
+/**
+ * Renders the design token custom properties and theme scopes as a style element
+ * @param {Object} tokens - Design tokens, merged over the defaults as in init()
+ * @returns {string} The `<style id="ds-design-tokens">` element
+ */
+function renderTokens(tokens) {
+    const { stylesheet } = init(tokens, { injectCSS: false });
+    return `<style id="ds-design-tokens">${stylesheet}</style>`;
+}
+
+/**
+ * Expands the ds-* elements in an HTML string into Declarative Shadow DOM
+ * @param {string} html - Page or fragment HTML
+ * @param {Object} [options] - Render options
+ * @param {Object} [options.tokens] - Design tokens to render as CSS custom properties. The style
+ * element goes before `</head>` when there is one, otherwise at the start of the output.
+ * @returns {string} The rendered HTML
+ */
+export function renderToString(html, { tokens } = {}) {
+    let output = String(html).replace(SSR_PATTERN, (match, rawText, tagName, attributes, offset, source) => {
+        if (!tagName) return match;
+
+        const component = customElements.get(tagName.toLowerCase());
+        if (!component || typeof component.getShadowContent !== 'function') return match;
+
+        // Already rendered
+        if (/^\s*<template\s[^>]*shadowrootmode/i.test(source.slice(offset + match.length))) return match;
+
+        return match + renderShadowRoot(component);
+    });
+
+    if (tokens) {
+        const style = renderTokens(tokens);
+        output = /<\/head>/i.test(output) ? output.replace(/<\/head>/i, `${style}</head>`) : style + output;
+    }
+
+    return output;
+}
@@ -0,0 +1,62 @@
+import '../components/ds-form-wizard.js';
+import '../components/ds-fieldset.js';
+import '../components/ds-legend.js';
+import '../components/ds-text-input.js';
+import '../components/ds-checkbox.js';
+
+export default {
+  title: 'Components/ds-form-wizard',
+  component: 'ds-form-wizard',
+  parameters: {
+    docs: {
+      description: {
+        component: 'A multi-step form built on ds-form. Each child ds-fieldset is a step that is validated before the user can move on.'
+      }
+    }
+  },
+  argTypes: {
+    nextLabel: {
+      control: 'text',
+      description: 'Text of the next button'
+    },
+    submitLabel: {
+      control: 'text',
+      description: 'Text of the next button on the last step'
+    }
+  }
+};
+
+const Template = (args) => {
+  const wizard = document.createElement('ds-form-wizard');
+  wizard.setAttribute('aria-label', 'Onboarding');
+  if (args.nextLabel) wizard.setAttribute('next-label', args.nextLabel);
+  if (args.submitLabel) wizard.setAttribute('submit-label', args.submitLabel);
+
+  wizard.innerHTML = `
+    <ds-fieldset label="Account">
+      <ds-legend>Create your account</ds-legend>
+      <ds-text-input name="email" type="email" required aria-label="Email" placeholder="Email"></ds-text-input>
+    </ds-fieldset>
+    <ds-fieldset label="Address">
+      <ds-legend>Where do you live?</ds-legend>
+      <ds-text-input name="address.city" required aria-label="City" placeholder="City"></ds-text-input>
+    </ds-fieldset>
+    <ds-fieldset label="Confirm">
+      <ds-legend>Almost done</ds-legend>
+      <ds-checkbox name="terms" required>I accept the terms</ds-checkbox>
+    </ds-fieldset>
+  `;
+
+  wizard.addEventListener('submit', (event) => {
+    event.preventDefault();
+    console.log('Wizard submitted:', wizard.getFormDataAsObject());
+  });
+
+  return wizard;
+};
+
+export const Default = Template.bind({});
+Default.args = {
+  nextLabel: 'Next',
+  submitLabel: 'Create account'
+};
@@ -172,4 +172,136 @@ export const Multiple = () => {
   select.appendChild(option4);
   
   return select;
-}; 
\ No newline at end of file
+}; 
+export const Searchable = () => {
+  const select = document.createElement('ds-select');
+  select.setAttribute('name', 'searchable-select');
+  select.setAttribute('searchable', '');
+  select.setAttribute('placeholder', 'Search countries');
+  select.setAttribute('aria-label', 'Country');
+  
+  ['Austria', 'Australia', 'Belgium', 'Canada', 'Curaçao', 'Denmark', 'Réunion'].forEach(country => {
+    const option = document.createElement('ds-option');
+    option.setAttribute('value', country.toLowerCase());
+    option.innerHTML = country;
+    select.appendChild(option);
+  });
+  
+  const empty = document.createElement('span');
+  empty.setAttribute('slot', 'empty');
+  empty.textContent = 'No countries found';
+  select.appendChild(empty);
+  
+  return select;
+};
+
+export const SearchableAsync = () => {
+  const select = document.createElement('ds-select');
+  select.setAttribute('name', 'async-select');
+  select.setAttribute('searchable', '');
+  select.setAttribute('placeholder', 'Search fruit');
+  select.setAttribute('aria-label', 'Fruit');
+  
+  const fruit = ['Apple', 'Apricot', 'Banana', 'Blueberry', 'Cherry', 'Grape', 'Mango', 'Orange', 'Peach', 'Pear'];
+  select.loadOptions = query => new Promise(resolve => {
+    setTimeout(() => {
+      resolve(fruit
+        .filter(name => name.toLowerCase().includes(query.toLowerCase()))
+        .map(name => ({ value: name.toLowerCase(), label: name })));
+    }, 300);
+  });
+  
+  return select;
+};
+
+export const SearchableMultiple = () => {
+  const select = document.createElement('ds-select');
+  select.setAttribute('name', 'skills');
+  select.setAttribute('multiple', '');
+  select.setAttribute('searchable', '');
+  select.setAttribute('max-selections', '3');
+  select.setAttribute('placeholder', 'Add up to 3 skills');
+  select.setAttribute('aria-label', 'Skills');
+  
+  ['CSS', 'HTML', 'JavaScript', 'TypeScript', 'Accessibility', 'Testing'].forEach(skill => {
+    const option = document.createElement('ds-option');
+    option.setAttribute('value', skill.toLowerCase());
+    if (skill === 'HTML') option.setAttribute('selected', '');
+    option.innerHTML = skill;
+    select.appendChild(option);
+  });
+  
+  return select;
+};
+
+export const Grouped = () => {
+  const select = document.createElement('ds-select');
+  select.setAttribute('name', 'city');
+  select.setAttribute('aria-label', 'City');
+  
+  const groups = {
+    Norway: ['Oslo', 'Bergen', 'Trondheim'],
+    Sweden: ['Stockholm', 'Gothenburg'],
+    Denmark: ['Copenhagen', 'Aarhus']
+  };
+  
+  Object.entries(groups).forEach(([country, cities]) => {
+    const group = document.createElement('ds-optgroup');
+    group.setAttribute('label', country);
+    cities.forEach(city => {
+      const option = document.createElement('ds-option');
+      option.setAttribute('value', city.toLowerCase());
+      option.innerHTML = city;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  });
+  
+  return select;
+};
+
+export const Rich = () => {
+  const select = document.createElement('ds-select');
+  select.setAttribute('name', 'assignee');
+  select.setAttribute('rich', '');
+  select.setAttribute('placeholder', 'Assign to');
+  select.setAttribute('aria-label', 'Assignee');
+  
+  const people = [
+    { value: 'ada', name: 'Ada Lovelace', team: 'Engineering', color: '#5a32a3' },
+    { value: 'grace', name: 'Grace Hopper', team: 'Research', color: '#007bff' },
+    { value: 'alan', name: 'Alan Turing', team: 'Security', color: '#28a745' }
+  ];
+  
+  people.forEach(person => {
+    const option = document.createElement('ds-option');
+    option.setAttribute('value', person.value);
+    option.setAttribute('label', person.name);
+    option.innerHTML = `
+      <span part="avatar" style="display:inline-block;width:1.5em;height:1.5em;border-radius:50%;background:${person.color};vertical-align:middle"></span>
+      <strong>${person.name}</strong>
+      <small part="detail">${person.team}</small>
+    `;
+    select.appendChild(option);
+  });
+  
+  return select;
+};
+
+export const LargeDataset = () => {
+  const select = document.createElement('ds-select');
+  select.setAttribute('name', 'product');
+  select.setAttribute('searchable', '');
+  select.setAttribute('placeholder', 'Search 10,000 products');
+  select.setAttribute('aria-label', 'Product');
+  
+  const categories = ['Hardware', 'Software', 'Services', 'Accessories'];
+  select.options = Array.from({ length: 10000 }, (_, i) => ({
+    value: `sku-${String(i).padStart(5, '0')}`,
+    label: `Product ${i + 1}`,
+    group: categories[Math.floor(i / 2500)],
+    disabled: i % 50 === 49
+  }));
+  
+  return select;
+};
@@ -0,0 +1,288 @@
+/**
+ * @file style-registry.js
+ * @summary Shared stylesheets for component shadow roots
+ * @description
+ * Component styles are parsed once per distinct CSS text and shared between every
+ * shadow root through `adoptedStyleSheets`. Where constructable stylesheets are not
+ * supported, each shadow root gets a single `<style>` element with the same CSS
+ * instead. Applications can register global sheets (for example a brand font or
+ * utility classes) that are applied to every ds-* shadow root, including roots
+ * created before the sheet was registered.
+ */
+
+/**
+ * Form control rules shared by every ds-* shadow root. They target the `part`s of the
+ * native controls inside components, so they can't live in the page stylesheet.
+ * @type {string}
+ */
+export const CONTROL_STYLES = `
+    /* Form Element Base Styles */
+    input[part="input"],
+    textarea[part="textarea"],
+    select[part="select"] {
+        width: 100%;
+        padding: var(--ds-form-input-padding);
+        border: 1px solid var(--ds-form-border-color);
+        border-radius: var(--ds-form-border-radius);
+        font-family: var(--ds-font-family-body);
+        font-size: var(--ds-font-size-base);
+        line-height: var(--ds-form-line-height);
+        background-color: var(--ds-form-bg-color);
+        color: var(--ds-form-text-color);
+        box-sizing: border-box;
+        transition: border-color 0.2s ease-in-out;
+    }
+
+    input[part="input"]:focus,
+    textarea[part="textarea"]:focus,
+    select[part="select"]:focus {
+        outline: none;
+        border-color: var(--ds-form-focus-color);
+        box-shadow: 0 0 0 2px rgba(0, 123, 255, 0.25);
+    }
+
+    input[part="input"]:disabled,
+    textarea[part="textarea"]:disabled,
+    select[part="select"]:disabled {
+        background-color: var(--ds-form-disabled-bg-color);
+        color: #6c757d;
+        cursor: not-allowed;
+    }
+
+    input[part="input"]:read-only,
+    textarea[part="textarea"]:read-only {
+        background-color: var(--ds-form-disabled-bg-color);
+    }
+
+    /* Button Styles */
+    button[part="button"] {
+        padding: var(--ds-form-input-padding);
+        border: 1px solid var(--ds-form-border-color);
+        border-radius: var(--ds-form-border-radius);
+        font-family: var(--ds-font-family-body);
+        font-size: var(--ds-font-size-base);
+        line-height: var(--ds-form-line-height);
+        background-color: var(--ds-form-bg-color);
+        color: var(--ds-form-text-color);
+        cursor: pointer;
+        transition: all 0.2s ease-in-out;
+    }
+
+    button[part="button"]:hover {
+        background-color: #e9ecef;
+    }
+
+    button[part="button"]:focus {
+        outline: none;
+        border-color: var(--ds-form-focus-color);
+        box-shadow: 0 0 0 2px rgba(0, 123, 255, 0.25);
+    }
+
+    button[part="button"]:disabled {
+        background-color: var(--ds-form-disabled-bg-color);
+        color: #6c757d;
+        cursor: not-allowed;
+    }
+
+    /* Radio and Checkbox Styles */
+    input[part="radio"],
+    input[part="checkbox"] {
+        margin-right: var(--ds-spacing-xs);
+    }
+
+    /* Label Styles */
+    label[part="label"] {
+        display: block;
+        margin-bottom: var(--ds-spacing-xs);
+        font-weight: 500;
+        color: var(--ds-form-text-color);
+    }
+
+    /* Fieldset and Legend Styles */
+    fieldset[part="fieldset"] {
+        border: 1px solid var(--ds-form-border-color);
+        border-radius: var(--ds-form-border-radius);
+        padding: var(--ds-spacing-md);
+        margin: var(--ds-spacing-md) 0;
+    }
+
+    legend[part="legend"] {
+        padding: 0 var(--ds-spacing-xs);
+        font-weight: 600;
+        color: var(--ds-form-text-color);
+    }
+
+    /* Option Styles */
+    option[part="option"] {
+        padding: var(--ds-spacing-xs);
+    }
+`;
+
+/**
+ * Parsed sheets keyed by CSS text.
+ * @type {Map<string, CSSStyleSheet>}
+ */
+const sheetCache = new Map();
+
+/**
+ * Registered global sheets, in registration order.
+ * @type {Array<{source: (string|CSSStyleSheet), cssText: string, sheet: (CSSStyleSheet|null)}>}
+ */
+const globalSheets = [];
+
+/**
+ * Shadow roots styled through adoptStyles(), held weakly so they can be collected.
+ * @type {Set<WeakRef<ShadowRoot>>}
+ */
+const styledRoots = new Set();
+const trackedRoots = new WeakSet();
+
+/**
+ * The global sheets last adopted into each shadow root, so they can be swapped out.
+ * @type {WeakMap<ShadowRoot, Array<CSSStyleSheet>>}
+ */
+const adoptedGlobals = new WeakMap();
+
+/**
+ * Checks whether shadow roots accept constructable stylesheets
+ * @returns {boolean} True if `adoptedStyleSheets` and `CSSStyleSheet.replaceSync` are available
+ */
+export function supportsAdoptedStyleSheets() {
+    return typeof ShadowRoot !== 'undefined'
+        && 'adoptedStyleSheets' in ShadowRoot.prototype
+        && typeof CSSStyleSheet !== 'undefined'
+        && 'replaceSync' in CSSStyleSheet.prototype;
+}
+
+/**
+ * Gets the shared sheet for a CSS text, parsing it on first use
+ * @param {string} cssText - The CSS
+ * @returns {CSSStyleSheet} The shared sheet
+ */
+export function getStyleSheet(cssText) {
+    let sheet = sheetCache.get(cssText);
+    if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(cssText);
+        sheetCache.set(cssText, sheet);
+    }
+    return sheet;
+}
+
+/**
+ * Reads the CSS text of a constructed sheet
+ * @param {CSSStyleSheet} sheet - The sheet
+ * @returns {string} The CSS text
+ */
+function sheetToText(sheet) {
+    return Array.from(sheet.cssRules || [], rule => rule.cssText).join('\n');
+}
+
+/**
+ * Calls a function for every styled shadow root that still exists
+ * @param {Function} callback - Called with each shadow root
+ */
+function forEachStyledRoot(callback) {
+    styledRoots.forEach(ref => {
+        const root = ref.deref();
+        if (root) {
+            callback(root);
+        } else {
+            styledRoots.delete(ref);
+        }
+    });
+}
+
+/**
+ * Applies the global sheets to a shadow root, replacing any previously applied set
+ * @param {ShadowRoot} root - The shadow root
+ */
+function applyGlobalSheets(root) {
+    if (supportsAdoptedStyleSheets()) {
+        const previous = new Set(adoptedGlobals.get(root) || []);
+        const sheets = globalSheets.map(entry => entry.sheet || getStyleSheet(entry.cssText));
+        adoptedGlobals.set(root, sheets);
+        root.adoptedStyleSheets = [
+            ...root.adoptedStyleSheets.filter(sheet => !previous.has(sheet)),
+            ...sheets
+        ];
+        return;
+    }
+
+    let style = root.querySelector('style[data-ds-global-styles]');
+    if (!globalSheets.length) {
+        if (style) style.remove();
+        return;
+    }
+    if (!style) {
+        style = document.createElement('style');
+        style.setAttribute('data-ds-global-styles', '');
+        root.appendChild(style);
+    }
+    style.textContent = globalSheets.map(entry => entry.cssText).join('\n');
+}
+
+/**
+ * Adds shared component sheets to a shadow root. Sheets added by later calls come after
+ * earlier ones, and the global sheets always come last so they can override components.
+ * @param {ShadowRoot} root - The shadow root
+ * @param {Array<string>} cssTexts - Component CSS, in cascade order
+ */
+export function adoptStyles(root, cssTexts) {
+    if (supportsAdoptedStyleSheets()) {
+        const globals = new Set(adoptedGlobals.get(root) || []);
+        root.adoptedStyleSheets = [
+            ...root.adoptedStyleSheets.filter(sheet => !globals.has(sheet)),
+            ...cssTexts.map(getStyleSheet)
+        ];
+        adoptedGlobals.delete(root);
+    } else {
+        let style = root.querySelector('style[data-ds-styles]');
+        if (!style) {
+            style = document.createElement('style');
+            style.setAttribute('data-ds-styles', '');
+            root.prepend(style);
+        }
+        style.textContent = [style.textContent, ...cssTexts].filter(Boolean).join('\n');
+    }
+
+    applyGlobalSheets(root);
+    if (!trackedRoots.has(root)) {
+        trackedRoots.add(root);
+        styledRoots.add(new WeakRef(root));
+    }
+}
+
+/**
+ * Registers a stylesheet that is applied to every ds-* shadow root
+ * @param {string|CSSStyleSheet} sheet - CSS text or a constructed stylesheet
+ * @example
+ * registerGlobalStyleSheet(':host { font-family: "Brand Sans", sans-serif; }');
+ */
+export function registerGlobalStyleSheet(sheet) {
+    if (typeof sheet !== 'string' && !(typeof CSSStyleSheet !== 'undefined' && sheet instanceof CSSStyleSheet)) {
+        throw new TypeError('registerGlobalStyleSheet requires CSS text or a CSSStyleSheet');
+    }
+    if (globalSheets.some(entry => entry.source === sheet)) return;
+
+    globalSheets.push({
+        source: sheet,
+        cssText: typeof sheet === 'string' ? sheet : sheetToText(sheet),
+        sheet: typeof sheet === 'string' ? null : sheet
+    });
+    forEachStyledRoot(applyGlobalSheets);
+}
+
+/**
+ * Removes a global stylesheet from every ds-* shadow root
+ * @param {string|CSSStyleSheet} sheet - The CSS text or sheet passed to registerGlobalStyleSheet()
+ * @returns {boolean} True if a sheet was removed
+ */
+export function unregisterGlobalStyleSheet(sheet) {
+    const index = globalSheets.findIndex(entry => entry.source === sheet);
+    if (index === -1) return false;
+
+    globalSheets.splice(index, 1);
+    forEachStyledRoot(applyGlobalSheets);
+    return true;
+}
@@ -0,0 +1,251 @@
+/**
+ * @file token-validation.js
+ * @summary Value checks used by validateTokens()
+ * @description
+ * Each token is checked according to what it holds, decided from its path: colours
+ * (`colors.*`, `*Color`, `*Background`, `forms.*Border`), CSS lengths (`spacing.*`, radii,
+ * sizes, widths, paddings), font stacks and line heights. Values using `var()` or a CSS
+ * math function are accepted as they are. Errors are plain objects `{path, code, message}`
+ * so tools can filter on `code` while people read `message`.
+ */
+
+/**
+ * CSS named colours and colour keywords
+ * @type {Set<string>}
+ */
+const NAMED_COLORS = new Set(`aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue
+    blueviolet brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue
+    darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange darkorchid
+    darkred darksalmon darkseagreen darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink
+    deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite gold
+    goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender lavenderblush
+    lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow lightgray lightgreen lightgrey
+    lightpink lightsalmon lightseagreen lightskyblue lightslategray lightslategrey lightsteelblue lightyellow lime
+    limegreen linen magenta maroon mediumaquamarine mediumblue mediumorchid mediumpurple mediumseagreen
+    mediumslateblue mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream mistyrose moccasin
+    navajowhite navy oldlace olive olivedrab orange orangered orchid palegoldenrod palegreen paleturquoise
+    palevioletred papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red rosybrown royalblue
+    saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue slateblue slategray slategrey snow
+    springgreen steelblue tan teal thistle tomato turquoise violet wheat white whitesmoke yellow yellowgreen
+    transparent currentcolor canvas canvastext`.split(/\s+/));
+
+const LENGTH_UNITS = 'px|rem|em|%|vh|vw|vmin|vmax|svh|lvh|dvh|svw|lvw|dvw|ch|ex|lh|rlh|pt|pc|cm|mm|in|q|cqw|cqh|cqi|cqb|cqmin|cqmax';
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const NUMBER_PATTERN = new RegExp(`^${NUMBER}$`, 'i');
+const LENGTH_PATTERN = new RegExp(`^${NUMBER}(?:${LENGTH_UNITS})$`, 'i');
+const HEX_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_PATTERN = /^([a-z-]+)\((.*)\)$/is;
+const MATH_FUNCTIONS = ['var', 'calc', 'min', 'max', 'clamp', 'env'];
+const FONT_SIZE_KEYWORDS = ['xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large', 'smaller', 'larger'];
+const GENERIC_FAMILIES = /^[a-z_-][\w-]*(?:\s+[a-z_-][\w-]*)*$/i;
+
+/**
+ * Thrown by validateTokens() in strict mode
+ * @extends Error
+ */
+export class TokenValidationError extends Error {
+    /**
+     * @param {Array<{path: string, code: string, message: string}>} errors - The validation errors
+     */
+    constructor(errors) {
+        super(`Invalid design tokens:\n${errors.map(error => `  ${error.path}: ${error.message}`).join('\n')}`);
+        this.name = 'TokenValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Splits a CSS value at top-level separators, ignoring those inside parentheses or quotes
+ * @param {string} value - CSS value
+ * @param {RegExp} separator - Single-character separator pattern
+ * @returns {Array<string>} Trimmed parts
+ */
+function splitTopLevel(value, separator) {
+    const parts = [''];
+    let depth = 0;
+    let quote = null;
+    for (const char of value) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (depth === 0 && separator.test(char)) {
+            parts.push('');
+            continue;
+        }
+        parts[parts.length - 1] += char;
+    }
+    return parts.map(part => part.trim());
+}
+
+/**
+ * Checks whether a value is a `var()` reference or CSS math function, which are passed through
+ * @param {string} value - CSS value
+ * @returns {boolean} True for `var()`, `calc()`, `min()`, `max()`, `clamp()` and `env()`
+ */
+function isComputed(value) {
+    const match = value.match(FUNCTION_PATTERN);
+    return Boolean(match && MATH_FUNCTIONS.includes(match[1].toLowerCase()));
+}
+
+/**
+ * Checks whether a string is a valid CSS colour
+ * @param {string} value - CSS value
+ * @returns {boolean} True for hex, rgb(), hsl() (and other colour functions) and named colours
+ */
+export function isColor(value) {
+    if (HEX_PATTERN.test(value) || NAMED_COLORS.has(value.toLowerCase()) || isComputed(value)) {
+        return true;
+    }
+    const match = value.match(FUNCTION_PATTERN);
+    if (!match) return false;
+
+    const name = match[1].toLowerCase();
+    const args = match[2].split(/[\s,/]+/).filter(Boolean);
+    const isNumeric = arg => isComputed(arg) || new RegExp(`^${NUMBER}(?:%|deg|rad|grad|turn)?$`, 'i').test(arg) || arg === 'none';
+
+    if (['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch'].includes(name)) {
+        return (args.length === 3 || args.length === 4) && args.every(isNumeric);
+    }
+    return name === 'color' || name === 'color-mix' || name === 'light-dark';
+}
+
+/**
+ * Checks whether a value is a CSS length (`0` may be unitless)
+ * @param {string} value - CSS value
+ * @returns {boolean} True for lengths, percentages, `auto` and computed values
+ */
+export function isLength(value) {
+    return value === '0' || value === 'auto' || LENGTH_PATTERN.test(value) || isComputed(value);
+}
+
+/**
+ * Checks whether a value is a CSS font stack, e.g. `"Segoe UI", Roboto, sans-serif`
+ * @param {string} value - CSS value
+ * @returns {boolean} True when every family is a quoted name or a sequence of identifiers
+ */
+export function isFontStack(value) {
+    if (isComputed(value)) return true;
+    return splitTopLevel(value, /,/).every(family => (
+        /^"[^"]+"$/.test(family) || /^'[^']+'$/.test(family) || GENERIC_FAMILIES.test(family)
+    ));
+}
+
+/**
+ * Decides what kind of value a token holds from its path
+ * @param {Array<string>} path - Token path
+ * @returns {string|null} `color`, `length`, `lengths`, `fontFamily`, `fontSize`, `lineHeight`, or null when unknown
+ */
+function valueKind(path) {
+    const [group] = path;
+    const key = path[path.length - 1];
+
+    if (group === 'colors' || /(?:color|background)$/i.test(key) || (group === 'forms' && /Border$/.test(key))) {
+        return 'color';
+    }
+    if (group === 'typography') {
+        if (key === 'fontFamily') return 'fontFamily';
+        if (key === 'fontSize') return 'fontSize';
+        if (key === 'lineHeight') return 'lineHeight';
+    }
+    if (/padding|margin|inset/i.test(key)) return 'lengths';
+    if (group === 'spacing' || group === 'radii' || /radius|width|height|size|gap|offset/i.test(key)) {
+        return 'length';
+    }
+    return null;
+}
+
+/**
+ * Checks one token value
+ * @param {Array<string>} path - Token path
+ * @param {*} value - Token value
+ * @returns {{path: string, code: string, message: string}|null} The error, or null when valid
+ */
+export function checkTokenValue(path, value) {
+    const kind = valueKind(path);
+    const name = path.join('.');
+    const error = (code, message) => ({ path: name, code, message });
+
+    if (!kind || value === null || value === undefined) return null;
+    if (typeof value === 'number') {
+        if (kind === 'lineHeight' || value === 0) return null;
+        return kind === 'color'
+            ? error('invalid-color', `${name} must be a CSS color, got ${value}`)
+            : error('missing-unit', `${name} must have a CSS length unit, e.g. '${value}px'`);
+    }
+    if (typeof value !== 'string') {
+        return error('invalid-type', `${name} must be a string, got ${Array.isArray(value) ? 'array' : typeof value}`);
+    }
+
+    const css = value.trim();
+    switch (kind) {
+        case 'color':
+            return isColor(css) ? null : error('invalid-color', `${name} must be a CSS color (hex, rgb(), hsl() or a named color), got '${value}'`);
+        case 'fontFamily':
+            return css && isFontStack(css) ? null : error('invalid-font-family', `${name} must be a comma-separated font stack with multi-word names quoted, got '${value}'`);
+        case 'lineHeight':
+            return NUMBER_PATTERN.test(css) || css === 'normal' || isLength(css) ? null : error('invalid-line-height', `${name} must be a number, a CSS length or 'normal', got '${value}'`);
+        case 'fontSize':
+            if (FONT_SIZE_KEYWORDS.includes(css)) return null;
+            // falls through
+        case 'length':
+        case 'lengths': {
+            const parts = kind === 'lengths' ? splitTopLevel(css, /\s/).filter(Boolean) : [css];
+            if (!parts.length || parts.length > 4) {
+                return error('invalid-length', `${name} must be one to four CSS lengths, got '${value}'`);
+            }
+            const unitless = parts.find(part => NUMBER_PATTERN.test(part) && Number(part) !== 0);
+            if (unitless) {
+                return error('missing-unit', `${name} must have a CSS length unit, e.g. '${unitless}px', got '${value}'`);
+            }
+            return parts.every(isLength) ? null : error('invalid-length', `${name} must be a CSS length such as '16px' or '1rem', got '${value}'`);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Measures the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} The Levenshtein distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the known name closest to a misspelt one
+ * @param {string} name - The unknown name
+ * @param {Array<string>} candidates - Known names
+ * @returns {string|null} The closest candidate within two edits, or null
+ */
+export function suggestName(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.min(2, Math.floor(name.length / 3)) ? best : null;
+}
@@ -0,0 +1,178 @@
+/**
+ * @file tokens.js
+ * @summary Converts between nested design token trees and `--ds-*` custom properties
+ * @description
+ * A token tree is a plain object whose leaves are CSS values. Each leaf becomes one
+ * custom property named after its path: `colors.primary` becomes `--ds-color-primary`,
+ * `components.button.padding` becomes `--ds-button-padding`. Any group and any depth
+ * works; groups without a registered prefix use their own name, so `shadows.md` becomes
+ * `--ds-shadows-md`. `init()` uses these helpers to write tokens to CSS and to read the
+ * current tokens back.
+ */
+
+/**
+ * Naming rules per top-level group. `prefix` replaces the group name in property names
+ * (an empty prefix drops it); `formatKey` renames the group's direct children.
+ * @type {Map<string, {prefix: string, formatKey: (Function|undefined)}>}
+ */
+const tokenGroups = new Map([
+    ['colors', { prefix: 'color' }],
+    ['spacing', { prefix: 'spacing' }],
+    // `fontFamily` -> `--ds-font-family`, `lineHeight` -> `--ds-font-line-height`
+    ['typography', {
+        prefix: 'font',
+        formatKey: key => key.replace(/([A-Z])/g, '-$1').toLowerCase().replace(/^font-/, '')
+    }],
+    ['forms', { prefix: 'form' }],
+    ['layout', { prefix: '' }],
+    ['components', { prefix: '' }]
+]);
+
+/**
+ * Registers the naming rule for a token group
+ * @param {string} name - Group name in the token tree, e.g. `radii`
+ * @param {Object} [options] - Naming options
+ * @param {string} [options.prefix] - Segment used in property names (defaults to the group name; `''` omits it)
+ * @example
+ * registerTokenGroup('radii', { prefix: 'radius' });
+ * flattenTokens({ radii: { sm: '2px' } }); // { '--ds-radius-sm': '2px' }
+ */
+export function registerTokenGroup(name, { prefix = name } = {}) {
+    if (!name) {
+        throw new TypeError('registerTokenGroup requires a group name');
+    }
+    tokenGroups.set(name, { prefix });
+}
+
+/**
+ * Checks whether a top-level group is built in or registered with registerTokenGroup()
+ * @param {string} name - Group name in the token tree
+ * @returns {boolean} True for known groups
+ */
+export function isTokenGroup(name) {
+    return tokenGroups.has(name);
+}
+
+/**
+ * Checks whether a value is a nested token group rather than a leaf value
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isGroup(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Gets the property name segments for a token path
+ * @param {Array<string>} path - Path from the root of the tree
+ * @returns {Array<string>} Non-empty name segments
+ */
+function pathToSegments([group, ...rest]) {
+    const rule = tokenGroups.get(group) || { prefix: group };
+    const segments = [rule.prefix];
+    if (rest.length) {
+        segments.push(rule.formatKey ? rule.formatKey(rest[0]) : rest[0], ...rest.slice(1));
+    }
+    return segments.filter(segment => segment !== '');
+}
+
+/**
+ * Flattens a token tree into custom properties
+ * @param {Object} tokens - Nested token tree
+ * @returns {Object<string, string>} Values keyed by custom property name, in tree order.
+ * Null and undefined leaves are skipped.
+ * @example
+ * flattenTokens({ colors: { primary: '#007bff' }, zIndex: { modal: 1000 } });
+ * // { '--ds-color-primary': '#007bff', '--ds-zIndex-modal': '1000' }
+ */
+export function flattenTokens(tokens) {
+    const properties = {};
+
+    const visit = (value, path) => {
+        if (isGroup(value)) {
+            Object.entries(value).forEach(([key, child]) => visit(child, [...path, key]));
+        } else if (value !== null && value !== undefined && path.length) {
+            properties[`--ds-${pathToSegments(path).join('-')}`] = String(value);
+        }
+    };
+
+    visit(tokens, []);
+    return properties;
+}
+
+/**
+ * Lists the token paths in a tree keyed by their property names
+ * @param {Object} tokens - Nested token tree
+ * @returns {Map<string, Array<string>>} Paths keyed by custom property name
+ */
+function propertyPaths(tokens) {
+    const paths = new Map();
+
+    const visit = (value, path) => {
+        if (isGroup(value)) {
+            Object.entries(value).forEach(([key, child]) => visit(child, [...path, key]));
+        } else if (path.length) {
+            paths.set(`--ds-${pathToSegments(path).join('-')}`, path);
+        }
+    };
+
+    visit(tokens, []);
+    return paths;
+}
+
+/**
+ * Guesses the token path of a property that isn't in the reference tree: the group is
+ * found by its prefix and the rest of the name is split at every `-`
+ * @param {string} name - Custom property name
+ * @returns {Array<string>|null} The path, or null for names outside `--ds-`
+ */
+function guessPath(name) {
+    if (!name.startsWith('--ds-')) return null;
+    const segments = name.slice('--ds-'.length).split('-').filter(Boolean);
+    if (!segments.length) return null;
+
+    for (const [group, rule] of tokenGroups) {
+        if (rule.prefix && rule.prefix === segments[0] && segments.length > 1) {
+            return [group, ...segments.slice(1)];
+        }
+    }
+    return segments;
+}
+
+/**
+ * Rebuilds a token tree from custom properties
+ * @param {Object<string, string>} properties - Values keyed by custom property name
+ * @param {Object} [reference] - A tree with the expected shape (e.g. the defaults). Names found in it map
+ * back to their exact path, so keys containing `-` and prefix-less groups round-trip; other names are guessed.
+ * @returns {Object} The nested token tree
+ * @example
+ * unflattenTokens({ '--ds-color-primary': '#007bff' }); // { colors: { primary: '#007bff' } }
+ */
+export function unflattenTokens(properties, reference = {}) {
+    const paths = propertyPaths(reference);
+    const tokens = {};
+
+    Object.entries(properties).forEach(([name, value]) => {
+        const path = paths.get(name) || guessPath(name);
+        if (!path) return;
+
+        let group = tokens;
+        path.slice(0, -1).forEach(key => {
+            if (!isGroup(group[key])) group[key] = {};
+            group = group[key];
+        });
+        group[path[path.length - 1]] = value;
+    });
+
+    return tokens;
+}
+
+/**
+ * Deep-copies a token tree so callers can't mutate shared objects such as the defaults
+ * @param {Object} tokens - Nested token tree
+ * @returns {Object} The copy
+ */
+export function cloneTokens(tokens) {
+    if (!isGroup(tokens)) return tokens;
+    return Object.fromEntries(Object.entries(tokens).map(([key, value]) => [key, cloneTokens(value)]));
+}
@@ -0,0 +1,144 @@
+/**
+ * @file validators.js
+ * @summary Validation rule registry used by `ds-form`
+ * @description
+ * Holds the named validation rules that `ds-form` runs against its controls.
+ * Built-in rules cover the constraint attributes (`required`, `minlength`,
+ * `maxlength`, `pattern`, `min`, `max`, `type="email"`) and cross-field
+ * matching. Applications register their own rules with `registerValidator`
+ * and reference them from a control's `data-validate` attribute. Rules
+ * registered with `async: true` may return a promise and are debounced.
+ */
+
+/**
+ * @typedef {Object} ValidationContext
+ * @property {HTMLElement} control - The control being validated
+ * @property {Object} values - All form values keyed by field name
+ * @property {HTMLElement} form - The `ds-form` running the validation
+ * @property {AbortSignal} [signal] - For asynchronous rules, aborted when the check is superseded
+ */
+
+/**
+ * @callback ValidatorFn
+ * @param {string} value - The control's current value
+ * @param {string|null} param - The rule parameter (e.g. the `minlength` value)
+ * @param {ValidationContext} context - Additional validation context
+ * @returns {boolean|Promise<boolean>} True if the value passes the rule; asynchronous rules resolve to it
+ */
+
+/**
+ * @typedef {Object} ValidatorOptions
+ * @property {string|Function} [message] - Default error message; `{param}` is replaced with the rule parameter
+ * @property {boolean} [crossField] - Whether the parameter names another field this rule depends on
+ * @property {boolean} [async] - Whether the rule returns a promise (e.g. a server round trip); async rules are debounced
+ * @property {number} [debounce] - Debounce delay in milliseconds for an async rule, overriding the form's default
+ */
+
+const validators = new Map();
+
+/**
+ * Registers a named validation rule
+ * @param {string} name - Rule name, referenced from `data-validate`
+ * @param {ValidatorFn} validate - Function returning true when the value is valid
+ * @param {ValidatorOptions} [options] - Rule options
+ */
+export function registerValidator(name, validate, options = {}) {
+    if (!name || typeof validate !== 'function') {
+        throw new TypeError('registerValidator requires a rule name and a validate function');
+    }
+    validators.set(name, {
+        validate,
+        message: options.message || 'This field is invalid',
+        crossField: !!options.crossField,
+        async: !!options.async,
+        debounce: options.debounce
+    });
+}
+
+/**
+ * Removes a named validation rule
+ * @param {string} name - Rule name
+ * @returns {boolean} True if a rule was removed
+ */
+export function unregisterValidator(name) {
+    return validators.delete(name);
+}
+
+/**
+ * Gets a registered validation rule
+ * @param {string} name - Rule name
+ * @returns {{validate: ValidatorFn, message: string|Function, crossField: boolean, async: boolean, debounce: (number|undefined)}|undefined} The rule, if registered
+ */
+export function getValidator(name) {
+    return validators.get(name);
+}
+
+/**
+ * Builds the error message for a failed rule
+ * @param {string|Function} message - Message template or factory
+ * @param {string|null} param - The rule parameter
+ * @param {ValidationContext} context - Validation context
+ * @returns {string} The error message
+ */
+export function formatValidationMessage(message, param, context) {
+    if (typeof message === 'function') {
+        return message(param, context);
+    }
+    return String(message).replace(/\{param\}/g, param ?? '');
+}
+
+/**
+ * Compares two values numerically when possible, otherwise as strings (ISO dates, times)
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareValues(a, b) {
+    const numA = Number(a);
+    const numB = Number(b);
+    if (a !== '' && b !== '' && !Number.isNaN(numA) && !Number.isNaN(numB)) {
+        return numA - numB;
+    }
+    return String(a).localeCompare(String(b));
+}
+
+// Built-in rules
+registerValidator('required', (value) => value.trim() !== '', {
+    message: 'This field is required'
+});
+
+registerValidator('email', (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), {
+    message: 'Please enter a valid email address'
+});
+
+registerValidator('minlength', (value, param) => value.length >= Number(param), {
+    message: 'Please enter at least {param} characters'
+});
+
+registerValidator('maxlength', (value, param) => value.length <= Number(param), {
+    message: 'Please enter no more than {param} characters'
+});
+
+registerValidator('pattern', (value, param) => {
+    try {
+        return new RegExp(`^(?:${param})$`, 'u').test(value);
+    } catch (error) {
+        // An invalid pattern is ignored, as browsers do
+        return true;
+    }
+}, {
+    message: 'Please match the requested format'
+});
+
+registerValidator('min', (value, param) => compareValues(value, param) >= 0, {
+    message: 'Please enter a value of at least {param}'
+});
+
+registerValidator('max', (value, param) => compareValues(value, param) <= 0, {
+    message: 'Please enter a value no greater than {param}'
+});
+
+registerValidator('match', (value, param, { values }) => value === String(values[param] ?? ''), {
+    message: 'This field must match {param}',
+    crossField: true
+});
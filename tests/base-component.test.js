@@ -69,6 +69,13 @@ describe('BaseComponent Tests', () => {
       expect(computedStyle.display).toBe('inline-block');
     });
 
+    it('should expose its configuration as options', async () => {
+      component = await createComponent('test-component-display');
+
+      expect(component.options.display).toBe('inline-block');
+      expect(component.options.template).toBe('<div>Test</div>');
+    });
+
     it('should handle observed attributes', async () => {
       class TestComponent extends BaseComponent {
         constructor() {
@@ -119,6 +126,303 @@ describe('BaseComponent Tests', () => {
     });
   });
 
+  describe('Form Association', () => {
+    it('should not attach internals by default', async () => {
+      class TestComponent extends BaseComponent {
+        constructor() {
+          super({
+            template: '<input id="target">',
+            targetSelector: '#target'
+          });
+        }
+      }
+      
+      if (!customElements.get('test-component-plain')) {
+        customElements.define('test-component-plain', TestComponent);
+      }
+      
+      component = await createComponent('test-component-plain');
+      expect(component.internals).toBeNull();
+    });
+
+    it('should attach internals when formAssociated is declared', async () => {
+      class TestComponent extends BaseComponent {
+        static get formAssociated() {
+          return true;
+        }
+        constructor() {
+          super({
+            template: '<input id="target">',
+            targetSelector: '#target'
+          });
+        }
+      }
+      
+      if (!customElements.get('test-component-form-associated')) {
+        customElements.define('test-component-form-associated', TestComponent);
+      }
+      
+      component = await createComponent('test-component-form-associated');
+      expect(component.internals).toBeTruthy();
+    });
+  });
+
+  describe('Declared Properties', () => {
+    class PropertyComponent extends BaseComponent {
+      constructor() {
+        super({
+          template: '<input id="target">',
+          targetSelector: '#target'
+        });
+        this.changes = [];
+      }
+
+      static get properties() {
+        return {
+          placeholder: { target: 'placeholder' },
+          disabled: { type: 'boolean', target: 'disabled' },
+          rows: { type: 'number', default: 3, reflect: true },
+          config: { type: 'json', attribute: 'data-config' },
+          helpText: { reflect: true },
+          ...BaseComponent.ariaProperties(['aria-label', 'aria-describedby'])
+        };
+      }
+
+      propertyChangedCallback(name, oldValue, newValue) {
+        this.changes.push([name, oldValue, newValue]);
+      }
+    }
+
+    if (!customElements.get('test-component-properties')) {
+      customElements.define('test-component-properties', PropertyComponent);
+    }
+
+    it('should generate observed attributes from declarations', () => {
+      expect(PropertyComponent.observedAttributes).toEqual(expect.arrayContaining([
+        'placeholder', 'disabled', 'rows', 'data-config', 'help-text', 'aria-label', 'aria-describedby'
+      ]));
+    });
+
+    it('should generate accessors that read from the target element', async () => {
+      component = await createComponent('test-component-properties', { placeholder: 'Name', disabled: '' });
+      const input = component.shadowRoot.querySelector('#target');
+
+      expect(component.placeholder).toBe('Name');
+      expect(component.disabled).toBe(true);
+
+      component.placeholder = 'Email';
+      component.disabled = false;
+      expect(input.placeholder).toBe('Email');
+      expect(input.disabled).toBe(false);
+    });
+
+    it('should convert attributes by type and fall back to defaults', async () => {
+      component = await createComponent('test-component-properties');
+      expect(component.rows).toBe(3);
+
+      component.setAttribute('rows', '5');
+      component.setAttribute('data-config', '{"max":2}');
+      expect(component.rows).toBe(5);
+      expect(component.config).toEqual({ max: 2 });
+
+      component.removeAttribute('rows');
+      expect(component.rows).toBe(3);
+    });
+
+    it('should warn and use the default for invalid JSON', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      component = await createComponent('test-component-properties', { 'data-config': '{oops' });
+
+      expect(component.config).toBeUndefined();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("Invalid json value for 'data-config'"));
+      warn.mockRestore();
+    });
+
+    it('should reflect properties declared with reflect', async () => {
+      component = await createComponent('test-component-properties');
+
+      component.rows = 8;
+      component.helpText = 'Shown below';
+      expect(component.getAttribute('rows')).toBe('8');
+      expect(component.getAttribute('help-text')).toBe('Shown below');
+
+      component.helpText = null;
+      expect(component.hasAttribute('help-text')).toBe(false);
+    });
+
+    it('should forward ARIA properties to the target element', async () => {
+      component = await createComponent('test-component-properties');
+      const input = component.shadowRoot.querySelector('#target');
+
+      component.ariaLabel = 'Search';
+      expect(input.getAttribute('aria-label')).toBe('Search');
+      expect(component.ariaLabel).toBe('Search');
+
+      component.ariaLabel = null;
+      expect(input.hasAttribute('aria-label')).toBe(false);
+    });
+
+    it('should call propertyChangedCallback for property and attribute changes', async () => {
+      component = await createComponent('test-component-properties');
+      component.changes = [];
+
+      component.rows = 4;
+      component.setAttribute('help-text', 'Hint');
+      component.rows = 4;
+
+      expect(component.changes).toEqual([
+        ['rows', 3, 4],
+        ['helpText', undefined, 'Hint']
+      ]);
+    });
+
+    it('should apply values set before the element was upgraded', async () => {
+      const element = document.createElement('test-component-properties-late');
+      element.placeholder = 'Early';
+
+      class LateComponent extends PropertyComponent {}
+      customElements.define('test-component-properties-late', LateComponent);
+      document.body.appendChild(element);
+      component = element;
+
+      expect(element.shadowRoot.querySelector('#target').placeholder).toBe('Early');
+      expect(element.placeholder).toBe('Early');
+    });
+  });
+
+  describe('Update Lifecycle', () => {
+    class LifecycleComponent extends BaseComponent {
+      constructor() {
+        super({
+          template: '<div id="target"></div>',
+          targetSelector: '#target'
+        });
+        this.calls = [];
+      }
+
+      static get properties() {
+        return {
+          heading: {},
+          level: { type: 'number', default: 2 }
+        };
+      }
+
+      willUpdate(changedProperties) {
+        this.calls.push(['willUpdate', new Map(changedProperties)]);
+      }
+
+      update(changedProperties) {
+        this.targetElement.textContent = `${this.heading} (${this.level})`;
+      }
+
+      updated(changedProperties, firstUpdate) {
+        this.calls.push(['updated', firstUpdate]);
+      }
+    }
+
+    if (!customElements.get('test-component-lifecycle')) {
+      customElements.define('test-component-lifecycle', LifecycleComponent);
+    }
+
+    it('should batch changes into one update per microtask', async () => {
+      component = await createComponent('test-component-lifecycle');
+      component.calls = [];
+
+      component.heading = 'Intro';
+      component.setAttribute('level', '3');
+      component.heading = 'Overview';
+      expect(component.calls).toEqual([]);
+
+      await component.updateComplete;
+      expect(component.calls).toEqual([
+        ['willUpdate', new Map([['heading', undefined], ['level', 2]])],
+        ['updated', false]
+      ]);
+      expect(component.shadowRoot.querySelector('#target').textContent).toBe('Overview (3)');
+    });
+
+    it('should report the first update', async () => {
+      const element = document.createElement('test-component-lifecycle');
+      document.body.appendChild(element);
+      component = element;
+
+      await element.updateComplete;
+      expect(element.hasUpdated).toBe(true);
+      expect(element.calls.at(-1)).toEqual(['updated', true]);
+    });
+
+    it('should wait for updates requested while updating', async () => {
+      component = await createComponent('test-component-lifecycle');
+      component.updated = function (changedProperties) {
+        if (changedProperties.has('heading') && this.level === 2) {
+          this.level = 4;
+        }
+      };
+
+      component.heading = 'Nested';
+      await component.updateComplete;
+      expect(component.shadowRoot.querySelector('#target').textContent).toBe('Nested (4)');
+    });
+
+    it('should keep rendering after an update throws', async () => {
+      component = await createComponent('test-component-lifecycle');
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const update = component.update;
+      component.update = function () {
+        this.update = update;
+        throw new Error('render failed');
+      };
+
+      component.heading = 'Broken';
+      await component.updateComplete;
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('render failed'));
+
+      component.setAttribute('level', '5');
+      await component.updateComplete;
+      expect(component.shadowRoot.querySelector('#target').textContent).toBe('Broken (5)');
+      warn.mockRestore();
+    });
+
+    it('should not force a layout on connect', async () => {
+      const element = document.createElement('test-component-lifecycle');
+      const offsetHeight = vi.spyOn(element, 'offsetHeight', 'get');
+      document.body.appendChild(element);
+      component = element;
+
+      expect(offsetHeight).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Hydration', () => {
+    class HydratedComponent extends BaseComponent {
+      static get template() {
+        return '<style>.box { color: red; }</style><div class="box" id="target"><slot></slot></div>';
+      }
+
+      constructor() {
+        super({ targetSelector: '#target' });
+      }
+    }
+
+    it('should reuse a server-rendered shadow root', async () => {
+      const { styles, markup } = HydratedComponent.getShadowContent();
+      const element = document.createElement('test-component-hydrated');
+      element.attachShadow({ mode: 'open' });
+      element.shadowRoot.innerHTML = `<style data-ds-styles>${styles.join('\n')}</style>${markup}`;
+      const rendered = element.shadowRoot.querySelector('#target');
+      document.body.appendChild(element);
+      component = element;
+
+      customElements.define('test-component-hydrated', HydratedComponent);
+
+      expect(element.shadowRoot.querySelector('#target')).toBe(rendered);
+      expect(element.shadowRoot.querySelectorAll('#target')).toHaveLength(1);
+      expect(element.targetElement).toBe(rendered);
+      expect(element.shadowRoot.querySelectorAll('style')).toHaveLength(1);
+      expect(element.shadowRoot.querySelector('style').textContent).toContain('.box { color: red; }');
+    });
+  });
+
   describe('ARIA', () => {
     describe('Static ARIA Attributes', () => {
       it('should apply static role attribute', async () => {
@@ -0,0 +1,76 @@
+// @vitest-environment node
+/**
+ * @file build-tokens.test.js
+ * @summary Tests for writing design tokens to static build artifacts, run without a DOM
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { buildTokens, loadTokens, main } from '../src/build-tokens.js';
+
+describe('buildTokens', () => {
+    let outDir;
+
+    beforeEach(async () => {
+        outDir = await mkdtemp(join(tmpdir(), 'ds-tokens-'));
+    });
+
+    afterEach(async () => {
+        await rm(outDir, { recursive: true, force: true });
+    });
+
+    it('should write every format by default', async () => {
+        const files = await buildTokens({ colors: { primary: '#5a32a3' } }, { outDir });
+
+        expect(files.map(file => file.slice(outDir.length + 1))).toEqual([
+            'tokens.css', 'tokens.scss', 'tokens.js', 'tokens.json', 'tokens.tokens.json'
+        ]);
+        expect(await readFile(join(outDir, 'tokens.css'), 'utf8')).toContain('--ds-color-primary: #5a32a3;');
+        expect(await readFile(join(outDir, 'tokens.scss'), 'utf8')).toContain('$ds-color-primary: #5a32a3;');
+        expect(JSON.parse(await readFile(join(outDir, 'tokens.json'), 'utf8'))['--ds-color-primary']).toBe('#5a32a3');
+    });
+
+    it('should write a JS module that can be imported', async () => {
+        await buildTokens({ colors: { primary: '#5a32a3' } }, { outDir, formats: ['js'] });
+        const module = await import(join(outDir, 'tokens.js'));
+
+        expect(module.dsColorPrimary).toBe('#5a32a3');
+        expect(module.default.colors.primary).toBe('#5a32a3');
+    });
+
+    it('should include themes in the CSS', async () => {
+        await buildTokens({}, {
+            outDir,
+            formats: ['css'],
+            name: 'brand',
+            themes: { ocean: { tokens: { colors: { primary: '#006994' } } } }
+        });
+
+        expect(await readFile(join(outDir, 'brand.css'), 'utf8')).toContain('[data-ds-theme="ocean"] {');
+    });
+
+    it('should reject unknown formats and invalid tokens', async () => {
+        await expect(buildTokens({}, { outDir, formats: ['less'] })).rejects.toThrow(TypeError);
+        await expect(buildTokens({ color: { primary: { $type: 'color', $value: 'not a colour' } } }, { outDir }))
+            .rejects.toThrow('Invalid design tokens');
+    });
+
+    it('should load JSON and JS configs', async () => {
+        await writeFile(join(outDir, 'tokens.config.json'), '{"colors": {"primary": "#111111"}}');
+        await writeFile(join(outDir, 'tokens.config.mjs'), 'export default { colors: { primary: "#222222" } }; export const themes = {};');
+
+        expect(await loadTokens(join(outDir, 'tokens.config.json'))).toEqual({ tokens: { colors: { primary: '#111111' } } });
+        expect(await loadTokens(join(outDir, 'tokens.config.mjs'))).toEqual({ tokens: { colors: { primary: '#222222' } }, themes: {} });
+    });
+
+    it('should run from the command line arguments', async () => {
+        await writeFile(join(outDir, 'tokens.config.json'), '{"spacing": {"md": "20px"}}');
+        const files = await main([join(outDir, 'tokens.config.json'), '--out', join(outDir, 'out'), '--format', 'scss, json']);
+
+        expect(files).toEqual([join(outDir, 'out', 'tokens.scss'), join(outDir, 'out', 'tokens.json')]);
+        expect(await readFile(files[0], 'utf8')).toContain('$ds-spacing-md: 20px;');
+        await expect(main([])).rejects.toThrow('Usage: ds-tokens');
+    });
+});
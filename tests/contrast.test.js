@@ -0,0 +1,87 @@
+/**
+ * @file contrast.test.js
+ * @summary Tests for WCAG contrast ratios of token colour pairs
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseColor, contrastRatio, suggestShade, auditColorPairs } from '../src/contrast.js';
+
+describe('Contrast', () => {
+    describe('parseColor', () => {
+        it('should read hex, rgb() and hsl() colors', () => {
+            expect(parseColor('#fff')).toEqual([255, 255, 255, 1]);
+            expect(parseColor('#00000080')).toEqual([0, 0, 0, 128 / 255]);
+            expect(parseColor('rgb(0 128 255 / 50%)')).toEqual([0, 128, 255, 0.5]);
+            expect(parseColor('rgba(0, 0, 0, 0.2)')).toEqual([0, 0, 0, 0.2]);
+            expect(parseColor('hsl(0, 100%, 50%)').map(Math.round)).toEqual([255, 0, 0, 1]);
+        });
+
+        it('should return null for colors it cannot read', () => {
+            expect(parseColor('var(--brand)')).toBeNull();
+            expect(parseColor('rebeccapurple')).toBeNull();
+        });
+    });
+
+    describe('contrastRatio', () => {
+        it('should follow the WCAG formula', () => {
+            expect(contrastRatio('#000', '#fff')).toBeCloseTo(21, 5);
+            expect(contrastRatio('#fff', '#fff')).toBeCloseTo(1, 5);
+            expect(contrastRatio('#777', '#fff')).toBeCloseTo(4.48, 2);
+        });
+
+        it('should be symmetric and blend translucent foregrounds', () => {
+            expect(contrastRatio('#fff', '#000')).toBeCloseTo(contrastRatio('#000', '#fff'), 5);
+            expect(contrastRatio('rgba(0, 0, 0, 0)', '#fff')).toBeCloseTo(1, 5);
+        });
+    });
+
+    describe('suggestShade', () => {
+        it('should return the nearest shade that meets the ratio', () => {
+            const shade = suggestShade('#7fb3ff', '#ffffff', 4.5);
+
+            expect(contrastRatio(shade, '#ffffff')).toBeGreaterThanOrEqual(4.5);
+            expect(contrastRatio(shade, '#ffffff')).toBeLessThan(4.7);
+        });
+
+        it('should lighten on dark backgrounds', () => {
+            const shade = suggestShade('#444444', '#000000', 4.5);
+
+            expect(parseColor(shade)[0]).toBeGreaterThan(0x44);
+        });
+    });
+
+    describe('auditColorPairs', () => {
+        const pairs = [
+            { foreground: 'colors.text', background: 'colors.background', usage: 'Text' },
+            { foreground: 'colors.primary', background: 'colors.background', usage: 'Headings', large: true }
+        ];
+
+        it('should report AA and AAA per pair', () => {
+            const audit = auditColorPairs({ colors: { text: '#767676', primary: '#949494', background: '#fff' } }, { pairs });
+
+            expect(audit.passed).toBe(true);
+            expect(audit.results[0]).toMatchObject({ ratio: 4.54, required: 4.5, AA: true, AAA: false, passed: true });
+            expect(audit.results[1]).toMatchObject({ large: true, required: 3, AA: true, AAA: false });
+        });
+
+        it('should use the requested level and suggest shades', () => {
+            const audit = auditColorPairs({ colors: { text: '#767676', primary: '#000', background: '#fff' } }, {
+                pairs,
+                level: 'AAA',
+                suggest: true
+            });
+
+            expect(audit.passed).toBe(false);
+            expect(audit.results[0].passed).toBe(false);
+            expect(contrastRatio(audit.results[0].suggestion, '#fff')).toBeGreaterThanOrEqual(7);
+            expect(audit.results[1]).not.toHaveProperty('suggestion');
+        });
+
+        it('should skip pairs it cannot read and reject unknown levels', () => {
+            const audit = auditColorPairs({ colors: { text: 'var(--brand)', background: '#fff' } }, { pairs: pairs.slice(0, 1) });
+
+            expect(audit.results[0]).toMatchObject({ ratio: null, AA: null, passed: true });
+            expect(() => auditColorPairs({}, { level: 'A' })).toThrow(TypeError);
+        });
+    });
+});
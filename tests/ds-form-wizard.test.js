@@ -0,0 +1,139 @@
+/**
+ * @file ds-form-wizard.test.js
+ * @summary Tests for the ds-form-wizard component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../src/components/ds-form-wizard.js';
+import '../src/components/ds-fieldset.js';
+import '../src/components/ds-text-input.js';
+
+describe('DsFormWizard', () => {
+    let wizard;
+
+    beforeEach(() => {
+        wizard = document.createElement('ds-form-wizard');
+        wizard.innerHTML = `
+            <ds-fieldset label="Account">
+                <ds-text-input name="email" type="email" required></ds-text-input>
+            </ds-fieldset>
+            <ds-fieldset label="Address">
+                <ds-text-input name="city" required></ds-text-input>
+            </ds-fieldset>
+            <ds-fieldset label="Confirm">
+                <input type="checkbox" name="terms" required>
+            </ds-fieldset>
+        `;
+        document.body.appendChild(wizard);
+    });
+
+    afterEach(() => {
+        wizard.remove();
+    });
+
+    function fill(name, value) {
+        wizard.querySelector(`[name="${name}"]`).value = value;
+    }
+
+    function progressItems() {
+        return Array.from(wizard.shadowRoot.querySelectorAll('[part~="step"]'));
+    }
+
+    it('should show only the first step', () => {
+        const steps = wizard.steps;
+
+        expect(steps).toHaveLength(3);
+        expect(steps[0].hidden).toBe(false);
+        expect(steps[1].hidden).toBe(true);
+        expect(steps[2].hidden).toBe(true);
+    });
+
+    it('should render a progress list with aria-current on the current step', () => {
+        const items = progressItems();
+
+        expect(items.map(item => item.textContent)).toEqual(['Account', 'Address', 'Confirm']);
+        expect(items[0].getAttribute('aria-current')).toBe('step');
+        expect(items[1].hasAttribute('aria-current')).toBe(false);
+    });
+
+    it('should not advance while the current step is invalid', async () => {
+        expect(await wizard.next()).toBe(false);
+
+        expect(wizard.currentStep).toBe(0);
+        expect(wizard.formState.errors.size).toBe(1);
+    });
+
+    it('should validate only the current step', async () => {
+        fill('email', 'jane@example.com');
+
+        expect(await wizard.next()).toBe(true);
+
+        expect(wizard.currentStep).toBe(1);
+        expect(wizard.formState.errors.size).toBe(0);
+        expect(progressItems()[0].getAttribute('data-state')).toBe('complete');
+        expect(progressItems()[1].getAttribute('aria-current')).toBe('step');
+    });
+
+    it('should go back without validating', async () => {
+        fill('email', 'jane@example.com');
+        await wizard.next();
+
+        expect(wizard.back()).toBe(true);
+        expect(wizard.currentStep).toBe(0);
+    });
+
+    it('should stop goTo() at the first invalid step', async () => {
+        fill('email', 'jane@example.com');
+
+        expect(await wizard.goTo(2)).toBe(false);
+        expect(wizard.currentStep).toBe(1);
+    });
+
+    it('should fire a cancelable ds-step-change event', async () => {
+        const onChange = vi.fn((event) => event.preventDefault());
+        wizard.addEventListener('ds-step-change', onChange);
+        fill('email', 'jane@example.com');
+
+        expect(await wizard.next()).toBe(false);
+
+        expect(onChange.mock.calls[0][0].detail).toEqual({ from: 0, to: 1 });
+        expect(wizard.currentStep).toBe(0);
+    });
+
+    it('should turn the next button into a submit button on the last step', async () => {
+        fill('email', 'jane@example.com');
+        fill('city', 'Oslo');
+        await wizard.goTo(2);
+
+        const next = wizard.shadowRoot.querySelector('[part="next-button"]');
+        expect(next.type).toBe('submit');
+        expect(next.textContent).toBe('Submit');
+    });
+
+    it('should treat submit before the last step as next', () => {
+        const event = new Event('submit', { cancelable: true });
+
+        wizard.form.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(wizard.currentStep).toBe(0);
+    });
+
+    it('should return to the step with the first error when submission fails', async () => {
+        fill('email', 'jane@example.com');
+        fill('city', 'Oslo');
+        await wizard.goTo(2);
+        fill('city', '');
+
+        wizard.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+        expect(wizard.currentStep).toBe(1);
+    });
+
+    it('should submit every step in one request', () => {
+        fill('email', 'jane@example.com');
+        fill('city', 'Oslo');
+
+        expect(wizard.getFormDataAsObject()).toEqual({ email: 'jane@example.com', city: 'Oslo' });
+    });
+});
@@ -3,8 +3,10 @@
  * @summary Tests for the ds-form component
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import '../src/components/ds-form.js';
+import '../src/components/ds-text-input.js';
+import { registerValidator, unregisterValidator } from '../src/validators.js';
 
 describe('DsForm', () => {
     let form;
@@ -125,6 +127,362 @@ describe('DsForm', () => {
         });
     });
 
+    describe('Validation Rules', () => {
+        it('should return a structured result from validate()', () => {
+            form.innerHTML = '<ds-text-input name="username" required></ds-text-input>';
+
+            const result = form.validate();
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toHaveLength(1);
+            expect(result.errors[0]).toMatchObject({ name: 'username', rule: 'required', message: 'This field is required' });
+        });
+
+        it('should apply minlength from the attribute', () => {
+            form.innerHTML = '<ds-text-input name="username" minlength="3"></ds-text-input>';
+            form.querySelector('ds-text-input').value = 'ab';
+
+            const result = form.validate();
+
+            expect(result.errors[0].rule).toBe('minlength');
+            expect(result.errors[0].message).toBe('Please enter at least 3 characters');
+        });
+
+        it('should skip non-required rules for empty values', () => {
+            form.innerHTML = '<ds-text-input name="username" minlength="3"></ds-text-input>';
+
+            expect(form.validate().valid).toBe(true);
+        });
+
+        it('should use per-rule messages from data-error attributes', () => {
+            form.innerHTML = '<ds-text-input name="zip" pattern="\\d{5}" data-error-pattern="Enter a 5-digit ZIP"></ds-text-input>';
+            form.querySelector('ds-text-input').value = '123';
+
+            const result = form.validate();
+
+            expect(result.errors[0].message).toBe('Enter a 5-digit ZIP');
+        });
+
+        it('should run cross-field rules from data-validate', () => {
+            form.innerHTML = `
+                <ds-text-input name="password"></ds-text-input>
+                <ds-text-input name="confirm" data-validate="match:password" data-error-match="Passwords do not match"></ds-text-input>
+            `;
+            const [password, confirm] = form.querySelectorAll('ds-text-input');
+            password.value = 'secret';
+            confirm.value = 'secrets';
+
+            const result = form.validate();
+
+            expect(result.errors).toHaveLength(1);
+            expect(result.errors[0].control).toBe(confirm);
+            expect(result.errors[0].message).toBe('Passwords do not match');
+        });
+
+        it('should revalidate dependent fields on input after submit', () => {
+            form.innerHTML = `
+                <ds-text-input name="password"></ds-text-input>
+                <ds-text-input name="confirm" data-validate="match:password"></ds-text-input>
+            `;
+            const [password, confirm] = form.querySelectorAll('ds-text-input');
+            password.value = 'secret';
+            confirm.value = 'secret';
+            form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+            password.value = 'changed';
+            password.dispatchEvent(new Event('input', { bubbles: true }));
+
+            expect(form.formState.errors.has(confirm)).toBe(true);
+        });
+
+        it('should run rules added with addRule()', () => {
+            form.innerHTML = '<ds-text-input name="age"></ds-text-input>';
+            form.querySelector('ds-text-input').value = '17';
+            form.addRule('age', { validate: (value) => Number(value) >= 18, message: 'Must be an adult' });
+
+            const result = form.validate();
+
+            expect(result.errors[0].message).toBe('Must be an adult');
+        });
+
+        it('should treat an unchecked required checkbox as missing', () => {
+            form.innerHTML = '<ds-checkbox name="terms" value="yes" required></ds-checkbox>';
+
+            const result = form.validate();
+
+            expect(result.errors[0].rule).toBe('required');
+        });
+
+        it('should warn about unknown rules', () => {
+            form.innerHTML = '<ds-text-input name="username" data-validate="doesNotExist"></ds-text-input>';
+            form.querySelector('ds-text-input').value = 'jane';
+
+            form.validate();
+
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Unknown validation rule 'doesNotExist'"));
+        });
+    });
+
+    describe('Inline Errors', () => {
+        it('should render the error inside the control and link it with aria-describedby', () => {
+            form.innerHTML = '<ds-text-input name="username" aria-describedby="hint" required></ds-text-input>';
+            const control = form.querySelector('ds-text-input');
+
+            form.validate();
+
+            const error = control.shadowRoot.querySelector('[part="error"]');
+            const input = control.shadowRoot.querySelector('input');
+            expect(error.hidden).toBe(false);
+            expect(error.textContent).toBe('This field is required');
+            expect(input.getAttribute('aria-describedby')).toBe(`hint ${error.id}`);
+            expect(input.getAttribute('aria-invalid')).toBe('true');
+        });
+
+        it('should clear the inline error when the value is fixed', () => {
+            form.innerHTML = '<ds-text-input name="username" required></ds-text-input>';
+            const control = form.querySelector('ds-text-input');
+            form.validate();
+
+            control.value = 'jane';
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+
+            const input = control.shadowRoot.querySelector('input');
+            expect(control.shadowRoot.querySelector('[part="error"]').hidden).toBe(true);
+            expect(input.hasAttribute('aria-describedby')).toBe(false);
+            expect(input.hasAttribute('aria-invalid')).toBe(false);
+        });
+
+        it('should keep the error reference when aria-describedby changes', () => {
+            form.innerHTML = '<ds-text-input name="username" required></ds-text-input>';
+            const control = form.querySelector('ds-text-input');
+            form.validate();
+
+            control.setAttribute('aria-describedby', 'hint');
+
+            expect(control.shadowRoot.querySelector('input').getAttribute('aria-describedby')).toBe('hint error-message');
+        });
+
+        it('should keep the error reference when ariaDescribedBy is set as a property', () => {
+            form.innerHTML = '<ds-text-input name="username" required></ds-text-input>';
+            const control = form.querySelector('ds-text-input');
+            form.validate();
+
+            control.ariaDescribedBy = 'hint';
+
+            const input = control.shadowRoot.querySelector('input');
+            expect(input.getAttribute('aria-describedby')).toBe('hint error-message');
+
+            control.value = 'jane';
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+            expect(input.getAttribute('aria-describedby')).toBe('hint');
+        });
+
+        it('should mark native controls with aria-invalid', () => {
+            form.innerHTML = '<input name="email" required>';
+
+            form.validate();
+
+            expect(form.querySelector('input').getAttribute('aria-invalid')).toBe('true');
+        });
+    });
+
+    describe('Error Summary', () => {
+        beforeEach(() => {
+            form.innerHTML = `
+                <ds-text-input name="username" required></ds-text-input>
+                <ds-text-input name="email" type="email" required></ds-text-input>
+            `;
+        });
+
+        it('should stay hidden until the form is submitted', () => {
+            form.validate();
+
+            expect(form.shadowRoot.querySelector('[part="error-summary"]').hidden).toBe(true);
+        });
+
+        it('should list every error and take focus after a failed submit', () => {
+            form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+            const summary = form.shadowRoot.querySelector('[part="error-summary"]');
+            const links = summary.querySelectorAll('a');
+            expect(summary.hidden).toBe(false);
+            expect(summary.textContent).toContain('There are 2 problems with this form');
+            expect(links).toHaveLength(2);
+            expect(form.shadowRoot.activeElement).toBe(summary);
+        });
+
+        it('should move focus to the field when a link is clicked', () => {
+            form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+            const email = form.querySelectorAll('ds-text-input')[1];
+
+            form.shadowRoot.querySelectorAll('[part="error-summary-link"]')[1].click();
+
+            expect(email.shadowRoot.activeElement).toBe(email.shadowRoot.querySelector('input'));
+        });
+
+        it('should hide once every error is fixed', () => {
+            form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+            const [username, email] = form.querySelectorAll('ds-text-input');
+
+            username.value = 'jane';
+            username.dispatchEvent(new Event('input', { bubbles: true }));
+            email.value = 'jane@example.com';
+            email.dispatchEvent(new Event('input', { bubbles: true }));
+
+            expect(form.shadowRoot.querySelector('[part="error-summary"]').hidden).toBe(true);
+        });
+    });
+
+    describe('Async Validation', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+            registerValidator('available', async (value, param, { signal }) => {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                return signal.aborted || value !== 'taken';
+            }, { async: true, message: 'That name is taken' });
+        });
+
+        afterEach(() => {
+            unregisterValidator('available');
+            vi.useRealTimers();
+        });
+
+        function typeInto(control, value) {
+            control.value = value;
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        it('should debounce async checks while typing', async () => {
+            const check = vi.fn().mockResolvedValue(true);
+            form.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            form.addRule('username', { validate: check, async: true });
+            const input = form.querySelector('ds-text-input');
+
+            typeInto(input, 'j');
+            typeInto(input, 'ja');
+            typeInto(input, 'jan');
+            await vi.advanceTimersByTimeAsync(300);
+
+            expect(check).toHaveBeenCalledTimes(1);
+            expect(check.mock.calls[0][0]).toBe('jan');
+        });
+
+        it('should honour the validation-debounce attribute', async () => {
+            const check = vi.fn().mockResolvedValue(true);
+            form.setAttribute('validation-debounce', '100');
+            form.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            form.addRule('username', { validate: check, async: true });
+
+            typeInto(form.querySelector('ds-text-input'), 'jane');
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(check).toHaveBeenCalledTimes(1);
+        });
+
+        it('should mark the field and form as pending', async () => {
+            form.innerHTML = '<ds-text-input name="username" data-validate="available"></ds-text-input>';
+            const input = form.querySelector('ds-text-input');
+
+            typeInto(input, 'taken');
+
+            expect(form.pending).toBe(true);
+            expect(form.hasAttribute('pending')).toBe(true);
+            expect(input.getAttribute('aria-busy')).toBe('true');
+
+            await vi.advanceTimersByTimeAsync(350);
+
+            expect(form.pending).toBe(false);
+            expect(input.hasAttribute('aria-busy')).toBe(false);
+            expect(form.formState.errors.get(input)).toBe('That name is taken');
+        });
+
+        it('should ignore results from superseded checks', async () => {
+            form.innerHTML = '<ds-text-input name="username" data-validate="available"></ds-text-input>';
+            const input = form.querySelector('ds-text-input');
+
+            typeInto(input, 'taken');
+            await vi.advanceTimersByTimeAsync(320);
+            typeInto(input, 'free');
+            await vi.advanceTimersByTimeAsync(350);
+
+            expect(form.formState.errors.has(input)).toBe(false);
+        });
+
+        it('should skip async checks when sync rules fail', async () => {
+            const check = vi.fn().mockResolvedValue(true);
+            form.innerHTML = '<ds-text-input name="username" minlength="3"></ds-text-input>';
+            form.addRule('username', { validate: check, async: true });
+
+            typeInto(form.querySelector('ds-text-input'), 'ja');
+            await vi.advanceTimersByTimeAsync(300);
+
+            expect(check).not.toHaveBeenCalled();
+            expect(form.pending).toBe(false);
+        });
+
+        it('should include async failures in validateAsync()', async () => {
+            form.innerHTML = '<ds-text-input name="username" data-validate="available"></ds-text-input>';
+            form.querySelector('ds-text-input').value = 'taken';
+
+            const promise = form.validateAsync();
+            await vi.advanceTimersByTimeAsync(50);
+            const result = await promise;
+
+            expect(result.valid).toBe(false);
+            expect(result.errors[0]).toMatchObject({ name: 'username', rule: 'available', message: 'That name is taken' });
+        });
+
+        it('should hold submission until async checks pass', async () => {
+            form.innerHTML = '<ds-text-input name="username" data-validate="available"></ds-text-input>';
+            form.querySelector('ds-text-input').value = 'jane';
+            const requestSubmit = vi.spyOn(form.form, 'requestSubmit').mockImplementation(() => {});
+            const event = new Event('submit', { cancelable: true });
+
+            form.form.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(requestSubmit).not.toHaveBeenCalled();
+
+            await vi.advanceTimersByTimeAsync(50);
+
+            expect(requestSubmit).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not submit when an async check fails', async () => {
+            form.innerHTML = '<ds-text-input name="username" data-validate="available"></ds-text-input>';
+            form.querySelector('ds-text-input').value = 'taken';
+            const requestSubmit = vi.spyOn(form.form, 'requestSubmit').mockImplementation(() => {});
+
+            form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+            await vi.advanceTimersByTimeAsync(50);
+
+            expect(requestSubmit).not.toHaveBeenCalled();
+            expect(form.formState.errors.size).toBe(1);
+        });
+
+        it('should fail the submission and clear pending state when a check throws', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            form.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            form.addRule('username', {
+                validate: async () => false,
+                message: () => { throw new Error('Broken message'); },
+                async: true
+            });
+            const input = form.querySelector('ds-text-input');
+            input.value = 'jane';
+            const requestSubmit = vi.spyOn(form.form, 'requestSubmit').mockImplementation(() => {});
+
+            form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(requestSubmit).not.toHaveBeenCalled();
+            expect(form.pending).toBe(false);
+            expect(input.hasAttribute('aria-busy')).toBe(false);
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('Broken message'));
+            warn.mockRestore();
+        });
+    });
+
     describe('Form Submission', () => {
         beforeEach(() => {
             form.innerHTML = `
@@ -166,6 +524,142 @@ describe('DsForm', () => {
         });
     });
 
+    describe('Fetch Submission', () => {
+        let fetchMock;
+
+        function jsonResponse(body, status = 200) {
+            return new Response(JSON.stringify(body), {
+                status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        beforeEach(() => {
+            fetchMock = vi.fn().mockResolvedValue(jsonResponse({ id: 1 }));
+            vi.stubGlobal('fetch', fetchMock);
+            form.setAttribute('mode', 'fetch');
+            form.setAttribute('action', 'https://example.com/api/signup');
+            form.setAttribute('method', 'post');
+            form.innerHTML = `
+                <ds-text-input name="email" value="jane@example.com"></ds-text-input>
+                <button type="submit">Sign up</button>
+            `;
+        });
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('should send urlencoded fields to the action', async () => {
+            const outcome = await form.submitWithFetch();
+
+            const [url, init] = fetchMock.mock.calls[0];
+            expect(url).toBe('https://example.com/api/signup');
+            expect(init.method).toBe('POST');
+            expect(init.body.toString()).toBe('email=jane%40example.com');
+            expect(outcome.ok).toBe(true);
+            expect(outcome.data).toEqual({ id: 1 });
+        });
+
+        it('should encode JSON when enctype is application/json', async () => {
+            form.setAttribute('enctype', 'application/json');
+
+            await form.submitWithFetch();
+
+            const [, init] = fetchMock.mock.calls[0];
+            expect(init.headers['Content-Type']).toBe('application/json');
+            expect(JSON.parse(init.body)).toEqual({ email: 'jane@example.com' });
+        });
+
+        it('should put fields in the query string for GET', async () => {
+            form.setAttribute('method', 'get');
+
+            await form.submitWithFetch();
+
+            const [url, init] = fetchMock.mock.calls[0];
+            expect(url).toBe('https://example.com/api/signup?email=jane%40example.com');
+            expect(init.body).toBeUndefined();
+        });
+
+        it('should submit with fetch instead of navigating', async () => {
+            const event = new Event('submit', { cancelable: true });
+
+            form.form.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not send the request when ds-submit-start is cancelled', async () => {
+            form.addEventListener('ds-submit-start', (event) => event.preventDefault());
+
+            const outcome = await form.submitWithFetch();
+
+            expect(outcome).toBeNull();
+            expect(fetchMock).not.toHaveBeenCalled();
+        });
+
+        it('should be busy and disable submit buttons while the request runs', async () => {
+            let respond;
+            fetchMock.mockReturnValue(new Promise(resolve => { respond = resolve; }));
+            const button = form.querySelector('button');
+
+            const pending = form.submitWithFetch();
+
+            expect(form.getAttribute('aria-busy')).toBe('true');
+            expect(button.disabled).toBe(true);
+
+            respond(jsonResponse({}));
+            await pending;
+
+            expect(form.hasAttribute('aria-busy')).toBe(false);
+            expect(button.disabled).toBe(false);
+        });
+
+        it('should fire ds-submit-success with the response data', async () => {
+            const onSuccess = vi.fn();
+            form.addEventListener('ds-submit-success', onSuccess);
+
+            await form.submitWithFetch();
+
+            expect(onSuccess).toHaveBeenCalledTimes(1);
+            expect(onSuccess.mock.calls[0][0].detail.data).toEqual({ id: 1 });
+        });
+
+        it('should map server field errors onto controls', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ errors: { email: ['Already registered'] } }, 422));
+            const onError = vi.fn();
+            form.addEventListener('ds-submit-error', onError);
+
+            await form.submitWithFetch();
+
+            const control = form.querySelector('ds-text-input');
+            expect(onError.mock.calls[0][0].detail.response.status).toBe(422);
+            expect(form.formState.errors.get(control)).toBe('Already registered');
+            expect(control.errorMessage).toBe('Already registered');
+        });
+
+        it('should accept server errors as a list', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ errors: [{ field: 'email', message: 'Already registered' }] }, 422));
+
+            await form.submitWithFetch();
+
+            expect(form.formState.errors.get(form.querySelector('ds-text-input'))).toBe('Already registered');
+        });
+
+        it('should report network failures through ds-submit-error', async () => {
+            fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+            const onError = vi.fn();
+            form.addEventListener('ds-submit-error', onError);
+
+            const outcome = await form.submitWithFetch();
+
+            expect(outcome.ok).toBe(false);
+            expect(onError.mock.calls[0][0].detail.error).toBeInstanceOf(TypeError);
+            expect(form.shadowRoot.querySelector('[part="live-region"]').getAttribute('data-type')).toBe('error');
+        });
+    });
+
     describe('Form Reset', () => {
         beforeEach(() => {
             form.innerHTML = `
@@ -186,6 +680,22 @@ describe('DsForm', () => {
             const liveRegion = form.shadowRoot.querySelector('[part="live-region"]');
             expect(liveRegion.textContent).toContain('reset');
         });
+
+        it('should restore slotted controls and clear the dirty state', () => {
+            const input = form.querySelector('ds-text-input');
+            const onReset = vi.spyOn(form, 'handleFormReset');
+            form.updateDirtyState();
+            input.value = 'changed';
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            expect(form.dirty).toBe(true);
+
+            form.reset();
+
+            expect(input.value).toBe('initial value');
+            expect(form.dirty).toBe(false);
+            expect(form.pristine).toBe(true);
+            expect(onReset).toHaveBeenCalledTimes(1);
+        });
     });
 
     describe('Form Data', () => {
@@ -225,6 +735,273 @@ describe('DsForm', () => {
         });
     });
 
+    describe('Structured Form Data', () => {
+        beforeEach(() => {
+            form.innerHTML = `
+                <ds-text-input name="address.city" value="Oslo"></ds-text-input>
+                <ds-text-input name="items[0].qty" type="number" value="2"></ds-text-input>
+                <input type="checkbox" name="tags" value="news" checked>
+                <input type="checkbox" name="tags" value="offers" checked>
+                <input type="checkbox" name="terms">
+                <select name="sizes" multiple>
+                    <option value="s" selected>S</option>
+                    <option value="m">M</option>
+                    <option value="l" selected>L</option>
+                </select>
+            `;
+        });
+
+        it('should build nested objects and keep multi-valued fields as arrays', () => {
+            expect(form.getFormDataAsObject()).toEqual({
+                address: { city: 'Oslo' },
+                items: [{ qty: '2' }],
+                tags: ['news', 'offers'],
+                sizes: ['s', 'l']
+            });
+        });
+
+        it('should coerce numbers and booleans from the control type', () => {
+            const data = form.getFormDataAsObject({ coerce: true });
+
+            expect(data.items[0].qty).toBe(2);
+            expect(data.terms).toBe(false);
+        });
+
+        it('should append every selected option to FormData', () => {
+            expect(form.getFormData().getAll('sizes')).toEqual(['s', 'l']);
+        });
+
+        it('should keep flat names for validation values', () => {
+            expect(form.getFieldValues()['address.city']).toBe('Oslo');
+        });
+
+        it('should populate controls with setValues()', () => {
+            form.setValues({
+                address: { city: 'Bergen' },
+                items: [{ qty: 5 }],
+                tags: ['offers'],
+                terms: true,
+                sizes: ['m']
+            });
+
+            expect(form.getFormDataAsObject({ coerce: true })).toEqual({
+                address: { city: 'Bergen' },
+                items: [{ qty: 5 }],
+                tags: ['offers'],
+                terms: true,
+                sizes: ['m']
+            });
+        });
+
+        it('should leave fields missing from the object untouched', () => {
+            form.setValues({ tags: [] });
+
+            expect(form.getFormDataAsObject().address.city).toBe('Oslo');
+            expect(form.getFormDataAsObject().tags).toEqual([]);
+        });
+    });
+
+    describe('Dirty Tracking', () => {
+        let input;
+
+        beforeEach(async () => {
+            form.innerHTML = `
+                <ds-text-input name="name" value="Jane"></ds-text-input>
+                <input type="checkbox" name="terms">
+            `;
+            // Initial values of slotted controls are recorded on slotchange
+            await Promise.resolve();
+            input = form.querySelector('ds-text-input');
+        });
+
+        afterEach(() => {
+            form.removeAttribute('warn-unsaved');
+        });
+
+        function typeInto(control, value) {
+            control.value = value;
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        it('should start pristine', () => {
+            expect(form.pristine).toBe(true);
+            expect(form.dirty).toBe(false);
+            expect(form.hasAttribute('pristine')).toBe(true);
+        });
+
+        it('should become dirty when a value changes and pristine when it is restored', () => {
+            typeInto(input, 'Janet');
+
+            expect(form.dirty).toBe(true);
+            expect(form.isFieldDirty('name')).toBe(true);
+            expect(form.isFieldDirty('terms')).toBe(false);
+            expect(form.hasAttribute('dirty')).toBe(true);
+            expect(input.hasAttribute('dirty')).toBe(true);
+
+            typeInto(input, 'Jane');
+
+            expect(form.pristine).toBe(true);
+            expect(input.hasAttribute('dirty')).toBe(false);
+        });
+
+        it('should fire ds-dirty-change only when the dirty state flips', () => {
+            const onChange = vi.fn();
+            form.addEventListener('ds-dirty-change', onChange);
+
+            typeInto(input, 'J');
+            typeInto(input, 'Jo');
+            typeInto(input, 'Jane');
+
+            expect(onChange).toHaveBeenCalledTimes(2);
+            expect(onChange.mock.calls[0][0].detail.dirty).toBe(true);
+            expect(onChange.mock.calls[1][0].detail.dirty).toBe(false);
+        });
+
+        it('should mark fields touched when focus leaves them', () => {
+            const checkbox = form.querySelector('input');
+
+            checkbox.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+
+            expect(form.touched).toBe(true);
+            expect(form.isFieldTouched('terms')).toBe(true);
+            expect(form.isFieldTouched(input)).toBe(false);
+            expect(checkbox.hasAttribute('touched')).toBe(true);
+        });
+
+        it('should reset tracking with markPristine()', () => {
+            typeInto(input, 'Janet');
+
+            form.markPristine();
+
+            expect(form.pristine).toBe(true);
+            expect(form.isFieldDirty('name')).toBe(false);
+        });
+
+        it('should guard against leaving with unsaved changes when warn-unsaved is set', () => {
+            form.setAttribute('warn-unsaved', '');
+            typeInto(input, 'Janet');
+
+            const event = new Event('beforeunload', { cancelable: true });
+            window.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(true);
+        });
+
+        it('should not guard a clean form', () => {
+            form.setAttribute('warn-unsaved', '');
+
+            const event = new Event('beforeunload', { cancelable: true });
+            window.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(false);
+        });
+
+        it('should not guard without warn-unsaved', () => {
+            typeInto(input, 'Janet');
+
+            const event = new Event('beforeunload', { cancelable: true });
+            window.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(false);
+        });
+    });
+
+    describe('Draft Persistence', () => {
+        let draftForm;
+
+        function createDraftForm() {
+            const element = document.createElement('ds-form');
+            element.setAttribute('persist', 'local');
+            element.setAttribute('persist-key', 'test-draft');
+            element.innerHTML = `
+                <ds-text-input name="address.city"></ds-text-input>
+                <ds-text-input name="password" type="password"></ds-text-input>
+                <ds-text-input name="card" persist-exclude></ds-text-input>
+            `;
+            document.body.appendChild(element);
+            return element;
+        }
+
+        function typeInto(control, value) {
+            control.value = value;
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            localStorage.clear();
+        });
+
+        afterEach(() => {
+            draftForm.remove();
+            localStorage.clear();
+            vi.useRealTimers();
+        });
+
+        it('should save values after input settles', () => {
+            draftForm = createDraftForm();
+
+            typeInto(draftForm.querySelector('[name="address.city"]'), 'Oslo');
+
+            expect(localStorage.getItem('test-draft')).toBeNull();
+            vi.advanceTimersByTime(500);
+            expect(JSON.parse(localStorage.getItem('test-draft')).values).toEqual({ address: { city: 'Oslo' } });
+        });
+
+        it('should never write excluded and password fields', () => {
+            draftForm = createDraftForm();
+            draftForm.querySelector('[name="password"]').value = 'secret';
+            draftForm.querySelector('[name="card"]').value = '4242424242424242';
+
+            draftForm.saveDraft();
+
+            const stored = localStorage.getItem('test-draft');
+            expect(stored).not.toContain('secret');
+            expect(stored).not.toContain('4242');
+        });
+
+        it('should restore the draft on connect and fire ds-draft-restored', () => {
+            localStorage.setItem('test-draft', JSON.stringify({ values: { address: { city: 'Bergen' } }, savedAt: 0 }));
+            const onRestored = vi.fn();
+            document.addEventListener('ds-draft-restored', onRestored);
+
+            draftForm = createDraftForm();
+
+            document.removeEventListener('ds-draft-restored', onRestored);
+            expect(draftForm.querySelector('[name="address.city"]').value).toBe('Bergen');
+            expect(onRestored).toHaveBeenCalledTimes(1);
+            expect(onRestored.mock.calls[0][0].detail.key).toBe('test-draft');
+        });
+
+        it('should clear the draft on reset', () => {
+            draftForm = createDraftForm();
+            typeInto(draftForm.querySelector('[name="address.city"]'), 'Oslo');
+            vi.advanceTimersByTime(500);
+
+            draftForm.reset();
+
+            expect(localStorage.getItem('test-draft')).toBeNull();
+        });
+
+        it('should clear the draft after a successful submit', () => {
+            draftForm = createDraftForm();
+            typeInto(draftForm.querySelector('[name="address.city"]'), 'Oslo');
+
+            draftForm.form.dispatchEvent(new Event('submit', { cancelable: true }));
+            vi.advanceTimersByTime(500);
+
+            expect(localStorage.getItem('test-draft')).toBeNull();
+        });
+
+        it('should ignore corrupt drafts', () => {
+            localStorage.setItem('test-draft', '{not json');
+
+            draftForm = createDraftForm();
+
+            expect(draftForm.querySelector('[name="address.city"]').value).toBe('');
+        });
+    });
+
     describe('Live Region Management', () => {
         it('should announce messages to screen reader', () => {
             form.announceToScreenReader('Test message', 'info');
@@ -0,0 +1,1053 @@
+/**
+ * @file ds-select.test.js
+ * @summary Tests for ds-select: option sync, searchable (combobox), rich listbox and multiple selection modes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../src/components/ds-select.js';
+import '../src/components/ds-option.js';
+import '../src/components/ds-optgroup.js';
+
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function type(select, text) {
+    select.searchInput.value = text;
+    select.searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function press(select, key, options = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    select.searchInput.dispatchEvent(event);
+    return event;
+}
+
+function visibleLabels(select) {
+    return Array.from(select.listbox.querySelectorAll('[role="option"]')).map(item => item.textContent);
+}
+
+describe('DsSelect searchable mode', () => {
+    let container;
+    let select;
+
+    beforeEach(async () => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        container.innerHTML = `
+            <ds-select name="country" searchable placeholder="Search countries" aria-label="Country">
+                <ds-option value="at">Austria</ds-option>
+                <ds-option value="au">Australia</ds-option>
+                <ds-option value="ca">Canada</ds-option>
+                <ds-option value="cu" disabled>Curaçao</ds-option>
+                <ds-option value="re">Réunion</ds-option>
+            </ds-select>
+        `;
+        select = container.querySelector('ds-select');
+        await tick();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        container.remove();
+    });
+
+    it('should render a combobox in place of the native select', () => {
+        const input = select.searchInput;
+
+        expect(select.select.hidden).toBe(true);
+        expect(select.combobox.hidden).toBe(false);
+        expect(input.getAttribute('role')).toBe('combobox');
+        expect(input.getAttribute('aria-autocomplete')).toBe('list');
+        expect(input.getAttribute('aria-controls')).toBe('listbox');
+        expect(input.getAttribute('aria-expanded')).toBe('false');
+        expect(input.getAttribute('aria-label')).toBe('Country');
+        expect(input.placeholder).toBe('Search countries');
+    });
+
+    it('should filter options ignoring case and accents', () => {
+        type(select, 'AU');
+
+        expect(select.expanded).toBe(true);
+        expect(visibleLabels(select)).toEqual(['Austria', 'Australia']);
+
+        type(select, 'reu');
+        expect(visibleLabels(select)).toEqual(['Réunion']);
+    });
+
+    it('should highlight the matched text', () => {
+        type(select, 'union');
+
+        const mark = select.listbox.querySelector('mark[part="match"]');
+        expect(mark.textContent).toBe('union');
+        expect(mark.previousSibling.textContent).toBe('Ré');
+    });
+
+    it('should announce the number of results', () => {
+        type(select, 'a');
+        expect(select.status.textContent).toBe('4 results available');
+
+        type(select, 'canada');
+        expect(select.status.textContent).toBe('1 result available');
+    });
+
+    it('should move aria-activedescendant with the arrow keys, skipping disabled options', () => {
+        type(select, 'c');
+        expect(visibleLabels(select)).toEqual(['Canada', 'Curaçao']);
+
+        press(select, 'ArrowDown');
+        const active = select.searchInput.getAttribute('aria-activedescendant');
+        expect(select.listbox.querySelector(`#${active}`).textContent).toBe('Canada');
+        expect(select.listbox.querySelector(`#${active}`).getAttribute('part')).toBe('option active');
+
+        // Curaçao is disabled, so the active option wraps back to Canada
+        press(select, 'ArrowDown');
+        expect(select.searchInput.getAttribute('aria-activedescendant')).toBe(active);
+    });
+
+    it('should open without moving on Alt+ArrowDown', () => {
+        press(select, 'ArrowDown', { altKey: true });
+
+        expect(select.expanded).toBe(true);
+        expect(select.searchInput.hasAttribute('aria-activedescendant')).toBe(false);
+    });
+
+    it('should select the active option on Enter and fire change', () => {
+        const onChange = vi.fn();
+        select.addEventListener('change', onChange);
+
+        type(select, 'can');
+        press(select, 'ArrowDown');
+        const event = press(select, 'Enter');
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(select.value).toBe('ca');
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(select.expanded).toBe(false);
+        expect(select.searchInput.value).toBe('Canada');
+    });
+
+    it('should select an option on click', () => {
+        type(select, 'aus');
+        select.listbox.querySelectorAll('[role="option"]')[1].click();
+
+        expect(select.value).toBe('au');
+        expect(select.searchInput.value).toBe('Australia');
+    });
+
+    it('should restore the selected label on Escape', () => {
+        select.value = 'at';
+        select.updateFormValue();
+        type(select, 'xyz');
+
+        press(select, 'Escape');
+        expect(select.expanded).toBe(false);
+        expect(select.searchInput.value).toBe('Austria');
+
+        press(select, 'Escape');
+        expect(select.searchInput.value).toBe('');
+        expect(select.value).toBe('at');
+    });
+
+    it('should show the empty state when nothing matches', () => {
+        select.innerHTML += '<span slot="empty">No countries found</span>';
+        type(select, 'xyz');
+
+        expect(select.listbox.hidden).toBe(true);
+        expect(select.emptyState.hidden).toBe(false);
+        expect(select.shadowRoot.querySelector('slot[name="empty"]').assignedNodes()[0].textContent)
+            .toBe('No countries found');
+    });
+
+    it('should close the listbox on blur', () => {
+        type(select, 'a');
+        select.searchInput.dispatchEvent(new Event('blur'));
+
+        expect(select.expanded).toBe(false);
+        expect(select.listbox.hidden).toBe(true);
+    });
+
+    it('should not open when disabled', () => {
+        select.setAttribute('disabled', '');
+        press(select, 'ArrowDown');
+
+        expect(select.searchInput.disabled).toBe(true);
+        expect(select.expanded).toBe(false);
+    });
+
+    describe('loadOptions', () => {
+        it('should load options after the user stops typing', async () => {
+            vi.useFakeTimers();
+            select.loadOptions = vi.fn(async query => [
+                { value: 'fr', label: `France (${query})` },
+                'de'
+            ]);
+
+            type(select, 'f');
+            type(select, 'fr');
+            expect(select.listbox.getAttribute('aria-busy')).toBe('true');
+
+            await vi.advanceTimersByTimeAsync(200);
+
+            expect(select.loadOptions).toHaveBeenCalledTimes(1);
+            expect(select.loadOptions).toHaveBeenCalledWith('fr');
+            expect(select.listbox.hasAttribute('aria-busy')).toBe(false);
+            expect(visibleLabels(select)).toEqual(['France (fr)', 'de']);
+        });
+
+        it('should ignore responses to earlier searches', async () => {
+            vi.useFakeTimers();
+            const responses = {};
+            select.loadOptions = query => new Promise(resolve => {
+                responses[query] = resolve;
+            });
+
+            type(select, 'a');
+            await vi.advanceTimersByTimeAsync(200);
+            type(select, 'b');
+            await vi.advanceTimersByTimeAsync(200);
+
+            responses.b(['Belgium']);
+            await vi.advanceTimersByTimeAsync(0);
+            responses.a(['Albania']);
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(visibleLabels(select)).toEqual(['Belgium']);
+        });
+
+        it('should keep a selected loaded option and submit its value', async () => {
+            vi.useFakeTimers();
+            select.loadOptions = async query => (query === 'fr' ? [{ value: 'fr', label: 'France' }] : []);
+
+            type(select, 'fr');
+            await vi.advanceTimersByTimeAsync(200);
+            press(select, 'ArrowDown');
+            press(select, 'Enter');
+            expect(select.value).toBe('fr');
+
+            type(select, 'zz');
+            await vi.advanceTimersByTimeAsync(200);
+
+            expect(select.value).toBe('fr');
+            expect(select.emptyState.hidden).toBe(false);
+        });
+
+        it('should warn and show the empty state when loading fails', async () => {
+            vi.useFakeTimers();
+            select.loadOptions = async () => {
+                throw new Error('Network down');
+            };
+
+            type(select, 'zz');
+            await vi.advanceTimersByTimeAsync(200);
+
+            expect(console.warn).toHaveBeenCalledWith('[DsSelect] loadOptions failed: Network down');
+            expect(select.emptyState.hidden).toBe(false);
+        });
+    });
+});
+
+describe('DsSelect multiple selection', () => {
+    let container;
+    let select;
+
+    function chipLabels() {
+        return Array.from(select.chipList.querySelectorAll('[part="chip"] span')).map(label => label.textContent);
+    }
+
+    async function render(attributes = '') {
+        container.innerHTML = `
+            <ds-select name="colors" multiple ${attributes}>
+                <ds-option value="red" selected>Red</ds-option>
+                <ds-option value="green">Green</ds-option>
+                <ds-option value="blue" selected>Blue</ds-option>
+                <ds-option value="black" disabled>Black</ds-option>
+                <ds-option value="white">White</ds-option>
+            </ds-select>
+        `;
+        select = container.querySelector('ds-select');
+        await tick();
+    }
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    it('should expose every selected value', async () => {
+        await render();
+
+        expect(select.values).toEqual(['red', 'blue']);
+        expect(select.value).toBe('red');
+    });
+
+    it('should select options from the values property without firing change', async () => {
+        await render();
+        const onChange = vi.fn();
+        select.addEventListener('change', onChange);
+
+        select.values = ['green', 'white', 'unknown'];
+
+        expect(select.values).toEqual(['green', 'white']);
+        expect(chipLabels()).toEqual(['Green', 'White']);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should select only the first match without multiple', async () => {
+        container.innerHTML = `
+            <ds-select name="color">
+                <ds-option value="red">Red</ds-option>
+                <ds-option value="blue">Blue</ds-option>
+            </ds-select>
+        `;
+        select = container.querySelector('ds-select');
+        await tick();
+
+        select.values = ['blue', 'red'];
+
+        expect(select.values).toEqual(['blue']);
+        expect(select.chips.hidden).toBe(true);
+    });
+
+    it('should render a removable chip per selection', async () => {
+        await render();
+
+        expect(select.chips.hidden).toBe(false);
+        expect(chipLabels()).toEqual(['Red', 'Blue']);
+        expect(select.chipList.querySelector('[part="chip-remove"]').getAttribute('aria-label')).toBe('Remove Red');
+    });
+
+    it('should deselect an option when its chip is removed', async () => {
+        await render();
+        const onChange = vi.fn();
+        select.addEventListener('change', onChange);
+
+        select.chipList.querySelector('[part="chip-remove"]').click();
+
+        expect(select.values).toEqual(['blue']);
+        expect(chipLabels()).toEqual(['Blue']);
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(select.status.textContent).toBe('Red removed');
+        expect(select.shadowRoot.activeElement).toBe(select.chipList.querySelector('[part="chip-remove"]'));
+    });
+
+    it('should remove a focused chip with Backspace or Delete', async () => {
+        await render();
+        const [, blue] = select.chipList.querySelectorAll('[part="chip-remove"]');
+
+        blue.dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+        expect(select.values).toEqual(['red']);
+
+        const red = select.chipList.querySelector('[part="chip-remove"]');
+        red.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace', bubbles: true }));
+        expect(select.values).toEqual([]);
+        expect(select.shadowRoot.activeElement).toBe(select.select);
+    });
+
+    it('should remove the last chip with Backspace in an empty search field', async () => {
+        await render('searchable');
+
+        press(select, 'Backspace');
+        expect(select.values).toEqual(['red']);
+
+        type(select, 'gr');
+        press(select, 'Backspace');
+        expect(select.values).toEqual(['red']);
+    });
+
+    it('should toggle options from the listbox and keep it open', async () => {
+        await render('searchable');
+        expect(select.listbox.getAttribute('aria-multiselectable')).toBe(null);
+
+        type(select, 'green');
+        expect(select.listbox.getAttribute('aria-multiselectable')).toBe('true');
+        press(select, 'ArrowDown');
+        press(select, 'Enter');
+
+        expect(select.values).toEqual(['red', 'green', 'blue']);
+        expect(select.expanded).toBe(true);
+    });
+
+    it('should select all enabled options and clear the selection', async () => {
+        await render();
+        const onChange = vi.fn();
+        select.addEventListener('change', onChange);
+
+        select.selectAllButton.click();
+        expect(select.values).toEqual(['red', 'green', 'blue', 'white']);
+        expect(select.selectAllButton.disabled).toBe(true);
+        expect(select.status.textContent).toBe('4 options selected');
+
+        select.clearButton.click();
+        expect(select.values).toEqual([]);
+        expect(select.clearButton.disabled).toBe(true);
+        expect(select.status.textContent).toBe('Selection cleared');
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep selected disabled options when clearing', async () => {
+        await render();
+        select.values = ['black', 'red'];
+
+        select.clearSelection();
+
+        expect(select.values).toEqual(['black']);
+    });
+
+    describe('max-selections', () => {
+        it('should stop select all at the limit', async () => {
+            await render('max-selections="3"');
+
+            select.selectAll();
+
+            expect(select.values).toEqual(['red', 'green', 'blue']);
+            expect(select.selectAllButton.disabled).toBe(true);
+        });
+
+        it('should revert native selections beyond the limit without forwarding change', async () => {
+            await render('max-selections="2"');
+            const onChange = vi.fn();
+            select.addEventListener('change', onChange);
+
+            select.select.options[1].selected = true;
+            select.select.dispatchEvent(new Event('change', { bubbles: true }));
+
+            expect(select.values).toEqual(['red', 'blue']);
+            expect(onChange).not.toHaveBeenCalled();
+            expect(select.status.textContent).toBe('You can select up to 2 options');
+        });
+
+        it('should mark unselected listbox options as unavailable at the limit', async () => {
+            await render('searchable max-selections="2"');
+
+            type(select, 'e');
+            const green = select.listbox.querySelector('#option-1');
+            expect(green.getAttribute('aria-disabled')).toBe('true');
+
+            green.click();
+            expect(select.values).toEqual(['red', 'blue']);
+        });
+
+        it('should trim the selection when the limit is lowered', async () => {
+            await render();
+
+            select.maxSelections = 1;
+
+            expect(select.getAttribute('max-selections')).toBe('1');
+            expect(select.values).toEqual(['red']);
+        });
+    });
+
+    it('should submit each selected value as a repeated form entry', async () => {
+        await render();
+        const setFormValue = vi.spyOn(select, 'setFormValue');
+
+        select.values = ['green', 'white'];
+
+        const data = setFormValue.mock.calls[setFormValue.mock.calls.length - 1][0];
+        expect(data).toBeInstanceOf(FormData);
+        expect(data.getAll('colors')).toEqual(['green', 'white']);
+    });
+});
+
+describe('DsSelect option sync', () => {
+    let container;
+    let select;
+
+    function nativeLabels() {
+        return Array.from(select.select.options, option => option.label);
+    }
+
+    beforeEach(async () => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        container.innerHTML = `
+            <ds-select name="fruit">
+                <ds-option value="apple">Apple</ds-option>
+                <ds-option value="banana" selected>Banana</ds-option>
+                <ds-option value="cherry">Cherry</ds-option>
+            </ds-select>
+        `;
+        select = container.querySelector('ds-select');
+        await tick();
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    it('should return the ds-option elements from options and selectedOptions', () => {
+        const sources = Array.from(select.querySelectorAll('ds-option'));
+
+        expect(select.options).toEqual(sources);
+        expect(select.selectedOptions).toEqual([sources[1]]);
+    });
+
+    it('should update an option when its attributes or text change', async () => {
+        const apple = select.querySelector('ds-option');
+        const native = select.select.options[0];
+
+        apple.setAttribute('value', 'green-apple');
+        apple.setAttribute('disabled', '');
+        apple.textContent = 'Green apple';
+        await tick();
+
+        expect(select.select.options[0]).toBe(native);
+        expect(native.value).toBe('green-apple');
+        expect(native.disabled).toBe(true);
+        expect(native.label).toBe('Green apple');
+    });
+
+    it('should reflect ds-option value and disabled properties', async () => {
+        const cherry = select.querySelectorAll('ds-option')[2];
+
+        cherry.value = 'sour-cherry';
+        cherry.disabled = true;
+        await tick();
+
+        expect(cherry.getAttribute('value')).toBe('sour-cherry');
+        expect(select.select.options[2].value).toBe('sour-cherry');
+        expect(select.select.options[2].disabled).toBe(true);
+    });
+
+    it('should keep the selection when options are added or removed', async () => {
+        select.value = 'cherry';
+
+        select.insertAdjacentHTML('afterbegin', '<ds-option value="apricot">Apricot</ds-option>');
+        select.querySelector('ds-option[value="banana"]').remove();
+        await tick();
+
+        expect(nativeLabels()).toEqual(['Apricot', 'Apple', 'Cherry']);
+        expect(select.value).toBe('cherry');
+    });
+
+    it('should follow the selected attribute', async () => {
+        select.querySelector('ds-option[value="apple"]').setAttribute('selected', '');
+        await tick();
+
+        expect(select.value).toBe('apple');
+    });
+
+    it('should read and set selection through the ds-option selected property', () => {
+        const [apple, banana] = select.querySelectorAll('ds-option');
+        const setFormValue = vi.spyOn(select, 'setFormValue');
+
+        expect(banana.selected).toBe(true);
+        apple.selected = true;
+
+        expect(select.value).toBe('apple');
+        expect(banana.selected).toBe(false);
+        expect(setFormValue).toHaveBeenLastCalledWith('apple');
+    });
+
+    it('should follow option moves', async () => {
+        select.append(select.querySelector('ds-option[value="apple"]'));
+        await tick();
+
+        expect(nativeLabels()).toEqual(['Banana', 'Cherry', 'Apple']);
+        expect(select.value).toBe('banana');
+    });
+
+    it('should ignore elements assigned to named slots', async () => {
+        select.insertAdjacentHTML('beforeend', '<option slot="empty">Nothing here</option>');
+        await tick();
+
+        expect(nativeLabels()).toEqual(['Apple', 'Banana', 'Cherry']);
+    });
+
+    describe('option groups', () => {
+        beforeEach(async () => {
+            container.innerHTML = `
+                <ds-select name="city">
+                    <ds-option value="">Choose a city</ds-option>
+                    <ds-optgroup label="Norway">
+                        <ds-option value="osl">Oslo</ds-option>
+                        <ds-option value="bgo">Bergen</ds-option>
+                    </ds-optgroup>
+                    <optgroup label="Sweden">
+                        <option value="sto">Stockholm</option>
+                    </optgroup>
+                </ds-select>
+            `;
+            select = container.querySelector('ds-select');
+            await tick();
+        });
+
+        it('should render ds-optgroup and optgroup as native groups', () => {
+            const groups = select.select.querySelectorAll('optgroup');
+
+            expect(Array.from(groups, group => group.label)).toEqual(['Norway', 'Sweden']);
+            expect(Array.from(groups[0].children, option => option.value)).toEqual(['osl', 'bgo']);
+            expect(select.options.map(option => option.tagName)).toEqual(['DS-OPTION', 'DS-OPTION', 'DS-OPTION', 'OPTION']);
+        });
+
+        it('should update a group when its label, disabled state or options change', async () => {
+            const norway = select.querySelector('ds-optgroup');
+
+            norway.label = 'Norge';
+            norway.disabled = true;
+            norway.insertAdjacentHTML('beforeend', '<ds-option value="trd">Trondheim</ds-option>');
+            await tick();
+
+            const group = select.select.querySelector('optgroup');
+            expect(group.label).toBe('Norge');
+            expect(group.disabled).toBe(true);
+            expect(Array.from(group.children, option => option.value)).toEqual(['osl', 'bgo', 'trd']);
+        });
+
+        it('should show groups in the searchable listbox and skip disabled ones', async () => {
+            select.setAttribute('searchable', '');
+            select.querySelector('optgroup').disabled = true;
+            await tick();
+
+            type(select, 'o');
+            const groups = select.listbox.querySelectorAll('[role="group"]');
+            expect(groups).toHaveLength(2);
+            expect(select.shadowRoot.getElementById(groups[0].getAttribute('aria-labelledby')).textContent).toBe('Norway');
+            expect(select.listbox.querySelector('#option-3').getAttribute('aria-disabled')).toBe('true');
+
+            // Stockholm is last but disabled through its group
+            press(select, 'ArrowUp');
+            expect(select.searchInput.getAttribute('aria-activedescendant')).toBe('option-1');
+        });
+    });
+});
+
+describe('DsSelect rich mode', () => {
+    let container;
+    let select;
+
+    function key(name, options = {}) {
+        const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+        select.trigger.dispatchEvent(event);
+        return event;
+    }
+
+    function activeLabel() {
+        const id = select.trigger.getAttribute('aria-activedescendant');
+        return id ? select.select.options[Number(id.replace('option-', ''))].label : null;
+    }
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        const people = ['Ada', 'Alan', 'Barbara', 'Claude', 'Donald', 'Edsger', 'Frances', 'Grace',
+            'Hedy', 'Ivan', 'John', 'Katherine', 'Linus'];
+        container.innerHTML = `
+            <ds-select name="person" rich placeholder="Choose a person" aria-label="Person">
+                ${people.map(name => `
+                    <ds-option value="${name.toLowerCase()}" label="${name}" ${name === 'Claude' ? 'disabled' : ''}>
+                        <img id="avatar-${name}" part="avatar" src="${name}.png" alt="">
+                        <strong>${name}</strong> <small part="detail">Pioneer</small>
+                    </ds-option>
+                `).join('')}
+            </ds-select>
+        `;
+        select = container.querySelector('ds-select');
+        await vi.advanceTimersByTimeAsync(0);
+        select.value = '';
+        select.updateFormValue();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        container.remove();
+    });
+
+    it('should render a select-only combobox in place of the native select', () => {
+        const trigger = select.trigger;
+
+        expect(select.select.hidden).toBe(true);
+        expect(trigger.hidden).toBe(false);
+        expect(trigger.getAttribute('role')).toBe('combobox');
+        expect(trigger.getAttribute('aria-haspopup')).toBe('listbox');
+        expect(trigger.getAttribute('aria-label')).toBe('Person');
+        expect(trigger.tabIndex).toBe(0);
+        expect(trigger.textContent).toBe('Choose a person');
+        expect(trigger.hasAttribute('data-placeholder')).toBe(true);
+    });
+
+    it('should keep the option markup in the listbox', () => {
+        select.trigger.click();
+
+        const item = select.listbox.querySelector('#option-0');
+        expect(select.expanded).toBe(true);
+        expect(item.getAttribute('role')).toBe('option');
+        expect(item.querySelector('img[part="avatar"]')).not.toBeNull();
+        expect(item.querySelector('strong').textContent).toBe('Ada');
+        expect(item.querySelector('[id]')).toBeNull();
+        expect(select.status.textContent).toBe('');
+    });
+
+    it('should show the label attribute once an option is selected', () => {
+        select.trigger.click();
+        select.listbox.querySelector('#option-1').click();
+
+        expect(select.value).toBe('alan');
+        expect(select.expanded).toBe(false);
+        expect(select.trigger.textContent).toBe('Alan');
+        expect(select.trigger.hasAttribute('data-placeholder')).toBe(false);
+    });
+
+    it('should open on ArrowDown with the selected option active', () => {
+        select.value = 'grace';
+
+        key('ArrowDown');
+
+        expect(select.expanded).toBe(true);
+        expect(activeLabel()).toBe('Grace');
+    });
+
+    it('should move to the first and last options with Home and End', () => {
+        key('End');
+        expect(activeLabel()).toBe('Linus');
+
+        key('Home');
+        expect(activeLabel()).toBe('Ada');
+    });
+
+    it('should move by a page with PageDown and PageUp without wrapping', () => {
+        key('Enter');
+        key('PageDown');
+        // Claude is disabled and skipped
+        expect(activeLabel()).toBe('Katherine');
+
+        key('PageDown');
+        expect(activeLabel()).toBe('Linus');
+
+        key('PageUp');
+        expect(activeLabel()).toBe('Alan');
+
+        key('PageUp');
+        expect(activeLabel()).toBe('Ada');
+    });
+
+    it('should select the active option with Enter or Space and fire change', () => {
+        const onChange = vi.fn();
+        select.addEventListener('change', onChange);
+
+        key('ArrowDown');
+        key('ArrowDown');
+        key('Enter');
+        expect(select.value).toBe('alan');
+
+        key(' ');
+        key('ArrowDown');
+        key(' ');
+        expect(select.value).toBe('barbara');
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should close on Escape without changing the value', () => {
+        key('ArrowDown');
+        key('ArrowDown');
+        key('Escape');
+
+        expect(select.expanded).toBe(false);
+        expect(select.value).toBe('');
+        expect(select.trigger.hasAttribute('aria-activedescendant')).toBe(false);
+    });
+
+    it('should jump to options by typing their label', () => {
+        key('g');
+        expect(select.expanded).toBe(true);
+        expect(activeLabel()).toBe('Grace');
+
+        vi.advanceTimersByTime(600);
+        key('a');
+        expect(activeLabel()).toBe('Ada');
+        key('l');
+        expect(activeLabel()).toBe('Alan');
+    });
+
+    it('should cycle through options starting with a repeated letter', () => {
+        key('ArrowDown');
+        key('a');
+        expect(activeLabel()).toBe('Alan');
+
+        key('a');
+        expect(activeLabel()).toBe('Ada');
+    });
+
+    it('should skip disabled options when typing', () => {
+        key('ArrowDown');
+        key('c');
+
+        expect(activeLabel()).toBe('Ada');
+    });
+
+    it('should not open when disabled', () => {
+        select.setAttribute('disabled', '');
+        key('ArrowDown');
+
+        expect(select.expanded).toBe(false);
+        expect(select.trigger.getAttribute('aria-disabled')).toBe('true');
+        expect(select.trigger.tabIndex).toBe(-1);
+    });
+
+    it('should re-render the open listbox when option markup changes', async () => {
+        select.trigger.click();
+
+        select.querySelector('ds-option small').textContent = 'Computing pioneer';
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(select.listbox.querySelector('#option-0 small').textContent).toBe('Computing pioneer');
+    });
+
+    it('should fall back to the text content without a label attribute', async () => {
+        const option = select.querySelector('ds-option');
+        option.removeAttribute('label');
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(option.label).toBe('Ada Pioneer');
+        select.value = 'ada';
+        select.updateFormValue();
+        expect(select.trigger.textContent).toBe('Ada Pioneer');
+    });
+});
+
+describe('DsSelect data options', () => {
+    let container;
+    let select;
+
+    const products = Array.from({ length: 10000 }, (_, i) => ({
+        value: `sku-${i}`,
+        label: `Product ${i}`,
+        disabled: i === 1
+    }));
+
+    function key(name, options = {}) {
+        const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+        select.trigger.dispatchEvent(event);
+        return event;
+    }
+
+    function rows() {
+        return Array.from(select.listbox.querySelectorAll('[role="option"]'));
+    }
+
+    function activeItem() {
+        const id = select.getControl().getAttribute('aria-activedescendant');
+        return id ? select.listbox.querySelector(`#${id}`) : null;
+    }
+
+    beforeEach(async () => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        container.innerHTML = `
+            <form>
+                <ds-select name="sku" placeholder="Choose a product" aria-label="Product"></ds-select>
+            </form>
+        `;
+        select = container.querySelector('ds-select');
+        select.options = products;
+        await tick();
+    });
+
+    afterEach(() => {
+        container.remove();
+    });
+
+    it('should render only the rows in view', () => {
+        expect(select.select.hidden).toBe(true);
+        expect(select.trigger.hidden).toBe(false);
+        expect(select.trigger.textContent).toBe('Choose a product');
+        expect(select.select.options.length).toBe(0);
+
+        select.trigger.click();
+
+        const items = rows();
+        expect(select.expanded).toBe(true);
+        expect(items.length).toBeGreaterThan(0);
+        expect(items.length).toBeLessThan(30);
+        expect(items[0].textContent).toBe('Product 0');
+        expect(items[0].getAttribute('aria-posinset')).toBe('1');
+        expect(items[0].getAttribute('aria-setsize')).toBe('10000');
+        expect(items[1].getAttribute('aria-disabled')).toBe('true');
+        expect(select.listbox.lastElementChild.style.height).toBe(`${(10000 - items.length) * 32}px`);
+    });
+
+    it('should keep the active option rendered while navigating with the keyboard', () => {
+        key('ArrowDown');
+        expect(activeItem().textContent).toBe('Product 0');
+
+        key('ArrowDown');
+        expect(activeItem().textContent).toBe('Product 2');
+
+        key('End');
+        expect(activeItem().textContent).toBe('Product 9999');
+        expect(activeItem().getAttribute('aria-posinset')).toBe('10000');
+        expect(rows().length).toBeLessThan(30);
+        expect(select.listbox.firstElementChild.getAttribute('role')).toBe('none');
+
+        key('PageUp');
+        expect(activeItem().textContent).toBe('Product 9989');
+
+        key('Home');
+        expect(activeItem().textContent).toBe('Product 0');
+        expect(activeItem().getAttribute('aria-posinset')).toBe('1');
+    });
+
+    it('should render the rows scrolled into view', () => {
+        select.trigger.click();
+        Object.defineProperty(select.listbox, 'scrollTop', { value: 3200, writable: true, configurable: true });
+        select.listbox.dispatchEvent(new Event('scroll'));
+
+        const labels = rows().map(item => item.textContent);
+        expect(labels).toContain('Product 100');
+        expect(labels).not.toContain('Product 0');
+    });
+
+    it('should keep the scroll position in step after scrolling past the end', () => {
+        select.trigger.click();
+        Object.defineProperty(select.listbox, 'scrollTop', { value: 10000 * 32, writable: true, configurable: true });
+        select.listbox.dispatchEvent(new Event('scroll'));
+
+        expect(rows().map(item => item.textContent)).toContain('Product 9999');
+
+        key('End');
+        expect(activeItem().textContent).toBe('Product 9999');
+        expect(select.listbox.scrollTop).toBe((10000 - select.getVisibleRowCount()) * 32);
+
+        key('PageUp');
+        expect(activeItem().textContent).toBe('Product 9989');
+        expect(select.listbox.scrollTop).toBe(9989 * 32);
+    });
+
+    it('should submit the selected data option', () => {
+        const changeHandler = vi.fn();
+        const setFormValue = vi.spyOn(select, 'setFormValue');
+        select.addEventListener('change', changeHandler);
+
+        key('ArrowDown');
+        key('End');
+        key('Enter');
+
+        expect(select.value).toBe('sku-9999');
+        expect(select.selectedOptions).toEqual([products[9999]]);
+        expect(select.select.options.length).toBe(1);
+        expect(select.trigger.textContent).toBe('Product 9999');
+        expect(setFormValue).toHaveBeenLastCalledWith('sku-9999');
+        expect(changeHandler).toHaveBeenCalledTimes(1);
+
+        select.value = 'sku-42';
+        expect(select.select.options.length).toBe(1);
+        expect(select.trigger.textContent).toBe('Product 42');
+
+        select.trigger.click();
+        expect(activeItem().textContent).toBe('Product 42');
+        expect(activeItem().getAttribute('aria-selected')).toBe('true');
+    });
+
+    it('should apply the value attribute and reset to it', () => {
+        select.setAttribute('value', 'sku-7');
+        expect(select.value).toBe('sku-7');
+
+        select.value = 'sku-8';
+        select.formResetCallback();
+        expect(select.value).toBe('sku-7');
+    });
+
+    it('should select several data options in data order', () => {
+        const setFormValue = vi.spyOn(select, 'setFormValue');
+        select.multiple = true;
+        select.values = ['sku-30', 'sku-5', 'sku-1', 'missing'];
+
+        expect(select.values).toEqual(['sku-1', 'sku-5', 'sku-30']);
+        const data = setFormValue.mock.calls[setFormValue.mock.calls.length - 1][0];
+        expect(data.getAll('sku')).toEqual(['sku-1', 'sku-5', 'sku-30']);
+
+        select.trigger.click();
+        select.selectOption(10);
+        expect(select.values).toEqual(['sku-1', 'sku-5', 'sku-10', 'sku-30']);
+        expect(select.trigger.textContent).toBe('4 selected');
+
+        select.selectOption(5);
+        expect(select.values).toEqual(['sku-1', 'sku-10', 'sku-30']);
+        expect(select.select.options.length).toBe(3);
+    });
+
+    it('should filter data options in searchable mode', () => {
+        select.searchable = true;
+        type(select, '999');
+
+        expect(rows()[0].getAttribute('aria-setsize')).toBe('19');
+        expect(select.status.textContent).toBe('19 results available');
+
+        type(select, '9999');
+        const items = rows();
+        expect(items.map(item => item.textContent)).toEqual(['Product 9999']);
+        expect(items[0].querySelector('[part="match"]').textContent).toBe('9999');
+        expect(items[0].getAttribute('aria-setsize')).toBe('1');
+    });
+
+    it('should label groups of data options', () => {
+        select.options = [
+            { value: 'osl', label: 'Oslo', group: 'Norway' },
+            { value: 'bgo', label: 'Bergen', group: 'Norway' },
+            { value: 'sto', label: 'Stockholm', group: 'Sweden' }
+        ];
+        select.trigger.click();
+
+        const groups = Array.from(select.listbox.querySelectorAll('[role="group"]'));
+        expect(groups.map(group => group.getAttribute('aria-label'))).toEqual(['Norway', 'Sweden']);
+        expect(groups[0].querySelector('[part="group-label"]').textContent).toBe('Norway');
+        expect(rows().map(item => item.getAttribute('aria-posinset'))).toEqual(['1', '2', '3']);
+        expect(rows()[2].getAttribute('aria-setsize')).toBe('3');
+    });
+
+    it('should keep a selected value that exists in new data options', () => {
+        select.value = 'sku-3';
+        select.options = ['sku-3', 'sku-4'];
+
+        expect(select.value).toBe('sku-3');
+        expect(select.options).toEqual(['sku-3', 'sku-4']);
+    });
+
+    it('should only keep the selected native options as the selection changes', () => {
+        // Without relying on the change event to clean up
+        vi.spyOn(select.select, 'dispatchEvent').mockReturnValue(true);
+        select.trigger.click();
+        select.selectOption(0);
+        select.trigger.click();
+        select.selectOption(2);
+        select.trigger.click();
+        select.selectOption(3);
+
+        expect(Array.from(select.select.options, option => option.value)).toEqual(['sku-3']);
+
+        select.multiple = true;
+        select.selectOption(4);
+        select.selectOption(3);
+        expect(Array.from(select.select.options, option => option.value)).toEqual(['sku-4']);
+
+        select.deselectOption(0);
+        expect(select.select.options.length).toBe(0);
+    });
+
+    it('should skip data options without a value', () => {
+        select.options = [{ label: 'No value' }, 'sku-1', null, { value: 'sku-2', label: 'Two' }];
+
+        expect(select.options).toEqual(['sku-1', { value: 'sku-2', label: 'Two' }]);
+        select.trigger.click();
+        expect(rows().map(item => item.textContent)).toEqual(['sku-1', 'Two']);
+    });
+
+    it('should go back to the option elements when set to null', async () => {
+        select.innerHTML = '<ds-option value="a">A</ds-option><ds-option value="b">B</ds-option>';
+        await tick();
+        expect(select.select.options.length).toBe(0);
+
+        select.options = null;
+
+        expect(select.select.hidden).toBe(false);
+        expect(select.trigger.hidden).toBe(true);
+        expect(Array.from(select.select.options, option => option.value)).toEqual(['a', 'b']);
+        expect(select.options.map(option => option.value)).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * @file dtcg.test.js
+ * @summary Tests for reading and writing W3C Design Tokens (DTCG) JSON
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isDTCGDocument, parseDTCG, toDTCG } from '../src/dtcg.js';
+import { DEFAULT_TOKENS } from '../src/init.js';
+import { flattenTokens } from '../src/tokens.js';
+
+describe('DTCG tokens', () => {
+    describe('isDTCGDocument', () => {
+        it('should detect documents by their $value tokens', () => {
+            expect(isDTCGDocument({ color: { primary: { $value: '#000' } } })).toBe(true);
+            expect(isDTCGDocument(DEFAULT_TOKENS)).toBe(false);
+            expect(isDTCGDocument(null)).toBe(false);
+        });
+    });
+
+    describe('parseDTCG', () => {
+        it('should map tokens into the DesignTokens structure', () => {
+            const { tokens, errors } = parseDTCG({
+                color: { $type: 'color', primary: { $value: '#5a32a3' } },
+                spacing: { md: { $type: 'dimension', $value: { value: 1, unit: 'rem' } } },
+                font: { fontFamily: { $type: 'fontFamily', $value: ['Open Sans', 'sans-serif'] } }
+            });
+
+            expect(errors).toEqual([]);
+            expect(tokens).toEqual({
+                colors: { primary: '#5a32a3' },
+                spacing: { md: '1rem' },
+                typography: { fontFamily: '"Open Sans", sans-serif' }
+            });
+        });
+
+        it('should resolve aliases, including chains and their types', () => {
+            const { tokens, errors } = parseDTCG({
+                base: { purple: { $type: 'color', $value: '#5a32a3' } },
+                brand: { main: { $value: '{base.purple}' } },
+                color: { primary: { $value: '{brand.main}' } }
+            });
+
+            expect(errors).toEqual([]);
+            expect(tokens.colors.primary).toBe('#5a32a3');
+        });
+
+        it('should resolve aliases inside composite values', () => {
+            const { tokens } = parseDTCG({
+                color: { shade: { $type: 'color', $value: 'rgba(0, 0, 0, 0.2)' } },
+                shadows: {
+                    md: {
+                        $type: 'shadow',
+                        $value: { color: '{color.shade}', offsetX: '0px', offsetY: '2px', blur: '4px' }
+                    }
+                }
+            });
+
+            expect(tokens.shadows.md).toBe('0px 2px 4px 0px rgba(0, 0, 0, 0.2)');
+        });
+
+        it('should convert composite and numeric types to CSS values', () => {
+            const { tokens, errors } = parseDTCG({
+                motion: {
+                    ease: { $type: 'cubicBezier', $value: [0.4, 0, 0.2, 1] },
+                    fade: { $type: 'transition', $value: { duration: '200ms', timingFunction: [0, 0, 1, 1] } }
+                },
+                forms: { outline: { $type: 'border', $value: { width: '1px', style: 'solid', color: '#ccc' } } },
+                zIndex: { modal: { $type: 'number', $value: 1000 } }
+            });
+
+            expect(errors).toEqual([]);
+            expect(tokens.motion.ease).toBe('cubic-bezier(0.4, 0, 0.2, 1)');
+            expect(tokens.motion.fade).toBe('200ms cubic-bezier(0, 0, 1, 1) 0ms');
+            expect(tokens.forms.outline).toBe('1px solid #ccc');
+            expect(tokens.zIndex.modal).toBe(1000);
+        });
+
+        it('should report values that do not match their $type', () => {
+            const { tokens, errors } = parseDTCG({
+                color: { $type: 'color', primary: { $value: 12 } },
+                spacing: { md: { $type: 'dimension', $value: 'large' } }
+            });
+
+            expect(errors).toEqual([
+                'Invalid color value at color.primary: 12',
+                'Invalid dimension value at spacing.md: "large"'
+            ]);
+            expect(tokens).toEqual({});
+        });
+
+        it('should report unknown types, unknown aliases and cycles', () => {
+            const { errors } = parseDTCG({
+                a: { $type: 'gradientish', $value: 'x' },
+                b: { $value: '{missing.token}' },
+                c: { $value: '{d}' },
+                d: { $value: '{c}' }
+            });
+
+            expect(errors).toContain('Unsupported $type "gradientish" at a');
+            expect(errors).toContain('Unknown alias {missing.token} at b');
+            expect(errors).toContain('Circular alias at c: c -> d -> c');
+        });
+    });
+
+    describe('toDTCG', () => {
+        it('should infer types from the values', () => {
+            const document = toDTCG(DEFAULT_TOKENS);
+
+            expect(document.color.primary).toEqual({ $type: 'color', $value: DEFAULT_TOKENS.colors.primary });
+            expect(document.spacing.md).toEqual({ $type: 'dimension', $value: DEFAULT_TOKENS.spacing.md });
+            expect(document.font.fontFamily.$type).toBe('fontFamily');
+            expect(document.component.button.padding).toEqual({ $value: DEFAULT_TOKENS.components.button.padding });
+        });
+
+        it('should round-trip through parseDTCG', () => {
+            const { tokens, errors } = parseDTCG(toDTCG(DEFAULT_TOKENS));
+
+            expect(errors).toEqual([]);
+            // Number tokens come back as numbers, which give the same custom properties
+            expect(flattenTokens(tokens)).toEqual(flattenTokens(DEFAULT_TOKENS));
+        });
+
+        it('should write the DTCG group names so {color.*} aliases resolve', () => {
+            const document = toDTCG(DEFAULT_TOKENS);
+            expect(Object.keys(document)).not.toContain('colors');
+
+            document.color.link = { $value: '{color.primary}' };
+            const { tokens, errors } = parseDTCG(document);
+
+            expect(errors).toEqual([]);
+            expect(tokens.colors.link).toBe(DEFAULT_TOKENS.colors.primary);
+        });
+    });
+});
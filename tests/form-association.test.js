@@ -0,0 +1,254 @@
+/**
+ * @file form-association.test.js
+ * @summary Tests for form-associated ds-* controls backed by ElementInternals
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../src/components/ds-text-input.js';
+import '../src/components/ds-textarea.js';
+import '../src/components/ds-checkbox.js';
+import '../src/components/ds-radio.js';
+import '../src/components/ds-select.js';
+import '../src/components/ds-option.js';
+
+// jsdom's ElementInternals has no form API, so hand each element a recording fake
+function createFakeInternals() {
+    return {
+        form: null,
+        labels: [],
+        validity: { valid: true },
+        validationMessage: '',
+        willValidate: true,
+        setFormValue: vi.fn(),
+        setValidity: vi.fn(),
+        checkValidity: vi.fn(() => true),
+        reportValidity: vi.fn(() => true)
+    };
+}
+
+function lastFormValue(element) {
+    const calls = element.internals.setFormValue.mock.calls;
+    return calls[calls.length - 1][0];
+}
+
+function lastValidity(element) {
+    const calls = element.internals.setValidity.mock.calls;
+    return calls[calls.length - 1];
+}
+
+describe('Form-associated controls', () => {
+    let container;
+
+    beforeEach(() => {
+        vi.spyOn(HTMLElement.prototype, 'attachInternals').mockImplementation(() => createFakeInternals());
+        container = document.createElement('form');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        container.remove();
+        vi.restoreAllMocks();
+    });
+
+    describe('ds-text-input', () => {
+        it('should declare itself form-associated', () => {
+            expect(customElements.get('ds-text-input').formAssociated).toBe(true);
+        });
+
+        it('should submit the current value', () => {
+            container.innerHTML = '<ds-text-input name="username" value="jane"></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+
+            expect(lastFormValue(input)).toBe('jane');
+        });
+
+        it('should update the form value on user input', () => {
+            container.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+            const nativeInput = input.shadowRoot.querySelector('input');
+
+            nativeInput.value = 'typed';
+            nativeInput.dispatchEvent(new Event('input'));
+
+            expect(lastFormValue(input)).toBe('typed');
+        });
+
+        it('should report valueMissing when required and empty', () => {
+            container.innerHTML = '<ds-text-input name="username" required></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+
+            const [flags, message, anchor] = lastValidity(input);
+            expect(flags).toEqual({ valueMissing: true });
+            expect(message).toBeTruthy();
+            expect(anchor).toBe(input.shadowRoot.querySelector('input'));
+        });
+
+        it('should clear validity once a required value is entered', () => {
+            container.innerHTML = '<ds-text-input name="username" required></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+
+            input.value = 'jane';
+
+            expect(lastValidity(input)).toEqual([{}]);
+        });
+
+        it('should restore the value attribute on form reset', () => {
+            container.innerHTML = '<ds-text-input name="username" value="initial"></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+            input.value = 'changed';
+
+            input.formResetCallback();
+
+            expect(input.value).toBe('initial');
+            expect(lastFormValue(input)).toBe('initial');
+        });
+
+        it('should restore saved state', () => {
+            container.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+
+            input.formStateRestoreCallback('restored', 'restore');
+
+            expect(input.value).toBe('restored');
+        });
+
+        it('should disable the native input when the form disables it', () => {
+            container.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+
+            input.formDisabledCallback(true);
+
+            expect(input.shadowRoot.querySelector('input').disabled).toBe(true);
+        });
+
+        it('should delegate checkValidity to ElementInternals', () => {
+            container.innerHTML = '<ds-text-input name="username"></ds-text-input>';
+            const input = container.querySelector('ds-text-input');
+
+            input.checkValidity();
+
+            expect(input.internals.checkValidity).toHaveBeenCalled();
+        });
+    });
+
+    describe('ds-textarea', () => {
+        it('should start with an empty value', () => {
+            container.innerHTML = '<ds-textarea name="bio"></ds-textarea>';
+            const textarea = container.querySelector('ds-textarea');
+
+            expect(textarea.value).toBe('');
+            expect(lastFormValue(textarea)).toBe('');
+        });
+
+        it('should submit the current value', () => {
+            container.innerHTML = '<ds-textarea name="bio"></ds-textarea>';
+            const textarea = container.querySelector('ds-textarea');
+
+            textarea.value = 'About me';
+
+            expect(lastFormValue(textarea)).toBe('About me');
+        });
+    });
+
+    describe('ds-checkbox', () => {
+        it('should submit nothing while unchecked', () => {
+            container.innerHTML = '<ds-checkbox name="agree" value="yes">Agree</ds-checkbox>';
+            const checkbox = container.querySelector('ds-checkbox');
+
+            expect(lastFormValue(checkbox)).toBeNull();
+        });
+
+        it('should submit its value when checked', () => {
+            container.innerHTML = '<ds-checkbox name="agree" value="yes">Agree</ds-checkbox>';
+            const checkbox = container.querySelector('ds-checkbox');
+
+            checkbox.checked = true;
+
+            expect(lastFormValue(checkbox)).toBe('yes');
+        });
+
+        it('should restore the checked attribute on form reset', () => {
+            container.innerHTML = '<ds-checkbox name="agree" value="yes" checked>Agree</ds-checkbox>';
+            const checkbox = container.querySelector('ds-checkbox');
+            checkbox.checked = false;
+
+            checkbox.formResetCallback();
+
+            expect(checkbox.checked).toBe(true);
+        });
+
+        it('should reflect the name property to the host attribute', () => {
+            container.innerHTML = '<ds-checkbox value="yes">Agree</ds-checkbox>';
+            const checkbox = container.querySelector('ds-checkbox');
+
+            checkbox.name = 'terms';
+
+            expect(checkbox.getAttribute('name')).toBe('terms');
+        });
+    });
+
+    describe('ds-radio', () => {
+        it('should uncheck other radios with the same name', () => {
+            container.innerHTML = `
+                <ds-radio name="size" value="s">Small</ds-radio>
+                <ds-radio name="size" value="l">Large</ds-radio>
+            `;
+            const [small, large] = container.querySelectorAll('ds-radio');
+            small.checked = true;
+
+            large.checked = true;
+
+            expect(small.checked).toBe(false);
+            expect(lastFormValue(small)).toBeNull();
+            expect(lastFormValue(large)).toBe('l');
+        });
+    });
+
+    describe('ds-select', () => {
+        it('should submit the selected option value', async () => {
+            container.innerHTML = `
+                <ds-select name="color">
+                    <ds-option value="red">Red</ds-option>
+                    <ds-option value="blue" selected>Blue</ds-option>
+                </ds-select>
+            `;
+            const select = container.querySelector('ds-select');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(select.value).toBe('blue');
+            expect(lastFormValue(select)).toBe('blue');
+        });
+
+        it('should submit one entry per selected option when multiple', async () => {
+            container.innerHTML = `
+                <ds-select name="colors" multiple>
+                    <ds-option value="red" selected>Red</ds-option>
+                    <ds-option value="green">Green</ds-option>
+                    <ds-option value="blue" selected>Blue</ds-option>
+                </ds-select>
+            `;
+            const select = container.querySelector('ds-select');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const value = lastFormValue(select);
+            expect(value).toBeInstanceOf(FormData);
+            expect(value.getAll('colors')).toEqual(['red', 'blue']);
+        });
+
+        it('should restore the default selection on form reset', async () => {
+            container.innerHTML = `
+                <ds-select name="color">
+                    <ds-option value="red">Red</ds-option>
+                    <ds-option value="blue" selected>Blue</ds-option>
+                </ds-select>
+            `;
+            const select = container.querySelector('ds-select');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            select.value = 'red';
+
+            select.formResetCallback();
+
+            expect(select.value).toBe('blue');
+        });
+    });
+});
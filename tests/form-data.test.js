@@ -0,0 +1,87 @@
+/**
+ * @file form-data.test.js
+ * @summary Tests for nested form serialization helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseFieldPath, buildNestedObject, getValueAtPath } from '../src/form-data.js';
+
+describe('Form data helpers', () => {
+    describe('parseFieldPath', () => {
+        it('should split dot and bracket notation', () => {
+            expect(parseFieldPath('address.city')).toEqual(['address', 'city']);
+            expect(parseFieldPath('address[city]')).toEqual(['address', 'city']);
+            expect(parseFieldPath('items[0].qty')).toEqual(['items', '0', 'qty']);
+            expect(parseFieldPath('tags[]')).toEqual(['tags', '[]']);
+        });
+    });
+
+    describe('buildNestedObject', () => {
+        it('should build nested objects and arrays', () => {
+            const result = buildNestedObject([
+                { name: 'address.city', value: 'Oslo' },
+                { name: 'address.zip', value: '0150' },
+                { name: 'items[0].qty', value: '2' },
+                { name: 'items[1].qty', value: '5' }
+            ]);
+
+            expect(result).toEqual({
+                address: { city: 'Oslo', zip: '0150' },
+                items: [{ qty: '2' }, { qty: '5' }]
+            });
+        });
+
+        it('should collect repeated names into arrays', () => {
+            const result = buildNestedObject([
+                { name: 'color', value: 'red' },
+                { name: 'color', value: 'blue' }
+            ]);
+
+            expect(result).toEqual({ color: ['red', 'blue'] });
+        });
+
+        it('should keep multi-valued fields as arrays even with one or no value', () => {
+            const result = buildNestedObject([
+                { name: 'tags', value: 'news', multiple: true },
+                { name: 'topics', value: undefined, multiple: true },
+                { name: 'ids[]', value: '7' }
+            ]);
+
+            expect(result).toEqual({ tags: ['news'], topics: [], ids: ['7'] });
+        });
+
+        it('should ignore names that reach an object prototype', () => {
+            const result = buildNestedObject([
+                { name: '__proto__.polluted', value: 'yes' },
+                { name: 'constructor.prototype.polluted', value: 'yes' },
+                { name: 'user[__proto__][polluted]', value: 'yes' },
+                { name: 'name', value: 'Ada' }
+            ]);
+
+            expect(({}).polluted).toBeUndefined();
+            expect(result).toEqual({ name: 'Ada' });
+        });
+
+        it('should skip values whose name conflicts with an earlier object', () => {
+            const result = buildNestedObject([
+                { name: 'a.b', value: '1' },
+                { name: 'a[].c', value: '2' },
+                { name: 'a[]', value: '3' }
+            ]);
+
+            expect(result).toEqual({ a: { b: '1' } });
+        });
+    });
+
+    describe('getValueAtPath', () => {
+        it('should read nested values', () => {
+            const object = { address: { city: 'Oslo' }, items: [{ qty: 2 }], tags: ['a'] };
+
+            expect(getValueAtPath(object, 'address.city')).toBe('Oslo');
+            expect(getValueAtPath(object, 'items[0].qty')).toBe(2);
+            expect(getValueAtPath(object, 'tags[]')).toEqual(['a']);
+            expect(getValueAtPath(object, 'missing.path')).toBeUndefined();
+            expect(getValueAtPath(object, 'constructor.name')).toBeUndefined();
+        });
+    });
+});
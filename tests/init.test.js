@@ -3,8 +3,24 @@
  * @summary Tests for the design system initialization module
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { init, updateTokens, getCurrentTokens, resetTokens, DEFAULT_TOKENS } from '../src/init.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    init,
+    updateTokens,
+    getCurrentTokens,
+    exportTokens,
+    resetTokens,
+    validateTokens,
+    TokenValidationError,
+    auditContrast,
+    DEFAULT_TOKENS,
+    registerTheme,
+    unregisterTheme,
+    getThemes,
+    getTheme,
+    setTheme
+} from '../src/init.js';
+import { registerTokenGroup } from '../src/tokens.js';
 
 describe('Design System Initialization', () => {
     beforeEach(() => {
@@ -81,6 +97,11 @@ describe('Design System Initialization', () => {
             expect(result.success).toBe(false);
             expect(result.errors.length).toBeGreaterThan(0);
             expect(result.errors).toContain('Missing required color: primary');
+            expect(result.validationErrors).toContainEqual({
+                path: 'colors.primary',
+                code: 'missing-required',
+                message: 'Missing required color: primary'
+            });
         });
 
         it('should skip validation when validate is false', () => {
@@ -153,6 +174,29 @@ describe('Design System Initialization', () => {
             expect(updatedTokens.colors.secondary).toBe(originalTokens.colors.secondary);
             expect(updatedTokens.spacing.md).toBe(originalTokens.spacing.md);
         });
+
+        it('should preserve layout, component and custom group overrides', () => {
+            updateTokens({
+                layout: { pageMaxWidth: '960px' },
+                components: { button: { padding: '4px 8px' } },
+                shadows: { md: '0 2px 4px black' }
+            });
+            const result = updateTokens({ colors: { primary: '#ff0000' } });
+
+            expect(result.tokens.layout.pageMaxWidth).toBe('960px');
+            expect(result.tokens.components.button.padding).toBe('4px 8px');
+            expect(result.tokens.shadows.md).toBe('0 2px 4px black');
+            expect(result.css).toContain('--ds-shadows-md: 0 2px 4px black;');
+        });
+
+        it('should not modify DEFAULT_TOKENS', () => {
+            const defaults = JSON.parse(JSON.stringify(DEFAULT_TOKENS));
+
+            updateTokens({ colors: { primary: '#ff0000' }, components: { input: { padding: '0' } } });
+            getCurrentTokens().colors.text = '#123456';
+
+            expect(DEFAULT_TOKENS).toEqual(defaults);
+        });
     });
 
     describe('getCurrentTokens function', () => {
@@ -173,6 +217,19 @@ describe('Design System Initialization', () => {
             
             expect(tokens.colors.primary).toBe('#ff0000');
         });
+
+        it('should read back every group, including typography', () => {
+            init({
+                typography: { lineHeight: '1.8' },
+                layout: { containerPadding: '32px' },
+                zIndex: { modal: 1000 }
+            });
+            const tokens = getCurrentTokens();
+
+            expect(tokens.typography.lineHeight).toBe('1.8');
+            expect(tokens.layout.containerPadding).toBe('32px');
+            expect(tokens.zIndex.modal).toBe('1000');
+        });
     });
 
     describe('resetTokens function', () => {
@@ -241,6 +298,446 @@ describe('Design System Initialization', () => {
         });
     });
 
+    describe('Themes', () => {
+        afterEach(() => {
+            unregisterTheme('brand');
+            unregisterTheme('brand-dark');
+            document.documentElement.removeAttribute('data-ds-theme');
+            localStorage.clear();
+            vi.unstubAllGlobals();
+        });
+
+        it('should register the built-in themes', () => {
+            expect(getThemes()).toEqual(expect.arrayContaining(['light', 'dark', 'high-contrast']));
+        });
+
+        it('should emit a scope per theme', () => {
+            const { stylesheet } = init();
+
+            expect(stylesheet).toContain(':root {');
+            expect(stylesheet).toMatch(/\[data-ds-theme="dark"\] \{\n  color-scheme: dark;\n  --ds-color-primary: #4dabf7;[^}]*--ds-color-background: #121212;/);
+            expect(stylesheet).toContain('[data-ds-theme="high-contrast"] {');
+            expect(document.getElementById('ds-design-tokens').textContent).toBe(stylesheet);
+        });
+
+        it('should drive the auto theme from prefers-color-scheme and prefers-contrast', () => {
+            const { stylesheet } = init();
+
+            expect(stylesheet).toMatch(/@media \(prefers-color-scheme: dark\) \{\n\[data-ds-theme="auto"\] \{\n  color-scheme: dark;/);
+            expect(stylesheet).toMatch(/@media \(prefers-contrast: more\) \{\n\[data-ds-theme="auto"\] \{/);
+        });
+
+        it('should keep the base tokens when they are updated while a theme is active', () => {
+            init();
+            setTheme('dark', { persist: false });
+
+            updateTokens({ colors: { primary: '#5a32a3' } });
+            expect(getCurrentTokens().colors.background).toBe(DEFAULT_TOKENS.colors.background);
+            expect(auditContrast().results[0].colors.background).toBe(DEFAULT_TOKENS.colors.background);
+            expect(JSON.parse(exportTokens('json'))['--ds-color-background']).toBe(DEFAULT_TOKENS.colors.background);
+
+            setTheme('light', { persist: false });
+            const root = document.getElementById('ds-design-tokens').textContent.split('[data-ds-theme')[0];
+            expect(root).toContain(`--ds-color-background: ${DEFAULT_TOKENS.colors.background};`);
+            expect(root).toContain('--ds-color-primary: #5a32a3;');
+        });
+
+        it('should register themes passed to init', () => {
+            const { stylesheet } = init({}, {
+                themes: {
+                    brand: { tokens: { colors: { primary: '#5a32a3' } } }
+                }
+            });
+
+            expect(getThemes()).toContain('brand');
+            expect(stylesheet).toContain('[data-ds-theme="brand"] {\n  --ds-color-primary: #5a32a3;\n}');
+        });
+
+        it('should use the latest dark theme for auto mode', () => {
+            registerTheme('brand-dark', { colors: { primary: '#b197fc' } }, { colorScheme: 'dark' });
+            const { stylesheet } = init();
+            const autoDark = stylesheet.slice(stylesheet.indexOf('@media (prefers-color-scheme: dark)'));
+
+            expect(autoDark).toContain('--ds-color-primary: #b197fc;');
+        });
+
+        it('should re-inject the stylesheet when a theme is registered later', () => {
+            init();
+            registerTheme('brand', { colors: { primary: '#5a32a3' } });
+
+            expect(document.getElementById('ds-design-tokens').textContent).toContain('[data-ds-theme="brand"]');
+        });
+
+        it('should reject the reserved auto name', () => {
+            expect(() => registerTheme('auto', {})).toThrow(TypeError);
+        });
+
+        it('should reject theme names that are not safe in a selector', () => {
+            expect(() => registerTheme('x"] body, [data-x="', {})).toThrow(TypeError);
+            expect(() => registerTheme('brand dark', {})).toThrow(TypeError);
+            expect(() => registerTheme('', {})).toThrow(TypeError);
+            expect(getThemes()).not.toContain('brand dark');
+        });
+
+        it('should apply, persist and announce a theme', () => {
+            const listener = vi.fn();
+            document.addEventListener('ds-theme-change', listener);
+
+            expect(setTheme('dark')).toBe(true);
+            expect(getTheme()).toBe('dark');
+            expect(document.documentElement.getAttribute('data-ds-theme')).toBe('dark');
+            expect(localStorage.getItem('ds-theme')).toBe('dark');
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(listener.mock.calls[0][0].detail).toEqual({ theme: 'dark', previousTheme: null, resolvedTheme: 'dark' });
+
+            setTheme('dark');
+            expect(listener).toHaveBeenCalledTimes(1);
+            document.removeEventListener('ds-theme-change', listener);
+        });
+
+        it('should not apply unknown themes', () => {
+            expect(setTheme('missing')).toBe(false);
+            expect(getTheme()).toBeNull();
+        });
+
+        it('should resolve auto from the user preferences', () => {
+            vi.stubGlobal('matchMedia', (query) => ({
+                matches: query === '(prefers-color-scheme: dark)',
+                addEventListener: vi.fn(),
+                removeEventListener: vi.fn()
+            }));
+            const listener = vi.fn();
+            document.addEventListener('ds-theme-change', listener);
+
+            setTheme('auto', { persist: false });
+
+            expect(listener.mock.calls[0][0].detail.resolvedTheme).toBe('dark');
+            expect(localStorage.getItem('ds-theme')).toBeNull();
+            document.removeEventListener('ds-theme-change', listener);
+        });
+
+        it('should restore a saved theme on init', () => {
+            localStorage.setItem('ds-theme', 'high-contrast');
+            init({}, { theme: 'dark' });
+
+            expect(getTheme()).toBe('high-contrast');
+        });
+
+        it('should apply the configured theme when none was saved', () => {
+            init({}, { theme: 'dark' });
+
+            expect(getTheme()).toBe('dark');
+        });
+    });
+
+    describe('Scoped tokens', () => {
+        let panel;
+
+        beforeEach(() => {
+            panel = document.createElement('section');
+            document.body.appendChild(panel);
+        });
+
+        afterEach(() => {
+            panel.remove();
+            document.querySelectorAll('style[data-ds-scope-tokens]').forEach(style => style.remove());
+        });
+
+        it('should scope tokens to an element', () => {
+            const { handle, css } = init({ colors: { primary: '#5a32a3' } }, { target: panel });
+            const scope = panel.getAttribute('data-ds-scope');
+            const style = document.head.querySelector('style[data-ds-scope-tokens]');
+
+            expect(scope).toBeTruthy();
+            expect(css).toBe('--ds-color-primary: #5a32a3;');
+            expect(style.textContent).toBe(`[data-ds-scope="${scope}"] {\n  --ds-color-primary: #5a32a3;\n}`);
+            expect(document.getElementById('ds-design-tokens')).toBeNull();
+            expect(getComputedStyle(panel).getPropertyValue('--ds-color-primary').trim()).toBe('#5a32a3');
+
+            handle.remove();
+            expect(style.isConnected).toBe(false);
+            expect(panel.hasAttribute('data-ds-scope')).toBe(false);
+        });
+
+        it('should keep independent style elements per scope', () => {
+            const other = document.createElement('aside');
+            document.body.appendChild(other);
+
+            const first = init({ colors: { primary: '#111111' } }, { target: panel });
+            const second = init({ colors: { primary: '#222222' } }, { target: other });
+
+            expect(document.head.querySelectorAll('style[data-ds-scope-tokens]')).toHaveLength(2);
+            first.handle.remove();
+            expect(document.head.querySelectorAll('style[data-ds-scope-tokens]')).toHaveLength(1);
+            second.handle.remove();
+            other.remove();
+        });
+
+        it('should scope tokens to a selector', () => {
+            const { handle } = init({ spacing: { md: '20px' } }, { target: '.compact' });
+            const style = document.head.querySelector('style[data-ds-scope-tokens]');
+
+            expect(style.textContent).toBe('.compact {\n  --ds-spacing-md: 20px;\n}');
+            handle.remove();
+        });
+
+        it('should scope tokens to a shadow root through :host', () => {
+            const shadowRoot = panel.attachShadow({ mode: 'open' });
+            const { handle } = init({ colors: { text: '#101010' } }, { target: shadowRoot });
+            const style = shadowRoot.querySelector('style[data-ds-scope-tokens]');
+
+            expect(style.textContent).toBe(':host {\n  --ds-color-text: #101010;\n}');
+            handle.remove();
+            expect(shadowRoot.querySelector('style')).toBeNull();
+        });
+
+        it('should merge updates into the same scope', () => {
+            const { handle } = init({ colors: { primary: '#5a32a3' } }, { target: panel });
+            handle.update({ spacing: { md: '20px' } });
+            updateTokens({ colors: { primary: '#000000' } }, { target: panel });
+
+            const styles = document.head.querySelectorAll('style[data-ds-scope-tokens]');
+            expect(styles).toHaveLength(1);
+            expect(styles[0].textContent).toContain('--ds-color-primary: #000000;');
+            expect(styles[0].textContent).toContain('--ds-spacing-md: 20px;');
+            handle.remove();
+        });
+
+        it('should remove the root tokens through the returned handle', () => {
+            const { handle } = init();
+
+            handle.remove();
+            expect(document.getElementById('ds-design-tokens')).toBeNull();
+        });
+
+        it('should reject invalid targets', () => {
+            const result = init({}, { target: 42 });
+
+            expect(result.success).toBe(false);
+        });
+    });
+
+    describe('validateTokens', () => {
+        it('should accept the default tokens', () => {
+            expect(validateTokens(DEFAULT_TOKENS)).toEqual({ isValid: true, errors: [] });
+        });
+
+        it('should parse colors', () => {
+            const { errors } = validateTokens({
+                colors: { primary: 'blue-ish', text: 'rgb(0, 0, 0)', background: 'hsl(0 0% 100% / 0.9)', info: 'teal', error: 'rgb(1, 2)' }
+            });
+
+            expect(errors).toEqual([
+                { path: 'colors.primary', code: 'invalid-color', message: "colors.primary must be a CSS color (hex, rgb(), hsl() or a named color), got 'blue-ish'" },
+                { path: 'colors.error', code: 'invalid-color', message: "colors.error must be a CSS color (hex, rgb(), hsl() or a named color), got 'rgb(1, 2)'" }
+            ]);
+        });
+
+        it('should require CSS length units for spacing, radii and padding', () => {
+            registerTokenGroup('radii', { prefix: 'radius' });
+            const { errors } = validateTokens({
+                spacing: { xs: '4px', sm: '0', md: '10', lg: 'calc(2 * var(--ds-spacing-md))' },
+                forms: { borderRadius: 4 },
+                components: { button: { padding: '8px 16' } },
+                radii: { pill: 'round' }
+            });
+
+            expect(errors.map(({ path, code }) => ({ path, code }))).toEqual([
+                { path: 'spacing.md', code: 'missing-unit' },
+                { path: 'forms.borderRadius', code: 'missing-unit' },
+                { path: 'components.button.padding', code: 'missing-unit' },
+                { path: 'radii.pill', code: 'invalid-length' }
+            ]);
+            expect(errors[0].message).toBe("spacing.md must have a CSS length unit, e.g. '10px', got '10'");
+        });
+
+        it('should check font stacks and line heights', () => {
+            const { errors } = validateTokens({
+                typography: { fontFamily: 'Open Sans, "Helvetica Neue, sans-serif', lineHeight: 'tall' }
+            });
+
+            expect(errors.map(error => error.code)).toEqual(['invalid-font-family', 'invalid-line-height']);
+            expect(validateTokens({ typography: { fontFamily: 'Open Sans, Arial', lineHeight: 1.4 } }).isValid).toBe(true);
+        });
+
+        it('should suggest names for misspelt tokens', () => {
+            registerTokenGroup('shadows');
+            const { errors } = validateTokens({
+                color: { primary: '#000' },
+                forms: { borderRaduis: '4px' },
+                components: { buton: { padding: '4px' } },
+                shadows: { md: '0 1px 2px black' }
+            });
+
+            expect(errors).toEqual([
+                { path: 'color', code: 'unknown-key', message: 'Unknown token color. Did you mean colors?' },
+                { path: 'forms.borderRaduis', code: 'unknown-key', message: 'Unknown token forms.borderRaduis. Did you mean forms.borderRadius?' },
+                { path: 'components.buton', code: 'unknown-key', message: 'Unknown token components.buton. Did you mean components.button?' }
+            ]);
+        });
+
+        it('should report unknown tokens that have no close match', () => {
+            const { errors, isValid } = validateTokens({
+                forms: { zzz: '1px' },
+                branding: { logo: 'url(logo.svg)' }
+            });
+
+            expect(isValid).toBe(false);
+            expect(errors).toEqual([
+                { path: 'forms.zzz', code: 'unknown-key', message: 'Unknown token forms.zzz' },
+                { path: 'branding', code: 'unknown-key', message: 'Unknown token branding' }
+            ]);
+        });
+
+        it('should throw in strict mode', () => {
+            expect(() => validateTokens({ spacing: { xs: '1', sm: '2px', md: '3px', lg: '4px' } }, { strict: true }))
+                .toThrow(TokenValidationError);
+
+            try {
+                init({ colors: { primary: 'nope', text: '#000', background: '#fff' } }, { strict: true });
+            } catch (error) {
+                expect(error.errors).toEqual([expect.objectContaining({ path: 'colors.primary', code: 'invalid-color' })]);
+            }
+            expect.assertions(2);
+        });
+
+        it('should return structured errors from init', () => {
+            const result = init({ spacing: { xs: '4px', sm: '8px', md: '10', lg: '24px' } }, { validate: true });
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(["spacing.md must have a CSS length unit, e.g. '10px', got '10'"]);
+            expect(result.validationErrors).toEqual([expect.objectContaining({ path: 'spacing.md', code: 'missing-unit' })]);
+        });
+    });
+
+    describe('auditContrast', () => {
+        it('should report the default error colour on the error background and suggest a fix', () => {
+            const audit = auditContrast(DEFAULT_TOKENS, { suggest: true });
+            const failing = audit.results.filter(result => !result.passed);
+
+            expect(audit.passed).toBe(false);
+            expect(failing).toHaveLength(1);
+            expect(failing[0]).toMatchObject({
+                foreground: 'forms.errorColor',
+                background: 'forms.errorBackground',
+                colors: { foreground: '#dc3545', background: '#f8d7da' },
+                required: 4.5,
+                AA: false
+            });
+            expect(failing[0].suggestion).toMatch(/^#[0-9a-f]{6}$/);
+            expect(auditContrast({ forms: { errorColor: failing[0].suggestion } }).passed).toBe(true);
+        });
+
+        it('should merge partial tokens over the defaults and suggest shades', () => {
+            const audit = auditContrast({ forms: { successColor: '#5cb85c' } }, { suggest: true });
+            const failing = audit.results.filter(result => !result.passed && result.foreground === 'forms.successColor');
+
+            expect(audit.passed).toBe(false);
+            expect(failing).toHaveLength(1);
+            expect(failing[0]).toMatchObject({
+                foreground: 'forms.successColor',
+                background: 'forms.successBackground',
+                colors: { foreground: '#5cb85c', background: DEFAULT_TOKENS.forms.successBackground },
+                AA: false
+            });
+            expect(failing[0].suggestion).toMatch(/^#[0-9a-f]{6}$/);
+        });
+
+        it('should audit the current tokens by default', () => {
+            init({ colors: { text: '#cccccc' } });
+
+            expect(auditContrast().results[0]).toMatchObject({ foreground: 'colors.text', AA: false });
+        });
+
+        it('should fail validation on poor contrast when asked', () => {
+            const tokens = {
+                colors: { primary: '#7fb3ff', text: '#212529', background: '#ffffff' },
+                forms: { errorColor: '#b72c39' }
+            };
+
+            expect(init(tokens, { validate: true }).success).toBe(true);
+
+            const result = init(tokens, { validate: true, contrast: 'AA' });
+            expect(result.success).toBe(false);
+            expect(result.validationErrors).toEqual([{
+                path: 'colors.primary',
+                code: 'insufficient-contrast',
+                message: 'colors.primary on colors.background has a contrast ratio of 2.14:1; WCAG AA requires 3:1 (card headings and wizard steps). Try #6b96d6.'
+            }]);
+        });
+    });
+
+    describe('DTCG documents', () => {
+        it('should initialize from a DTCG document', () => {
+            const result = init({
+                color: {
+                    $type: 'color',
+                    brand: { $value: '#5a32a3' },
+                    primary: { $value: '{color.brand}' }
+                },
+                spacing: { md: { $type: 'dimension', $value: '20px' } }
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.tokens.colors.primary).toBe('#5a32a3');
+            expect(result.tokens.colors.text).toBe(DEFAULT_TOKENS.colors.text);
+            expect(result.css).toContain('--ds-color-primary: #5a32a3;');
+            expect(result.css).toContain('--ds-spacing-md: 20px;');
+        });
+
+        it('should fail without applying an invalid document', () => {
+            const result = init({ color: { primary: { $type: 'color', $value: '{color.missing}' } } });
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['Unknown alias {color.missing} at color.primary']);
+            expect(document.getElementById('ds-design-tokens')).toBeNull();
+        });
+
+        it('should accept DTCG documents in updateTokens', () => {
+            init();
+            const result = updateTokens({ color: { primary: { $type: 'color', $value: '#ff0000' } } });
+
+            expect(result.success).toBe(true);
+            expect(result.tokens.colors.primary).toBe('#ff0000');
+        });
+
+        it('should export the current tokens as DTCG JSON', () => {
+            init({ colors: { primary: '#5a32a3' }, zIndex: { modal: 1000 } });
+            const exported = JSON.parse(exportTokens('dtcg'));
+
+            expect(exported.color.primary).toEqual({ $type: 'color', $value: '#5a32a3' });
+            expect(exported.zIndex.modal).toEqual({ $type: 'number', $value: 1000 });
+            expect(init(exported).tokens.colors.primary).toBe('#5a32a3');
+        });
+
+        it('should export a flat JSON map and reject unknown formats', () => {
+            init();
+            const exported = JSON.parse(exportTokens('json'));
+
+            expect(exported['--ds-color-primary']).toBe(DEFAULT_TOKENS.colors.primary);
+            expect(exported['--ds-button-padding']).toBe(DEFAULT_TOKENS.components.button.padding);
+            expect(() => exportTokens('yaml')).toThrow(TypeError);
+        });
+
+        it('should export the injected stylesheet as CSS', () => {
+            const result = init({ colors: { primary: '#5a32a3' } });
+
+            expect(exportTokens('css')).toBe(`${result.stylesheet}\n`);
+        });
+
+        it('should export SCSS variables and JS constants', () => {
+            const tokens = { ...DEFAULT_TOKENS, zIndex: { modal: 1000 } };
+            const scss = exportTokens('scss', tokens);
+            const js = exportTokens('js', tokens);
+
+            expect(scss).toContain('$ds-color-primary: #007bff;\n');
+            expect(scss).toContain('$ds-zIndex-modal: 1000;\n');
+            expect(js).toContain('export const dsColorPrimary = "#007bff";\n');
+            expect(js).toContain('export const dsFormBorderRadius = "4px";\n');
+            expect(js).toContain('export default {\n  "colors": {');
+        });
+    });
+
     describe('Error Handling', () => {
         it('should handle invalid token structure gracefully', () => {
             const invalidTokens = {
@@ -9,8 +9,8 @@ beforeEach(async () => {
   // Clear console.warn mock
   vi.clearAllMocks();
   
-  // Import and register components
-  if (!customElements.get('ds-button')) {
+  // Import and register components (not in node environment test files)
+  if (typeof customElements !== 'undefined' && !customElements.get('ds-button')) {
     // Import BaseComponent first
     await import('../src/components/base-component.js');
     // Then import ds-button
@@ -0,0 +1,77 @@
+// @vitest-environment node
+/**
+ * @file ssr.test.js
+ * @summary Tests for server-side rendering to Declarative Shadow DOM, run without a DOM
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderToString } from '../src/ssr.js';
+import DsButton from '../src/components/ds-button.js';
+import DsTextInput from '../src/components/ds-text-input.js';
+
+describe('renderToString', () => {
+    it('should run without a browser', () => {
+        expect(typeof document).toBe('undefined');
+    });
+
+    it('should expand ds-* elements into declarative shadow roots', () => {
+        const html = renderToString('<ds-button variant="primary">Save</ds-button>');
+
+        expect(html).toMatch(/^<ds-button variant="primary"><template shadowrootmode="open"><style data-ds-styles>/);
+        expect(html).toContain('<button part="button"');
+        expect(html).toMatch(/<\/template>Save<\/ds-button>$/);
+    });
+
+    it('should render the same styles and markup as the component template', () => {
+        const { styles, markup } = DsTextInput.getShadowContent();
+        const html = renderToString('<ds-text-input name="email"></ds-text-input>');
+
+        expect(html).toContain(`<style data-ds-styles>${styles.join('\n')}</style>${markup}</template>`);
+        expect(markup).not.toContain('<style');
+    });
+
+    it('should expand nested components', () => {
+        const html = renderToString('<ds-form><ds-row><ds-text-input></ds-text-input></ds-row></ds-form>');
+
+        expect(html.match(/shadowrootmode="open"/g)).toHaveLength(3);
+    });
+
+    it('should handle attribute values containing ">"', () => {
+        const html = renderToString('<ds-button data-note="a > b">Go</ds-button>');
+
+        expect(html).toMatch(/^<ds-button data-note="a > b"><template shadowrootmode/);
+    });
+
+    it('should leave comments, scripts and unknown elements alone', () => {
+        const input = '<!-- <ds-button> --><script>"<ds-button>"</script><ds-unknown></ds-unknown>';
+
+        expect(renderToString(input)).toBe(input);
+    });
+
+    it('should not render a component twice', () => {
+        const once = renderToString('<ds-button>Save</ds-button>');
+
+        expect(renderToString(once)).toBe(once);
+    });
+
+    it('should render design tokens into the head', () => {
+        const html = renderToString(
+            '<html><head><title>Page</title></head><body><ds-button>Save</ds-button></body></html>',
+            { tokens: { colors: { primary: '#5a32a3' } } }
+        );
+
+        expect(html).toContain('<style id="ds-design-tokens">:root {');
+        expect(html).toContain('--ds-color-primary: #5a32a3;');
+        expect(html.indexOf('ds-design-tokens')).toBeLessThan(html.indexOf('</head>'));
+    });
+
+    it('should put design tokens first in a fragment', () => {
+        const html = renderToString('<ds-button>Save</ds-button>', { tokens: {} });
+
+        expect(html.startsWith('<style id="ds-design-tokens">')).toBe(true);
+    });
+
+    it('should expose the static template used by the constructor', () => {
+        expect(DsButton.template).toContain('<button part="button"');
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * @file style-registry.test.js
+ * @summary Tests for shared component stylesheets
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    adoptStyles,
+    getStyleSheet,
+    CONTROL_STYLES,
+    registerGlobalStyleSheet,
+    unregisterGlobalStyleSheet
+} from '../src/style-registry.js';
+import '../src/components/ds-button.js';
+import '../src/components/ds-text-input.js';
+
+const GLOBAL_CSS = ':host { font-family: "Brand Sans"; }';
+
+describe('Style registry', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        unregisterGlobalStyleSheet(GLOBAL_CSS);
+        container.remove();
+    });
+
+    describe('without constructable stylesheets', () => {
+        it('should move template styles into a single style element', () => {
+            container.innerHTML = '<ds-button>Save</ds-button>';
+            const styles = container.querySelector('ds-button').shadowRoot.querySelectorAll('style');
+
+            expect(styles).toHaveLength(1);
+            expect(styles[0].textContent).toContain('box-sizing: border-box');
+            expect(styles[0].textContent).toContain(':host { display: inline-block; }');
+            expect(styles[0].textContent).not.toContain('@import');
+        });
+
+        it('should add global sheets to existing and new shadow roots', () => {
+            container.innerHTML = '<ds-button>Before</ds-button>';
+            registerGlobalStyleSheet(GLOBAL_CSS);
+            container.insertAdjacentHTML('beforeend', '<ds-button>After</ds-button>');
+
+            container.querySelectorAll('ds-button').forEach(button => {
+                const global = button.shadowRoot.querySelector('style[data-ds-global-styles]');
+                expect(global.textContent).toBe(GLOBAL_CSS);
+            });
+        });
+
+        it('should remove unregistered global sheets', () => {
+            registerGlobalStyleSheet(GLOBAL_CSS);
+            container.innerHTML = '<ds-button>Save</ds-button>';
+
+            expect(unregisterGlobalStyleSheet(GLOBAL_CSS)).toBe(true);
+            expect(container.querySelector('ds-button').shadowRoot.querySelector('style[data-ds-global-styles]')).toBeNull();
+            expect(unregisterGlobalStyleSheet(GLOBAL_CSS)).toBe(false);
+        });
+
+        it('should reject values that are not stylesheets', () => {
+            expect(() => registerGlobalStyleSheet(42)).toThrow(TypeError);
+        });
+    });
+
+    describe('with constructable stylesheets', () => {
+        beforeEach(() => {
+            Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', {
+                get() {
+                    return this.adoptedSheets || [];
+                },
+                set(sheets) {
+                    this.adoptedSheets = sheets;
+                },
+                configurable: true
+            });
+            CSSStyleSheet.prototype.replaceSync = function (cssText) {
+                this.cssText = cssText;
+            };
+        });
+
+        afterEach(() => {
+            delete ShadowRoot.prototype.adoptedStyleSheets;
+            delete CSSStyleSheet.prototype.replaceSync;
+        });
+
+        it('should share one sheet per stylesheet between instances', () => {
+            container.innerHTML = '<ds-button>One</ds-button><ds-button>Two</ds-button>';
+            const [first, second] = container.querySelectorAll('ds-button');
+
+            expect(first.shadowRoot.querySelector('style')).toBeNull();
+            expect(first.shadowRoot.adoptedStyleSheets).toHaveLength(3);
+            first.shadowRoot.adoptedStyleSheets.forEach((sheet, index) => {
+                expect(second.shadowRoot.adoptedStyleSheets[index]).toBe(sheet);
+            });
+        });
+
+        it('should parse each CSS text once', () => {
+            expect(getStyleSheet('.a { color: red; }')).toBe(getStyleSheet('.a { color: red; }'));
+        });
+
+        it('should keep global sheets after component sheets', () => {
+            container.innerHTML = '<ds-button>Save</ds-button>';
+            const { shadowRoot } = container.querySelector('ds-button');
+            registerGlobalStyleSheet(GLOBAL_CSS);
+            adoptStyles(shadowRoot, ['.extra { color: red; }']);
+
+            const sheets = shadowRoot.adoptedStyleSheets;
+            expect(sheets).toHaveLength(5);
+            expect(sheets[3].cssText).toBe('.extra { color: red; }');
+            expect(sheets[4]).toBe(getStyleSheet(GLOBAL_CSS));
+
+            unregisterGlobalStyleSheet(GLOBAL_CSS);
+            expect(shadowRoot.adoptedStyleSheets).toHaveLength(4);
+        });
+
+        it('should adopt the shared form control rules', () => {
+            container.innerHTML = '<ds-text-input></ds-text-input><ds-button>Save</ds-button>';
+            const [input, button] = container.querySelectorAll('ds-text-input, ds-button');
+            const controls = getStyleSheet(CONTROL_STYLES);
+
+            expect(controls.cssText).toContain('input[part="input"]');
+            expect(input.shadowRoot.adoptedStyleSheets).toContain(controls);
+            expect(button.shadowRoot.adoptedStyleSheets).toContain(controls);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @file tokens.test.js
+ * @summary Tests for converting token trees to and from CSS custom properties
+ */
+
+import { describe, it, expect } from 'vitest';
+import { flattenTokens, unflattenTokens, registerTokenGroup, cloneTokens } from '../src/tokens.js';
+import { DEFAULT_TOKENS } from '../src/init.js';
+
+describe('Token trees', () => {
+    describe('flattenTokens', () => {
+        it('should keep the built-in property names', () => {
+            const properties = flattenTokens(DEFAULT_TOKENS);
+
+            expect(properties['--ds-color-primary']).toBe(DEFAULT_TOKENS.colors.primary);
+            expect(properties['--ds-spacing-pagePadding']).toBe(DEFAULT_TOKENS.spacing.pagePadding);
+            expect(properties['--ds-font-family']).toBe(DEFAULT_TOKENS.typography.fontFamily);
+            expect(properties['--ds-font-line-height']).toBe(DEFAULT_TOKENS.typography.lineHeight);
+            expect(properties['--ds-form-borderRadius']).toBe(DEFAULT_TOKENS.forms.borderRadius);
+            expect(properties['--ds-pageMaxWidth']).toBe(DEFAULT_TOKENS.layout.pageMaxWidth);
+            expect(properties['--ds-input-padding']).toBe(DEFAULT_TOKENS.components.input.padding);
+        });
+
+        it('should flatten custom groups at any depth', () => {
+            expect(flattenTokens({
+                zIndex: { modal: 1000 },
+                motion: { duration: { fast: '150ms' } }
+            })).toEqual({
+                '--ds-zIndex-modal': '1000',
+                '--ds-motion-duration-fast': '150ms'
+            });
+        });
+
+        it('should skip null and undefined values', () => {
+            expect(flattenTokens({ colors: { primary: null, text: undefined, info: '#0dcaf0' } }))
+                .toEqual({ '--ds-color-info': '#0dcaf0' });
+        });
+    });
+
+    describe('unflattenTokens', () => {
+        it('should round-trip the defaults', () => {
+            expect(unflattenTokens(flattenTokens(DEFAULT_TOKENS), DEFAULT_TOKENS)).toEqual(DEFAULT_TOKENS);
+        });
+
+        it('should round-trip custom groups without a reference', () => {
+            const tokens = {
+                colors: { primary: '#5a32a3' },
+                shadows: { sm: '0 1px 2px black' },
+                motion: { duration: { fast: '150ms' } }
+            };
+
+            expect(unflattenTokens(flattenTokens(tokens))).toEqual(tokens);
+        });
+
+        it('should ignore properties outside the design system', () => {
+            expect(unflattenTokens({ '--brand': 'red', color: 'blue' })).toEqual({});
+        });
+    });
+
+    describe('registerTokenGroup', () => {
+        it('should use the registered prefix in both directions', () => {
+            registerTokenGroup('radii', { prefix: 'radius' });
+
+            expect(flattenTokens({ radii: { sm: '2px' } })).toEqual({ '--ds-radius-sm': '2px' });
+            expect(unflattenTokens({ '--ds-radius-sm': '2px' })).toEqual({ radii: { sm: '2px' } });
+        });
+
+        it('should require a name', () => {
+            expect(() => registerTokenGroup('')).toThrow(TypeError);
+        });
+    });
+
+    describe('cloneTokens', () => {
+        it('should not share nested objects', () => {
+            const copy = cloneTokens(DEFAULT_TOKENS);
+            copy.components.button.padding = '0';
+
+            expect(DEFAULT_TOKENS.components.button.padding).not.toBe('0');
+        });
+    });
+});
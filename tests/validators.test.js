@@ -0,0 +1,76 @@
+/**
+ * @file validators.test.js
+ * @summary Tests for the validation rule registry
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { registerValidator, unregisterValidator, getValidator, formatValidationMessage } from '../src/validators.js';
+
+describe('Validator registry', () => {
+    afterEach(() => {
+        unregisterValidator('even');
+    });
+
+    describe('registerValidator', () => {
+        it('should register a custom rule', () => {
+            registerValidator('even', (value) => Number(value) % 2 === 0, { message: 'Must be even' });
+
+            const validator = getValidator('even');
+            expect(validator.validate('4')).toBe(true);
+            expect(validator.validate('3')).toBe(false);
+            expect(validator.message).toBe('Must be even');
+        });
+
+        it('should throw when the validate function is missing', () => {
+            expect(() => registerValidator('even')).toThrow(TypeError);
+        });
+    });
+
+    describe('unregisterValidator', () => {
+        it('should remove a registered rule', () => {
+            registerValidator('even', () => true);
+
+            expect(unregisterValidator('even')).toBe(true);
+            expect(getValidator('even')).toBeUndefined();
+        });
+    });
+
+    describe('built-in rules', () => {
+        it('should check minlength and maxlength', () => {
+            expect(getValidator('minlength').validate('ab', '3')).toBe(false);
+            expect(getValidator('maxlength').validate('abcd', '3')).toBe(false);
+        });
+
+        it('should anchor pattern matches to the whole value', () => {
+            expect(getValidator('pattern').validate('abc1', '[a-z]+')).toBe(false);
+            expect(getValidator('pattern').validate('abc', '[a-z]+')).toBe(true);
+        });
+
+        it('should compare min and max numerically', () => {
+            expect(getValidator('min').validate('9', '10')).toBe(false);
+            expect(getValidator('max').validate('100', '20')).toBe(false);
+        });
+
+        it('should compare dates for min and max', () => {
+            expect(getValidator('min').validate('2024-01-01', '2024-06-01')).toBe(false);
+        });
+
+        it('should compare a field against another field with match', () => {
+            const context = { values: { password: 'secret' } };
+
+            expect(getValidator('match').validate('secret', 'password', context)).toBe(true);
+            expect(getValidator('match').validate('other', 'password', context)).toBe(false);
+            expect(getValidator('match').crossField).toBe(true);
+        });
+    });
+
+    describe('formatValidationMessage', () => {
+        it('should substitute the rule parameter', () => {
+            expect(formatValidationMessage('At least {param} characters', '8')).toBe('At least 8 characters');
+        });
+
+        it('should call message factories', () => {
+            expect(formatValidationMessage((param) => `Min ${param}`, '2')).toBe('Min 2');
+        });
+    });
+});
@@ -58,21 +58,116 @@ export interface DesignTokens {
   };
 }
 
+export interface TokenTree {
+  [key: string]: string | number | TokenTree;
+}
+
+export interface DTCGToken {
+  $value: unknown;
+  $type?: 'color' | 'dimension' | 'duration' | 'number' | 'fontFamily' | 'fontWeight' | 'cubicBezier' | 'strokeStyle' | 'shadow' | 'border' | 'transition';
+  $description?: string;
+  $extensions?: Record<string, unknown>;
+}
+
+export interface DTCGDocument {
+  [key: string]: DTCGToken | DTCGDocument | string | undefined;
+  $type?: DTCGToken['$type'];
+  $description?: string;
+}
+
+export interface ThemeOptions {
+  colorScheme?: 'light' | 'dark';
+  contrast?: 'more';
+}
+
+export interface ThemeDefinition extends ThemeOptions {
+  tokens: Partial<DesignTokens>;
+}
+
+export interface ThemeChangeDetail {
+  theme: string;
+  previousTheme: string | null;
+  resolvedTheme: string;
+}
+
 export interface InitOptions {
   validate?: boolean;
+  strict?: boolean;
+  contrast?: boolean | 'AA' | 'AAA';
   injectCSS?: boolean;
   console?: boolean;
+  themes?: Record<string, ThemeDefinition>;
+  theme?: string;
+  target?: Element | ShadowRoot | string;
 }
 
 export interface UpdateOptions {
   injectCSS?: boolean;
+  target?: Element | ShadowRoot | string;
+}
+
+export interface TokenHandle {
+  readonly target: Element | ShadowRoot | string | null;
+  update(tokens: Partial<DesignTokens>): UpdateResult;
+  remove(): void;
+}
+
+export type TokenValidationCode =
+  | 'invalid-type'
+  | 'invalid-group'
+  | 'missing-required'
+  | 'unknown-key'
+  | 'invalid-color'
+  | 'missing-unit'
+  | 'invalid-length'
+  | 'invalid-font-family'
+  | 'invalid-line-height'
+  | 'insufficient-contrast';
+
+export interface TokenValidationIssue {
+  path: string;
+  code: TokenValidationCode;
+  message: string;
+}
+
+export interface TokenValidationResult {
+  isValid: boolean;
+  errors: TokenValidationIssue[];
+}
+
+export interface ContrastResult {
+  foreground: string;
+  background: string;
+  usage: string;
+  large: boolean;
+  colors: { foreground: string | undefined; background: string | undefined };
+  ratio: number | null;
+  required: number;
+  AA: boolean | null;
+  AAA: boolean | null;
+  passed: boolean;
+  suggestion?: string | null;
+}
+
+export interface ContrastAudit {
+  passed: boolean;
+  level: 'AA' | 'AAA';
+  results: ContrastResult[];
+}
+
+export declare class TokenValidationError extends Error {
+  readonly errors: TokenValidationIssue[];
+  constructor(errors: TokenValidationIssue[]);
 }
 
 export interface InitResult {
   success: boolean;
   errors: string[];
+  validationErrors?: TokenValidationIssue[];
   tokens: DesignTokens | null;
   css?: string;
+  stylesheet?: string;
+  handle?: TokenHandle;
 }
 
 export interface UpdateResult {
@@ -80,8 +175,46 @@ export interface UpdateResult {
   tokens?: DesignTokens;
   css?: string;
   error?: string;
+  handle?: TokenHandle;
+}
+
+export interface ValidationContext {
+  control: HTMLElement;
+  values: Record<string, string>;
+  form: HTMLElement;
+  signal?: AbortSignal;
+}
+
+export type ValidatorFn = (value: string, param: string | null, context: ValidationContext) => boolean | Promise<boolean>;
+
+export interface ValidatorOptions {
+  message?: string | ((param: string | null, context: ValidationContext) => string);
+  crossField?: boolean;
+  async?: boolean;
+  debounce?: number;
+}
+
+export interface ValidationError {
+  name: string;
+  control: HTMLElement;
+  rule: string;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationError[];
+}
+
+export interface SubmitOutcome {
+  ok: boolean;
+  response: Response | null;
+  data: unknown;
+  error: Error | null;
 }
 
+export type ServerErrors = Record<string, string | string[]> | Array<{ name?: string; field?: string; message: string }>;
+
 // Component declarations
 declare global {
   namespace JSX {
@@ -94,21 +227,41 @@ declare global {
       'ds-textarea': any;
       'ds-select': any;
       'ds-option': any;
+      'ds-optgroup': any;
       'ds-checkbox': any;
       'ds-radio': any;
       'ds-label': any;
       'ds-fieldset': any;
       'ds-legend': any;
       'ds-form': any;
+      'ds-form-wizard': any;
     }
   }
 }
 
 // Export functions
-export declare function init(userTokens?: Partial<DesignTokens>, options?: InitOptions): InitResult;
-export declare function updateTokens(newTokens: Partial<DesignTokens>, options?: UpdateOptions): UpdateResult;
+export declare function init(userTokens?: Partial<DesignTokens> | DTCGDocument, options?: InitOptions): InitResult;
+export declare function updateTokens(newTokens: Partial<DesignTokens> | DTCGDocument, options?: UpdateOptions): UpdateResult;
 export declare function getCurrentTokens(): DesignTokens;
+export declare function exportTokens(format?: 'dtcg' | 'json' | 'css' | 'scss' | 'js', tokens?: DesignTokens): string;
 export declare function resetTokens(): InitResult;
+export declare function validateTokens(tokens: Partial<DesignTokens>, options?: { strict?: boolean; contrast?: boolean | 'AA' | 'AAA' }): TokenValidationResult;
+export declare function auditContrast(tokens?: Partial<DesignTokens>, options?: { level?: 'AA' | 'AAA'; suggest?: boolean }): ContrastAudit;
+export declare function registerTheme(name: string, tokens?: Partial<DesignTokens>, options?: ThemeOptions): void;
+export declare function unregisterTheme(name: string): boolean;
+export declare function getThemes(): string[];
+export declare function getTheme(): string | null;
+export declare function setTheme(name: string, options?: { persist?: boolean }): boolean;
+
+export declare function flattenTokens(tokens: TokenTree): Record<string, string>;
+export declare function unflattenTokens(properties: Record<string, string>, reference?: TokenTree): TokenTree;
+export declare function registerTokenGroup(name: string, options?: { prefix?: string }): void;
+
+export declare function registerValidator(name: string, validate: ValidatorFn, options?: ValidatorOptions): void;
+export declare function unregisterValidator(name: string): boolean;
+export declare function getValidator(name: string): { validate: ValidatorFn; message: ValidatorOptions['message']; crossField: boolean; async: boolean; debounce?: number } | undefined;
+export declare function registerGlobalStyleSheet(sheet: string | CSSStyleSheet): void;
+export declare function unregisterGlobalStyleSheet(sheet: string | CSSStyleSheet): boolean;
 
 // Export default tokens
 export declare const DEFAULT_TOKENS: DesignTokens;
@@ -120,15 +273,109 @@ export declare class DsCol extends HTMLElement {}
 export declare class DsButton extends HTMLElement {}
 export declare class DsTextInput extends HTMLElement {}
 export declare class DsTextarea extends HTMLElement {}
-export declare class DsSelect extends HTMLElement {}
-export declare class DsOption extends HTMLElement {}
+export type DsSelectOptionData = string | { value: string; label?: string; disabled?: boolean; group?: string };
+export declare class DsSelect extends HTMLElement {
+  value: string;
+  disabled: boolean;
+  required: boolean;
+  name: string;
+  multiple: boolean;
+  values: string[];
+  maxSelections: number | null;
+  size: number;
+  searchable: boolean;
+  rich: boolean;
+  loadOptions?: (query: string) => Promise<DsSelectOptionData[]> | DsSelectOptionData[];
+  readonly expanded: boolean;
+  get options(): Array<HTMLElement | DsSelectOptionData>;
+  set options(value: DsSelectOptionData[] | null);
+  readonly selectedOptions: Array<HTMLElement | DsSelectOptionData>;
+  readonly form: HTMLFormElement | null;
+  openListbox(): void;
+  closeListbox(): void;
+  selectAll(): void;
+  clearSelection(): void;
+}
+export declare class DsOption extends HTMLElement {
+  value: string;
+  label: string;
+  selected: boolean;
+  disabled: boolean;
+}
+export declare class DsOptgroup extends HTMLElement {
+  label: string;
+  disabled: boolean;
+}
 export declare class DsCheckbox extends HTMLElement {}
 export declare class DsRadio extends HTMLElement {}
 export declare class DsLabel extends HTMLElement {}
 export declare class DsFieldset extends HTMLElement {}
 export declare class DsLegend extends HTMLElement {}
-export declare class DsForm extends HTMLElement {}
-export declare class BaseComponent extends HTMLElement {}
+export declare class DsForm extends HTMLElement {
+  readonly pending: boolean;
+  mode: 'native' | 'fetch';
+  readonly submitting: boolean;
+  submit(): void;
+  submitWithFetch(): Promise<SubmitOutcome | null>;
+  abortSubmit(): void;
+  setServerErrors(errors: ServerErrors): string[];
+  getFormData(): FormData;
+  getFormDataAsObject(options?: { coerce?: boolean }): Record<string, unknown>;
+  getFieldValues(): Record<string, string>;
+  setValues(values: Record<string, unknown>): void;
+  readonly dirty: boolean;
+  readonly pristine: boolean;
+  readonly touched: boolean;
+  isFieldDirty(field: string | HTMLElement): boolean;
+  isFieldTouched(field: string | HTMLElement): boolean;
+  markPristine(): void;
+  readonly draftKey: string;
+  saveDraft(): boolean;
+  restoreDraft(): boolean;
+  clearDraft(): void;
+  validate(scope?: Element): ValidationResult;
+  validateAsync(scope?: Element): Promise<ValidationResult>;
+  isFieldPending(control: HTMLElement): boolean;
+  addRule(fieldName: string, rule: { name?: string; param?: string | null; message?: ValidatorOptions['message']; validate?: ValidatorFn; crossField?: boolean; async?: boolean; debounce?: number }): void;
+  removeRules(fieldName: string): void;
+}
+export declare class DsFormWizard extends DsForm {
+  readonly steps: HTMLElement[];
+  readonly currentStep: number;
+  readonly isLastStep: boolean;
+  next(): Promise<boolean>;
+  back(): boolean;
+  goTo(index: number): Promise<boolean>;
+  validateStep(index: number): Promise<boolean>;
+}
+export interface PropertyDeclaration {
+  type?: 'string' | 'boolean' | 'number' | 'json';
+  default?: unknown;
+  attribute?: string | false;
+  reflect?: boolean;
+  target?: string;
+  targetAttribute?: string;
+}
+
+export declare class BaseComponent extends HTMLElement {
+  static readonly properties: Record<string, PropertyDeclaration>;
+  static ariaProperties(attributes: string[]): Record<string, PropertyDeclaration>;
+  static getPropertyAttributes(): string[];
+  static readonly template: string | null;
+  static getShadowContent(display?: string): { styles: string[]; markup: string };
+  errorMessage: string;
+  setError(message: string): void;
+  clearError(): void;
+  getProperty(name: string): unknown;
+  setProperty(name: string, value: unknown): void;
+  propertyChangedCallback(name: string, oldValue: unknown, newValue: unknown): void;
+  readonly hasUpdated: boolean;
+  readonly updateComplete: Promise<boolean>;
+  requestUpdate(name?: string, oldValue?: unknown): Promise<boolean>;
+  protected willUpdate(changedProperties: Map<string, unknown>): void;
+  protected update(changedProperties: Map<string, unknown>): void;
+  protected updated(changedProperties: Map<string, unknown>, firstUpdate: boolean): void;
+}
 
 // Version
 export declare const VERSION: string; 
\ No newline at end of file